@@ -26,7 +26,16 @@ const app = express();
 app.use(helmet()); // Bezpieczeństwo HTTP
 app.use(cors()); // Obsługa Cross-Origin Resource Sharing
 app.use(compression()); // Kompresja odpowiedzi
-app.use(express.json()); // Parsowanie JSON
+// Parsowanie JSON (domyślny limit) - ścieżki przesyłające świece parsują
+// ciało we własnym routerze, po autoryzacji i z większym limitem
+const CANDLE_UPLOAD_PATHS = ["/api/v1/backtest", "/api/v1/market/candles/"];
+app.use(
+  express.json({
+    type: (req) =>
+      !!req.is("application/json") &&
+      !CANDLE_UPLOAD_PATHS.some((path) => req.path.startsWith(path)),
+  })
+);
 app.use(express.urlencoded({ extended: true })); // Parsowanie formularzy
 // Morgan z filtrowaniem dla endpointów wykresów
 app.use(
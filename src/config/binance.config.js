@@ -46,8 +46,16 @@ const config = {
     emaCalculation: "1h",
   },
 
-  // Domyślne dane historyczne
+  // Głębokość historii świec (pobieranie przy starcie instancji i bufor w pamięci)
+  // Instancja wymaga minimum wskaźników strategii (getMinimumCandles) plus
+  // rozgrzewka - nie mniej niż domyślny limit interwału
   historicalData: {
+    warmupCandles: 50, // Świece rozgrzewki wskaźników rekurencyjnych (EMA, RSI, MACD)
+    maxCandles: 1000, // Limit jednego zapytania REST Binance
+    defaultLimit: 25, // Bufor interwału bez wpisu poniżej
+    "1m": {
+      limit: 10, // Świece cenowe (ticki strategii)
+    },
     "15m": {
       limit: 25, // Liczba świec 15m potrzebnych do kanału Hursta
     },
@@ -56,6 +64,24 @@ const config = {
     },
   },
 
+  // Trwałe przechowywanie zamkniętych świec (MarketData, candle-store.service)
+  candleStore: {
+    // Maksymalna liczba świec w jednym zapytaniu REST przy uzupełnianiu luk
+    pageLimit: 1000,
+    // Czas przechowywania świec w dniach wg interwału (brak wpisu = bez limitu)
+    retentionDays: {
+      "1m": 30,
+      "3m": 60,
+      "5m": 90,
+      "15m": 365,
+      "30m": 365,
+      "1h": 730,
+      "2h": 730,
+    },
+    // Harmonogram usuwania świec starszych niż retencja (cron)
+    retentionSchedule: process.env.CANDLE_RETENTION_CRON || "30 3 * * *",
+  },
+
   // Wspierane interwały czasowe
   supportedIntervals: [
     "1m",
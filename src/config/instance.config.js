@@ -1,9 +1,66 @@
+// Kierunki pozycji: long (kupno na dolnej bandzie) lub short (sprzedaż na górnej bandzie)
+const POSITION_DIRECTIONS = ["long", "short"];
+
+// Estymator wykładnika Hursta: przeskalowany zakres (R/S) lub DFA (Detrended Fluctuation Analysis)
+const HURST_ESTIMATORS = ["rs", "dfa"];
+
+// Interwały świec kanału Hursta i filtra trendu EMA (krótka EMA liczona na interwale EMA)
+const HURST_INTERVALS = [
+  "1m",
+  "3m",
+  "5m",
+  "15m",
+  "30m",
+  "1h",
+  "2h",
+  "4h",
+  "6h",
+  "8h",
+  "12h",
+  "1d",
+];
+const EMA_INTERVALS = ["15m", "30m", "1h", "2h", "4h", "6h", "8h", "12h", "1d"];
+
+// Źródło ceny trailing stopu: zamknięcia 1m lub ekstremum świecy (high dla long, low dla short)
+const TRAILING_STOP_PRICE_SOURCES = ["close", "high"];
+
+// Interwały świec filtrów potwierdzających wejście
+const ENTRY_FILTER_INTERVALS = [
+  "5m",
+  "15m",
+  "30m",
+  "1h",
+  "2h",
+  "4h",
+  "6h",
+  "12h",
+  "1d",
+];
+
+// Łączenie wyników filtrów wejścia: wszystkie ("and") lub którykolwiek ("or")
+const ENTRY_FILTER_LOGIC = ["and", "or"];
+
+// Wielkość pozycji: ułamek środków poziomu drabinki ("allocation") lub
+// ryzyko procentu kapitału do poziomu stopu ("risk")
+const POSITION_SIZING_MODES = ["allocation", "risk"];
+
+// Dystans do stopu przy wielkości pozycji wg ryzyka: ATR × mnożnik lub signals.stopLoss.percent
+const SIZING_STOP_SOURCES = ["atr", "stopLoss"];
+
+// Trendy EMA dopuszczające wejście w danym kierunku (checkEMATrend)
+const ENTRY_TRENDS = {
+  long: ["up", "strong_up", "neutral"],
+  short: ["down", "strong_down", "neutral"],
+};
+
 const config = {
   hurst: {
+    direction: "long",
     periods: 30,
     upperDeviationFactor: 1.6,
     lowerDeviationFactor: 1.8,
     minExponent: 0.55,
+    estimator: "rs",
   },
 
   ema: {
@@ -14,17 +71,95 @@ const config = {
     minEntryTimeGap: 2 * 60 * 60 * 1000, // 2 godziny
     checkEMATrend: true,
     minFirstEntryDuration: 60 * 60 * 1000, // 1 godzina
+    stopLossCooldownHours: 12, // Przerwa w wejściach po stop lossie (0 = brak)
     stopLoss: {
       enabled: true,
       percent: 0.015, // 1.5%
     },
+    // Zlecenia ochronne na giełdzie: stop loss z procentem strategii od poziomu
+    // drabinki, który go aktywuje (wcześniej awaryjny stopLossPercent)
+    // i opcjonalny take profit (0 = wyłączony), liczone od średniej ceny wejścia
+    protectiveOrders: {
+      enabled: true,
+      stopLossPercent: 0.05, // 5%
+      takeProfitPercent: 0,
+    },
+    // Trailing stop: aktywacja po zysku activationPercent od średniej ceny wejścia,
+    // wyjście po cofnięciu ceny o trailPercent od ekstremum
+    trailingStop: {
+      enabled: false,
+      activationPercent: 0.01, // 1%
+      trailPercent: 0.005, // 0.5%
+      priceSource: "close",
+    },
+    // Dodatkowe reguły wyjścia (0/false = reguła wyłączona)
+    exitRules: {
+      maxHoldingTime: 0, // Maksymalny czas trwania pozycji (ms)
+      takeProfitPercent: 0, // Stały zysk od średniej ceny wejścia
+      breakevenAfter: 0, // Po tym czasie (ms) wyjście, gdy cena wróci do średniej wejścia
+      middleBandCross: false, // Wyjście po dojściu ceny do środkowej bandy kanału
+    },
+    // Cykl wyjścia kanału Hursta (UpperBandStateManager): progi jako odchylenie
+    // od bandy (long: górna, short: dolna - lustrzanie) i czasy potwierdzeń
+    upperBand: {
+      exitTriggerPercent: 0.0009, // Wyjście poza bandę: 0.09% ponad bandą
+      exitResetPercent: 0.001, // Reset wyjścia: 0.1% wewnątrz kanału
+      returnTriggerPercent: 0.0005, // Powrót do kanału: 0.05% poniżej bandy
+      returnResetPercent: 0.0009, // Reset powrotu: 0.09% ponad bandą
+      exitConfirmationTime: 8 * 60 * 1000, // 8 minut poza bandą
+      exitResetTime: 8 * 60 * 1000, // 8 minut w strefie resetu wyjścia
+      returnConfirmationTime: 8 * 60 * 1000, // 8 minut po powrocie
+      returnResetTime: 8 * 60 * 1000, // 8 minut w strefie resetu powrotu
+    },
+    // Filtry potwierdzające wejście (EntryFilters), domyślnie wyłączone
+    entryFilters: {
+      logic: "and",
+      rsi: {
+        enabled: false,
+        interval: "15m",
+        periods: 14,
+        oversold: 30, // Long: RSI <= oversold
+        overbought: 70, // Short: RSI >= overbought
+      },
+      volume: {
+        enabled: false,
+        interval: "15m",
+        periods: 20, // Średnia z poprzednich N świec
+        multiplier: 1.5, // Wolumen ostatniej świecy >= 1.5 × średnia
+      },
+      // Próg wykładnika: hurst.minExponent
+      hurstExponent: {
+        enabled: false,
+      },
+      higherTimeframe: {
+        enabled: false,
+        interval: "4h",
+        periods: 25,
+        maxPosition: 0.5, // Long: cena w dolnej połowie kanału wyższego interwału
+      },
+    },
   },
 
+  // Drabinka wejść: firstEntry/secondEntry/thirdEntry to format domyślny,
+  // niepuste entryLevels definiuje dowolną liczbę poziomów:
+  // [{ allocation, minPriceDistance, minTimeGap, activateStopLoss }].
+  // Pusta lista (domyślna wartość tablicy w modelu) = drabinka domyślna.
   capitalAllocation: {
     firstEntry: 0.1, // 10% kapitału
     secondEntry: 0.25, // 25% kapitału
     thirdEntry: 0.5, // 50% kapitału
     maxEntries: 3,
+    // Wielkość pozycji wg ryzyka (mode = "risk"): każde wejście ryzykuje
+    // riskPercent kapitału przy dystansie do stopu z ATR lub procentu stop lossa,
+    // nie więcej niż alokacja poziomu drabinki
+    sizing: {
+      mode: "allocation",
+      riskPercent: 0.01, // 1% kapitału na wejście
+      stopSource: "atr",
+      atrInterval: "15m",
+      atrPeriods: 14,
+      atrMultiplier: 2, // Stop 2 × ATR od ceny wejścia
+    },
   },
 
   limits: {
@@ -41,6 +176,10 @@ const config = {
         min: 0.5,
         max: 5.0,
       },
+      minExponent: {
+        min: 0,
+        max: 1,
+      },
     },
     ema: {
       periods: {
@@ -56,12 +195,75 @@ const config = {
       min: 0, // 0 minut (wyłączone)
       max: 24 * 60 * 60 * 1000, // 24 godziny
     },
+    stopLossCooldownHours: {
+      min: 0, // Bez cooldownu
+      max: 48,
+    },
     stopLoss: {
       percent: {
         min: 0.005, // 0.5%
         max: 0.05, // 5%
       },
     },
+    protectiveOrders: {
+      stopLossPercent: {
+        min: 0.005, // 0.5%
+        max: 0.5, // 50%
+      },
+      takeProfitPercent: {
+        min: 0, // 0% (wyłączony)
+        max: 1, // 100%
+      },
+    },
+    trailingStop: {
+      activationPercent: {
+        min: 0, // 0% (aktywny od wejścia)
+        max: 0.5, // 50%
+      },
+      trailPercent: {
+        min: 0.001, // 0.1%
+        max: 0.2, // 20%
+      },
+    },
+    exitRules: {
+      maxHoldingTime: {
+        min: 0, // 0 (wyłączone)
+        max: 30 * 24 * 60 * 60 * 1000, // 30 dni
+      },
+      takeProfitPercent: {
+        min: 0, // 0% (wyłączone)
+        max: 1, // 100%
+      },
+      breakevenAfter: {
+        min: 0, // 0 (wyłączone)
+        max: 30 * 24 * 60 * 60 * 1000, // 30 dni
+      },
+    },
+    upperBand: {
+      triggerPercent: {
+        min: 0, // 0% (próg na bandzie)
+        max: 0.02, // 2%
+      },
+      time: {
+        min: 60 * 1000, // 1 minuta
+        max: 4 * 60 * 60 * 1000, // 4 godziny
+      },
+    },
+    entryFilters: {
+      rsi: {
+        periods: { min: 2, max: 100 },
+        oversold: { min: 1, max: 50 },
+        overbought: { min: 50, max: 99 },
+      },
+      volume: {
+        periods: { min: 2, max: 200 },
+        multiplier: { min: 1, max: 10 },
+      },
+      higherTimeframe: {
+        periods: { min: 10, max: 100 },
+        maxPosition: { min: 0, max: 1 },
+      },
+    },
     capitalAllocation: {
       firstEntry: {
         min: 0.01, // 1%
@@ -76,14 +278,56 @@ const config = {
         max: 0.9, // 90%
       },
     },
+    sizing: {
+      riskPercent: {
+        min: 0.001, // 0.1%
+        max: 0.05, // 5%
+      },
+      atrPeriods: {
+        min: 2,
+        max: 100,
+      },
+      atrMultiplier: {
+        min: 0.5,
+        max: 10,
+      },
+    },
+    entryLevels: {
+      maxLevels: 10,
+      allocation: {
+        min: 0.01, // 1%
+        max: 1, // 100% pozostałych środków
+      },
+      minPriceDistance: {
+        min: 0, // 0% (wyłączone)
+        max: 0.5, // 50%
+      },
+      minTimeGap: {
+        min: 0, // 0 minut (wyłączone)
+        max: 24 * 60 * 60 * 1000, // 24 godziny
+      },
+    },
   },
 
+  // Domyślne interwały kanału Hursta i EMA (hurst.interval, ema.interval)
   intervals: {
     hurst: "15m",
     ema: "1h",
   },
 };
 
+/**
+ * Sprawdza, czy wartość parametru nie jest liczbą z zakresu min-max
+ * (tekst z ciała żądania, np. "abc", przechodziłby porównania z limitami)
+ * @param {*} value - Wartość parametru
+ * @param {number} min - Minimum
+ * @param {number} max - Maksimum
+ * @returns {boolean} - Czy wartość jest nieprawidłowa
+ */
+const isOutOfRange = (value, min, max) => {
+  return !Number.isFinite(value) || value < min || value > max;
+};
+
 const validateInstanceParams = (params) => {
   const errors = [];
 
@@ -91,7 +335,7 @@ const validateInstanceParams = (params) => {
   if (params.hurst) {
     if (params.hurst.periods !== undefined) {
       const { min, max } = config.limits.hurst.periods;
-      if (params.hurst.periods < min || params.hurst.periods > max) {
+      if (isOutOfRange(params.hurst.periods, min, max)) {
         errors.push(
           `Liczba okresów dla kanału Hursta musi być z zakresu ${min}-${max}`
         );
@@ -100,10 +344,7 @@ const validateInstanceParams = (params) => {
 
     if (params.hurst.upperDeviationFactor !== undefined) {
       const { min, max } = config.limits.hurst.upperDeviationFactor;
-      if (
-        params.hurst.upperDeviationFactor < min ||
-        params.hurst.upperDeviationFactor > max
-      ) {
+      if (isOutOfRange(params.hurst.upperDeviationFactor, min, max)) {
         errors.push(
           `Współczynnik odchylenia górnej bandy Hursta musi być z zakresu ${min}-${max}`
         );
@@ -112,35 +353,74 @@ const validateInstanceParams = (params) => {
 
     if (params.hurst.lowerDeviationFactor !== undefined) {
       const { min, max } = config.limits.hurst.lowerDeviationFactor;
-      if (
-        params.hurst.lowerDeviationFactor < min ||
-        params.hurst.lowerDeviationFactor > max
-      ) {
+      if (isOutOfRange(params.hurst.lowerDeviationFactor, min, max)) {
         errors.push(
           `Współczynnik odchylenia dolnej bandy Hursta musi być z zakresu ${min}-${max}`
         );
       }
     }
+
+    if (params.hurst.minExponent !== undefined) {
+      const { min, max } = config.limits.hurst.minExponent;
+      if (isOutOfRange(params.hurst.minExponent, min, max)) {
+        errors.push(
+          `Minimalny wykładnik Hursta musi być z zakresu ${min}-${max}`
+        );
+      }
+    }
+
+    if (
+      params.hurst.direction !== undefined &&
+      !POSITION_DIRECTIONS.includes(params.hurst.direction)
+    ) {
+      errors.push(
+        `Kierunek pozycji musi być jedną z wartości: ${POSITION_DIRECTIONS.join(", ")}`
+      );
+    }
+
+    if (
+      params.hurst.interval !== undefined &&
+      !HURST_INTERVALS.includes(params.hurst.interval)
+    ) {
+      errors.push(
+        `Interwał kanału Hursta musi być jedną z wartości: ${HURST_INTERVALS.join(", ")}`
+      );
+    }
+
+    if (
+      params.hurst.estimator !== undefined &&
+      !HURST_ESTIMATORS.includes(params.hurst.estimator)
+    ) {
+      errors.push(
+        `Estymator wykładnika Hursta musi być jedną z wartości: ${HURST_ESTIMATORS.join(", ")}`
+      );
+    }
   }
 
   // Walidacja parametrów EMA
   if (params.ema) {
     if (params.ema.periods !== undefined) {
       const { min, max } = config.limits.ema.periods;
-      if (params.ema.periods < min || params.ema.periods > max) {
+      if (isOutOfRange(params.ema.periods, min, max)) {
         errors.push(`Liczba okresów dla EMA musi być z zakresu ${min}-${max}`);
       }
     }
+
+    if (
+      params.ema.interval !== undefined &&
+      !EMA_INTERVALS.includes(params.ema.interval)
+    ) {
+      errors.push(
+        `Interwał EMA musi być jedną z wartości: ${EMA_INTERVALS.join(", ")}`
+      );
+    }
   }
 
   // Walidacja stop loss
   if (params.signals?.stopLoss) {
     if (params.signals.stopLoss.percent !== undefined) {
       const { min, max } = config.limits.stopLoss.percent;
-      if (
-        params.signals.stopLoss.percent < min ||
-        params.signals.stopLoss.percent > max
-      ) {
+      if (isOutOfRange(params.signals.stopLoss.percent, min, max)) {
         errors.push(
           `Procent stop loss musi być z zakresu ${(min * 100).toFixed(1)}%-${(max * 100).toFixed(1)}%`
         );
@@ -148,11 +428,145 @@ const validateInstanceParams = (params) => {
     }
   }
 
+  // Walidacja zleceń ochronnych
+  if (params.signals?.protectiveOrders) {
+    const { stopLossPercent, takeProfitPercent } =
+      params.signals.protectiveOrders;
+
+    if (stopLossPercent !== undefined) {
+      const { min, max } = config.limits.protectiveOrders.stopLossPercent;
+      if (isOutOfRange(stopLossPercent, min, max)) {
+        errors.push(
+          `Procent ochronnego stop loss musi być z zakresu ${(min * 100).toFixed(1)}%-${(max * 100).toFixed(1)}%`
+        );
+      }
+    }
+
+    if (takeProfitPercent !== undefined && takeProfitPercent !== null) {
+      const { min, max } = config.limits.protectiveOrders.takeProfitPercent;
+      if (isOutOfRange(takeProfitPercent, min, max)) {
+        errors.push(
+          `Procent take profit musi być z zakresu ${(min * 100).toFixed(1)}%-${(max * 100).toFixed(1)}%`
+        );
+      }
+    }
+  }
+
+  // Walidacja trailing stopu
+  if (params.signals?.trailingStop) {
+    const { activationPercent, trailPercent, priceSource } =
+      params.signals.trailingStop;
+
+    if (activationPercent !== undefined) {
+      const { min, max } = config.limits.trailingStop.activationPercent;
+      if (isOutOfRange(activationPercent, min, max)) {
+        errors.push(
+          `Próg aktywacji trailing stopu musi być z zakresu ${(min * 100).toFixed(1)}%-${(max * 100).toFixed(1)}%`
+        );
+      }
+    }
+
+    if (trailPercent !== undefined) {
+      const { min, max } = config.limits.trailingStop.trailPercent;
+      if (isOutOfRange(trailPercent, min, max)) {
+        errors.push(
+          `Procent trailing stopu musi być z zakresu ${(min * 100).toFixed(1)}%-${(max * 100).toFixed(1)}%`
+        );
+      }
+    }
+
+    if (
+      priceSource !== undefined &&
+      !TRAILING_STOP_PRICE_SOURCES.includes(priceSource)
+    ) {
+      errors.push(
+        `Źródło ceny trailing stopu musi być jedną z wartości: ${TRAILING_STOP_PRICE_SOURCES.join(", ")}`
+      );
+    }
+  }
+
+  // Walidacja dodatkowych reguł wyjścia
+  if (params.signals?.exitRules) {
+    const { maxHoldingTime, takeProfitPercent, breakevenAfter } =
+      params.signals.exitRules;
+    const hours = (ms) => ms / (60 * 60 * 1000);
+
+    if (maxHoldingTime !== undefined) {
+      const { min, max } = config.limits.exitRules.maxHoldingTime;
+      if (isOutOfRange(maxHoldingTime, min, max)) {
+        errors.push(
+          `Maksymalny czas trwania pozycji musi być z zakresu ${hours(min)}-${hours(max)} godzin`
+        );
+      }
+    }
+
+    if (takeProfitPercent !== undefined) {
+      const { min, max } = config.limits.exitRules.takeProfitPercent;
+      if (isOutOfRange(takeProfitPercent, min, max)) {
+        errors.push(
+          `Procent take profit reguły wyjścia musi być z zakresu ${(min * 100).toFixed(1)}%-${(max * 100).toFixed(1)}%`
+        );
+      }
+    }
+
+    if (breakevenAfter !== undefined) {
+      const { min, max } = config.limits.exitRules.breakevenAfter;
+      if (isOutOfRange(breakevenAfter, min, max)) {
+        errors.push(
+          `Czas do wyjścia na progu rentowności musi być z zakresu ${hours(min)}-${hours(max)} godzin`
+        );
+      }
+    }
+  }
+
+  // Walidacja progów i czasów cyklu wyjścia kanału Hursta
+  if (params.signals?.upperBand) {
+    const upperBand = params.signals.upperBand;
+    const limits = config.limits.upperBand;
+    const labels = {
+      exitTriggerPercent: "Próg wyjścia poza bandę",
+      exitResetPercent: "Próg resetu wyjścia",
+      returnTriggerPercent: "Próg powrotu do kanału",
+      returnResetPercent: "Próg resetu powrotu",
+      exitConfirmationTime: "Czas potwierdzenia wyjścia",
+      exitResetTime: "Czas resetu wyjścia",
+      returnConfirmationTime: "Czas potwierdzenia powrotu",
+      returnResetTime: "Czas resetu powrotu",
+    };
+
+    for (const [name, label] of Object.entries(labels)) {
+      const value = upperBand[name];
+      if (value === undefined || value === null) {
+        continue;
+      }
+
+      if (name.endsWith("Percent")) {
+        const { min, max } = limits.triggerPercent;
+        if (isOutOfRange(value, min, max)) {
+          errors.push(
+            `${label} musi być z zakresu ${(min * 100).toFixed(1)}%-${(max * 100).toFixed(1)}%`
+          );
+        }
+      } else {
+        const { min, max } = limits.time;
+        if (isOutOfRange(value, min, max)) {
+          errors.push(
+            `${label} musi być z zakresu ${min / (60 * 1000)}-${max / (60 * 1000)} minut`
+          );
+        }
+      }
+    }
+  }
+
+  // Walidacja filtrów potwierdzających wejście
+  if (params.signals?.entryFilters) {
+    errors.push(...validateEntryFilters(params.signals.entryFilters));
+  }
+
   // Walidacja minimalnego czasu trwania pierwszego wejścia
   if (params.signals?.minFirstEntryDuration !== undefined) {
     if (
-      params.signals.minFirstEntryDuration < 0 ||
-      params.signals.minFirstEntryDuration > 24 * 60 * 60 * 1000
+      isOutOfRange(params.signals.minFirstEntryDuration, 0, 24 * 60 * 60 * 1000)
     ) {
       errors.push(
         "Minimalny czas trwania pierwszego wejścia musi być w zakresie 0-24 godzin"
@@ -160,13 +574,24 @@ const validateInstanceParams = (params) => {
     }
   }
 
+  // Walidacja cooldownu po stop lossie
+  if (params.signals?.stopLossCooldownHours !== undefined) {
+    const { min, max } = config.limits.stopLossCooldownHours;
+    if (
+      typeof params.signals.stopLossCooldownHours !== "number" ||
+      params.signals.stopLossCooldownHours < min ||
+      params.signals.stopLossCooldownHours > max
+    ) {
+      errors.push(
+        `Cooldown po stop lossie musi być w zakresie ${min}-${max} godzin`
+      );
+    }
+  }
+
   // Walidacja minimalnego odstępu czasowego
   if (params.signals && params.signals.minEntryTimeGap !== undefined) {
     const { min, max } = config.limits.minEntryTimeGap;
-    if (
-      params.signals.minEntryTimeGap < min ||
-      params.signals.minEntryTimeGap > max
-    ) {
+    if (isOutOfRange(params.signals.minEntryTimeGap, min, max)) {
       errors.push(
         `Minimalny odstęp czasowy musi być z zakresu ${min / (60 * 1000)}-${max / (60 * 1000)} minut`
       );
@@ -177,10 +602,7 @@ const validateInstanceParams = (params) => {
   if (params.capitalAllocation) {
     if (params.capitalAllocation.firstEntry !== undefined) {
       const { min, max } = config.limits.capitalAllocation.firstEntry;
-      if (
-        params.capitalAllocation.firstEntry < min ||
-        params.capitalAllocation.firstEntry > max
-      ) {
+      if (isOutOfRange(params.capitalAllocation.firstEntry, min, max)) {
         errors.push(
           `Alokacja dla pierwszego wejścia musi być z zakresu ${min * 100}%-${max * 100}%`
         );
@@ -189,10 +611,7 @@ const validateInstanceParams = (params) => {
 
     if (params.capitalAllocation.secondEntry !== undefined) {
       const { min, max } = config.limits.capitalAllocation.secondEntry;
-      if (
-        params.capitalAllocation.secondEntry < min ||
-        params.capitalAllocation.secondEntry > max
-      ) {
+      if (isOutOfRange(params.capitalAllocation.secondEntry, min, max)) {
         errors.push(
           `Alokacja dla drugiego wejścia musi być z zakresu ${min * 100}%-${max * 100}%`
         );
@@ -201,10 +620,7 @@ const validateInstanceParams = (params) => {
 
     if (params.capitalAllocation.thirdEntry !== undefined) {
       const { min, max } = config.limits.capitalAllocation.thirdEntry;
-      if (
-        params.capitalAllocation.thirdEntry < min ||
-        params.capitalAllocation.thirdEntry > max
-      ) {
+      if (isOutOfRange(params.capitalAllocation.thirdEntry, min, max)) {
         errors.push(
           `Alokacja dla trzeciego wejścia musi być z zakresu ${min * 100}%-${max * 100}%`
         );
@@ -212,12 +628,338 @@ const validateInstanceParams = (params) => {
     }
   }
 
+  // Walidacja drabinki wejść
+  if (params.capitalAllocation?.entryLevels !== undefined) {
+    errors.push(...validateEntryLevels(params.capitalAllocation.entryLevels));
+  }
+
+  // Walidacja wielkości pozycji wg ryzyka
+  if (params.capitalAllocation?.sizing) {
+    errors.push(...validatePositionSizing(params.capitalAllocation.sizing));
+  }
+
   return {
     isValid: errors.length === 0,
     errors,
   };
 };
 
+/**
+ * Waliduje listę poziomów wejść. Pusta lista jest poprawna - oznacza powrót
+ * do drabinki firstEntry/secondEntry/thirdEntry (model zapisuje [] domyślnie,
+ * więc odrzucenie zablokowałoby aktualizację istniejących instancji)
+ * @param {Array} entryLevels - Poziomy wejść
+ * @returns {Array<string>} - Błędy walidacji
+ */
+const validateEntryLevels = (entryLevels) => {
+  const errors = [];
+  const limits = config.limits.entryLevels;
+
+  if (!Array.isArray(entryLevels)) {
+    return ["Poziomy wejść (entryLevels) muszą być listą"];
+  }
+
+  if (entryLevels.length > limits.maxLevels) {
+    errors.push(`Maksymalna liczba poziomów wejść to ${limits.maxLevels}`);
+  }
+
+  entryLevels.forEach((level, index) => {
+    const label = `Poziom wejścia ${index + 1}`;
+
+    if (typeof level?.allocation !== "number") {
+      errors.push(`${label}: wymagana alokacja (allocation)`);
+    } else if (
+      isOutOfRange(
+        level.allocation,
+        limits.allocation.min,
+        limits.allocation.max
+      )
+    ) {
+      errors.push(
+        `${label}: alokacja musi być z zakresu ${limits.allocation.min * 100}%-${limits.allocation.max * 100}%`
+      );
+    }
+
+    if (
+      level?.minPriceDistance !== undefined &&
+      level.minPriceDistance !== null &&
+      isOutOfRange(
+        level.minPriceDistance,
+        limits.minPriceDistance.min,
+        limits.minPriceDistance.max
+      )
+    ) {
+      errors.push(
+        `${label}: minimalny dystans ceny musi być z zakresu ${limits.minPriceDistance.min * 100}%-${limits.minPriceDistance.max * 100}%`
+      );
+    }
+
+    if (
+      level?.minTimeGap !== undefined &&
+      level.minTimeGap !== null &&
+      isOutOfRange(
+        level.minTimeGap,
+        limits.minTimeGap.min,
+        limits.minTimeGap.max
+      )
+    ) {
+      errors.push(
+        `${label}: minimalny odstęp czasowy musi być z zakresu ${limits.minTimeGap.min / (60 * 1000)}-${limits.minTimeGap.max / (60 * 1000)} minut`
+      );
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Waliduje ustawienia wielkości pozycji (capitalAllocation.sizing)
+ * @param {Object} sizing - Ustawienia wielkości pozycji
+ * @returns {Array<string>} - Błędy walidacji
+ */
+const validatePositionSizing = (sizing) => {
+  const errors = [];
+  const limits = config.limits.sizing;
+
+  if (
+    sizing.mode !== undefined &&
+    !POSITION_SIZING_MODES.includes(sizing.mode)
+  ) {
+    errors.push(
+      `Tryb wielkości pozycji musi być jedną z wartości: ${POSITION_SIZING_MODES.join(", ")}`
+    );
+  }
+
+  if (
+    sizing.stopSource !== undefined &&
+    !SIZING_STOP_SOURCES.includes(sizing.stopSource)
+  ) {
+    errors.push(
+      `Źródło dystansu stopu musi być jedną z wartości: ${SIZING_STOP_SOURCES.join(", ")}`
+    );
+  }
+
+  if (
+    sizing.atrInterval !== undefined &&
+    !ENTRY_FILTER_INTERVALS.includes(sizing.atrInterval)
+  ) {
+    errors.push(
+      `Interwał ATR wielkości pozycji musi być jedną z wartości: ${ENTRY_FILTER_INTERVALS.join(", ")}`
+    );
+  }
+
+  if (sizing.riskPercent !== undefined) {
+    const { min, max } = limits.riskPercent;
+    if (
+      typeof sizing.riskPercent !== "number" ||
+      sizing.riskPercent < min ||
+      sizing.riskPercent > max
+    ) {
+      errors.push(
+        `Ryzyko na wejście musi być z zakresu ${(min * 100).toFixed(1)}%-${(max * 100).toFixed(1)}%`
+      );
+    }
+  }
+
+  for (const name of ["atrPeriods", "atrMultiplier"]) {
+    const value = sizing[name];
+    const { min, max } = limits[name];
+    if (
+      value !== undefined &&
+      value !== null &&
+      (typeof value !== "number" || value < min || value > max)
+    ) {
+      errors.push(`Wielkość pozycji: ${name} musi być z zakresu ${min}-${max}`);
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Waliduje filtry potwierdzające wejście
+ * @param {Object} entryFilters - Konfiguracja signals.entryFilters
+ * @returns {Array<string>} - Błędy walidacji
+ */
+const validateEntryFilters = (entryFilters) => {
+  const errors = [];
+  const limits = config.limits.entryFilters;
+  const labels = {
+    rsi: "Filtr RSI",
+    volume: "Filtr wolumenu",
+    higherTimeframe: "Filtr kanału wyższego interwału",
+  };
+
+  if (
+    entryFilters.logic !== undefined &&
+    !ENTRY_FILTER_LOGIC.includes(entryFilters.logic)
+  ) {
+    errors.push(
+      `Logika filtrów wejścia musi być jedną z wartości: ${ENTRY_FILTER_LOGIC.join(", ")}`
+    );
+  }
+
+  for (const [filter, label] of Object.entries(labels)) {
+    const settings = entryFilters[filter];
+    if (!settings) {
+      continue;
+    }
+
+    if (
+      settings.interval !== undefined &&
+      !ENTRY_FILTER_INTERVALS.includes(settings.interval)
+    ) {
+      errors.push(
+        `${label}: interwał musi być jedną z wartości: ${ENTRY_FILTER_INTERVALS.join(", ")}`
+      );
+    }
+
+    for (const [name, { min, max }] of Object.entries(limits[filter])) {
+      const value = settings[name];
+      if (
+        value !== undefined &&
+        value !== null &&
+        (typeof value !== "number" || value < min || value > max)
+      ) {
+        errors.push(`${label}: ${name} musi być z zakresu ${min}-${max}`);
+      }
+    }
+  }
+
+  const rsi = entryFilters.rsi;
+  if (
+    typeof rsi?.oversold === "number" &&
+    typeof rsi?.overbought === "number" &&
+    rsi.oversold >= rsi.overbought
+  ) {
+    errors.push(
+      "Filtr RSI: próg wyprzedania musi być niższy niż próg wykupienia"
+    );
+  }
+
+  return errors;
+};
+
+/**
+ * Zwraca znormalizowaną drabinkę wejść strategii.
+ * Bez entryLevels lub z pustą listą odtwarza dotychczasowe trzy wejścia
+ * (firstEntry/secondEntry/thirdEntry, stop loss po trzecim wejściu).
+ * @param {Object} params - Parametry strategii ({ capitalAllocation, signals })
+ * @returns {Array<Object>} - [{ allocation, minPriceDistance, minTimeGap, activateStopLoss }]
+ */
+const getEntryLevels = (params = {}) => {
+  const capitalAllocation = params.capitalAllocation || {};
+  const defaultTimeGap = params.signals?.minEntryTimeGap || 7200000;
+
+  if (
+    Array.isArray(capitalAllocation.entryLevels) &&
+    capitalAllocation.entryLevels.length > 0
+  ) {
+    return capitalAllocation.entryLevels.map((level, index) => ({
+      allocation: level.allocation,
+      minPriceDistance: level.minPriceDistance || 0,
+      // Pierwsze wejście nie ma poprzednika - odstęp nie dotyczy
+      minTimeGap:
+        index === 0
+          ? 0
+          : level.minTimeGap !== undefined && level.minTimeGap !== null
+            ? level.minTimeGap
+            : defaultTimeGap,
+      activateStopLoss: !!level.activateStopLoss,
+    }));
+  }
+
+  return [
+    capitalAllocation.firstEntry || 0.1,
+    capitalAllocation.secondEntry || 0.25,
+    capitalAllocation.thirdEntry || 0.5,
+  ].map((allocation, index) => ({
+    allocation,
+    minPriceDistance: 0,
+    minTimeGap: index === 0 ? 0 : defaultTimeGap,
+    activateStopLoss: index === 2,
+  }));
+};
+
+/**
+ * Zwraca ustawienia wielkości pozycji uzupełnione wartościami domyślnymi
+ * @param {Object} params - Parametry strategii ({ capitalAllocation })
+ * @returns {Object} - { mode, riskPercent, stopSource, atrInterval, atrPeriods, atrMultiplier }
+ */
+const getPositionSizing = (params = {}) => {
+  const configured = params.capitalAllocation?.sizing || {};
+  const sizing = { ...config.capitalAllocation.sizing };
+
+  for (const name of Object.keys(sizing)) {
+    if (configured[name] !== undefined && configured[name] !== null) {
+      sizing[name] = configured[name];
+    }
+  }
+
+  return sizing;
+};
+
+/**
+ * Zwraca podtyp sygnału dla numeru wejścia (0 = first)
+ * @param {number} index - Indeks poziomu
+ * @returns {string} - first/second/third lub levelN
+ */
+const getEntrySubType = (index) => {
+  return ["first", "second", "third"][index] || `level${index + 1}`;
+};
+
+/**
+ * Sprawdza, czy stop loss jest aktywny dla pozycji z podaną liczbą wejść
+ * @param {Array<Object>} entryLevels - Drabinka wejść (getEntryLevels)
+ * @param {number} entryCount - Liczba wykonanych wejść
+ * @returns {boolean} - Czy któryś z osiągniętych poziomów aktywuje stop loss
+ */
+const isStopLossActive = (entryLevels, entryCount) => {
+  return entryLevels
+    .slice(0, entryCount)
+    .some((level) => level.activateStopLoss);
+};
+
+/**
+ * Sprawdza dystans ceny kolejnego wejścia od poprzedniego wejścia.
+ * Long dokłada poniżej poprzedniej ceny, short - powyżej.
+ * @param {number} price - Cena kolejnego wejścia
+ * @param {number} previousEntryPrice - Cena poprzedniego wejścia
+ * @param {number} minPriceDistance - Minimalny dystans (0.01 = 1%)
+ * @param {string} [direction="long"] - Kierunek pozycji
+ * @returns {Object} - { allowed, limitPrice }
+ */
+const checkEntryPriceDistance = (
+  price,
+  previousEntryPrice,
+  minPriceDistance,
+  direction = "long"
+) => {
+  if (direction === "short") {
+    const limitPrice = previousEntryPrice * (1 + minPriceDistance);
+    return {
+      allowed: !(minPriceDistance > 0 && price < limitPrice),
+      limitPrice,
+    };
+  }
+
+  const limitPrice = previousEntryPrice * (1 - minPriceDistance);
+  return {
+    allowed: !(minPriceDistance > 0 && price > limitPrice),
+    limitPrice,
+  };
+};
+
+/**
+ * Sprawdza, czy trend EMA pozwala na wejście w danym kierunku
+ * @param {string} trend - Trend (determineTrend)
+ * @param {string} [direction="long"] - Kierunek pozycji
+ * @returns {boolean} - Czy trend jest zgodny z kierunkiem
+ */
+const isTrendValidForDirection = (trend, direction = "long") => {
+  return (ENTRY_TRENDS[direction] || ENTRY_TRENDS.long).includes(trend);
+};
+
 const getDefaultInstanceParams = () => {
   return {
     hurst: { ...config.hurst },
@@ -230,6 +972,21 @@ const getDefaultInstanceParams = () => {
 
 module.exports = {
   config,
+  POSITION_DIRECTIONS,
+  HURST_ESTIMATORS,
+  HURST_INTERVALS,
+  EMA_INTERVALS,
+  TRAILING_STOP_PRICE_SOURCES,
+  ENTRY_FILTER_INTERVALS,
+  ENTRY_FILTER_LOGIC,
+  POSITION_SIZING_MODES,
+  SIZING_STOP_SOURCES,
   validateInstanceParams,
   getDefaultInstanceParams,
+  getEntryLevels,
+  getPositionSizing,
+  getEntrySubType,
+  isStopLossActive,
+  checkEntryPriceDistance,
+  isTrendValidForDirection,
 };
@@ -0,0 +1,217 @@
+/**
+ * Backtest Controller - kontroler testów strategii na danych historycznych
+ *
+ * Odpowiedzialny za:
+ * - Uruchamianie backtestów strategii (hurst, macd, rsi)
+ * - Udostępnianie wyników (transakcje, krzywa kapitału, statystyki)
+ */
+
+const backtestService = require("../services/backtest.service");
+const instanceService = require("../services/instance.service");
+const strategyService = require("../services/strategy.service");
+const logger = require("../utils/logger");
+const { isValidSymbol } = require("../utils/validators");
+const { validateInstanceParams } = require("../config/instance.config");
+
+/**
+ * Uruchamia backtest
+ * @param {Object} req - Obiekt żądania
+ * @param {Object} res - Obiekt odpowiedzi
+ */
+const runBacktest = async (req, res) => {
+  try {
+    const {
+      instanceId,
+      symbol,
+      strategy,
+      parameters,
+      initialBalance,
+      leverage,
+      instrumentInfo,
+      feeRate,
+      slippage,
+      fundingRate,
+      candles,
+      startTime,
+      endTime,
+    } = req.body;
+
+    if (!instanceId && !symbol) {
+      return res.status(400).json({
+        error: "Validation Error",
+        message: "Either instanceId or symbol is required",
+      });
+    }
+
+    if (symbol && !isValidSymbol(symbol)) {
+      return res.status(400).json({
+        error: "Validation Error",
+        message: "Invalid symbol format",
+      });
+    }
+
+    if (strategy && !strategyService.hasStrategy(strategy)) {
+      return res.status(400).json({
+        error: "Validation Error",
+        message: `Unknown strategy: ${strategy}`,
+      });
+    }
+
+    if (parameters) {
+      const validation = validateInstanceParams(parameters);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          error: "Validation Error",
+          message: validation.errors.join(", "),
+        });
+      }
+    }
+
+    if (
+      (initialBalance !== undefined &&
+        (isNaN(initialBalance) || initialBalance <= 0)) ||
+      (leverage !== undefined && (isNaN(leverage) || leverage <= 0))
+    ) {
+      return res.status(400).json({
+        error: "Validation Error",
+        message: "initialBalance and leverage must be positive numbers",
+      });
+    }
+
+    const invalidRate = [feeRate, slippage].some(
+      (rate) => rate !== undefined && (isNaN(rate) || rate < 0 || rate > 0.01)
+    );
+    if (
+      invalidRate ||
+      (fundingRate !== undefined &&
+        (isNaN(fundingRate) || Math.abs(fundingRate) > 0.01))
+    ) {
+      return res.status(400).json({
+        error: "Validation Error",
+        message:
+          "feeRate and slippage must be between 0 and 0.01, fundingRate between -0.01 and 0.01",
+      });
+    }
+
+    if (instanceId) {
+      const instance = await instanceService.getInstance(instanceId);
+      if (!instance) {
+        return res.status(404).json({
+          error: "Not Found",
+          message: "Instance not found",
+        });
+      }
+    }
+
+    const result = await backtestService.runBacktest({
+      instanceId,
+      symbol,
+      strategy,
+      parameters,
+      initialBalance: initialBalance ? parseFloat(initialBalance) : undefined,
+      leverage: leverage ? parseFloat(leverage) : undefined,
+      instrumentInfo,
+      feeRate: feeRate !== undefined ? parseFloat(feeRate) : undefined,
+      slippage: slippage !== undefined ? parseFloat(slippage) : undefined,
+      fundingRate:
+        fundingRate !== undefined ? parseFloat(fundingRate) : undefined,
+      candles,
+      startTime: startTime ? parseInt(startTime) : undefined,
+      endTime: endTime ? parseInt(endTime) : undefined,
+    });
+
+    res.json(result);
+  } catch (error) {
+    logger.error(`Błąd podczas uruchamiania backtestu: ${error.message}`);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "An error occurred while running backtest",
+      details: error.message,
+    });
+  }
+};
+
+/**
+ * Pobiera listę ostatnich backtestów
+ * @param {Object} req - Obiekt żądania
+ * @param {Object} res - Obiekt odpowiedzi
+ */
+const getBacktests = async (req, res) => {
+  try {
+    const backtests = backtestService.getResults();
+
+    res.json({
+      count: backtests.length,
+      backtests,
+    });
+  } catch (error) {
+    logger.error(`Błąd podczas pobierania backtestów: ${error.message}`);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "An error occurred while fetching backtests",
+    });
+  }
+};
+
+/**
+ * Pobiera pełny wynik backtestu
+ * @param {Object} req - Obiekt żądania
+ * @param {Object} res - Obiekt odpowiedzi
+ */
+const getBacktest = async (req, res) => {
+  try {
+    const { backtestId } = req.params;
+    const result = backtestService.getResult(backtestId);
+
+    if (!result) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: "Backtest not found",
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error(`Błąd podczas pobierania backtestu: ${error.message}`);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "An error occurred while fetching backtest",
+    });
+  }
+};
+
+/**
+ * Usuwa wynik backtestu
+ * @param {Object} req - Obiekt żądania
+ * @param {Object} res - Obiekt odpowiedzi
+ */
+const deleteBacktest = async (req, res) => {
+  try {
+    const { backtestId } = req.params;
+
+    if (!backtestService.deleteResult(backtestId)) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: "Backtest not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Backtest deleted successfully",
+    });
+  } catch (error) {
+    logger.error(`Błąd podczas usuwania backtestu: ${error.message}`);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "An error occurred while deleting backtest",
+    });
+  }
+};
+
+module.exports = {
+  runBacktest,
+  getBacktests,
+  getBacktest,
+  deleteBacktest,
+};
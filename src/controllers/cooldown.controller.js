@@ -83,7 +83,7 @@ const clearCooldown = async (req, res) => {
       });
     }
 
-    const hadCooldown = cooldownService.clearCooldown(instanceId);
+    const hadCooldown = await cooldownService.clearCooldown(instanceId);
 
     res.json({
       success: true,
@@ -166,7 +166,7 @@ const setCooldown = async (req, res) => {
  */
 const clearAllCooldowns = async (req, res) => {
   try {
-    const clearedCount = cooldownService.clearAllCooldowns();
+    const clearedCount = await cooldownService.clearAllCooldowns();
 
     res.json({
       success: true,
@@ -11,7 +11,7 @@
  */
 
 const instanceService = require("../services/instance.service");
-const binanceService = require("../services/binance.service");
+const candleStoreService = require("../services/candle-store.service");
 const { HurstChannel } = require("../utils/technical");
 const logger = require("../utils/logger");
 const TradingLogger = require("../utils/trading-logger");
@@ -58,12 +58,14 @@ const getHurstHistory = async (req, res) => {
     const startDate = new Date();
     startDate.setDate(endDate.getDate() - daysNum);
 
-    // Pobierz dane historyczne 15m
-    const historicalCandles = await binanceService.getHistoricalCandles(
+    // Pobierz świece interwału kanału - z bazy, brakujące zakresy z Binance
+    // (z wyprzedzeniem 'periods' świec, aby historia obejmowała cały zakres dni)
+    const interval = hurstParams.interval || "15m";
+    const historicalCandles = await candleStoreService.getCandles(
       instance.symbol,
-      "15m",
-      daysNum * 24 * 4 + 50, // 4 świece na godzinę * 24h * dni + bufor
-      startDate.getTime(),
+      interval,
+      startDate.getTime() -
+        (hurstParams.periods - 1) * candleStoreService.getIntervalMs(interval),
       endDate.getTime()
     );
 
@@ -79,32 +81,26 @@ const getHurstHistory = async (req, res) => {
       periods: hurstParams.periods,
       upperDeviationFactor: hurstParams.upperDeviationFactor,
       lowerDeviationFactor: hurstParams.lowerDeviationFactor,
+      estimator: hurstParams.estimator,
     });
 
-    // Oblicz historię kanału Hursta
+    // Oblicz historię kanału Hursta - strumieniowo, każda świeca aktualizuje
+    // okno przyrostowo (pierwszy punkt po zebraniu 'periods' świec)
     const history = [];
 
-    // Dla każdej świecy od 'periods' do końca, oblicz kanał na podstawie poprzednich 'periods' świec
-    for (let i = hurstParams.periods - 1; i < historicalCandles.length; i++) {
-      // Weź okresy świec dla tej pozycji
-      const candlesForCalculation = historicalCandles.slice(
-        i - hurstParams.periods + 1,
-        i + 1
-      );
-
-      // Oblicz kanał Hursta dla tej grupy świec
-      const hurstResult = hurstCalculator.calculate(candlesForCalculation);
+    for (const candle of historicalCandles) {
+      const hurstResult = hurstCalculator.update(candle);
 
       if (hurstResult) {
         // Dodaj punkt do historii
         history.push({
-          time: Math.floor(historicalCandles[i].openTime / 1000), // TradingView format (sekundy)
-          originalTime: historicalCandles[i].openTime, // Oryginalny timestamp (milisekundy)
+          time: Math.floor(candle.openTime / 1000), // TradingView format (sekundy)
+          originalTime: candle.openTime, // Oryginalny timestamp (milisekundy)
           upperBand: hurstResult.upperBand,
           lowerBand: hurstResult.lowerBand,
           middleBand: hurstResult.middleBand,
           hurstExponent: hurstResult.hurstExponent,
-          price: historicalCandles[i].close,
+          price: candle.close,
           // Dodatkowe dane diagnostyczne
           adaptiveUpperFactor: hurstResult.adaptiveUpperFactor,
           adaptiveLowerFactor: hurstResult.adaptiveLowerFactor,
@@ -129,7 +125,8 @@ const getHurstHistory = async (req, res) => {
         periods: hurstParams.periods,
         upperDeviationFactor: hurstParams.upperDeviationFactor,
         lowerDeviationFactor: hurstParams.lowerDeviationFactor,
-        interval: hurstParams.interval || "15m",
+        estimator: hurstParams.estimator || "rs",
+        interval,
       },
       history,
       totalPoints: history.length,
@@ -9,6 +9,8 @@
 
 const instanceService = require("../services/instance.service");
 const signalService = require("../services/signal.service");
+const exchangeService = require("../services/exchange.service");
+const strategyService = require("../services/strategy.service");
 const logger = require("../utils/logger");
 const { v4: uuidv4 } = require("uuid");
 const { validateInstanceParams } = require("../config/instance.config");
@@ -106,6 +108,7 @@ const createInstance = async (req, res) => {
       initialFunds,
       testMode,
       phemexConfig,
+      exchange,
     } = req.body;
 
     // Przygotuj konfigurację instancji - klucze API są już w plain text
@@ -118,6 +121,7 @@ const createInstance = async (req, res) => {
       testMode,
       instanceId: uuidv4(),
       phemexConfig: phemexConfig || {},
+      exchange: exchange || {},
     };
 
     // Utwórz instancję
@@ -393,6 +397,15 @@ const updateInstanceConfig = async (req, res) => {
     // Waliduj parametry konfiguracji
     const validation = validateInstanceParams(configData);
 
+    // Parametry Hursta/EMA sprawdza validateInstanceParams, pozostałe strategie - schemat z rejestru
+    const strategyType = instance.strategy?.type || "hurst";
+    if (strategyType !== "hurst") {
+      validation.errors.push(
+        ...strategyService.validateParameters(strategyType, configData)
+      );
+      validation.isValid = validation.errors.length === 0;
+    }
+
     if (!validation.isValid) {
       return res.status(400).json({
         error: "Validation Error",
@@ -424,6 +437,16 @@ const updateInstanceConfig = async (req, res) => {
       };
     }
 
+    // Dodaj parametry strategii MACD/RSI
+    for (const group of ["macd", "rsi"]) {
+      if (configData[group]) {
+        updateData.strategy.parameters[group] = {
+          ...instance.strategy.parameters?.[group],
+          ...configData[group],
+        };
+      }
+    }
+
     // Dodaj parametry sygnałów
     if (configData.signals) {
       updateData.strategy.parameters.signals = {
@@ -646,19 +669,50 @@ const updatePhemexConfig = async (req, res) => {
 };
 
 /**
- * DEPRECATED - Aktualizuje konfigurację ByBit dla instancji
+ * Aktualizuje konfigurację adaptera giełdy (phemex, paper, mock)
  */
-const updateBybitConfig = async (req, res) => {
-  logger.warn(
-    "updateBybitConfig is deprecated, use updatePhemexConfig instead"
-  );
+const updateExchangeConfig = async (req, res) => {
+  try {
+    const { instanceId } = req.params;
+    const { adapter, paper, mock } = req.body;
+
+    const instance = await Instance.findOne({ instanceId });
+
+    if (!instance) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: "Instance not found",
+      });
+    }
 
-  // Przekieruj na nową funkcję
-  return updatePhemexConfig(req, res);
+    if (!exchangeService.getAvailableAdapters().includes(adapter)) {
+      return res.status(400).json({
+        error: "Bad Request",
+        message: `Unknown exchange adapter. Available: ${exchangeService.getAvailableAdapters().join(", ")}`,
+      });
+    }
+
+    const updatedInstance = await instanceService.updateExchangeConfig(
+      instanceId,
+      { adapter, paper, mock }
+    );
+
+    res.json({
+      message: "Exchange configuration updated successfully",
+      instanceId,
+      exchange: updatedInstance.exchange,
+    });
+  } catch (error) {
+    logger.error(`Error updating exchange config: ${error.message}`);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "An error occurred while updating exchange configuration",
+    });
+  }
 };
 
 /**
- * Synchronizuje saldo instancji z Phemex
+ * Synchronizuje saldo instancji z giełdą
  */
 const syncInstanceBalance = async (req, res) => {
   try {
@@ -688,7 +742,7 @@ const syncInstanceBalance = async (req, res) => {
       res.status(400).json({
         error: "Sync Failed",
         message:
-          "Nie udało się zsynchronizować salda. Sprawdź konfigurację Phemex.",
+          "Nie udało się zsynchronizować salda. Sprawdź konfigurację giełdy.",
       });
     }
   } catch (error) {
@@ -717,6 +771,6 @@ module.exports = {
   compareInstances,
   stopAllInstances,
   updatePhemexConfig,
-  updateBybitConfig,
+  updateExchangeConfig,
   syncInstanceBalance,
 };
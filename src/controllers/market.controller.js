@@ -9,9 +9,19 @@
 
 const binanceService = require("../services/binance.service");
 const analysisService = require("../services/analysis.service");
+const candleStoreService = require("../services/candle-store.service");
 const logger = require("../utils/logger");
 const MarketData = require("../models/market-data.model");
 const { isValidSymbol, isValidInterval } = require("../utils/validators");
+const {
+  HurstChannel,
+  ExponentialMovingAverage,
+  INDICATOR_NAMES,
+  createIndicator,
+} = require("../utils/technical");
+
+// Liczba świec pobieranych, gdy interwału nie ma w buforze
+const INDICATOR_HISTORY_LIMIT = 200;
 
 /**
  * Pobieranie informacji o WebSocket
@@ -66,6 +76,8 @@ const getWebSocketInfo = (req, res, next) => {
           type: "getStatus",
         },
       },
+      // Wspólne połączenie z Binance (combined stream) i subskrybowane strumienie
+      binanceStream: binanceService.getStreamStatus(),
     });
   } catch (error) {
     next(error);
@@ -184,14 +196,27 @@ const getHistoricalCandlesByInterval = async (req, res) => {
       });
     }
 
-    // Pobierz dane historyczne
-    const candles = await binanceService.getHistoricalCandles(
-      symbol,
-      interval,
-      parseInt(limit),
-      startTime ? parseInt(startTime) : undefined,
-      endTime ? parseInt(endTime) : undefined
-    );
+    // Zakres od startTime - zamknięte świece z bazy, brakujące z Binance
+    const candles =
+      startTime && candleStoreService.isSupportedInterval(interval)
+        ? (
+            await candleStoreService.getCandles(
+              symbol,
+              interval,
+              parseInt(startTime),
+              endTime
+                ? parseInt(endTime)
+                : parseInt(startTime) +
+                    parseInt(limit) * candleStoreService.getIntervalMs(interval)
+            )
+          ).slice(0, parseInt(limit))
+        : await binanceService.getHistoricalCandles(
+            symbol,
+            interval,
+            parseInt(limit),
+            startTime ? parseInt(startTime) : undefined,
+            endTime ? parseInt(endTime) : undefined
+          );
 
     // ✅ ZWIĘZŁY LOG zamiast szczegółowego
     logger.debug(
@@ -279,24 +304,24 @@ const streamMarketData = (req, res) => {
 
     // Subskrybuj WebSocket i przesyłaj dane
     const handleKlineData = (data) => {
-      if (data.symbol === symbol) {
+      if (data.candle.symbol === symbol) {
         sendData({
           type: "kline",
-          symbol: data.symbol,
-          interval: data.interval,
+          symbol: data.candle.symbol,
+          interval: data.candle.interval,
           candle: data.candle,
           timestamp: Date.now(),
         });
       }
     };
 
-    // Nasłuchuj zdarzenia kline
-    binanceService.on("kline", handleKlineData);
+    // Nasłuchuj świec wspólnego strumienia (jedno zdarzenie na aktualizację)
+    binanceService.on("candle", handleKlineData);
 
     // Obsługa zamknięcia połączenia
     req.on("close", () => {
       clearInterval(pingInterval);
-      binanceService.removeListener("kline", handleKlineData);
+      binanceService.removeListener("candle", handleKlineData);
       logger.debug(`Zamknięto połączenie SSE dla ${symbol}`);
     });
 
@@ -319,6 +344,7 @@ const streamMarketData = (req, res) => {
 
 /**
  * Pobiera aktualne wskaźniki techniczne dla pary
+ * (?instanceId= - stan analizy instancji, ?interval=&indicators= - wskaźniki biblioteki)
  * @param {Object} req - Obiekt żądania
  * @param {Object} res - Obiekt odpowiedzi
  */
@@ -350,32 +376,63 @@ const getIndicators = async (req, res) => {
       // Zwróć wskaźniki dla konkretnej instancji
       res.json(instanceState);
     } else {
-      // Pobierz dane świecowe
-      const candles15m = binanceService.getCachedCandles(symbol, "15m");
-      const candles1h = binanceService.getCachedCandles(symbol, "1h");
+      const interval = req.query.interval || "15m";
+      if (!isValidInterval(interval)) {
+        return res.status(400).json({
+          error: "Validation Error",
+          message: "Invalid interval format",
+        });
+      }
+
+      // Lista wskaźników (?indicators=rsi,atr,...), domyślnie wszystkie
+      const names = req.query.indicators
+        ? req.query.indicators.split(",").map((name) => name.trim())
+        : INDICATOR_NAMES;
+      const unknown = names.filter((name) => !INDICATOR_NAMES.includes(name));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          error: "Validation Error",
+          message: `Unknown indicators: ${unknown.join(", ")}. Available: ${INDICATOR_NAMES.join(", ")}`,
+        });
+      }
+
+      // Pobierz dane świecowe (bufor lub historia z Binance)
+      const candles =
+        binanceService.getCachedCandles(symbol, interval) ||
+        (await binanceService.getHistoricalCandles(
+          symbol,
+          interval,
+          INDICATOR_HISTORY_LIMIT
+        ));
 
-      // Jeśli nie ma danych, pobierz je
-      if (!candles15m || !candles1h) {
+      if (!candles || candles.length === 0) {
         return res.status(404).json({
           error: "Not Found",
           message: "No market data available for this symbol",
         });
       }
 
-      // Utwórz tymczasowe instancje wskaźników
-      const hurstChannel = new (require("../utils/technical").HurstChannel)();
-      const ema =
-        new (require("../utils/technical").ExponentialMovingAverage)();
+      // Oblicz wskaźniki z domyślnymi parametrami
+      const indicators = {};
+      for (const name of names) {
+        indicators[name] = createIndicator(name).calculate(candles);
+      }
 
-      // Oblicz wskaźniki
-      const hurstResult = hurstChannel.calculate(candles15m);
-      const emaValue = ema.calculate(candles1h);
+      // Zwróć wyniki (hurstChannel i ema jak dotychczas - 15m i 1h z bufora)
+      const candles15m = binanceService.getCachedCandles(symbol, "15m");
+      const candles1h = binanceService.getCachedCandles(symbol, "1h");
 
-      // Zwróć wyniki
       res.json({
         symbol,
-        hurstChannel: hurstResult,
-        ema: emaValue,
+        interval,
+        indicators,
+        hurstChannel: candles15m
+          ? new HurstChannel().calculate(candles15m)
+          : null,
+        ema: candles1h
+          ? new ExponentialMovingAverage().calculate(candles1h)
+          : null,
+        candles: candles.length,
         lastUpdate: new Date(),
       });
     }
@@ -421,8 +478,8 @@ const getMarketAnalysis = async (req, res) => {
     const priceData = await binanceService.getCurrentPrice(symbol);
 
     // Utwórz tymczasowe instancje wskaźników
-    const hurstChannel = new (require("../utils/technical").HurstChannel)();
-    const ema = new (require("../utils/technical").ExponentialMovingAverage)();
+    const hurstChannel = new HurstChannel();
+    const ema = new ExponentialMovingAverage();
 
     // Oblicz wskaźniki
     const hurstResult = hurstChannel.calculate(candles15m);
@@ -655,6 +712,114 @@ const getMarketStats = async (req, res) => {
   }
 };
 
+/**
+ * Eksportuje zapisane świece (JSON w formacie pliku backtestu lub CSV)
+ * @param {Object} req - Obiekt żądania
+ * @param {Object} res - Obiekt odpowiedzi
+ */
+const exportCandles = async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const {
+      intervals = "1m,15m,1h",
+      format = "json",
+      startTime,
+      endTime,
+    } = req.query;
+    const intervalList = intervals.split(",").map((name) => name.trim());
+
+    if (!isValidSymbol(symbol)) {
+      return res.status(400).json({
+        error: "Validation Error",
+        message: "Invalid symbol format",
+      });
+    }
+
+    const unsupported = intervalList.filter(
+      (interval) => !candleStoreService.isSupportedInterval(interval)
+    );
+    if (unsupported.length > 0) {
+      return res.status(400).json({
+        error: "Validation Error",
+        message: `Unsupported intervals: ${unsupported.join(", ")}`,
+      });
+    }
+
+    if (!["json", "csv"].includes(format)) {
+      return res.status(400).json({
+        error: "Validation Error",
+        message: "Format must be json or csv",
+      });
+    }
+
+    const content = await candleStoreService.exportCandles(
+      symbol,
+      intervalList,
+      {
+        format,
+        startTime: startTime ? parseInt(startTime) : undefined,
+        endTime: endTime ? parseInt(endTime) : undefined,
+      }
+    );
+
+    res.attachment(`${symbol.toUpperCase()}-candles.${format}`);
+    res.type(format).send(content);
+  } catch (error) {
+    logger.error(`Błąd podczas eksportu świec: ${error.message}`);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "An error occurred while exporting candles",
+    });
+  }
+};
+
+/**
+ * Importuje świece do bazy (CSV lub JSON)
+ * @param {Object} req - Obiekt żądania
+ * @param {Object} res - Obiekt odpowiedzi
+ */
+const importCandles = async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const { format = "json", interval, data } = req.body;
+
+    if (!isValidSymbol(symbol)) {
+      return res.status(400).json({
+        error: "Validation Error",
+        message: "Invalid symbol format",
+      });
+    }
+
+    if (!data || !["json", "csv"].includes(format)) {
+      return res.status(400).json({
+        error: "Validation Error",
+        message: "Request must contain data and format json or csv",
+      });
+    }
+
+    let result;
+    try {
+      result = await candleStoreService.importCandles(symbol, data, {
+        format,
+        interval,
+      });
+    } catch (error) {
+      return res.status(400).json({
+        error: "Validation Error",
+        message: error.message,
+      });
+    }
+
+    res.json({ symbol: symbol.toUpperCase(), ...result });
+  } catch (error) {
+    logger.error(`Błąd podczas importu świec: ${error.message}`);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "An error occurred while importing candles",
+    });
+  }
+};
+
 module.exports = {
   getCurrentPrice,
   getHistoricalCandles,
@@ -666,4 +831,6 @@ module.exports = {
   getVolumeData,
   getMarketStats,
   getWebSocketInfo,
+  exportCandles,
+  importCandles,
 };
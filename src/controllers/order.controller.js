@@ -0,0 +1,62 @@
+const orderService = require("../services/order.service");
+const logger = require("../utils/logger");
+
+/**
+ * Pobiera zlecenia giełdowe z opcjonalnym filtrowaniem
+ * @param {Object} req - Obiekt żądania
+ * @param {Object} res - Obiekt odpowiedzi
+ */
+const getOrders = async (req, res) => {
+  try {
+    const { instanceId, status, purpose, signalId } = req.query;
+    const limit = parseInt(req.query.limit) || 100;
+
+    const orders = await orderService.getOrders(
+      { instanceId, status, purpose, signalId },
+      limit
+    );
+
+    res.json({
+      count: orders.length,
+      orders,
+    });
+  } catch (error) {
+    logger.error(`Błąd podczas pobierania zleceń: ${error.message}`);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "An error occurred while fetching orders",
+    });
+  }
+};
+
+/**
+ * Pobiera zlecenie po ID giełdy lub własnym ID (clientOrderId)
+ * @param {Object} req - Obiekt żądania
+ * @param {Object} res - Obiekt odpowiedzi
+ */
+const getOrderById = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const order = await orderService.getOrder(orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: "Order not found",
+      });
+    }
+
+    res.json(order);
+  } catch (error) {
+    logger.error(`Błąd podczas pobierania zlecenia: ${error.message}`);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "An error occurred while fetching order",
+    });
+  }
+};
+
+module.exports = {
+  getOrders,
+  getOrderById,
+};
@@ -0,0 +1,152 @@
+const reconciliationService = require("../services/reconciliation.service");
+const instanceService = require("../services/instance.service");
+const logger = require("../utils/logger");
+
+/**
+ * Pobiera ostatnie raporty uzgodnienia pozycji
+ * @param {Object} req - Obiekt żądania
+ * @param {Object} res - Obiekt odpowiedzi
+ */
+const getReports = async (req, res) => {
+  try {
+    const onlyDiscrepancies = req.query.discrepancies === "true";
+    const reports = reconciliationService.getReports(onlyDiscrepancies);
+
+    res.json({
+      count: reports.length,
+      reports,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(
+      `Błąd podczas pobierania raportów uzgodnienia: ${error.message}`
+    );
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "An error occurred while fetching reconciliation reports",
+    });
+  }
+};
+
+/**
+ * Uruchamia uzgodnienie wszystkich aktywnych instancji (tylko admin)
+ * @param {Object} req - Obiekt żądania
+ * @param {Object} res - Obiekt odpowiedzi
+ */
+const runReconciliation = async (req, res) => {
+  try {
+    const reports = await reconciliationService.reconcileAll();
+
+    res.json({
+      count: reports.length,
+      reports,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Błąd podczas uzgadniania pozycji: ${error.message}`);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "An error occurred while reconciling positions",
+    });
+  }
+};
+
+/**
+ * Uzgadnia pozycję instancji i zwraca aktualny raport
+ * @param {Object} req - Obiekt żądania
+ * @param {Object} res - Obiekt odpowiedzi
+ */
+const reconcileInstance = async (req, res) => {
+  try {
+    const { instanceId } = req.params;
+
+    const instance = await instanceService.getInstance(instanceId);
+    if (!instance) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: "Instance not found",
+      });
+    }
+
+    const report = await reconciliationService.reconcileInstance(instanceId);
+    res.json(report);
+  } catch (error) {
+    logger.error(`Błąd podczas uzgadniania instancji: ${error.message}`);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "An error occurred while reconciling instance",
+    });
+  }
+};
+
+/**
+ * Przyjmuje stan pozycji z giełdy (tylko admin)
+ * @param {Object} req - Obiekt żądania
+ * @param {Object} res - Obiekt odpowiedzi
+ */
+const adoptExchangeState = async (req, res) => {
+  try {
+    const { instanceId } = req.params;
+
+    const instance = await instanceService.getInstance(instanceId);
+    if (!instance) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: "Instance not found",
+      });
+    }
+
+    const report = await reconciliationService.adoptExchangeState(instanceId);
+
+    res.json({
+      message: "Exchange state adopted",
+      report,
+    });
+  } catch (error) {
+    logger.error(`Błąd podczas przyjmowania stanu giełdy: ${error.message}`);
+    res.status(400).json({
+      error: "Bad Request",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Wymusza zamknięcie pozycji instancji (tylko admin)
+ * @param {Object} req - Obiekt żądania
+ * @param {Object} res - Obiekt odpowiedzi
+ */
+const forceClosePosition = async (req, res) => {
+  try {
+    const { instanceId } = req.params;
+
+    const instance = await instanceService.getInstance(instanceId);
+    if (!instance) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: "Instance not found",
+      });
+    }
+
+    const report = await reconciliationService.forceClose(instanceId);
+
+    res.json({
+      message: "Position force-closed",
+      report,
+    });
+  } catch (error) {
+    logger.error(`Błąd podczas wymuszonego zamknięcia: ${error.message}`);
+    res.status(400).json({
+      error: "Bad Request",
+      message: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getReports,
+  runReconciliation,
+  reconcileInstance,
+  adoptExchangeState,
+  forceClosePosition,
+};
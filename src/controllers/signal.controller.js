@@ -8,10 +8,14 @@
  */
 
 const signalService = require("../services/signal.service");
+const rejectedSignalService = require("../services/rejected-signal.service");
 const instanceService = require("../services/instance.service");
 const Signal = require("../models/signal.model");
 const logger = require("../utils/logger");
 const { validateSignalFilters } = require("../utils/validators");
+const {
+  explainSignal: explainDecision,
+} = require("../utils/decision-explainer");
 const fs = require("fs");
 const path = require("path");
 
@@ -171,6 +175,34 @@ const getSignalById = async (req, res) => {
   }
 };
 
+/**
+ * Wyjaśnia decyzję sygnału na podstawie zapisanej migawki
+ * @param {Object} req - Obiekt żądania
+ * @param {Object} res - Obiekt odpowiedzi
+ */
+const explainSignal = async (req, res) => {
+  try {
+    const { signalId } = req.params;
+
+    const signal = await Signal.findById(signalId).lean();
+
+    if (!signal) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: "Signal not found",
+      });
+    }
+
+    res.json(explainDecision(signal));
+  } catch (error) {
+    logger.error(`Błąd podczas wyjaśniania sygnału: ${error.message}`);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "An error occurred while explaining signal",
+    });
+  }
+};
+
 /**
  * Pobiera statystyki sygnałów
  * @param {Object} req - Obiekt żądania
@@ -230,6 +262,80 @@ const getSignalStatsByInstance = async (req, res) => {
   }
 };
 
+/**
+ * Pobiera dziennik odrzuconych sygnałów z opcjonalnym filtrowaniem
+ * @param {Object} req - Obiekt żądania
+ * @param {Object} res - Obiekt odpowiedzi
+ */
+const getRejectedSignals = async (req, res) => {
+  try {
+    const {
+      instanceId,
+      action,
+      reasonCode,
+      startDate,
+      endDate,
+      limit = 100,
+      skip = 0,
+    } = req.query;
+
+    // Przygotuj filtry
+    const filters = {};
+
+    if (instanceId) {
+      filters.instanceId = instanceId;
+    }
+
+    if (action && action !== "all") {
+      filters.action = action;
+    }
+
+    if (reasonCode) {
+      filters.reasonCode = reasonCode;
+    }
+
+    // Filtrowanie po datach
+    if (startDate || endDate) {
+      filters.timestamp = {};
+
+      if (startDate) {
+        filters.timestamp.$gte = new Date(startDate).getTime();
+      }
+
+      if (endDate) {
+        filters.timestamp.$lte = new Date(endDate).getTime();
+      }
+    }
+
+    const { total, rejectedSignals } =
+      await rejectedSignalService.getRejectedSignals(
+        filters,
+        parseInt(limit),
+        parseInt(skip)
+      );
+    const stats = await rejectedSignalService.getRejectionStats(
+      instanceId || null
+    );
+
+    res.json({
+      total,
+      count: rejectedSignals.length,
+      page: Math.floor(skip / limit) + 1,
+      totalPages: Math.ceil(total / limit),
+      stats,
+      rejectedSignals,
+    });
+  } catch (error) {
+    logger.error(
+      `Błąd podczas pobierania odrzuconych sygnałów: ${error.message}`
+    );
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "An error occurred while fetching rejected signals",
+    });
+  }
+};
+
 /**
  * Pobiera aktywne pozycje
  * @param {Object} req - Obiekt żądania
@@ -710,8 +816,10 @@ module.exports = {
   getAllSignals,
   getSignalsByInstance,
   getSignalById,
+  explainSignal,
   getSignalStats,
   getSignalStatsByInstance,
+  getRejectedSignals,
   getActivePositions,
   getPositionHistory,
   getEntrySignals,
@@ -0,0 +1,59 @@
+const strategyService = require("../services/strategy.service");
+const logger = require("../utils/logger");
+
+/**
+ * Pobiera zarejestrowane strategie wraz ze schematami parametrów
+ * @param {Object} req - Obiekt żądania
+ * @param {Object} res - Obiekt odpowiedzi
+ */
+const getStrategies = async (req, res) => {
+  try {
+    const strategies = strategyService.getStrategies();
+
+    res.json({
+      count: strategies.length,
+      strategies,
+    });
+  } catch (error) {
+    logger.error(`Błąd podczas pobierania strategii: ${error.message}`);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "An error occurred while fetching strategies",
+    });
+  }
+};
+
+/**
+ * Pobiera opis strategii i parametry domyślne
+ * @param {Object} req - Obiekt żądania
+ * @param {Object} res - Obiekt odpowiedzi
+ */
+const getStrategyByType = async (req, res) => {
+  try {
+    const { type } = req.params;
+    const strategy = strategyService.describeStrategy(type);
+
+    if (!strategy) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: "Strategy not found",
+      });
+    }
+
+    res.json({
+      ...strategy,
+      defaults: strategyService.resolveParameters(type),
+    });
+  } catch (error) {
+    logger.error(`Błąd podczas pobierania strategii: ${error.message}`);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "An error occurred while fetching strategy",
+    });
+  }
+};
+
+module.exports = {
+  getStrategies,
+  getStrategyByType,
+};
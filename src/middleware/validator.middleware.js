@@ -12,6 +12,7 @@ const {
   validateRequestParams,
   isValidSymbol,
 } = require("../utils/validators");
+const { validateInstanceParams } = require("../config/instance.config");
 const logger = require("../utils/logger");
 
 /**
@@ -113,12 +114,16 @@ const validateInstanceUpdate = (req, res, next) => {
  */
 const validateInstanceConfigUpdate = (req, res, next) => {
   try {
-    // Waliduj konfigurację strategii
-    const configValidation = validateInstanceConfig({
-      strategy: {
-        parameters: req.body,
-      },
-    });
+    if (!req.body || typeof req.body !== "object") {
+      return res.status(400).json({
+        error: "Validation Error",
+        message: "Konfiguracja musi być obiektem",
+      });
+    }
+
+    // Waliduj parametry względem limitów (instance.config), bez symbolu -
+    // aktualizacja konfiguracji nie zmienia symbolu instancji
+    const configValidation = validateInstanceParams(req.body);
 
     if (!configValidation.isValid) {
       return res.status(400).json({
@@ -8,10 +8,16 @@ const Instance = require("./instance.model");
 const Signal = require("./signal.model");
 const MarketData = require("./market-data.model");
 const User = require("./user.model");
+const TradingState = require("./trading-state.model");
+const Order = require("./order.model");
+const RejectedSignal = require("./rejected-signal.model");
 
 module.exports = {
   Instance,
   Signal,
   MarketData,
   User,
+  TradingState,
+  Order,
+  RejectedSignal,
 };
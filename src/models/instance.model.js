@@ -50,6 +50,12 @@ const InstanceSchema = new Schema({
           ],
           default: "15m",
         },
+        // Kierunek pozycji: long (wejście na dolnej bandzie) lub short (na górnej)
+        direction: {
+          type: String,
+          enum: ["long", "short"],
+          default: "long",
+        },
         periods: {
           type: Number,
           default: 25,
@@ -64,6 +70,19 @@ const InstanceSchema = new Schema({
           type: Number,
           default: 2.0,
         },
+        // Próg filtra wykładnika Hursta (signals.entryFilters.hurstExponent)
+        minExponent: {
+          type: Number,
+          default: 0.55,
+          min: 0,
+          max: 1,
+        },
+        // Estymator wykładnika Hursta: R/S lub DFA
+        estimator: {
+          type: String,
+          enum: ["rs", "dfa"],
+          default: "rs",
+        },
       },
       ema: {
         interval: {
@@ -78,6 +97,62 @@ const InstanceSchema = new Schema({
           max: 200,
         },
       },
+      // Parametry strategii "macd" (strategy.service)
+      macd: {
+        interval: {
+          type: String,
+          enum: ["5m", "15m", "30m", "1h", "2h", "4h", "6h", "12h", "1d"],
+          default: "1h",
+        },
+        fastPeriods: {
+          type: Number,
+          default: 12,
+          min: 2,
+          max: 100,
+        },
+        slowPeriods: {
+          type: Number,
+          default: 26,
+          min: 3,
+          max: 200,
+        },
+        signalPeriods: {
+          type: Number,
+          default: 9,
+          min: 2,
+          max: 50,
+        },
+        exitOnlyInProfit: {
+          type: Boolean,
+          default: false,
+        },
+      },
+      // Parametry strategii "rsi" (strategy.service)
+      rsi: {
+        interval: {
+          type: String,
+          enum: ["5m", "15m", "30m", "1h", "2h", "4h", "6h", "12h", "1d"],
+          default: "15m",
+        },
+        periods: {
+          type: Number,
+          default: 14,
+          min: 2,
+          max: 100,
+        },
+        oversold: {
+          type: Number,
+          default: 30,
+          min: 1,
+          max: 50,
+        },
+        overbought: {
+          type: Number,
+          default: 70,
+          min: 50,
+          max: 99,
+        },
+      },
       signals: {
         checkEMATrend: {
           type: Boolean,
@@ -91,6 +166,12 @@ const InstanceSchema = new Schema({
           type: Number,
           default: 3600000, // 1 godzina w milisekundach
         },
+        stopLossCooldownHours: {
+          type: Number,
+          default: 12,
+          min: 0,
+          max: 48,
+        },
         stopLoss: {
           enabled: {
             type: Boolean,
@@ -103,6 +184,214 @@ const InstanceSchema = new Schema({
             max: 0.05, // 5%
           },
         },
+        // Zlecenia ochronne (stop loss / take profit) składane na giełdzie
+        protectiveOrders: {
+          enabled: {
+            type: Boolean,
+            default: true,
+          },
+          stopLossPercent: {
+            type: Number,
+            default: 0.05, // 5%
+            min: 0.005, // 0.5%
+            max: 0.5, // 50%
+          },
+          takeProfitPercent: {
+            type: Number,
+            default: 0, // 0 = wyłączony
+            min: 0,
+            max: 1, // 100%
+          },
+        },
+        // Trailing stop od ekstremum ceny pozycji
+        trailingStop: {
+          enabled: {
+            type: Boolean,
+            default: false,
+          },
+          activationPercent: {
+            type: Number,
+            default: 0.01, // 1%
+            min: 0,
+            max: 0.5, // 50%
+          },
+          trailPercent: {
+            type: Number,
+            default: 0.005, // 0.5%
+            min: 0.001, // 0.1%
+            max: 0.2, // 20%
+          },
+          priceSource: {
+            type: String,
+            enum: ["close", "high"],
+            default: "close",
+          },
+        },
+        // Dodatkowe reguły wyjścia (0/false = wyłączona)
+        exitRules: {
+          maxHoldingTime: {
+            type: Number,
+            default: 0, // ms
+            min: 0,
+            max: 30 * 24 * 60 * 60 * 1000, // 30 dni
+          },
+          takeProfitPercent: {
+            type: Number,
+            default: 0,
+            min: 0,
+            max: 1, // 100%
+          },
+          breakevenAfter: {
+            type: Number,
+            default: 0, // ms
+            min: 0,
+            max: 30 * 24 * 60 * 60 * 1000, // 30 dni
+          },
+          middleBandCross: {
+            type: Boolean,
+            default: false,
+          },
+        },
+        // Progi (odchylenie od bandy) i czasy cyklu wyjścia kanału Hursta
+        upperBand: {
+          exitTriggerPercent: {
+            type: Number,
+            default: 0.0009, // 0.09%
+            min: 0,
+            max: 0.02, // 2%
+          },
+          exitResetPercent: {
+            type: Number,
+            default: 0.001, // 0.1%
+            min: 0,
+            max: 0.02, // 2%
+          },
+          returnTriggerPercent: {
+            type: Number,
+            default: 0.0005, // 0.05%
+            min: 0,
+            max: 0.02, // 2%
+          },
+          returnResetPercent: {
+            type: Number,
+            default: 0.0009, // 0.09%
+            min: 0,
+            max: 0.02, // 2%
+          },
+          exitConfirmationTime: {
+            type: Number,
+            default: 480000, // 8 minut w milisekundach
+            min: 60000, // 1 minuta
+            max: 14400000, // 4 godziny
+          },
+          exitResetTime: {
+            type: Number,
+            default: 480000, // 8 minut w milisekundach
+            min: 60000, // 1 minuta
+            max: 14400000, // 4 godziny
+          },
+          returnConfirmationTime: {
+            type: Number,
+            default: 480000, // 8 minut w milisekundach
+            min: 60000, // 1 minuta
+            max: 14400000, // 4 godziny
+          },
+          returnResetTime: {
+            type: Number,
+            default: 480000, // 8 minut w milisekundach
+            min: 60000, // 1 minuta
+            max: 14400000, // 4 godziny
+          },
+        },
+        // Filtry potwierdzające wejście (domyślnie wyłączone)
+        entryFilters: {
+          logic: {
+            type: String,
+            enum: ["and", "or"],
+            default: "and",
+          },
+          rsi: {
+            enabled: {
+              type: Boolean,
+              default: false,
+            },
+            interval: {
+              type: String,
+              enum: ["5m", "15m", "30m", "1h", "2h", "4h", "6h", "12h", "1d"],
+              default: "15m",
+            },
+            periods: {
+              type: Number,
+              default: 14,
+              min: 2,
+              max: 100,
+            },
+            oversold: {
+              type: Number,
+              default: 30,
+              min: 1,
+              max: 50,
+            },
+            overbought: {
+              type: Number,
+              default: 70,
+              min: 50,
+              max: 99,
+            },
+          },
+          volume: {
+            enabled: {
+              type: Boolean,
+              default: false,
+            },
+            interval: {
+              type: String,
+              enum: ["5m", "15m", "30m", "1h", "2h", "4h", "6h", "12h", "1d"],
+              default: "15m",
+            },
+            periods: {
+              type: Number,
+              default: 20,
+              min: 2,
+              max: 200,
+            },
+            multiplier: {
+              type: Number,
+              default: 1.5,
+              min: 1,
+              max: 10,
+            },
+          },
+          hurstExponent: {
+            enabled: {
+              type: Boolean,
+              default: false,
+            },
+          },
+          higherTimeframe: {
+            enabled: {
+              type: Boolean,
+              default: false,
+            },
+            interval: {
+              type: String,
+              enum: ["5m", "15m", "30m", "1h", "2h", "4h", "6h", "12h", "1d"],
+              default: "4h",
+            },
+            periods: {
+              type: Number,
+              default: 25,
+              min: 10,
+              max: 100,
+            },
+            maxPosition: {
+              type: Number,
+              default: 0.5,
+              min: 0,
+              max: 1,
+            },
+          },
+        },
       },
       capitalAllocation: {
         firstEntry: {
@@ -123,6 +412,68 @@ const InstanceSchema = new Schema({
           min: 0.01,
           max: 0.9,
         },
+        // Dowolna drabinka wejść - gdy niepusta, zastępuje first/second/thirdEntry
+        entryLevels: [
+          {
+            _id: false,
+            // Ułamek dostępnych środków przeznaczony na wejście
+            allocation: {
+              type: Number,
+              required: true,
+              min: 0.01,
+              max: 1,
+            },
+            // Minimalny spadek ceny względem poprzedniego wejścia (0.01 = 1%)
+            minPriceDistance: {
+              type: Number,
+              default: 0,
+            },
+            // Minimalny odstęp od poprzedniego wejścia (ms), domyślnie signals.minEntryTimeGap
+            minTimeGap: {
+              type: Number,
+            },
+            // Czy osiągnięcie poziomu aktywuje stop loss
+            activateStopLoss: {
+              type: Boolean,
+              default: false,
+            },
+          },
+        ],
+        // Wielkość pozycji wg ryzyka - patrz config.capitalAllocation.sizing
+        sizing: {
+          mode: {
+            type: String,
+            enum: ["allocation", "risk"],
+            default: "allocation",
+          },
+          riskPercent: {
+            type: Number,
+            default: 0.01,
+            min: 0.001,
+            max: 0.05,
+          },
+          stopSource: {
+            type: String,
+            enum: ["atr", "stopLoss"],
+            default: "atr",
+          },
+          atrInterval: {
+            type: String,
+            default: "15m",
+          },
+          atrPeriods: {
+            type: Number,
+            default: 14,
+            min: 2,
+            max: 100,
+          },
+          atrMultiplier: {
+            type: Number,
+            default: 2,
+            min: 0.5,
+            max: 10,
+          },
+        },
       },
     },
   },
@@ -152,6 +503,15 @@ const InstanceSchema = new Schema({
       type: Number,
       default: 0,
     },
+    // Suma prowizji i opłat funding zamkniętych pozycji (zawarte w totalProfit)
+    totalFees: {
+      type: Number,
+      default: 0,
+    },
+    totalFundingFees: {
+      type: Number,
+      default: 0,
+    },
     userId: {
       type: Schema.Types.ObjectId,
       ref: "User",
@@ -174,6 +534,11 @@ const InstanceSchema = new Schema({
           type: Number,
           default: 0,
         },
+        direction: {
+          type: String,
+          enum: ["long", "short"],
+          default: "long",
+        },
         firstEntryTime: {
           type: Date,
           default: Date.now,
@@ -210,6 +575,18 @@ const InstanceSchema = new Schema({
           type: Number,
           required: true,
         },
+        direction: {
+          type: String,
+          enum: ["long", "short"],
+          default: "long",
+        },
+        // Rozbicie wyniku na podstawie rzeczywistych wypełnień
+        grossPnl: Number,
+        tradingFees: Number,
+        fundingFees: Number,
+        avgEntryPrice: Number,
+        avgExitPrice: Number,
+        quantity: Number,
         closedAt: {
           type: Date,
           default: Date.now,
@@ -240,36 +617,37 @@ const InstanceSchema = new Schema({
     type: Date,
     default: Date.now,
   },
+  // Przestarzałe - adapter giełdy wybiera pole exchange.adapter
   testMode: {
     type: Boolean,
     default: false,
   },
 
-  phemexConfig: {
-    apiKey: {
+  // Adapter giełdy (exchange.service)
+  exchange: {
+    adapter: {
       type: String,
-      default: "",
+      enum: ["phemex", "paper", "mock"],
     },
-    apiSecret: {
-      type: String,
-      default: "",
-    },
-    subaccountId: {
-      type: String,
-      default: "",
-    },
-    leverage: {
-      type: Number,
-      default: 3,
+    paper: {
+      feeRate: {
+        type: Number,
+        default: 0.0006, // 0.06% wartości zlecenia
+      },
+      slippage: {
+        type: Number,
+        default: 0.0005, // 0.05% ceny
+      },
     },
-    marginMode: {
-      type: String,
-      enum: ["isolated", "cross"],
-      default: "isolated",
+    mock: {
+      url: {
+        type: String,
+        default: "", // Pusty = lokalna giełda testowa w tym procesie
+      },
     },
   },
 
-  bybitConfig: {
+  phemexConfig: {
     apiKey: {
       type: String,
       default: "",
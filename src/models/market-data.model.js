@@ -117,17 +117,22 @@ const MarketDataSchema = new Schema({
     default: {},
   },
 
-  // Data utworzenia rekordu
+  // Data utworzenia rekordu (retencję świec wg interwału egzekwuje candle-store.service)
   createdAt: {
     type: Date,
     default: Date.now,
-    expires: 86400 * 30, // 30 dni TTL
   },
 });
 
 // Indeks złożony dla szybkiego wyszukiwania świec
 MarketDataSchema.index({ symbol: 1, type: 1, interval: 1, timestamp: -1 });
 
+// Jedna świeca na symbol/interwał/czas otwarcia (zapis przez upsert)
+MarketDataSchema.index(
+  { symbol: 1, interval: 1, openTime: 1 },
+  { unique: true, partialFilterExpression: { type: "candle" } }
+);
+
 // Eksportuj model
 const MarketData = mongoose.model("MarketData", MarketDataSchema);
 module.exports = MarketData;
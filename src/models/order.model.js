@@ -0,0 +1,167 @@
+/**
+ * Order Model - model zlecenia giełdowego
+ *
+ * Przechowuje cykl życia każdego zlecenia wysłanego przez adapter giełdy:
+ * - Identyfikatory giełdy (orderId) i własne (clientOrderId / orderLinkId)
+ * - Ilość żądaną i wypełnioną, średnią cenę wypełnienia i prowizje
+ * - Status (created → submitted → partially_filled/filled lub rejected/canceled/expired)
+ * - Powiązanie z sygnałem i pozycją
+ * - Dla zleceń ochronnych (stopLoss/takeProfit) - cenę wyzwolenia
+ */
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const OrderSchema = new Schema({
+  instanceId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+
+  symbol: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+  },
+
+  // Nazwa adaptera giełdy (phemex, paper, mock)
+  exchange: {
+    type: String,
+    required: true,
+  },
+
+  // Identyfikator zlecenia nadany przez giełdę
+  orderId: {
+    type: String,
+    index: true,
+  },
+
+  // Własny identyfikator zlecenia (clOrdID / orderLinkId)
+  clientOrderId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+
+  signalId: {
+    type: String,
+    index: true,
+  },
+
+  positionId: {
+    type: String,
+    index: true,
+  },
+
+  // Cel zlecenia: wejście, wyjście lub warunkowe zlecenie ochronne pozycji
+  purpose: {
+    type: String,
+    enum: ["entry", "exit", "stopLoss", "takeProfit"],
+    required: true,
+  },
+
+  side: {
+    type: String,
+    enum: ["Buy", "Sell"],
+    required: true,
+  },
+
+  reduceOnly: {
+    type: Boolean,
+    default: false,
+  },
+
+  requestedQuantity: {
+    type: Number,
+    required: true,
+  },
+
+  // Cena wyzwolenia - tylko dla zleceń ochronnych
+  triggerPrice: {
+    type: Number,
+    default: null,
+  },
+
+  filledQuantity: {
+    type: Number,
+    default: 0,
+  },
+
+  avgFillPrice: {
+    type: Number,
+    default: null,
+  },
+
+  fee: {
+    type: Number,
+    default: 0,
+  },
+
+  status: {
+    type: String,
+    enum: [
+      "created",
+      "submitted",
+      "partially_filled",
+      "filled",
+      "rejected",
+      "canceled",
+      "expired",
+    ],
+    default: "created",
+    index: true,
+  },
+
+  // Komunikat błędu giełdy (odrzucenie, brak potwierdzenia)
+  error: {
+    type: String,
+  },
+
+  // Liczba zapytań o stan zlecenia
+  pollCount: {
+    type: Number,
+    default: 0,
+  },
+
+  submittedAt: {
+    type: Date,
+  },
+
+  completedAt: {
+    type: Date,
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+OrderSchema.index({ instanceId: 1, createdAt: -1 });
+
+OrderSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+/**
+ * Metoda - czy zlecenie jest w stanie końcowym
+ * (częściowe wypełnienie jest końcowe po zamknięciu potwierdzania)
+ * @returns {boolean} - Czy zlecenie zakończone
+ */
+OrderSchema.methods.isFinal = function () {
+  return (
+    ["filled", "rejected", "canceled", "expired"].includes(this.status) ||
+    !!this.completedAt
+  );
+};
+
+const Order = mongoose.model("Order", OrderSchema);
+module.exports = Order;
@@ -0,0 +1,131 @@
+/**
+ * Rejected Signal Model - dziennik odrzuconych sygnałów
+ *
+ * Przechowuje sygnały wejścia/wyjścia, których strategia chciała użyć,
+ * a które zostały odrzucone lub wstrzymane:
+ * - Kod i opis powodu (brak środków, limit wejść, odstęp czasu, cooldown, trend, ...)
+ * - Cenę, poziomy band i trend w momencie odrzucenia
+ * - Migawkę konfiguracji strategii
+ * - Liczbę powtórzeń tego samego powodu (occurrences) w oknie agregacji
+ */
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const RejectedSignalSchema = new Schema({
+  instanceId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+
+  symbol: {
+    type: String,
+    trim: true,
+    uppercase: true,
+  },
+
+  // Rodzaj odrzuconego sygnału
+  action: {
+    type: String,
+    enum: ["entry", "exit"],
+    required: true,
+  },
+
+  // Typ sygnału strategii (np. lowerBandTouch, upperBandReturn, stopLoss)
+  signalType: {
+    type: String,
+  },
+
+  // Podtyp wejścia (first, second, ...) lub typ wyjścia
+  subType: {
+    type: String,
+  },
+
+  direction: {
+    type: String,
+    enum: ["long", "short"],
+    default: "long",
+  },
+
+  // Kod powodu odrzucenia
+  reasonCode: {
+    type: String,
+    enum: [
+      "no_funds",
+      "max_entries",
+      "time_gap",
+      "price_distance",
+      "direction_mismatch",
+      "cooldown",
+      "bad_trend",
+      "entry_filters",
+      "throttled",
+      "first_entry_too_fresh",
+    ],
+    required: true,
+  },
+
+  // Opis powodu (jak w logu [REJECTED])
+  reason: {
+    type: String,
+  },
+
+  price: {
+    type: Number,
+  },
+
+  // Poziomy kanału w momencie odrzucenia
+  bands: {
+    upperBand: Number,
+    middleBand: Number,
+    lowerBand: Number,
+  },
+
+  trend: {
+    type: String,
+  },
+
+  // Migawka parametrów strategii (hurst, ema, signals, capitalAllocation, ...)
+  configSnapshot: {
+    type: Object,
+    default: {},
+  },
+
+  metadata: {
+    type: Object,
+    default: {},
+  },
+
+  // Liczba odrzuceń z tym samym powodem zagregowanych w tym wpisie
+  occurrences: {
+    type: Number,
+    default: 1,
+  },
+
+  // Czas pierwszego i ostatniego odrzucenia (czas instancji)
+  timestamp: {
+    type: Number,
+    required: true,
+    index: true,
+  },
+
+  lastTimestamp: {
+    type: Number,
+  },
+
+  lastPrice: {
+    type: Number,
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+RejectedSignalSchema.index({ instanceId: 1, timestamp: -1 });
+RejectedSignalSchema.index({ instanceId: 1, reasonCode: 1 });
+
+const RejectedSignal = mongoose.model("RejectedSignal", RejectedSignalSchema);
+module.exports = RejectedSignal;
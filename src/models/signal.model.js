@@ -6,11 +6,13 @@
  * - Symbol waluty
  * - Typ sygnału (wejście, wyjście)
  * - Podtyp sygnału (pierwsze wejście, drugie wejście, itp.)
+ * - Kierunek pozycji (long, short)
  * - Cenę
  * - Alokację kapitału i rzeczywistą kwotę
  * - Procent zysku i kwotę zysku
  * - Znacznik czasu
  * - Metadane
+ * - Migawkę decyzji (wskaźniki, świece, stan maszyn stanów, parametry)
  */
 
 const mongoose = require("mongoose");
@@ -41,12 +43,20 @@ const SignalSchema = new Schema({
 
   // Podtyp sygnału
   // Dla entry: 'first', 'second', 'third'
-  // Dla exit: 'upperBandCrossDown', 'trailingStop', etc.
+  // Dla exit: 'upperBandReturn', 'stopLoss', 'trailingStop' lub reguła wyjścia
+  // ('takeProfit', 'middleBandCross', 'breakeven', 'maxHoldingTime'), etc.
   subType: {
     type: String,
     required: true,
   },
 
+  // Kierunek pozycji (long, short) - wejścia otwierają, wyjścia zamykają pozycję w tym kierunku
+  direction: {
+    type: String,
+    enum: ["long", "short"],
+    default: "long",
+  },
+
   // Cena w momencie sygnału
   price: {
     type: Number,
@@ -94,6 +104,13 @@ const SignalSchema = new Schema({
     default: {},
   },
 
+  // Migawka decyzji strategii: kanał Hursta, EMA, trend, świece, stan maszyn
+  // stanów przed i po ocenie ceny oraz efektywne parametry (GET /signals/:id/explain)
+  decision: {
+    type: Object,
+    default: null,
+  },
+
   // Status sygnału (pending, executed, canceled)
   status: {
     type: String,
@@ -169,6 +186,7 @@ SignalSchema.methods.markAsExecuted = async function () {
 SignalSchema.methods.markAsCanceled = async function (reason) {
   this.status = "canceled";
   this.metadata.cancelReason = reason;
+  this.markModified("metadata");
   await this.save();
 };
 
@@ -0,0 +1,78 @@
+/**
+ * Trading State Model - model stanu handlowego instancji
+ *
+ * Przechowuje stan, który wcześniej istniał tylko w pamięci:
+ * - Aktywną pozycję i historię pozycji (signal.service)
+ * - Czas ostatniego wejścia
+ * - Stan maszyny górnej bandy (upper-band-state-manager)
+ * - Stan maszyny dolnej bandy (downer-band-state-manager)
+ * - Cooldown (cooldown.service)
+ * - Stan trailing stopu pozycji (trailing-stop-state-manager)
+ *
+ * Dokument jest aktualizowany przy każdej zmianie stanu i odtwarzany przy starcie.
+ */
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const TradingStateSchema = new Schema({
+  // Identyfikator instancji
+  instanceId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+
+  // Aktywna pozycja (struktura jak w signalService.activePositions)
+  activePosition: {
+    type: Object,
+    default: null,
+  },
+
+  // Historia zamkniętych pozycji (ostatnie wpisy)
+  positionHistory: {
+    type: Array,
+    default: [],
+  },
+
+  // Czas ostatniego wejścia (signalService.lastEntryTimes)
+  lastEntryTime: {
+    type: Number,
+    default: null,
+  },
+
+  // Stan górnej bandy (currentState, stateStartTime, triggerPrice, ...)
+  upperBandState: {
+    type: Object,
+    default: null,
+  },
+
+  // Stan dolnej bandy (state, lastEntryTime, lastSignalEmission)
+  downerBandState: {
+    type: Object,
+    default: null,
+  },
+
+  // Trailing stop (positionId, peakPrice, activated, stopPrice, ...)
+  trailingStopState: {
+    type: Object,
+    default: null,
+  },
+
+  // Cooldown (startTime, durationHours, endTime)
+  cooldown: {
+    type: Object,
+    default: null,
+  },
+
+  // Data ostatniej aktualizacji
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Eksportuj model
+const TradingState = mongoose.model("TradingState", TradingStateSchema);
+module.exports = TradingState;
@@ -110,6 +110,15 @@ const UserSchema = new Schema({
       type: Number,
       default: 0,
     },
+    // Suma prowizji i opłat funding (zawarte w totalProfit)
+    totalFees: {
+      type: Number,
+      default: 0,
+    },
+    totalFundingFees: {
+      type: Number,
+      default: 0,
+    },
     // Liczba wszystkich transakcji
     totalTrades: {
       type: Number,
@@ -163,6 +172,9 @@ const UserSchema = new Schema({
           type: Number,
           required: true,
         },
+        grossProfit: Number,
+        fees: Number,
+        fundingFees: Number,
         signalIds: [
           {
             type: String,
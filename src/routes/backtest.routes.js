@@ -0,0 +1,37 @@
+/**
+ * Backtest Routes - ścieżki do testowania strategii na danych historycznych
+ *
+ * Zawiera endpointy:
+ * - Uruchamianie backtestów (tylko administrator, świece w ciele żądania do 20 MB)
+ * - Pobieranie i usuwanie wyników
+ */
+
+const express = require("express");
+const router = express.Router();
+const backtestController = require("../controllers/backtest.controller");
+const authMiddleware = require("../middleware/auth.middleware");
+
+// Limit ciała żądania ze świecami (globalny parser pomija te ścieżki - app.js)
+const BODY_LIMIT = "20mb";
+
+// Middleware autentykacji dla wszystkich ścieżek
+router.use(authMiddleware.verifyToken);
+
+// Pobieranie listy ostatnich backtestów
+router.get("/", backtestController.getBacktests);
+
+// Pobieranie pełnego wyniku backtestu
+router.get("/:backtestId", backtestController.getBacktest);
+
+// Uruchamianie backtestu
+router.post(
+  "/",
+  authMiddleware.isAdmin,
+  express.json({ limit: BODY_LIMIT }),
+  backtestController.runBacktest
+);
+
+// Usuwanie wyniku backtestu
+router.delete("/:backtestId", backtestController.deleteBacktest);
+
+module.exports = router;
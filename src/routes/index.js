@@ -16,6 +16,10 @@ const signalRoutes = require("./signal.routes");
 const instanceRoutes = require("./instance.routes");
 const simulatorRoutes = require("./simulator.routes"); // Tylko do testów
 const cooldownRoutes = require("./cooldown.routes");
+const backtestRoutes = require("./backtest.routes");
+const orderRoutes = require("./order.routes");
+const reconciliationRoutes = require("./reconciliation.routes");
+const strategyRoutes = require("./strategy.routes");
 
 // ✅ NOWE - Import kontrolera danych frontendowych i middleware autentykacji
 const frontendDataController = require("../controllers/frontend-data.controller");
@@ -31,6 +35,10 @@ router.use(`${API_BASE}/signals`, signalRoutes);
 router.use(`${API_BASE}/instances`, instanceRoutes);
 router.use(`${API_BASE}/simulator`, simulatorRoutes); // Tylko do testów
 router.use(`${API_BASE}/cooldown`, cooldownRoutes);
+router.use(`${API_BASE}/backtest`, backtestRoutes);
+router.use(`${API_BASE}/orders`, orderRoutes);
+router.use(`${API_BASE}/reconciliation`, reconciliationRoutes);
+router.use(`${API_BASE}/strategies`, strategyRoutes);
 
 // ✅ NOWE - Routing dla danych frontendowych z autentykacją
 router.get(
@@ -66,6 +74,10 @@ router.get(`${API_BASE}`, (req, res) => {
       instances: `${API_BASE}/instances`,
       frontendData: `${API_BASE}/frontend-data`, // ✅ NOWE
       cooldown: `${API_BASE}/cooldown`,
+      backtest: `${API_BASE}/backtest`,
+      orders: `${API_BASE}/orders`,
+      reconciliation: `${API_BASE}/reconciliation`,
+      strategies: `${API_BASE}/strategies`,
     },
     webSocket: {
       url: `${wsProtocol}://${host}`,
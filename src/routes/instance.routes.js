@@ -83,10 +83,13 @@ router.post(
 // ✅ NOWE ENDPOINTY PHEMEX
 router.put("/:instanceId/phemex-config", instanceController.updatePhemexConfig);
 
-// ❌ DEPRECATED - zachowane dla kompatybilności
-router.put("/:instanceId/bybit-config", instanceController.updateBybitConfig);
+// Adapter giełdy (phemex, paper, mock)
+router.put(
+  "/:instanceId/exchange-config",
+  instanceController.updateExchangeConfig
+);
 
-// Synchronizacja salda (działa z Phemex)
+// Synchronizacja salda (adaptery phemex i mock)
 router.post(
   "/:instanceId/sync-balance",
   instanceController.syncInstanceBalance
@@ -5,6 +5,7 @@
  * - Pobieranie aktualnych danych rynkowych
  * - Pobieranie historycznych danych
  * - Pobieranie listy dostępnych par handlowych
+ * - Eksport i import świec zapisanych w bazie (import tylko administrator)
  */
 
 const express = require("express");
@@ -34,6 +35,7 @@ router.get("/symbols", marketController.getAvailableSymbols);
 router.get("/stream/:symbol", marketController.streamMarketData);
 
 // Pobieranie bieżących wskaźników technicznych dla pary
+// (?interval=15m&indicators=hurst,ema,rsi,macd,atr,bollinger,vwap,adx,keltner)
 router.get("/indicators/:symbol", marketController.getIndicators);
 
 // Pobieranie analizy rynku (połączone wskaźniki i rekomendacje)
@@ -47,4 +49,15 @@ router.get("/stats/:symbol", marketController.getMarketStats);
 
 router.get("/ws-info", marketController.getWebSocketInfo);
 
+// Eksport zapisanych świec (?intervals=1m,15m,1h&format=json|csv&startTime=&endTime=)
+router.get("/candles/:symbol/export", marketController.exportCandles);
+
+// Import świec do bazy ({ format: "json"|"csv", interval, data })
+router.post(
+  "/candles/:symbol/import",
+  authMiddleware.isAdmin,
+  express.json({ limit: "20mb" }),
+  marketController.importCandles
+);
+
 module.exports = router;
@@ -0,0 +1,23 @@
+/**
+ * Order Routes - ścieżki do podglądu zleceń giełdowych
+ *
+ * Zawiera endpointy:
+ * - Pobieranie zleceń (filtrowanie po instancji, statusie, celu)
+ * - Pobieranie zlecenia po ID
+ */
+
+const express = require("express");
+const router = express.Router();
+const orderController = require("../controllers/order.controller");
+const authMiddleware = require("../middleware/auth.middleware");
+
+// Middleware autentykacji dla wszystkich ścieżek
+router.use(authMiddleware.verifyToken);
+
+// Pobieranie zleceń
+router.get("/", orderController.getOrders);
+
+// Pobieranie zlecenia po orderId lub clientOrderId
+router.get("/:orderId", orderController.getOrderById);
+
+module.exports = router;
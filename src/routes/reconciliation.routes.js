@@ -0,0 +1,45 @@
+/**
+ * Reconciliation Routes - ścieżki uzgadniania pozycji z giełdą
+ *
+ * Zawiera endpointy:
+ * - Raporty rozbieżności między pamięcią, bazą i giełdą
+ * - Ręczne uruchomienie uzgodnienia
+ * - Akcje administratora: przyjęcie stanu giełdy, wymuszone zamknięcie
+ */
+
+const express = require("express");
+const router = express.Router();
+const reconciliationController = require("../controllers/reconciliation.controller");
+const authMiddleware = require("../middleware/auth.middleware");
+
+// Middleware autentykacji dla wszystkich ścieżek
+router.use(authMiddleware.verifyToken);
+
+// Pobieranie ostatnich raportów (?discrepancies=true - tylko rozbieżności)
+router.get("/", reconciliationController.getReports);
+
+// Uzgodnienie wszystkich aktywnych instancji (tylko admin)
+router.post(
+  "/run",
+  authMiddleware.isAdmin,
+  reconciliationController.runReconciliation
+);
+
+// Uzgodnienie konkretnej instancji
+router.get("/:instanceId", reconciliationController.reconcileInstance);
+
+// Przyjęcie stanu giełdy (tylko admin)
+router.post(
+  "/:instanceId/adopt",
+  authMiddleware.isAdmin,
+  reconciliationController.adoptExchangeState
+);
+
+// Wymuszone zamknięcie pozycji (tylko admin)
+router.post(
+  "/:instanceId/force-close",
+  authMiddleware.isAdmin,
+  reconciliationController.forceClosePosition
+);
+
+module.exports = router;
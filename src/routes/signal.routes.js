@@ -5,6 +5,8 @@
  * - Pobieranie sygnałów handlowych
  * - Filtrowanie sygnałów
  * - Statystyki sygnałów
+ * - Dziennik odrzuconych sygnałów
+ * - Wyjaśnienie decyzji sygnału (migawka wskaźników i stanu)
  */
 
 const express = require("express");
@@ -21,6 +23,12 @@ router.get("/", signalController.getAllSignals);
 // Pobieranie sygnałów dla konkretnej instancji
 router.get("/instance/:instanceId", signalController.getSignalsByInstance);
 
+// Dziennik odrzuconych sygnałów (?instanceId=&action=&reasonCode=&startDate=&endDate=)
+router.get("/rejected", signalController.getRejectedSignals);
+
+// Wyjaśnienie decyzji sygnału (kanał Hursta, trend, świece, stan, parametry)
+router.get("/:signalId/explain", signalController.explainSignal);
+
 // Pobieranie konkretnego sygnału po ID
 router.get("/:signalId", signalController.getSignalById);
 
@@ -0,0 +1,23 @@
+/**
+ * Strategy Routes - ścieżki do rejestru strategii
+ *
+ * Zawiera endpointy:
+ * - Pobieranie dostępnych strategii (typ instancji strategy.type)
+ * - Pobieranie schematu parametrów i wartości domyślnych strategii
+ */
+
+const express = require("express");
+const router = express.Router();
+const strategyController = require("../controllers/strategy.controller");
+const authMiddleware = require("../middleware/auth.middleware");
+
+// Middleware autentykacji dla wszystkich ścieżek
+router.use(authMiddleware.verifyToken);
+
+// Pobieranie dostępnych strategii
+router.get("/", strategyController.getStrategies);
+
+// Pobieranie strategii po typie
+router.get("/:type", strategyController.getStrategyByType);
+
+module.exports = router;
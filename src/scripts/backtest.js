@@ -0,0 +1,71 @@
+/**
+ * Backtest CLI - uruchamianie backtestu lokalnie, bez serwera i bez Binance/Phemex
+ *
+ * Użycie:
+ *   npm run backtest -- --file candles.json --symbol BTCUSDT [--strategy hurst|macd|rsi]
+ *                       [--params params.json] [--balance 10000] [--leverage 3]
+ *                       [--fee-rate 0.0006] [--slippage 0.0005] [--funding-rate 0.0001] [--output result.json]
+ *
+ * Plik świec: { "1m": [...], "15m": [...], "1h": [...] } - świece w formacie
+ * obiektów ({ openTime, open, high, low, close, volume }) lub tablic z API Binance.
+ * Zlecenia wypełnia księga paper tradingu - prowizja i poślizg domyślnie jak w paper
+ * tradingu, funding (stawka za okres 8h) domyślnie wyłączony.
+ * Świece zapisane w bazie: npm run candles -- export --symbol BTCUSDT --output candles.json
+ */
+
+const fs = require("fs");
+const backtestService = require("../services/backtest.service");
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.file || !args.symbol) {
+    console.error(
+      "Użycie: npm run backtest -- --file candles.json --symbol BTCUSDT [--strategy hurst|macd|rsi] [--params params.json] [--balance 10000] [--leverage 3] [--fee-rate 0.0006] [--slippage 0.0005] [--funding-rate 0.0001] [--output result.json]"
+    );
+    process.exit(1);
+  }
+
+  const candles = backtestService.loadCandlesFromFile(args.file);
+  const parameters = args.params
+    ? JSON.parse(fs.readFileSync(args.params, "utf8"))
+    : undefined;
+
+  const result = await backtestService.runBacktest({
+    symbol: args.symbol,
+    strategy: args.strategy,
+    parameters,
+    initialBalance: args.balance ? parseFloat(args.balance) : undefined,
+    leverage: args.leverage ? parseFloat(args.leverage) : undefined,
+    feeRate: args["fee-rate"] ? parseFloat(args["fee-rate"]) : undefined,
+    slippage: args.slippage ? parseFloat(args.slippage) : undefined,
+    fundingRate: args["funding-rate"]
+      ? parseFloat(args["funding-rate"])
+      : undefined,
+    candles,
+  });
+
+  if (args.output) {
+    fs.writeFileSync(args.output, JSON.stringify(result, null, 2));
+  }
+
+  console.log(JSON.stringify(result.stats, null, 2));
+};
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`Backtest nie powiódł się: ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,238 @@
+/**
+ * Indicator Benchmark - porównanie pełnego przeliczania wskaźników z API strumieniowym
+ *
+ * Użycie:
+ *   npm run benchmark:indicators -- [--days 30] [--periods 25] [--runs 10]
+ *
+ * Na syntetycznej historii 15m (błądzenie losowe ze stałym ziarnem) mierzy:
+ * - Historię kanału Hursta jak w GET /frontend-data/hurst-history:
+ *   calculate na oknie każdej świecy vs update kolejnych świec
+ * - Aktualizację po zamknięciu świecy jak w analysis.service:
+ *   calculate na buforze świec vs sync z nową świecą
+ * - Historię EMA: calculate od zera dla każdej świecy vs update
+ * oraz największą różnicę wyników obu metod.
+ */
+
+const {
+  HurstChannel,
+  ExponentialMovingAverage,
+} = require("../utils/technical");
+
+const CANDLE_INTERVAL = 15 * 60 * 1000;
+const LIVE_BUFFER = 100;
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+};
+
+/**
+ * Generuje świece 15m - błądzenie losowe z powtarzalnym ziarnem
+ * @param {number} count - Liczba świec
+ * @returns {Array} - Świece
+ */
+const generateCandles = (count) => {
+  let seed = 42;
+  const random = () => {
+    seed = (seed * 1664525 + 1013904223) % 4294967296;
+    return seed / 4294967296;
+  };
+
+  const candles = [];
+  let price = 50000;
+  const start = Date.UTC(2025, 0, 1);
+
+  for (let i = 0; i < count; i++) {
+    const open = price;
+    price *= 1 + (random() - 0.5) * 0.01;
+    candles.push({
+      openTime: start + i * CANDLE_INTERVAL,
+      open,
+      high: Math.max(open, price) * (1 + random() * 0.002),
+      low: Math.min(open, price) * (1 - random() * 0.002),
+      close: price,
+      volume: 1 + random() * 10,
+    });
+  }
+
+  return candles;
+};
+
+/**
+ * Mierzy medianę czasu wykonania (pierwszy przebieg rozgrzewa JIT i nie jest liczony)
+ * @param {Function} fn - Mierzona funkcja (zwraca wynik ostatniego przebiegu)
+ * @param {number} runs - Liczba przebiegów
+ * @returns {Object} - { ms, result }
+ */
+const measure = (fn, runs) => {
+  const times = [];
+  let result = fn();
+
+  for (let i = 0; i < runs; i++) {
+    const start = process.hrtime.bigint();
+    result = fn();
+    times.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+
+  times.sort((a, b) => a - b);
+  return { ms: times[Math.floor(times.length / 2)], result };
+};
+
+/**
+ * Największa względna różnica wartości z dwóch serii
+ * @param {Array} full - Wyniki pełnego przeliczania
+ * @param {Array} streaming - Wyniki strumieniowe
+ * @param {Function} pick - Funkcja wybierająca porównywane wartości
+ * @returns {number} - Różnica względna
+ */
+const maxRelativeDiff = (full, streaming, pick) => {
+  let maxDiff = 0;
+  for (let i = 0; i < full.length; i++) {
+    const expected = pick(full[i]);
+    const actual = pick(streaming[i]);
+    for (let j = 0; j < expected.length; j++) {
+      const scale = Math.abs(expected[j]) || 1;
+      maxDiff = Math.max(maxDiff, Math.abs(expected[j] - actual[j]) / scale);
+    }
+  }
+  return maxDiff;
+};
+
+const benchmarkHurstHistory = (candles, periods, runs) => {
+  const pick = (result) => [
+    result.upperBand,
+    result.middleBand,
+    result.lowerBand,
+    result.hurstExponent,
+  ];
+
+  const full = measure(() => {
+    const channel = new HurstChannel({ periods });
+    const history = [];
+    for (let i = periods - 1; i < candles.length; i++) {
+      history.push(channel.calculate(candles.slice(i - periods + 1, i + 1)));
+    }
+    return history;
+  }, runs);
+
+  const streaming = measure(() => {
+    const channel = new HurstChannel({ periods });
+    const history = [];
+    for (const candle of candles) {
+      const result = channel.update(candle);
+      if (result) {
+        history.push(result);
+      }
+    }
+    return history;
+  }, runs);
+
+  return {
+    name: `Hurst history (${candles.length} świec, periods ${periods})`,
+    full: full.ms,
+    streaming: streaming.ms,
+    maxDiff: maxRelativeDiff(full.result, streaming.result, pick),
+  };
+};
+
+const benchmarkHurstLive = (candles, periods, runs) => {
+  const pick = (result) => [
+    result.upperBand,
+    result.lowerBand,
+    result.hurstExponent,
+  ];
+
+  const full = measure(() => {
+    const channel = new HurstChannel({ periods });
+    const results = [];
+    for (let i = LIVE_BUFFER; i <= candles.length; i++) {
+      results.push(channel.calculate(candles.slice(i - LIVE_BUFFER, i)));
+    }
+    return results;
+  }, runs);
+
+  const streaming = measure(() => {
+    const channel = new HurstChannel({ periods });
+    const results = [];
+    for (let i = LIVE_BUFFER; i <= candles.length; i++) {
+      results.push(channel.sync(candles.slice(i - LIVE_BUFFER, i)));
+    }
+    return results;
+  }, runs);
+
+  return {
+    name: `Hurst po zamknięciu świecy (bufor ${LIVE_BUFFER})`,
+    full: full.ms,
+    streaming: streaming.ms,
+    maxDiff: maxRelativeDiff(full.result, streaming.result, pick),
+  };
+};
+
+const benchmarkEmaHistory = (candles, runs) => {
+  const periods = 30;
+
+  const full = measure(() => {
+    const values = [];
+    for (let i = periods; i <= candles.length; i++) {
+      const ema = new ExponentialMovingAverage({ periods });
+      values.push(ema.calculate(candles.slice(0, i)));
+    }
+    return values;
+  }, runs);
+
+  const streaming = measure(() => {
+    const ema = new ExponentialMovingAverage({ periods });
+    const values = [];
+    for (const candle of candles) {
+      const value = ema.update(candle);
+      if (value !== null) {
+        values.push(value);
+      }
+    }
+    return values;
+  }, runs);
+
+  return {
+    name: `EMA${periods} history (${candles.length} świec)`,
+    full: full.ms,
+    streaming: streaming.ms,
+    maxDiff: maxRelativeDiff(full.result, streaming.result, (value) => [value]),
+  };
+};
+
+const main = () => {
+  const args = parseArgs(process.argv.slice(2));
+  const days = parseInt(args.days || "30");
+  const periods = parseInt(args.periods || "25");
+  const runs = parseInt(args.runs || "10");
+
+  // Jak w GET /frontend-data/hurst-history: 4 świece na godzinę * 24h * dni + bufor
+  const candles = generateCandles(days * 24 * 4 + 50);
+
+  const results = [
+    benchmarkHurstHistory(candles, periods, runs),
+    benchmarkHurstLive(candles, periods, runs),
+    benchmarkEmaHistory(candles, runs),
+  ];
+
+  console.log(
+    `Benchmark wskaźników: ${days} dni, mediana z ${runs} przebiegów`
+  );
+  console.table(
+    results.map((result) => ({
+      test: result.name,
+      "pełne [ms]": result.full.toFixed(2),
+      "strumieniowe [ms]": result.streaming.toFixed(2),
+      przyspieszenie: `${(result.full / result.streaming).toFixed(1)}x`,
+      "maks. różnica": result.maxDiff.toExponential(2),
+    }))
+  );
+};
+
+main();
@@ -0,0 +1,148 @@
+/**
+ * Candles CLI - import, eksport i synchronizacja świec zapisanych w MongoDB
+ *
+ * Użycie:
+ *   npm run candles -- import --symbol BTCUSDT --file candles.csv [--format csv|json] [--interval 15m]
+ *   npm run candles -- export --symbol BTCUSDT --output candles.json [--intervals 1m,15m,1h]
+ *                             [--format json|csv] [--start 2025-01-01] [--end 2025-02-01]
+ *   npm run candles -- sync --symbol BTCUSDT --start 2025-01-01 [--end 2025-02-01] [--intervals 1m,15m,1h]
+ *   npm run candles -- retention
+ *
+ * Eksport JSON ma format pliku świec backtestu:
+ *   npm run backtest -- --file candles.json --symbol BTCUSDT
+ * CSV: nagłówek z kolumnami interval,openTime,closeTime,open,high,low,close,volume,numberOfTrades
+ * (interval opcjonalny, gdy podano --interval). Sync pobiera brakujące świece zakresu z Binance.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const dbService = require("../services/db.service");
+const candleStoreService = require("../services/candle-store.service");
+
+const USAGE =
+  "Użycie: npm run candles -- <import|export|sync|retention> --symbol BTCUSDT [--file plik] [--output plik] [--intervals 1m,15m,1h] [--format json|csv] [--interval 15m] [--start data] [--end data]";
+
+const parseArgs = (argv) => {
+  const args = { command: argv[0] };
+  for (let i = 1; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+};
+
+/**
+ * Czas z argumentu - liczba ms lub data (np. 2025-01-01)
+ * @param {string} [value] - Wartość argumentu
+ * @returns {number|undefined} - Znacznik czasu w ms
+ */
+const parseTime = (value) => {
+  if (!value) {
+    return undefined;
+  }
+  const time = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw new Error(`Nieprawidłowa data: ${value}`);
+  }
+  return time;
+};
+
+const parseIntervals = (value = "1m,15m,1h") =>
+  value.split(",").map((interval) => interval.trim());
+
+const runImport = async (args) => {
+  if (!args.file) {
+    throw new Error("Brak --file");
+  }
+
+  const format =
+    args.format || (path.extname(args.file) === ".csv" ? "csv" : "json");
+  const result = await candleStoreService.importCandles(
+    args.symbol,
+    fs.readFileSync(args.file, "utf8"),
+    { format, interval: args.interval }
+  );
+
+  console.log(JSON.stringify(result, null, 2));
+};
+
+const runExport = async (args) => {
+  if (!args.output) {
+    throw new Error("Brak --output");
+  }
+
+  const content = await candleStoreService.exportCandles(
+    args.symbol,
+    parseIntervals(args.intervals),
+    {
+      format:
+        args.format || (path.extname(args.output) === ".csv" ? "csv" : "json"),
+      startTime: parseTime(args.start),
+      endTime: parseTime(args.end),
+    }
+  );
+
+  fs.writeFileSync(args.output, content);
+  console.log(`Zapisano ${args.output}`);
+};
+
+const runSync = async (args) => {
+  const startTime = parseTime(args.start);
+  if (!startTime) {
+    throw new Error("Brak --start");
+  }
+
+  const counts = {};
+  for (const interval of parseIntervals(args.intervals)) {
+    const candles = await candleStoreService.getCandles(
+      args.symbol,
+      interval,
+      startTime,
+      parseTime(args.end)
+    );
+    counts[interval] = candles.length;
+  }
+
+  console.log(JSON.stringify(counts, null, 2));
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const commands = {
+    import: runImport,
+    export: runExport,
+    sync: runSync,
+    retention: async () => {
+      console.log(
+        JSON.stringify(await candleStoreService.applyRetention(), null, 2)
+      );
+    },
+  };
+
+  if (
+    !commands[args.command] ||
+    (args.command !== "retention" && !args.symbol)
+  ) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  if (!(await dbService.connect())) {
+    throw new Error("Brak połączenia z bazą danych");
+  }
+
+  try {
+    await commands[args.command](args);
+  } finally {
+    await dbService.disconnect();
+  }
+};
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`Operacja na świecach nie powiodła się: ${error.message}`);
+    process.exit(1);
+  });
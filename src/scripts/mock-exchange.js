@@ -0,0 +1,56 @@
+/**
+ * Mock Exchange CLI - uruchamia lokalną giełdę testową (API zgodne z Phemex)
+ *
+ * Użycie:
+ *   npm run mock-exchange -- [--port 8090] [--balance 10000] [--price BTCUSDT=65000]
+ *                            [--apiKey key --apiSecret secret]
+ *
+ * Instancja z exchange.adapter = "mock" i exchange.mock.url = http://127.0.0.1:8090
+ * składa zlecenia na tej giełdzie.
+ */
+
+const {
+  MockExchangeServer,
+} = require("../services/exchanges/mock-exchange.server");
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  const server = new MockExchangeServer({
+    apiKey: args.apiKey || "",
+    apiSecret: args.apiSecret || "",
+    initialBalance: args.balance ? parseFloat(args.balance) : undefined,
+  });
+
+  if (args.price) {
+    const [symbol, price] = args.price.split("=");
+    server.setPrice(symbol, parseFloat(price));
+  }
+
+  const url = await server.start(args.port ? parseInt(args.port) : 8090);
+  console.log(`Giełda testowa nasłuchuje na ${url}`);
+
+  const shutdown = async () => {
+    await server.stop();
+    process.exit(0);
+  };
+
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+};
+
+main().catch((error) => {
+  console.error(`Nie udało się uruchomić giełdy testowej: ${error.message}`);
+  process.exit(1);
+});
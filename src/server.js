@@ -16,6 +16,9 @@ const instanceService = require("./services/instance.service");
 const dbService = require("./services/db.service");
 const binanceService = require("./services/binance.service");
 const wsService = require("./services/ws.service");
+const reconciliationService = require("./services/reconciliation.service");
+const protectionService = require("./services/protection.service");
+const candleStoreService = require("./services/candle-store.service");
 
 // Pobierz port z zmiennych środowiskowych lub użyj domyślnego
 const PORT = process.env.PORT || 3000;
@@ -45,6 +48,15 @@ const initializeApp = async () => {
     await instanceService.initialize();
     logger.info("Zainicjalizowano serwis instancji");
 
+    // Cykliczne uzgadnianie pozycji z giełdą
+    reconciliationService.start();
+
+    // Cykliczne sprawdzanie wyzwolonych zleceń ochronnych (stop loss / take profit)
+    protectionService.start();
+
+    // Zapis zamkniętych świec w bazie i ich retencja
+    candleStoreService.start();
+
     // Inicjalizacja serwera WebSocket
     logger.info("Inicjalizacja serwera WebSocket...");
 
@@ -131,10 +143,16 @@ const shutdown = async (signal) => {
     `Otrzymano sygnał ${signal || "zamknięcia"}, zamykanie serwera...`
   );
 
+  // Zatrzymaj uzgadnianie, aby nie działało na zatrzymywanych instancjach
+  reconciliationService.stop();
+  protectionService.stop();
+  candleStoreService.stop();
+
   try {
     // KLUCZOWE: Najpierw zatrzymaj wszystkie instancje
     logger.info("Zatrzymywanie instancji strategii...");
-    await instanceService.stopAllInstances();
+    // Zachowaj stan handlowy - instancje zostaną odtworzone przy starcie
+    await instanceService.stopAllInstances(true);
     logger.info("Zatrzymano wszystkie instancje strategii");
   } catch (error) {
     logger.error(`Błąd podczas zatrzymywania instancji: ${error.message}`);
@@ -4,6 +4,7 @@ const Signal = require("../models/signal.model");
 const logger = require("../utils/logger");
 const TradingLogger = require("../utils/trading-logger");
 const dbService = require("./db.service");
+const { getEntrySubType } = require("../config/instance.config");
 const { EventEmitter } = require("events");
 
 class AccountService extends EventEmitter {
@@ -143,7 +144,7 @@ class AccountService extends EventEmitter {
 
         if (activePosition && activePosition.positionId) {
           positionId = activePosition.positionId;
-          entryType = activePosition.entries.length === 1 ? "second" : "third";
+          entryType = getEntrySubType(activePosition.entries.length);
 
           let positionIndex = instance.financials.openPositions.findIndex(
             (p) => p.positionId === positionId
@@ -165,6 +166,7 @@ class AccountService extends EventEmitter {
                 { signalId, amount, timestamp: new Date(), subType: entryType },
               ],
               totalAmount: amount,
+              direction: activePosition.direction || "long",
               firstEntryTime: new Date(),
             });
           }
@@ -182,6 +184,7 @@ class AccountService extends EventEmitter {
               { signalId, amount, timestamp: new Date(), subType: "first" },
             ],
             totalAmount: amount,
+            direction: signal?.direction || "long",
             firstEntryTime: new Date(),
           });
         }
@@ -191,11 +194,10 @@ class AccountService extends EventEmitter {
 
         await instance.save({ session });
 
+        // Status "executed" ustawia signal.service po potwierdzeniu wypełnienia zlecenia
         const signal = await Signal.findById(signalId).session(session);
         if (signal) {
           signal.amount = amount;
-          signal.status = "executed";
-          signal.executedAt = new Date();
           signal.positionId = positionId;
           await signal.save({ session });
         }
@@ -222,12 +224,91 @@ class AccountService extends EventEmitter {
     });
   }
 
+  /**
+   * Zwalnia środki zablokowane dla wejścia (odrzucone lub częściowo wypełnione zlecenie)
+   * @param {string} instanceId - ID instancji
+   * @param {string} signalId - ID sygnału wejścia
+   * @param {number} amount - Kwota do zwolnienia
+   * @returns {Promise<Object>} - Zaktualizowana instancja
+   */
+  async releaseLockedFunds(instanceId, signalId, amount) {
+    return await dbService.withTransaction(async (session) => {
+      try {
+        const instance = await Instance.findOne({ instanceId }).session(
+          session
+        );
+        if (!instance || !instance.financials) {
+          throw new Error(`Instancja o ID ${instanceId} nie istnieje`);
+        }
+
+        const signalIdStr = signalId.toString();
+        const openPositions = instance.financials.openPositions || [];
+        const positionIndex = openPositions.findIndex((p) =>
+          p.entrySignals.some((e) => e.signalId === signalIdStr)
+        );
+
+        if (positionIndex !== -1) {
+          const position = openPositions[positionIndex];
+          const entry = position.entrySignals.find(
+            (e) => e.signalId === signalIdStr
+          );
+
+          if (amount >= entry.amount - 1e-9) {
+            position.entrySignals = position.entrySignals.filter(
+              (e) => e.signalId !== signalIdStr
+            );
+          } else {
+            entry.amount -= amount;
+          }
+          position.totalAmount -= amount;
+
+          if (position.entrySignals.length === 0) {
+            openPositions.splice(positionIndex, 1);
+          }
+        }
+
+        instance.financials.availableBalance += amount;
+        instance.financials.lockedBalance -= amount;
+        instance.markModified("financials.openPositions");
+        await instance.save({ session });
+
+        logger.debug(
+          `Zwolniono ${amount} środków sygnału ${signalIdStr} instancji ${instanceId}`
+        );
+
+        this.emit("fundsReleased", {
+          instanceId,
+          signalId: signalIdStr,
+          amount,
+          availableBalance: instance.financials.availableBalance,
+          lockedBalance: instance.financials.lockedBalance,
+        });
+
+        return instance;
+      } catch (error) {
+        logger.error(`Błąd podczas zwalniania środków: ${error.message}`);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Zamyka pozycję w księgach instancji i użytkownika
+   * @param {string} instanceId - ID instancji
+   * @param {string} entrySignalId - ID pierwszego sygnału wejścia
+   * @param {string} exitSignalId - ID sygnału wyjścia
+   * @param {number} entryAmount - Suma depozytów wejść
+   * @param {number} exitAmount - Kwota zwracana do puli (depozyt + wynik)
+   * @param {Object} [pnl] - Wynik z rzeczywistych wypełnień (utils/pnl) - ma pierwszeństwo przed exitAmount
+   * @returns {Promise<Object>} - { instance, user }
+   */
   async finalizePosition(
     instanceId,
     entrySignalId,
     exitSignalId,
     entryAmount,
-    exitAmount
+    exitAmount,
+    pnl = null
   ) {
     const signalService = require("./signal.service");
 
@@ -345,6 +426,7 @@ class AccountService extends EventEmitter {
                   subType: signal.subType || "unknown",
                 })),
                 totalAmount: totalEntryAmount,
+                direction: firstEntry.direction || "long",
                 firstEntryTime: new Date(firstEntry.timestamp),
               };
 
@@ -374,6 +456,7 @@ class AccountService extends EventEmitter {
                 subType: entry.type || "unknown",
               })),
               totalAmount: totalEntryAmount,
+              direction: activePosition.direction || "long",
               firstEntryTime: new Date(activePosition.entryTime || Date.now()),
             };
 
@@ -389,8 +472,13 @@ class AccountService extends EventEmitter {
           );
         }
 
-        const profit = exitAmount - totalEntryAmount;
+        const profit = pnl ? pnl.netPnl : exitAmount - totalEntryAmount;
+        if (pnl) {
+          exitAmount = totalEntryAmount + profit;
+        }
         const profitPercent = (profit / totalEntryAmount) * 100;
+        const tradingFees = pnl?.tradingFees || 0;
+        const fundingFees = pnl?.fundingFees || 0;
 
         // Tylko jeden główny log finalizacji pozycji
         logger.debug(
@@ -408,9 +496,20 @@ class AccountService extends EventEmitter {
           positionId: position.positionId,
           entrySignals: position.entrySignals,
           exitSignalId,
+          direction: position.direction || "long",
           totalEntryAmount,
           exitAmount,
           profit,
+          ...(pnl
+            ? {
+                grossPnl: pnl.grossPnl,
+                tradingFees,
+                fundingFees,
+                avgEntryPrice: pnl.avgEntryPrice,
+                avgExitPrice: pnl.avgExitPrice,
+                quantity: pnl.quantity,
+              }
+            : {}),
           closedAt: new Date(),
         });
 
@@ -420,6 +519,10 @@ class AccountService extends EventEmitter {
           instance.financials.availableBalance +
           instance.financials.lockedBalance;
         instance.financials.totalProfit += profit;
+        instance.financials.totalFees =
+          (instance.financials.totalFees || 0) + tradingFees;
+        instance.financials.totalFundingFees =
+          (instance.financials.totalFundingFees || 0) + fundingFees;
 
         await instance.save({ session });
 
@@ -432,6 +535,11 @@ class AccountService extends EventEmitter {
           exitSignal.executedAt = new Date();
           exitSignal.positionId = position.positionId;
 
+          if (pnl) {
+            exitSignal.metadata = { ...exitSignal.metadata, pnl };
+            exitSignal.markModified("metadata");
+          }
+
           if (position.entrySignals && position.entrySignals.length > 0) {
             exitSignal.entrySignalIds = position.entrySignals.map(
               (entry) => entry.signalId
@@ -458,10 +566,10 @@ class AccountService extends EventEmitter {
             };
           }
 
-          let entryPrice = 0;
-          let exitPrice = 0;
+          let entryPrice = pnl?.avgEntryPrice || 0;
+          let exitPrice = pnl?.avgExitPrice || 0;
 
-          if (position.entrySignals && position.entrySignals.length > 0) {
+          if (!entryPrice && position.entrySignals?.length > 0) {
             const firstEntrySignalId = position.entrySignals[0].signalId;
             const entrySignal =
               await Signal.findById(firstEntrySignalId).session(session);
@@ -470,7 +578,7 @@ class AccountService extends EventEmitter {
             }
           }
 
-          if (exitSignal) {
+          if (!exitPrice && exitSignal) {
             exitPrice = exitSignal.price;
           }
 
@@ -484,6 +592,9 @@ class AccountService extends EventEmitter {
             amount: totalEntryAmount,
             profit,
             profitPercent,
+            grossProfit: pnl ? pnl.grossPnl : profit,
+            fees: tradingFees,
+            fundingFees,
             signalIds: [
               ...(position.entrySignals
                 ? position.entrySignals.map((e) => e.signalId)
@@ -493,6 +604,10 @@ class AccountService extends EventEmitter {
           });
 
           user.financials.totalProfit += profit;
+          user.financials.totalFees =
+            (user.financials.totalFees || 0) + tradingFees;
+          user.financials.totalFundingFees =
+            (user.financials.totalFundingFees || 0) + fundingFees;
           user.financials.totalTrades += 1;
 
           if (profit > 0) {
@@ -534,6 +649,8 @@ class AccountService extends EventEmitter {
           exitAmount,
           profit,
           profitPercent,
+          tradingFees,
+          fundingFees,
           userId: instance.financials.userId,
         });
 
@@ -570,6 +687,8 @@ class AccountService extends EventEmitter {
         totalAllocated,
         totalCurrent,
         totalProfit: user.financials ? user.financials.totalProfit : 0,
+        totalFees: user.financials?.totalFees || 0,
+        totalFundingFees: user.financials?.totalFundingFees || 0,
         winRate: user.financials
           ? user.financials.totalTrades > 0
             ? (user.financials.successfulTrades / user.financials.totalTrades) *
@@ -649,6 +768,25 @@ class AccountService extends EventEmitter {
         .sort({ timestamp: -1 })
         .limit(50);
 
+      // ✅ PODSUMOWANIE WYNIKU Z ZAMKNIĘTYCH POZYCJI
+      const closedPositions = instance.financials?.closedPositions || [];
+      const pnlSummary = {
+        closedPositions: closedPositions.length,
+        grossPnl: 0,
+        tradingFees: 0,
+        fundingFees: 0,
+        netPnl: 0,
+      };
+      for (const closed of closedPositions) {
+        pnlSummary.grossPnl +=
+          closed.grossPnl !== undefined && closed.grossPnl !== null
+            ? closed.grossPnl
+            : closed.profit;
+        pnlSummary.tradingFees += closed.tradingFees || 0;
+        pnlSummary.fundingFees += closed.fundingFees || 0;
+        pnlSummary.netPnl += closed.profit;
+      }
+
       return {
         instanceId,
         name: instance.name,
@@ -661,6 +799,7 @@ class AccountService extends EventEmitter {
           lockedBalance: 0,
           totalProfit: 0,
         },
+        pnl: pnlSummary,
         activePositions: activeSignals.map((signal) => ({
           signalId: signal._id,
           price: signal.price,
@@ -675,6 +814,9 @@ class AccountService extends EventEmitter {
           exitPrice: signal.price,
           profit: signal.profit,
           profitPercent: signal.profitPercent,
+          grossPnl: signal.metadata?.pnl?.grossPnl,
+          tradingFees: signal.metadata?.pnl?.tradingFees,
+          fundingFees: signal.metadata?.pnl?.fundingFees,
           timestamp: signal.timestamp,
           closedAt: signal.executedAt || signal.createdAt,
         })),
@@ -1,21 +1,22 @@
-const {
-  HurstChannel,
-  ExponentialMovingAverage,
-} = require("../utils/technical");
 const binanceService = require("./binance.service");
 const upperBandStateManager = require("../utils/upper-band-state-manager");
 const downerBandStateManager = require("../utils/downer-band-state-manager");
+const trailingStopStateManager = require("../utils/trailing-stop-state-manager");
 const mutex = require("../utils/mutex");
+const clock = require("../utils/clock");
 const logger = require("../utils/logger");
 const TradingLogger = require("../utils/trading-logger");
+const strategyService = require("./strategy.service");
 const { EventEmitter } = require("events");
 
 class AnalysisService extends EventEmitter {
   constructor() {
     super();
     this.instances = new Map();
-    this.indicators = new Map();
+    this.strategies = new Map(); // instanceId -> Strategy (strategy.service)
     this.lastPrices = new Map();
+    this.lastCandles = new Map(); // instanceId -> { interval: ostatnia zamknięta świeca }
+    this.offlineInstances = new Map(); // instanceId -> { signalService, priceSource }
 
     this.setupListeners();
   }
@@ -28,6 +29,10 @@ class AnalysisService extends EventEmitter {
     return downerBandStateManager.forceCleanAllState(instanceId);
   }
 
+  async resetTrailingStopState(instanceId) {
+    return trailingStopStateManager.forceCleanAllState(instanceId);
+  }
+
   async resetStopLossTracking(instanceId) {
     return mutex.withLock(`stoploss-${instanceId}`, async () => {
       await upperBandStateManager.forceCleanAllState(instanceId);
@@ -48,13 +53,7 @@ class AnalysisService extends EventEmitter {
         return;
       }
 
-      const config = this.instances.get(instanceId);
-
-      if (candle.interval === "15m") {
-        this.updateHurstChannel(instanceId, allCandles);
-      } else if (candle.interval === "1h") {
-        this.updateEMA(instanceId, allCandles);
-      }
+      this.updateCandles(instanceId, candle.interval, allCandles);
 
       this.lastPrices.set(instanceId, candle.close);
     });
@@ -79,22 +78,14 @@ class AnalysisService extends EventEmitter {
         return;
       }
 
-      if (candle.interval === "15m" && candle.isFinal) {
+      if (candle.isFinal) {
         const config = this.instances.get(instanceId);
-        const candles15m = binanceService.getCachedCandles(
+        const candles = binanceService.getCachedCandles(
           config.symbol,
-          "15m"
+          candle.interval
         );
-        if (candles15m && candles15m.length > 0) {
-          this.updateHurstChannel(instanceId, candles15m);
-        }
-      }
-
-      if (candle.interval === "1h" && candle.isFinal) {
-        const config = this.instances.get(instanceId);
-        const candles1h = binanceService.getCachedCandles(config.symbol, "1h");
-        if (candles1h && candles1h.length > 0) {
-          this.updateEMA(instanceId, candles1h);
+        if (candles && candles.length > 0) {
+          this.updateCandles(instanceId, candle.interval, candles);
         }
       }
 
@@ -138,75 +129,50 @@ class AnalysisService extends EventEmitter {
           30000
         );
 
-        const indicators = this.indicators.get(instanceId);
-        if (!indicators || !indicators.hurstResult) {
+        const strategy = this.strategies.get(instanceId);
+        if (!strategy || !strategy.isReady()) {
           return;
         }
 
-        const hurstResult = indicators.hurstResult;
-        const emaValue = indicators.emaValue;
-        const shortEmaValue = indicators.shortEmaValue;
-        const config = this.instances.get(instanceId);
-
-        const currentTrend = this.determineTrend(
-          currentPrice,
-          emaValue,
-          shortEmaValue
-        );
+        // Sygnały wstrzymane do uzupełnienia luk w świecach (po zerwaniu połączenia)
+        if (!this.isMarketDataComplete(instanceId)) {
+          TradingLogger.logDebugThrottled(
+            `incomplete-data-${instanceId}`,
+            `[DETECT SIGNALS] Instance: ${instanceId} | Signals suppressed - incomplete candle data`,
+            60000
+          );
+          return;
+        }
 
-        const getActivePositionFn = (id) => {
-          if (!this._injectedSignalService) return null;
-          return this._injectedSignalService.getActivePositions(id);
+        const signalService = this._getSignalServiceFor(instanceId);
+        const getActivePosition = () => {
+          if (!signalService) return null;
+          return signalService.getActivePositions(instanceId);
         };
 
-        // SPRAWDZENIE SYGNAŁÓW WYJŚCIA (upper band)
-        const exitSignal = await upperBandStateManager.updateState(
-          instanceId,
-          currentPrice,
-          currentHigh,
-          currentLow,
-          hurstResult,
-          getActivePositionFn
-        );
+        // Stan maszyn stanów przed oceną ceny - do migawki decyzji
+        const tick = {
+          price: currentPrice,
+          high: currentHigh,
+          low: currentLow,
+        };
+        const stateBefore = strategy.getStateSnapshot();
 
-        if (exitSignal) {
-          this.emit("exitSignal", exitSignal);
-        }
+        // Strategia zwraca intencje w kolejności: wyjścia przed wejściami
+        const intents = await strategy.onTick(tick, { getActivePosition });
 
-        // SPRAWDZENIE STOP LOSS (tylko po 3 wejściach)
-        const activePosition = getActivePositionFn(instanceId);
-        if (
-          activePosition &&
-          activePosition.entries &&
-          activePosition.entries.length === 3
-        ) {
-          const stopLossSignal = this.checkStopLoss(
+        for (const intent of intents) {
+          intent.signal.decision = this._buildDecisionSnapshot(
             instanceId,
-            currentPrice,
-            activePosition,
-            config
+            strategy,
+            tick,
+            stateBefore,
+            intent.signal
+          );
+          await this._dispatchSignal(
+            intent.action === "exit" ? "exitSignal" : "entrySignal",
+            intent.signal
           );
-          if (stopLossSignal) {
-            this.emit("exitSignal", stopLossSignal);
-          }
-        }
-
-        // SPRAWDZENIE SYGNAŁÓW WEJŚCIA
-        const entrySignal = await downerBandStateManager.updateState(
-          instanceId,
-          currentPrice,
-          currentHigh,
-          currentLow,
-          hurstResult,
-          emaValue,
-          shortEmaValue,
-          currentTrend,
-          config,
-          getActivePositionFn
-        );
-
-        if (entrySignal) {
-          this.emit("entrySignal", entrySignal);
         }
       } catch (error) {
         logger.error(
@@ -216,85 +182,156 @@ class AnalysisService extends EventEmitter {
     });
   }
 
-  checkStopLoss(instanceId, currentPrice, activePosition, config) {
-    // Sprawdź czy stop loss jest włączony
-    const stopLossConfig = config?.stopLoss || config?.signals?.stopLoss;
-    if (!stopLossConfig || !stopLossConfig.enabled) {
-      return null;
-    }
+  /**
+   * Buduje migawkę decyzji sygnału: wskaźniki, trend, metadane sygnału, świece,
+   * stan maszyn stanów (przed i po ocenie ceny) oraz efektywne parametry strategii
+   * @param {string} instanceId - ID instancji
+   * @param {Strategy} strategy - Strategia instancji
+   * @param {Object} tick - { price, high, low }
+   * @param {Object} stateBefore - Stan maszyn stanów przed oceną ceny
+   * @param {Object} signal - Sygnał zwrócony przez strategię
+   * @returns {Object} - Migawka decyzji
+   * @private
+   */
+  _buildDecisionSnapshot(instanceId, strategy, tick, stateBefore, signal) {
+    const { indicators, trend } = strategy.getDecisionSnapshot(tick);
+
+    return JSON.parse(
+      JSON.stringify({
+        strategy: strategy.type,
+        timestamp: signal.timestamp || clock.now(instanceId),
+        tick,
+        trend: signal.trend || trend,
+        indicators,
+        signalMetadata: signal.metadata || {},
+        candles: this.lastCandles.get(instanceId) || {},
+        state: {
+          before: stateBefore,
+          after: strategy.getStateSnapshot(),
+        },
+        parameters: this.instances.get(instanceId) || {},
+      })
+    );
+  }
 
-    // Oblicz średnią ważoną cenę wejścia
-    const avgEntryPrice =
-      this.calculateWeightedAverageEntryPrice(activePosition);
+  setSignalService(signalService) {
+    this._injectedSignalService = signalService;
+  }
 
-    // Sprawdź czy cena spadła o 1.5% od średniej
-    const stopLossPrice =
-      avgEntryPrice * (1 - (stopLossConfig.percent || 0.015));
+  /**
+   * Zwraca serwis sygnałów obsługujący daną instancję
+   * @param {string} instanceId - ID instancji
+   * @returns {Object|null} - Serwis sygnałów (offline lub globalny)
+   * @private
+   */
+  _getSignalServiceFor(instanceId) {
+    const offline = this.offlineInstances.get(instanceId);
+    if (offline) {
+      return offline.signalService;
+    }
 
-    if (currentPrice <= stopLossPrice) {
-      TradingLogger.logDebugThrottled(
-        `stoploss-trigger-${instanceId}`,
-        `[STOP LOSS] Triggered | Price: ${currentPrice} <= Stop: ${stopLossPrice.toFixed(2)} (avg: ${avgEntryPrice.toFixed(2)}) | Instance: ${instanceId.slice(-8)}`,
-        60000
-      );
+    return this._injectedSignalService || null;
+  }
 
-      return {
-        instanceId,
-        type: "stopLoss",
-        price: currentPrice,
-        hurstChannel: this.indicators.get(instanceId)?.hurstResult,
-        timestamp: Date.now(),
-        metadata: {
-          avgEntryPrice,
-          stopLossPrice,
-          dropPercent: (
-            ((avgEntryPrice - currentPrice) / avgEntryPrice) *
-            100
-          ).toFixed(2),
-          entriesCount: activePosition.entries.length,
-        },
-      };
+  /**
+   * Przekazuje sygnał do odbiorcy - instancje offline obsługiwane są
+   * synchronicznie, pozostałe przez zdarzenia
+   * @param {string} eventName - "entrySignal" lub "exitSignal"
+   * @param {Object} signal - Dane sygnału
+   * @private
+   */
+  async _dispatchSignal(eventName, signal) {
+    const offline = this.offlineInstances.get(signal.instanceId);
+
+    if (!offline) {
+      this.emit(eventName, signal);
+      return;
     }
 
-    return null;
+    if (eventName === "entrySignal") {
+      await offline.signalService.processEntrySignal(signal);
+    } else {
+      await offline.signalService.processExitSignal(signal);
+    }
   }
 
-  calculateWeightedAverageEntryPrice(position) {
-    let totalAllocation = 0;
-    let weightedSum = 0;
+  /**
+   * Zwraca źródło ceny 1m dla instancji offline
+   * @param {string} instanceId - ID instancji
+   * @returns {Function|null} - Funkcja zwracająca cenę lub null dla instancji live
+   */
+  getOfflinePriceSource(instanceId) {
+    return this.offlineInstances.get(instanceId)?.priceSource || null;
+  }
 
-    for (const entry of position.entries) {
-      weightedSum += entry.price * entry.allocation;
-      totalAllocation += entry.allocation;
-    }
+  /**
+   * Sprawdza, czy instancja działa offline (np. backtest)
+   * @param {string} instanceId - ID instancji
+   * @returns {boolean} - Czy instancja jest offline
+   */
+  isOfflineInstance(instanceId) {
+    return this.offlineInstances.has(instanceId);
+  }
 
-    return totalAllocation > 0 ? weightedSum / totalAllocation : 0;
+  /**
+   * Tworzy strategię instancji (typ z config.strategyType, domyślnie hurst)
+   * @param {string} instanceId - ID instancji
+   * @param {Object} config - Konfiguracja instancji
+   * @returns {Strategy} - Strategia z utworzonymi wskaźnikami
+   * @private
+   */
+  _createStrategy(instanceId, config) {
+    return strategyService.createStrategy(instanceId, config, {
+      emit: (eventName, data) => this.emit(eventName, { instanceId, ...data }),
+    });
   }
 
-  determineTrend(currentPrice, emaValue, shortEmaValue) {
-    if (!emaValue || !shortEmaValue) {
-      return "neutral";
-    }
+  /**
+   * Zwraca strategię instancji
+   * @param {string} instanceId - ID instancji
+   * @returns {Strategy|null} - Strategia lub null
+   */
+  getStrategy(instanceId) {
+    return this.strategies.get(instanceId) || null;
+  }
 
-    const direction =
-      shortEmaValue > emaValue
-        ? "up"
-        : shortEmaValue < emaValue
-          ? "down"
-          : "neutral";
-    const trendStrength = Math.abs((currentPrice - emaValue) / emaValue) * 100;
-
-    if (currentPrice > emaValue && direction === "up") {
-      return trendStrength > 1.5 ? "strong_up" : "up";
-    } else if (currentPrice < emaValue && direction === "down") {
-      return trendStrength > 1.5 ? "strong_down" : "down";
-    } else {
-      return "neutral";
+  /**
+   * Rejestruje instancję analizy bez połączenia z Binance (np. backtest).
+   * Świece dostarcza wywołujący przez updateCandles,
+   * a sygnały trafiają bezpośrednio do podanego serwisu sygnałów.
+   * @param {string} instanceId - ID instancji
+   * @param {Object} config - Konfiguracja instancji
+   * @param {Object} options - Opcje
+   * @param {Object} options.signalService - Obiekt z metodami getActivePositions, processEntrySignal, processExitSignal
+   * @param {Function} options.priceSource - Funkcja zwracająca bieżącą cenę 1m
+   * @returns {boolean} - Czy rejestracja się powiodła
+   */
+  attachOfflineInstance(instanceId, config, { signalService, priceSource }) {
+    if (this.instances.has(instanceId)) {
+      logger.warn(`Instancja analizy ${instanceId} już istnieje`);
+      return false;
     }
+
+    this.instances.set(instanceId, config);
+    this.strategies.set(instanceId, this._createStrategy(instanceId, config));
+    this.offlineInstances.set(instanceId, { signalService, priceSource });
+
+    return true;
   }
 
-  setSignalService(signalService) {
-    this._injectedSignalService = signalService;
+  /**
+   * Usuwa instancję offline wraz z jej stanem
+   * @param {string} instanceId - ID instancji
+   */
+  async detachOfflineInstance(instanceId) {
+    await this.strategies.get(instanceId)?.reset();
+    await trailingStopStateManager.forceCleanAllState(instanceId);
+
+    this.instances.delete(instanceId);
+    this.strategies.delete(instanceId);
+    this.lastPrices.delete(instanceId);
+    this.lastCandles.delete(instanceId);
+    this.offlineInstances.delete(instanceId);
   }
 
   async initializeInstance(instanceId, config) {
@@ -304,39 +341,34 @@ class AnalysisService extends EventEmitter {
         return false;
       }
 
-      const intervals = ["15m", "1h", "1m"];
+      const strategy = this._createStrategy(instanceId, config);
+      const intervals = strategy.getRequiredIntervals();
       await binanceService.initializeInstanceData(
         config.symbol,
         intervals,
-        instanceId
+        instanceId,
+        Object.fromEntries(
+          intervals.map((interval) => [
+            interval,
+            strategy.getHistoryDepth(interval),
+          ])
+        )
       );
 
-      const hurstConfig = config.hurst || {
-        interval: "15m",
-        periods: 25,
-        upperDeviationFactor: 2.0,
-        lowerDeviationFactor: 2.0,
-      };
-
-      const emaConfig = config.ema || {
-        interval: "1h",
-        periods: 30,
-      };
-
-      const hurstChannel = new HurstChannel(hurstConfig);
-      const ema = new ExponentialMovingAverage(emaConfig);
-      const shortEma = new ExponentialMovingAverage({
-        ...emaConfig,
-        periods: 5,
-      });
-
       this.instances.set(instanceId, config);
-      this.indicators.set(instanceId, { hurstChannel, ema, shortEma });
+      this.strategies.set(instanceId, strategy);
 
       this.updateInitialIndicators(instanceId);
 
+      const readiness = this.getInstanceReadiness(instanceId);
+      if (!readiness.ready) {
+        logger.warn(
+          `Instancja ${instanceId} nie jest gotowa po inicjalizacji: ${JSON.stringify(readiness.intervals)}`
+        );
+      }
+
       logger.info(
-        `Zainicjalizowano analizę dla instancji ${instanceId} (${config.symbol})`
+        `Zainicjalizowano analizę dla instancji ${instanceId} (${config.symbol}, strategia: ${strategy.type})`
       );
       return true;
     } catch (error) {
@@ -357,9 +389,9 @@ class AnalysisService extends EventEmitter {
       }
 
       const config = this.instances.get(instanceId);
+      const strategy = this.strategies.get(instanceId);
 
-      const intervals = ["15m", "1h", "1m"];
-      intervals.forEach((interval) => {
+      strategy.getRequiredIntervals().forEach((interval) => {
         binanceService.unsubscribeFromKlines(
           config.symbol,
           interval,
@@ -367,12 +399,13 @@ class AnalysisService extends EventEmitter {
         );
       });
 
-      await upperBandStateManager.forceCleanAllState(instanceId);
-      await downerBandStateManager.forceCleanAllState(instanceId);
+      await strategy.reset();
+      await trailingStopStateManager.forceCleanAllState(instanceId);
 
       this.instances.delete(instanceId);
-      this.indicators.delete(instanceId);
+      this.strategies.delete(instanceId);
       this.lastPrices.delete(instanceId);
+      this.lastCandles.delete(instanceId);
 
       logger.info(`Zatrzymano analizę dla instancji ${instanceId}`);
       return true;
@@ -394,97 +427,127 @@ class AnalysisService extends EventEmitter {
 
   updateInitialIndicators(instanceId) {
     const config = this.instances.get(instanceId);
-    const candles15m = binanceService.getCachedCandles(config.symbol, "15m");
-    const candles1h = binanceService.getCachedCandles(config.symbol, "1h");
-
-    if (candles15m && candles15m.length > 0) {
-      this.updateHurstChannel(instanceId, candles15m);
-    }
+    const strategy = this.strategies.get(instanceId);
 
-    if (candles1h && candles1h.length > 0) {
-      this.updateEMA(instanceId, candles1h);
+    for (const interval of strategy.getRequiredIntervals()) {
+      const candles = binanceService.getCachedCandles(config.symbol, interval);
+      if (candles && candles.length > 0) {
+        this.updateCandles(instanceId, interval, candles);
+      }
     }
   }
 
-  updateHurstChannel(instanceId, candles) {
-    try {
-      const indicators = this.indicators.get(instanceId);
-      if (!indicators || !indicators.hurstChannel) {
-        return;
-      }
+  /**
+   * Przekazuje zamknięte świece interwału do strategii instancji
+   * @param {string} instanceId - ID instancji
+   * @param {string} interval - Interwał świec
+   * @param {Array} candles - Zamknięte świece (najnowsza na końcu)
+   * @returns {boolean} - Czy strategia zaktualizowała wskaźniki
+   */
+  updateCandles(instanceId, interval, candles) {
+    const strategy = this.strategies.get(instanceId);
+    if (!strategy) {
+      return false;
+    }
 
-      const hurstResult = indicators.hurstChannel.calculate(candles);
+    if (candles?.length > 0) {
+      this.lastCandles.set(instanceId, {
+        ...this.lastCandles.get(instanceId),
+        [interval]: candles[candles.length - 1],
+      });
+    }
 
-      if (hurstResult) {
-        indicators.hurstResult = hurstResult;
+    return strategy.onCandle(interval, candles);
+  }
 
-        this.emit("hurstUpdated", {
-          instanceId,
-          result: hurstResult,
-        });
+  /**
+   * Sprawdza, czy świece wszystkich interwałów instancji są kompletne
+   * (instancje offline mają własne dane i zawsze są kompletne)
+   * @param {string} instanceId - ID instancji
+   * @returns {boolean} - Czy dane są kompletne
+   */
+  isMarketDataComplete(instanceId) {
+    const config = this.instances.get(instanceId);
+    const strategy = this.strategies.get(instanceId);
+    if (!config || !strategy || this.isOfflineInstance(instanceId)) {
+      return true;
+    }
 
-        logger.debug(
-          `Zaktualizowano kanał Hursta dla instancji ${instanceId} (H=${hurstResult.hurstExponent.toFixed(3)})`
-        );
-      }
-    } catch (error) {
-      logger.error(
-        `Błąd podczas aktualizacji kanału Hursta dla instancji ${instanceId}: ${error.message}`
+    return strategy
+      .getRequiredIntervals()
+      .every((interval) =>
+        binanceService.isDataComplete(config.symbol, interval)
       );
-    }
   }
 
-  updateEMA(instanceId, candles) {
-    try {
-      const indicators = this.indicators.get(instanceId);
-      if (!indicators || !indicators.ema || !indicators.shortEma) {
-        return;
-      }
-
-      const emaValue = indicators.ema.calculate(candles);
-      const shortEmaValue = indicators.shortEma.calculate(candles);
+  /**
+   * Gotowość instancji: świece każdego interwału względem potrzeb strategii,
+   * kompletność danych i gotowość wskaźników
+   * @param {string} instanceId - ID instancji
+   * @returns {Object|null} - { ready, strategyReady, marketDataComplete, intervals: { interval: { required, depth, available, ready } } }
+   */
+  getInstanceReadiness(instanceId) {
+    const config = this.instances.get(instanceId);
+    const strategy = this.strategies.get(instanceId);
+    if (!config || !strategy) {
+      return null;
+    }
 
-      if (emaValue !== null && shortEmaValue !== null) {
-        indicators.emaValue = emaValue;
-        indicators.shortEmaValue = shortEmaValue;
+    const intervals = {};
+    for (const interval of strategy.getRequiredIntervals()) {
+      const required = strategy.getMinimumCandles(interval);
+      // Instancje offline dostają świece bezpośrednio (backtest)
+      const available = this.isOfflineInstance(instanceId)
+        ? null
+        : binanceService.getCachedCandleCount(config.symbol, interval);
+
+      intervals[interval] = {
+        required,
+        depth: strategy.getHistoryDepth(interval),
+        available,
+        ready: available === null || available >= required,
+      };
+    }
 
-        this.emit("emaUpdated", {
-          instanceId,
-          value: emaValue,
-          shortValue: shortEmaValue,
-          candle: candles[candles.length - 1],
-        });
+    const strategyReady = strategy.isReady();
+    const marketDataComplete = this.isMarketDataComplete(instanceId);
 
-        logger.debug(
-          `Zaktualizowano EMA dla instancji ${instanceId} (EMA=${emaValue.toFixed(2)}, EMA5=${shortEmaValue.toFixed(2)})`
-        );
-      }
-    } catch (error) {
-      logger.error(
-        `Błąd podczas aktualizacji EMA dla instancji ${instanceId}: ${error.message}`
-      );
-    }
+    return {
+      ready:
+        strategyReady &&
+        marketDataComplete &&
+        Object.values(intervals).every((interval) => interval.ready),
+      strategyReady,
+      marketDataComplete,
+      intervals,
+    };
   }
 
   getInstanceAnalysisState(instanceId) {
-    if (!this.instances.has(instanceId) || !this.indicators.has(instanceId)) {
+    if (!this.instances.has(instanceId) || !this.strategies.has(instanceId)) {
       return null;
     }
 
     const config = this.instances.get(instanceId);
-    const indicators = this.indicators.get(instanceId);
+    const strategy = this.strategies.get(instanceId);
+    const indicators = strategy.getIndicatorValues();
     const upperBandState = upperBandStateManager.getState(instanceId);
     const downerBandState = downerBandStateManager.getState(instanceId);
 
     return {
       symbol: config.symbol,
-      hurstChannel: indicators.hurstResult || null,
+      strategy: strategy.type,
+      indicators,
+      hurstChannel: indicators.hurstChannel || null,
       emaValue: indicators.emaValue || null,
       shortEmaValue: indicators.shortEmaValue || null,
       lastPrice: this.lastPrices.get(instanceId) || null,
       upperBandState: upperBandState || null,
       downerBandState: downerBandState || null,
-      timestamp: new Date().getTime(),
+      trailingStopState: trailingStopStateManager.getState(instanceId),
+      marketDataComplete: this.isMarketDataComplete(instanceId),
+      readiness: this.getInstanceReadiness(instanceId),
+      timestamp: clock.now(instanceId),
     };
   }
 }
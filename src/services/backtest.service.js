@@ -0,0 +1,1036 @@
+/**
+ * Backtest Service - serwis testowania strategii na danych historycznych
+ *
+ * Odpowiedzialny za:
+ * - Odtwarzanie historycznych świec (1m + interwały strategii) przez logikę analysis.service
+ * - Symulację pozycji (wejścia, wyjścia, stop loss) z symulowanym zegarem
+ * - Generowanie listy transakcji, krzywej kapitału i statystyk
+ *
+ * Backtest działa w pełni offline - nie łączy się z Binance ani Phemex.
+ */
+
+const fs = require("fs");
+const { v4: uuidv4 } = require("uuid");
+const analysisService = require("./analysis.service");
+const strategyService = require("./strategy.service");
+const signalService = require("./signal.service");
+const cooldownService = require("./cooldown.service");
+const downerBandStateManager = require("../utils/downer-band-state-manager");
+const clock = require("../utils/clock");
+const logger = require("../utils/logger");
+const Instance = require("../models/instance.model");
+const MarketData = require("../models/market-data.model");
+const PaperAdapter = require("./exchanges/paper.adapter");
+const { calculatePositionPnl, getPositionSide } = require("../utils/pnl");
+const {
+  validateInstanceParams,
+  getDefaultInstanceParams,
+} = require("../config/instance.config");
+const {
+  checkEntryRules,
+  checkExitRules,
+  getStopLossCooldownHours,
+} = require("../utils/signal-rules");
+
+// Interwał ticków cenowych; interwały wskaźników deklaruje strategia
+const PRICE_INTERVAL = "1m";
+
+const INTERVAL_MS = {
+  "1m": 60 * 1000,
+  "5m": 5 * 60 * 1000,
+  "15m": 15 * 60 * 1000,
+  "30m": 30 * 60 * 1000,
+  "1h": 60 * 60 * 1000,
+  "2h": 2 * 60 * 60 * 1000,
+  "4h": 4 * 60 * 60 * 1000,
+  "6h": 6 * 60 * 60 * 1000,
+  "12h": 12 * 60 * 60 * 1000,
+  "1d": 24 * 60 * 60 * 1000,
+};
+
+const MAX_STORED_RESULTS = 20;
+
+// Opłata funding naliczana co 8 godzin (00:00, 08:00, 16:00 UTC)
+const FUNDING_INTERVAL_MS = 8 * 60 * 60 * 1000;
+
+/**
+ * Symulowany rachunek - odpowiednik signal.service dla backtestu.
+ * Zachowuje te same reguły wejść/wyjść co handel na żywo, a zlecenia
+ * wypełnia księga paper tradingu (poślizg, prowizja), więc wynik pozycji
+ * liczony jest jak na żywo - z dźwignią, prowizjami i opłatami funding.
+ */
+class BacktestBroker {
+  /**
+   * @param {Object} options - Opcje rachunku
+   * @param {string} options.instanceId - ID instancji backtestu
+   * @param {string} options.symbol - Symbol pary
+   * @param {Object} options.parameters - Parametry strategii
+   * @param {number} options.initialBalance - Kapitał początkowy
+   * @param {number} options.leverage - Dźwignia
+   * @param {Object} options.instrumentInfo - Informacje o instrumencie (minOrderQty, qtyStep)
+   * @param {number} [options.feeRate] - Prowizja jako ułamek wartości zlecenia (domyślnie jak paper)
+   * @param {number} [options.slippage] - Poślizg jako ułamek ceny (domyślnie jak paper)
+   * @param {number} [options.fundingRate=0] - Stawka funding za okres 8h (dodatnia = płaci long)
+   */
+  constructor({
+    instanceId,
+    symbol,
+    parameters,
+    initialBalance,
+    leverage,
+    instrumentInfo,
+    feeRate,
+    slippage,
+    fundingRate = 0,
+  }) {
+    this.instanceId = instanceId;
+    this.symbol = symbol;
+    this.parameters = parameters;
+    this.leverage = leverage;
+    this.instrumentInfo = instrumentInfo;
+    this.fundingRate = fundingRate;
+
+    // Księga wypełnień - cena rynkowa to cena sygnału (zamknięcie 1m)
+    this.marketPrice = null;
+    this.exchange = new PaperAdapter({
+      feeRate,
+      slippage,
+      initialBalance,
+      priceSource: async () => this.marketPrice,
+      instrumentInfoSource: async () => instrumentInfo,
+    });
+
+    this.availableBalance = initialBalance;
+    this.lockedBalance = 0;
+    this.activePosition = null;
+    this.lastEntryTime = 0;
+    this.trades = [];
+    this.rejectedSignals = [];
+  }
+
+  getActivePositions() {
+    return this.activePosition;
+  }
+
+  /**
+   * Oblicza wartość rachunku przy podanej cenie
+   * @param {number} price - Bieżąca cena
+   * @returns {number} - Kapitał (wolne środki + wartość otwartej pozycji)
+   */
+  getEquity(price) {
+    if (!this.activePosition) {
+      return this.availableBalance + this.lockedBalance;
+    }
+
+    // Wynik niezrealizowany: bez poślizgu i prowizji zamknięcia
+    const quantity = this.activePosition.entries.reduce(
+      (sum, entry) => sum + entry.contractQuantity,
+      0
+    );
+    const pnl = this._calculatePnl(
+      this.activePosition,
+      { quantity, price, fee: 0 },
+      clock.now(this.instanceId)
+    );
+
+    return this.availableBalance + this.lockedBalance + pnl.netPnl;
+  }
+
+  /**
+   * Oblicza wynik pozycji z wypełnień wejść i wyjścia (jak _calculateRealizedPnl
+   * w signal.service) oraz opłat funding naliczonych do podanego czasu
+   * @param {Object} position - Pozycja
+   * @param {Object} exit - Wyjście { quantity, price, fee }
+   * @param {number} time - Czas wyjścia
+   * @returns {Object} - Wynik calculatePositionPnl
+   * @private
+   */
+  _calculatePnl(position, exit, time) {
+    const entries = position.entries.map((entry) => ({
+      quantity: entry.contractQuantity,
+      price: entry.fillPrice,
+      fee: entry.fee,
+      margin: entry.amount,
+    }));
+
+    return calculatePositionPnl({
+      entries,
+      exit,
+      fundingFees: this._calculateFundingFees(position, time),
+      side: getPositionSide(position.direction),
+    });
+  }
+
+  /**
+   * Opłaty funding pozycji - stawka × wartość pozycji za każdy okres
+   * rozliczenia funding od czasu wejścia (dodatnie = zapłacone)
+   * @param {Object} position - Pozycja
+   * @param {number} time - Czas końcowy
+   * @returns {number} - Suma opłat funding
+   * @private
+   */
+  _calculateFundingFees(position, time) {
+    if (!this.fundingRate) {
+      return 0;
+    }
+
+    let fees = 0;
+    for (const entry of position.entries) {
+      const periods =
+        Math.floor(time / FUNDING_INTERVAL_MS) -
+        Math.floor(entry.time / FUNDING_INTERVAL_MS);
+      fees +=
+        entry.contractQuantity * entry.fillPrice * this.fundingRate * periods;
+    }
+
+    return position.direction === "short" ? -fees : fees;
+  }
+
+  _reject(signalData, reasonCode, reason) {
+    this.rejectedSignals.push({
+      timestamp: signalData.timestamp,
+      type: signalData.type,
+      reasonCode,
+      price: signalData.price,
+      reason,
+    });
+  }
+
+  async processEntrySignal(signalData) {
+    const { instanceId, type, price, timestamp, trend } = signalData;
+    const direction = signalData.direction || "long";
+
+    // ✅ Te same reguły wejścia co signal.service
+    const rules = checkEntryRules({
+      parameters: this.parameters,
+      position: this.activePosition,
+      availableBalance: this.availableBalance,
+      price,
+      timestamp,
+      lastEntryTime: this.lastEntryTime,
+      direction,
+    });
+
+    if (!rules.allowed) {
+      this._reject(signalData, rules.reasonCode, rules.reason);
+      return;
+    }
+
+    const allocationPercent = rules.level.allocation * 100;
+    const entryType = rules.entryType;
+
+    const optimalEntry = await signalService._calculateOptimalContractQuantity(
+      allocationPercent,
+      this.availableBalance,
+      price,
+      this.leverage,
+      this.instrumentInfo,
+      signalService._getRiskSizing(
+        this.parameters,
+        price,
+        this.availableBalance + this.lockedBalance,
+        signalData.atr
+      )
+    );
+
+    if (optimalEntry.rejection) {
+      this._reject(
+        signalData,
+        optimalEntry.rejection.reasonCode,
+        optimalEntry.rejection.reason
+      );
+      return;
+    }
+
+    if (this.availableBalance < optimalEntry.actualMargin) {
+      this._reject(
+        signalData,
+        "lock_funds_failed",
+        `Lock funds failed: ${optimalEntry.actualMargin.toFixed(2)} > ${this.availableBalance.toFixed(2)}`
+      );
+      return;
+    }
+
+    let fill;
+    try {
+      this.marketPrice = price;
+      fill = await this.exchange.placeOrder({
+        symbol: this.symbol,
+        side: getPositionSide(direction),
+        quantity: optimalEntry.adjustedQuantity,
+      });
+    } catch (error) {
+      this._reject(signalData, "order_failed", error.message);
+      return;
+    }
+
+    this.availableBalance -= optimalEntry.actualMargin;
+    this.lockedBalance += optimalEntry.actualMargin;
+
+    const positionId =
+      this.activePosition?.positionId || `position-${instanceId}-${timestamp}`;
+
+    const entry = {
+      time: timestamp,
+      price,
+      type,
+      subType: entryType,
+      trend,
+      allocation: optimalEntry.actualAllocationPercent / 100,
+      amount: optimalEntry.actualMargin,
+      contractQuantity: fill.filledQuantity,
+      fillPrice: fill.avgPrice,
+      fee: fill.fee,
+      sizing: optimalEntry.sizing,
+      positionId,
+    };
+
+    if (!this.activePosition) {
+      this.activePosition = {
+        instanceId,
+        symbol: this.symbol,
+        positionId,
+        direction,
+        entryTime: timestamp,
+        entryPrice: price,
+        capitalAllocation: entry.allocation,
+        capitalAmount: entry.amount,
+        status: "active",
+        entries: [entry],
+        history: [],
+      };
+    } else {
+      this.activePosition.entries.push(entry);
+      this.activePosition.capitalAllocation += entry.allocation;
+      this.activePosition.capitalAmount += entry.amount;
+    }
+
+    this.lastEntryTime = timestamp;
+    downerBandStateManager.updateLastEntryTime(instanceId, timestamp);
+
+    if (entryType === "first") {
+      await signalService._atomicStateReset(instanceId);
+    }
+  }
+
+  async processExitSignal(signalData) {
+    const { instanceId, type, price, timestamp } = signalData;
+    const currentPosition = this.activePosition;
+
+    if (!currentPosition || currentPosition.status !== "active") {
+      return;
+    }
+
+    const rules = checkExitRules({
+      parameters: this.parameters,
+      position: currentPosition,
+      timestamp,
+      type,
+    });
+
+    if (!rules.allowed) {
+      this._reject(signalData, rules.reasonCode, rules.reason);
+      return;
+    }
+
+    const entryAvgPrice =
+      signalService.calculateAverageEntryPrice(currentPosition);
+
+    let totalEntryAmount = 0;
+    let totalContractQuantity = 0;
+    for (const entry of currentPosition.entries) {
+      totalEntryAmount += entry.amount;
+      totalContractQuantity += entry.contractQuantity;
+    }
+
+    // ✅ Zamknięcie reduce-only w księdze - wynik z wypełnień (dźwignia, prowizje, funding)
+    this.marketPrice = price;
+    const exitFill = await this.exchange.placeOrder({
+      symbol: this.symbol,
+      side:
+        getPositionSide(currentPosition.direction) === "Buy" ? "Sell" : "Buy",
+      quantity: totalContractQuantity,
+      reduceOnly: true,
+    });
+
+    const pnl = this._calculatePnl(
+      currentPosition,
+      {
+        quantity: exitFill.filledQuantity,
+        price: exitFill.avgPrice,
+        fee: exitFill.fee,
+      },
+      timestamp
+    );
+    const profit = pnl.netPnl;
+    const exitAmount = totalEntryAmount + profit;
+    const profitPercent = pnl.returnOnMargin;
+
+    this.lockedBalance -= totalEntryAmount;
+    this.availableBalance += exitAmount;
+
+    this.trades.push({
+      positionId: currentPosition.positionId,
+      direction: currentPosition.direction,
+      entryTime: currentPosition.entryTime,
+      exitTime: timestamp,
+      duration: timestamp - currentPosition.entryTime,
+      entryPrice: currentPosition.entryPrice,
+      avgEntryPrice: entryAvgPrice,
+      exitPrice: price,
+      exitType: type,
+      entries: currentPosition.entries,
+      totalEntryAmount,
+      exitAmount,
+      profit,
+      profitPercent,
+      pnl,
+      balanceAfter: this.availableBalance + this.lockedBalance,
+      metadata: signalData.metadata || {},
+    });
+
+    this.activePosition = null;
+    this.lastEntryTime = 0;
+
+    await signalService._atomicStateReset(instanceId);
+
+    const cooldownHours = getStopLossCooldownHours(this.parameters);
+    if (type === "stopLoss" && cooldownHours > 0) {
+      await cooldownService.setCooldown(instanceId, cooldownHours);
+    }
+  }
+}
+
+class BacktestService {
+  constructor() {
+    this.results = new Map(); // backtestId -> wynik
+    this.activeRuns = new Set(); // runId aktywnych symulacji
+  }
+
+  /**
+   * Uruchamia backtest strategii Hursta na danych historycznych
+   * @param {Object} options - Opcje backtestu
+   * @param {string} [options.instanceId] - ID instancji, z której pobrać symbol, parametry i kapitał
+   * @param {string} [options.symbol] - Symbol pary (wymagany bez instanceId)
+   * @param {string} [options.strategy] - Typ strategii (domyślnie z instancji lub hurst)
+   * @param {Object} [options.parameters] - Parametry strategii nadpisujące domyślne/instancji
+   * @param {number} [options.initialBalance=10000] - Kapitał początkowy
+   * @param {number} [options.leverage=3] - Dźwignia
+   * @param {Object} [options.instrumentInfo] - Informacje o instrumencie (minOrderQty, qtyStep)
+   * @param {number} [options.feeRate] - Prowizja (domyślnie z exchange.paper instancji lub paper tradingu)
+   * @param {number} [options.slippage] - Poślizg (domyślnie z exchange.paper instancji lub paper tradingu)
+   * @param {number} [options.fundingRate=0] - Stawka funding za okres 8h
+   * @param {Object} [options.candles] - Świece { "1m": [], "15m": [], "1h": [] }
+   * @param {number} [options.startTime] - Początek zakresu (dla świec z bazy danych)
+   * @param {number} [options.endTime] - Koniec zakresu (dla świec z bazy danych)
+   * @param {string} [options.runId] - ID symulacji (domyślnie z symbolu, początku zakresu i numeru przebiegu)
+   * @returns {Promise<Object>} - Wynik backtestu
+   */
+  async runBacktest(options = {}) {
+    // ✅ uuid tylko dla zapisanego wyniku - pozycje i stan symulacji używają
+    // deterministycznego runId, żeby te same dane dawały ten sam wynik
+    const backtestId = `backtest-${uuidv4()}`;
+    const simulatedClock = clock.createSimulatedClock();
+    let runId = null;
+    let currentPriceCandle = null;
+    let useMinuteTicks = false;
+
+    try {
+      const setup = await this._resolveSetup(options);
+      const inputCandles = options.candles
+        ? this._normalizeCandleSet(options.candles)
+        : null;
+
+      runId = this._reserveRunId(options, setup.symbol, inputCandles);
+
+      const broker = new BacktestBroker({
+        instanceId: runId,
+        symbol: setup.symbol,
+        parameters: setup.parameters,
+        initialBalance: setup.initialBalance,
+        leverage: setup.leverage,
+        instrumentInfo: setup.instrumentInfo,
+        feeRate: setup.feeRate,
+        slippage: setup.slippage,
+        fundingRate: setup.fundingRate,
+      });
+
+      clock.setInstanceClock(runId, simulatedClock);
+      analysisService.attachOfflineInstance(
+        runId,
+        {
+          symbol: setup.symbol,
+          strategyType: setup.strategyType,
+          ...setup.parameters,
+          checkEMATrend: setup.parameters.signals?.checkEMATrend,
+        },
+        {
+          signalService: broker,
+          priceSource: () =>
+            useMinuteTicks && currentPriceCandle
+              ? currentPriceCandle.close
+              : undefined,
+        }
+      );
+
+      // Świece zamykane w trakcie odtwarzania - interwały wskaźników strategii
+      // (interwał cenowy tylko, gdy liczy się na nim wskaźnik, np. hurst.interval = 1m)
+      const strategy = analysisService.getStrategy(runId);
+      const candleIntervals = strategy
+        .getRequiredIntervals()
+        .filter(
+          (interval) =>
+            interval !== PRICE_INTERVAL ||
+            strategy.getMinimumCandles(interval) > 0
+        );
+      const primaryInterval = candleIntervals[0];
+
+      const candles =
+        inputCandles ||
+        (await this.loadCandlesFromDatabase(
+          setup.symbol,
+          options.startTime,
+          options.endTime,
+          [...new Set([...candleIntervals, PRICE_INTERVAL])]
+        ));
+
+      if (candleIntervals.some((interval) => !candles[interval]?.length)) {
+        throw new Error(
+          `Backtest strategii ${strategy.type} wymaga świec ${candleIntervals.join(" i ")}`
+        );
+      }
+
+      // Ticki strategii: świece 1m, a przy ich braku świece głównego interwału
+      const priceCandles = candles[PRICE_INTERVAL];
+      useMinuteTicks = priceCandles.length > 0;
+      const ticks = useMinuteTicks ? priceCandles : candles[primaryInterval];
+
+      // Głębokość okien odpowiada buforowi świec w binance.service
+      const feeds = candleIntervals.map((interval) => ({
+        interval,
+        candles: candles[interval],
+        closed: [],
+        index: 0,
+        depth: strategy.getHistoryDepth(interval),
+      }));
+
+      const equityCurve = [];
+
+      logger.info(
+        `[BACKTEST] Start ${backtestId} | ${setup.symbol} | ${strategy.type} | ${ticks.length} ticków (${useMinuteTicks ? PRICE_INTERVAL : primaryInterval})`
+      );
+
+      for (const tick of ticks) {
+        const simulatedTime = simulatedClock.set(tick.closeTime);
+        currentPriceCandle = tick;
+
+        let primaryCandleClosed = false;
+        for (const feed of feeds) {
+          let candleClosed = false;
+          while (
+            feed.index < feed.candles.length &&
+            feed.candles[feed.index].closeTime <= simulatedTime
+          ) {
+            feed.closed.push(feed.candles[feed.index++]);
+            candleClosed = true;
+          }
+
+          if (candleClosed) {
+            analysisService.updateCandles(
+              runId,
+              feed.interval,
+              feed.closed.slice(-feed.depth)
+            );
+            if (feed.interval === primaryInterval) {
+              primaryCandleClosed = true;
+            }
+          }
+        }
+
+        const tradesBefore = broker.trades.length;
+        const entriesBefore = broker.activePosition?.entries.length || 0;
+
+        await analysisService.detectSignals(
+          runId,
+          tick.close,
+          tick.high,
+          tick.low
+        );
+        analysisService.lastPrices.set(runId, tick.close);
+
+        const positionChanged =
+          broker.trades.length !== tradesBefore ||
+          (broker.activePosition?.entries.length || 0) !== entriesBefore;
+
+        if (primaryCandleClosed || positionChanged) {
+          equityCurve.push({
+            timestamp: simulatedTime,
+            price: tick.close,
+            equity: broker.getEquity(tick.close),
+            availableBalance: broker.availableBalance,
+            inPosition: !!broker.activePosition,
+          });
+        }
+      }
+
+      const lastPrice = ticks[ticks.length - 1]?.close;
+      const finalEquity = broker.getEquity(lastPrice);
+
+      const result = {
+        backtestId,
+        runId,
+        symbol: setup.symbol,
+        sourceInstanceId: options.instanceId || null,
+        strategy: setup.strategyType,
+        parameters: setup.parameters,
+        settings: {
+          initialBalance: setup.initialBalance,
+          leverage: setup.leverage,
+          instrumentInfo: setup.instrumentInfo,
+          feeRate: broker.exchange.feeRate,
+          slippage: broker.exchange.slippage,
+          fundingRate: broker.fundingRate,
+          priceInterval: useMinuteTicks ? PRICE_INTERVAL : primaryInterval,
+        },
+        period: {
+          startTime: ticks[0]?.openTime || null,
+          endTime: ticks[ticks.length - 1]?.closeTime || null,
+          ticks: ticks.length,
+        },
+        trades: broker.trades,
+        openPosition: broker.activePosition,
+        rejectedSignals: broker.rejectedSignals,
+        equityCurve,
+        stats: this._calculateStats(
+          broker.trades,
+          equityCurve,
+          setup.initialBalance,
+          finalEquity
+        ),
+        createdAt: new Date(),
+      };
+
+      this._storeResult(result);
+
+      logger.info(
+        `[BACKTEST] Koniec ${backtestId} | Transakcje: ${result.stats.totalTrades} | Zwrot: ${result.stats.totalReturnPercent.toFixed(2)}%`
+      );
+
+      return result;
+    } catch (error) {
+      logger.error(`Błąd podczas wykonywania backtestu: ${error.message}`);
+      throw error;
+    } finally {
+      if (runId) {
+        await cooldownService.clearCooldown(runId);
+        await analysisService.detachOfflineInstance(runId);
+        clock.clearInstanceClock(runId);
+        this.activeRuns.delete(runId);
+      }
+    }
+  }
+
+  /**
+   * Rezerwuje ID symulacji: symbol, początek zakresu i najniższy wolny numer
+   * przebiegu (kolejne przebiegi tych samych danych dostają to samo ID)
+   * @param {Object} options - Opcje backtestu
+   * @param {string} symbol - Symbol pary
+   * @param {Object|null} candles - Znormalizowane świece z opcji
+   * @returns {string} - ID symulacji
+   * @private
+   */
+  _reserveRunId(options, symbol, candles) {
+    let runId = options.runId;
+
+    if (!runId) {
+      const firstOpenTimes = candles
+        ? Object.values(candles)
+            .filter((intervalCandles) => intervalCandles.length > 0)
+            .map((intervalCandles) => intervalCandles[0].openTime)
+        : [];
+      const startTime =
+        options.startTime ??
+        (firstOpenTimes.length ? Math.min(...firstOpenTimes) : 0);
+
+      let counter = 1;
+      while (
+        this.activeRuns.has(`backtest-${symbol}-${startTime}-${counter}`)
+      ) {
+        counter++;
+      }
+      runId = `backtest-${symbol}-${startTime}-${counter}`;
+    }
+
+    if (this.activeRuns.has(runId)) {
+      throw new Error(`Backtest ${runId} jest już uruchomiony`);
+    }
+
+    this.activeRuns.add(runId);
+    return runId;
+  }
+
+  /**
+   * Ustala symbol, parametry strategii i ustawienia rachunku backtestu
+   * @param {Object} options - Opcje backtestu
+   * @returns {Promise<Object>} - Ustawienia backtestu
+   * @private
+   */
+  async _resolveSetup(options) {
+    let symbol = options.symbol;
+    let strategyType = "hurst";
+    let baseParameters = getDefaultInstanceParams();
+    let leverage = 3;
+    let initialBalance = 10000;
+    let paperConfig = {};
+
+    if (options.instanceId) {
+      const instance = await Instance.findOne({
+        instanceId: options.instanceId,
+      });
+      if (!instance) {
+        throw new Error(`Instancja ${options.instanceId} nie istnieje`);
+      }
+
+      const instanceData = instance.toObject();
+      symbol = instanceData.symbol;
+      strategyType = instanceData.strategy.type || strategyType;
+      baseParameters = instanceData.strategy.parameters;
+      leverage = instanceData.phemexConfig?.leverage || leverage;
+      initialBalance =
+        instanceData.financials?.allocatedCapital || initialBalance;
+      paperConfig = instanceData.exchange?.paper || paperConfig;
+    }
+
+    if (!symbol) {
+      throw new Error("Backtest wymaga symbolu lub ID instancji");
+    }
+
+    const overrides = options.parameters || {};
+    const parameters = {
+      ...baseParameters,
+      hurst: { ...baseParameters.hurst, ...overrides.hurst },
+      ema: { ...baseParameters.ema, ...overrides.ema },
+      signals: {
+        ...baseParameters.signals,
+        ...overrides.signals,
+        stopLoss: {
+          ...baseParameters.signals?.stopLoss,
+          ...overrides.signals?.stopLoss,
+        },
+        trailingStop: {
+          ...baseParameters.signals?.trailingStop,
+          ...overrides.signals?.trailingStop,
+        },
+        exitRules: {
+          ...baseParameters.signals?.exitRules,
+          ...overrides.signals?.exitRules,
+        },
+        upperBand: {
+          ...baseParameters.signals?.upperBand,
+          ...overrides.signals?.upperBand,
+        },
+        entryFilters: this._mergeEntryFilters(
+          baseParameters.signals?.entryFilters,
+          overrides.signals?.entryFilters
+        ),
+      },
+      capitalAllocation: {
+        ...baseParameters.capitalAllocation,
+        ...overrides.capitalAllocation,
+      },
+      macd: { ...baseParameters.macd, ...overrides.macd },
+      rsi: { ...baseParameters.rsi, ...overrides.rsi },
+    };
+
+    strategyType = options.strategy || strategyType;
+
+    const validation = validateInstanceParams(parameters);
+    const errors = [
+      ...validation.errors,
+      ...(strategyType !== "hurst"
+        ? strategyService.validateParameters(strategyType, parameters)
+        : []),
+    ];
+    if (errors.length > 0) {
+      throw new Error(
+        `Nieprawidłowe parametry backtestu: ${errors.join(", ")}`
+      );
+    }
+
+    return {
+      symbol: symbol.toUpperCase(),
+      strategyType,
+      parameters,
+      leverage: options.leverage || leverage,
+      initialBalance: options.initialBalance || initialBalance,
+      instrumentInfo: options.instrumentInfo || {
+        minOrderQty: 0.001,
+        qtyStep: 0.001,
+      },
+      feeRate: options.feeRate ?? paperConfig.feeRate,
+      slippage: options.slippage ?? paperConfig.slippage,
+      fundingRate: options.fundingRate || 0,
+    };
+  }
+
+  /**
+   * Pobiera zapisane świece z bazy danych (kolekcja MarketData)
+   * @param {string} symbol - Symbol pary
+   * @param {number} [startTime] - Początek zakresu
+   * @param {number} [endTime] - Koniec zakresu
+   * @param {Array<string>} [intervals] - Interwały do pobrania (domyślnie wszystkie obsługiwane)
+   * @returns {Promise<Object>} - Świece { "1m": [], "15m": [], "1h": [] }
+   */
+  async loadCandlesFromDatabase(
+    symbol,
+    startTime,
+    endTime,
+    intervals = Object.keys(INTERVAL_MS)
+  ) {
+    try {
+      const candleSet = {};
+
+      for (const interval of intervals) {
+        const query = {
+          symbol: symbol.toUpperCase(),
+          type: "candle",
+          interval,
+        };
+
+        if (startTime || endTime) {
+          query.timestamp = {};
+          if (startTime) query.timestamp.$gte = startTime;
+          if (endTime) query.timestamp.$lte = endTime;
+        }
+
+        candleSet[interval] = await MarketData.find(query)
+          .sort({ timestamp: 1 })
+          .lean();
+      }
+
+      return this._normalizeCandleSet(candleSet);
+    } catch (error) {
+      logger.error(
+        `Błąd podczas pobierania świec do backtestu: ${error.message}`
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Wczytuje świece z pliku JSON ({ "1m": [], "15m": [], "1h": [] })
+   * @param {string} filePath - Ścieżka do pliku
+   * @returns {Object} - Znormalizowane świece
+   */
+  loadCandlesFromFile(filePath) {
+    try {
+      const content = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      return this._normalizeCandleSet(content.candles || content);
+    } catch (error) {
+      logger.error(
+        `Błąd podczas wczytywania świec z pliku ${filePath}: ${error.message}`
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Scala filtry wejścia instancji z nadpisaniami backtestu (per filtr)
+   * @param {Object} [base] - signals.entryFilters instancji
+   * @param {Object} [overrides] - signals.entryFilters z parametrów backtestu
+   * @returns {Object} - Scalona konfiguracja filtrów
+   * @private
+   */
+  _mergeEntryFilters(base = {}, overrides = {}) {
+    const merged = { ...base, ...overrides };
+    for (const [name, values] of Object.entries(overrides)) {
+      if (values && typeof values === "object") {
+        merged[name] = { ...base[name], ...values };
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Normalizuje zestaw świec do formatu używanego przez binance.service
+   * @param {Object} candleSet - Świece pogrupowane wg interwału
+   * @returns {Object} - Posortowane świece { "1m": [], "15m": [], "1h": [] }
+   * @private
+   */
+  _normalizeCandleSet(candleSet) {
+    const normalized = {};
+
+    for (const interval of Object.keys(INTERVAL_MS)) {
+      const rawCandles = Array.isArray(candleSet[interval])
+        ? candleSet[interval]
+        : [];
+      const byOpenTime = new Map();
+
+      for (const rawCandle of rawCandles) {
+        const candle = this._normalizeCandle(rawCandle, interval);
+        if (candle) {
+          byOpenTime.set(candle.openTime, candle);
+        }
+      }
+
+      normalized[interval] = [...byOpenTime.values()].sort(
+        (a, b) => a.openTime - b.openTime
+      );
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Normalizuje pojedynczą świecę (tablica z API Binance lub obiekt)
+   * @param {Array|Object} rawCandle - Surowa świeca
+   * @param {string} interval - Interwał świecy
+   * @returns {Object|null} - Świeca lub null, jeśli dane są niepełne
+   * @private
+   */
+  _normalizeCandle(rawCandle, interval) {
+    const source = Array.isArray(rawCandle)
+      ? {
+          openTime: rawCandle[0],
+          open: rawCandle[1],
+          high: rawCandle[2],
+          low: rawCandle[3],
+          close: rawCandle[4],
+          volume: rawCandle[5],
+          closeTime: rawCandle[6],
+        }
+      : rawCandle;
+
+    const openTime = Number(source.openTime ?? source.timestamp);
+    const close = parseFloat(source.close);
+
+    if (!Number.isFinite(openTime) || !Number.isFinite(close)) {
+      return null;
+    }
+
+    return {
+      symbol: source.symbol,
+      interval,
+      openTime,
+      closeTime:
+        Number(source.closeTime) || openTime + INTERVAL_MS[interval] - 1,
+      open: parseFloat(source.open ?? close),
+      high: parseFloat(source.high ?? close),
+      low: parseFloat(source.low ?? close),
+      close,
+      volume: parseFloat(source.volume || 0),
+      isFinal: true,
+    };
+  }
+
+  /**
+   * Oblicza statystyki backtestu
+   * @param {Array} trades - Zamknięte transakcje
+   * @param {Array} equityCurve - Krzywa kapitału
+   * @param {number} initialBalance - Kapitał początkowy
+   * @param {number} finalEquity - Kapitał końcowy (z otwartą pozycją)
+   * @returns {Object} - Statystyki
+   * @private
+   */
+  _calculateStats(trades, equityCurve, initialBalance, finalEquity) {
+    const winningTrades = trades.filter((t) => t.profit > 0);
+    const losingTrades = trades.filter((t) => t.profit <= 0);
+    const grossProfit = winningTrades.reduce((sum, t) => sum + t.profit, 0);
+    const grossLoss = Math.abs(
+      losingTrades.reduce((sum, t) => sum + t.profit, 0)
+    );
+    const totalProfit = trades.reduce((sum, t) => sum + t.profit, 0);
+
+    let peak = initialBalance;
+    let maxDrawdownPercent = 0;
+    for (const point of equityCurve) {
+      peak = Math.max(peak, point.equity);
+      const drawdown = ((peak - point.equity) / peak) * 100;
+      maxDrawdownPercent = Math.max(maxDrawdownPercent, drawdown);
+    }
+
+    const exitTypes = {};
+    const entriesDistribution = {};
+    for (const trade of trades) {
+      exitTypes[trade.exitType] = (exitTypes[trade.exitType] || 0) + 1;
+      const entriesCount = trade.entries.length;
+      entriesDistribution[entriesCount] =
+        (entriesDistribution[entriesCount] || 0) + 1;
+    }
+
+    return {
+      totalTrades: trades.length,
+      winningTrades: winningTrades.length,
+      losingTrades: losingTrades.length,
+      winRate:
+        trades.length > 0 ? (winningTrades.length / trades.length) * 100 : 0,
+      totalProfit,
+      initialBalance,
+      finalEquity,
+      totalReturnPercent:
+        ((finalEquity - initialBalance) / initialBalance) * 100,
+      avgProfitPercent:
+        trades.length > 0
+          ? trades.reduce((sum, t) => sum + t.profitPercent, 0) / trades.length
+          : 0,
+      bestTradePercent:
+        trades.length > 0 ? Math.max(...trades.map((t) => t.profitPercent)) : 0,
+      worstTradePercent:
+        trades.length > 0 ? Math.min(...trades.map((t) => t.profitPercent)) : 0,
+      profitFactor: grossLoss > 0 ? grossProfit / grossLoss : null,
+      maxDrawdownPercent,
+      avgHoldingTime:
+        trades.length > 0
+          ? trades.reduce((sum, t) => sum + t.duration, 0) / trades.length
+          : 0,
+      exitTypes,
+      entriesDistribution,
+    };
+  }
+
+  _storeResult(result) {
+    this.results.set(result.backtestId, result);
+
+    // Przechowuj tylko ostatnie wyniki
+    while (this.results.size > MAX_STORED_RESULTS) {
+      const oldestKey = this.results.keys().next().value;
+      this.results.delete(oldestKey);
+    }
+  }
+
+  /**
+   * Pobiera wynik backtestu
+   * @param {string} backtestId - ID backtestu
+   * @returns {Object|null} - Wynik backtestu
+   */
+  getResult(backtestId) {
+    return this.results.get(backtestId) || null;
+  }
+
+  /**
+   * Pobiera listę ostatnich backtestów (bez transakcji i krzywej kapitału)
+   * @returns {Array} - Podsumowania backtestów
+   */
+  getResults() {
+    return [...this.results.values()].reverse().map((result) => ({
+      backtestId: result.backtestId,
+      symbol: result.symbol,
+      sourceInstanceId: result.sourceInstanceId,
+      period: result.period,
+      stats: result.stats,
+      createdAt: result.createdAt,
+    }));
+  }
+
+  /**
+   * Usuwa wynik backtestu
+   * @param {string} backtestId - ID backtestu
+   * @returns {boolean} - Czy wynik został usunięty
+   */
+  deleteResult(backtestId) {
+    return this.results.delete(backtestId);
+  }
+}
+
+const backtestService = new BacktestService();
+module.exports = backtestService;
@@ -3,26 +3,46 @@
  *
  * Odpowiedzialny za:
  * - Inicjalizację z danymi historycznymi przez REST API
- * - Streaming danych w czasie rzeczywistym przez WebSockety
- * - Utrzymywanie połączenia WebSocket (pinging)
+ * - Streaming danych w czasie rzeczywistym przez jedno połączenie combined stream
+ *   (BinanceStreamManager) - subskrypcje symbol/interwał zliczane referencjami
+ *   instancji i klientów frontendu
+ * - Wspólny bufor świec symbol/interwał zasilany raz na wiadomość strumienia
+ *   i rozsyłany do subskrybentów
+ * - Ciągłość świec (openTime co interwał) - luki po zerwaniu połączenia są
+ *   uzupełniane z REST API przed emisją klineClosed, a do czasu uzupełnienia
+ *   kanał jest oznaczony jako niekompletny (isDataComplete)
+ * - Głębokość bufora symbol/interwał - największa głębokość historii
+ *   zgłoszona przez subskrybujące instancje (initializeInstanceData)
  */
 
-const WebSocket = require("ws");
 const axios = require("axios");
 const logger = require("../utils/logger");
+const mutex = require("../utils/mutex");
+const BinanceStreamManager = require("../utils/binance-stream-manager");
+const { config: binanceConfig } = require("../config/binance.config");
 const { EventEmitter } = require("events");
 
 // Stałe konfiguracyjne
 const BINANCE_API_BASE_URL = "https://api.binance.com";
-const BINANCE_WS_BASE_URL = "wss://stream.binance.com:9443/ws";
+const BINANCE_WS_BASE_URL = "wss://stream.binance.com:9443/stream";
 const PING_INTERVAL = 30 * 60 * 1000; // 30 minut
+// Prefiks subskrybentów strumienia będących klientami frontendu
+const CLIENT_SUBSCRIBER_PREFIX = "client-";
+// Odstęp ponownej próby uzupełnienia luki po błędzie REST API
+const GAP_RETRY_INTERVAL = 30 * 1000;
 
 class BinanceService extends EventEmitter {
   constructor() {
     super();
-    this.wsConnections = new Map(); // Mapa połączeń WebSocket (symbol -> wsConnection)
+    this.stream = new BinanceStreamManager({
+      baseUrl: BINANCE_WS_BASE_URL,
+      onMessage: (stream, data) => this._handleStreamMessage(data),
+      onOpen: () => this._checkAllStreamsContinuity(),
+      pingInterval: PING_INTERVAL,
+    });
     this.candleData = new Map(); // Mapa danych świecowych (symbol+interval -> array of candles)
-    this.pingIntervals = new Map(); // Mapa interwałów pingowania
+    this.cacheDepth = new Map(); // Głębokość bufora (symbol+interval -> Map(instanceId -> liczba świec))
+    this.dataGaps = new Map(); // Nieuzupełnione luki (symbol+interval -> { from, to, detectedAt, lastAttempt })
     this.clientSubscriptions = new Map(); // Mapa subskrypcji klientów
     // NOWE: Śledzenie czasu ostatniej aktualizacji
     this.lastUpdateTime = new Map();
@@ -92,9 +112,14 @@ class BinanceService extends EventEmitter {
         );
       }
 
-      // Zapisz dane w pamięci
-      const key = `${symbol}-${interval}`;
-      this.candleData.set(key, candles);
+      // Bieżące świece (bez startTime, endTime nie wcześniej niż interwał temu)
+      // uzupełniają wspólny bufor - zapytania o historyczne zakresy go nie nadpisują
+      if (
+        !startTime &&
+        (!endTime || endTime >= Date.now() - this._getIntervalMs(interval))
+      ) {
+        this._mergeCandles(symbol, interval, candles);
+      }
 
       return candles;
     } catch (error) {
@@ -106,168 +131,375 @@ class BinanceService extends EventEmitter {
   }
 
   /**
-   * Nawiązuje połączenie WebSocket dla kanału świecowego
+   * Subskrybuje kanał świecowy we wspólnym połączeniu
+   * (połączenie Binance jest jedno, subskrybenci symbol/interwał są zliczani)
    * @param {string} symbol - Para handlowa (np. 'BTCUSDT')
    * @param {string} interval - Interwał czasowy (np. '15m', '1h')
-   * @param {string} instanceId - Identyfikator instancji strategii
+   * @param {string} instanceId - Identyfikator instancji strategii lub klienta (client-ID)
    */
   subscribeToKlines(symbol, interval, instanceId) {
-    const lowerSymbol = symbol.toLowerCase();
-    const wsKey = `${lowerSymbol}-${interval}-${instanceId}`;
+    const stream = this._getStreamName(symbol, interval);
 
-    // Sprawdź, czy połączenie już istnieje
-    if (this.wsConnections.has(wsKey)) {
-      logger.info(`Połączenie WebSocket dla ${wsKey} już istnieje`);
+    if (this.stream.hasSubscriber(stream, instanceId)) {
+      logger.info(`Subskrypcja ${stream} dla ${instanceId} już istnieje`);
       return;
     }
 
-    const wsUrl = `${BINANCE_WS_BASE_URL}/${lowerSymbol}@kline_${interval}`;
-    const ws = new WebSocket(wsUrl);
+    const isNew = this.stream.subscribe(stream, instanceId);
+    logger.info(
+      `Subskrypcja ${stream} dla ${instanceId} (${isNew ? "nowy strumień" : `subskrybentów: ${this.stream.getSubscribers(stream).length}`})`
+    );
+  }
 
-    ws.on("open", () => {
-      logger.info(`Połączenie WebSocket nawiązane dla ${wsKey}`);
+  /**
+   * Anuluje subskrypcję kanału świecowego - strumień jest odsubskrybowany
+   * po odejściu ostatniego subskrybenta
+   * @param {string} symbol - Para handlowa
+   * @param {string} interval - Interwał czasowy
+   * @param {string} instanceId - Identyfikator instancji strategii lub klienta (client-ID)
+   */
+  unsubscribeFromKlines(symbol, interval, instanceId) {
+    const stream = this._getStreamName(symbol, interval);
 
-      // Uruchom regularne wysyłanie pingów dla utrzymania połączenia
-      const pingInterval = setInterval(() => {
-        if (ws.readyState === WebSocket.OPEN) {
-          ws.ping();
-          logger.debug(`Wysłano ping dla ${wsKey}`);
-        }
-      }, PING_INTERVAL);
+    if (!this.stream.unsubscribe(stream, instanceId)) {
+      logger.warn(`Brak subskrypcji ${stream} dla ${instanceId}`);
+      return;
+    }
 
-      this.pingIntervals.set(wsKey, pingInterval);
-    });
+    // Bufor wraca do głębokości pozostałych instancji przy kolejnym scaleniu
+    const key = this._getCacheKey(symbol, interval);
+    const depths = this.cacheDepth.get(key);
+    if (depths?.delete(instanceId) && depths.size === 0) {
+      this.cacheDepth.delete(key);
+    }
 
-    ws.on("message", (data) => {
-      try {
-        const message = JSON.parse(data);
-
-        // Sprawdź, czy to dane świecowe
-        if (message.e === "kline") {
-          const candle = {
-            openTime: message.k.t,
-            open: parseFloat(message.k.o),
-            high: parseFloat(message.k.h),
-            low: parseFloat(message.k.l),
-            close: parseFloat(message.k.c),
-            volume: parseFloat(message.k.v),
-            closeTime: message.k.T,
-            isFinal: message.k.x, // Czy świeca jest zamknięta
-            symbol: message.s,
-            interval: message.k.i,
-          };
-
-          // ZMODYFIKOWANE: Dla 1m aktualizuj zawsze, dla innych tylko finalne
-          const dataKey = `${symbol}-${interval}`;
-          const existingCandles = this.candleData.get(dataKey) || [];
-
-          if (interval === "1m" || candle.isFinal) {
-            // Znajdź i zastąp istniejącą świecę o tym samym czasie otwarcia
-            const existingIndex = existingCandles.findIndex(
-              (c) => c.openTime === candle.openTime
-            );
+    logger.info(`Anulowano subskrypcję ${stream} dla ${instanceId}`);
+  }
 
-            if (existingIndex !== -1) {
-              existingCandles[existingIndex] = candle;
-            } else {
-              existingCandles.push(candle);
-              // Ogranicz liczbę świec
-              const maxCandles =
-                interval === "1m" ? 10 : interval === "1h" ? 100 : 25;
-              if (existingCandles.length > maxCandles) {
-                existingCandles.shift();
-              }
-            }
-
-            this.candleData.set(dataKey, existingCandles);
-            // NOWE: Zapisz czas aktualizacji
-            this.lastUpdateTime.set(dataKey, Date.now());
-          }
+  /**
+   * Obsługuje wiadomość strumienia świecowego. Świece kanału są przetwarzane
+   * po kolei - uzupełnianie luki wstrzymuje kolejne wiadomości kanału.
+   * @param {Object} message - Dane wiadomości kline Binance
+   * @returns {Promise<void>}
+   * @private
+   */
+  _handleStreamMessage(message) {
+    if (message.e !== "kline") {
+      return;
+    }
 
-          // Emituj zdarzenie z danymi dla KAŻDEJ aktualizacji, nie tylko zamkniętych świec
-          this.emit("kline", {
-            candle,
-            instanceId,
-          });
+    const candle = {
+      openTime: message.k.t,
+      open: parseFloat(message.k.o),
+      high: parseFloat(message.k.h),
+      low: parseFloat(message.k.l),
+      close: parseFloat(message.k.c),
+      volume: parseFloat(message.k.v),
+      closeTime: message.k.T,
+      isFinal: message.k.x, // Czy świeca jest zamknięta
+      symbol: message.s,
+      interval: message.k.i,
+    };
 
-          // Emituj specjalne zdarzenie, jeśli świeca została zamknięta
-          if (candle.isFinal) {
-            this.emit("klineClosed", {
-              candle,
-              instanceId,
-              allCandles: this.candleData.get(`${symbol}-${interval}`),
-            });
-          }
-        }
-      } catch (error) {
+    return mutex
+      .withLock(
+        `binance-candles-${this._getCacheKey(candle.symbol, candle.interval)}`,
+        () => this._processCandle(candle)
+      )
+      .catch((error) => {
         logger.error(
-          `Błąd podczas przetwarzania wiadomości WebSocket: ${error.message}`
+          `Błąd podczas przetwarzania świecy ${candle.symbol}/${candle.interval}: ${error.message}`
         );
-      }
-    });
+      });
+  }
 
-    ws.on("error", (error) => {
-      logger.error(`Błąd WebSocket dla ${wsKey}: ${error.message}`);
-    });
+  /**
+   * Aktualizuje wspólny bufor (po uzupełnieniu ewentualnej luki) i rozsyła
+   * świecę do klientów ("candle") oraz instancji ("kline", "klineClosed")
+   * @param {Object} candle - Świeca ze strumienia
+   * @private
+   */
+  async _processCandle(candle) {
+    const { symbol, interval } = candle;
+    const dataKey = this._getCacheKey(symbol, interval);
 
-    ws.on("close", (code, reason) => {
-      logger.warn(
-        `Połączenie WebSocket zamknięte dla ${wsKey}: kod=${code}, powód=${reason}`
+    // ZMODYFIKOWANE: Dla 1m aktualizuj zawsze, dla innych tylko finalne
+    if (interval === "1m" || candle.isFinal) {
+      await this._ensureContinuity(symbol, interval, candle.openTime);
+
+      const existingCandles = this.candleData.get(dataKey) || [];
+
+      // Znajdź i zastąp istniejącą świecę o tym samym czasie otwarcia
+      const existingIndex = existingCandles.findIndex(
+        (c) => c.openTime === candle.openTime
       );
 
-      // Wyczyść interwał pingowania
-      const pingInterval = this.pingIntervals.get(wsKey);
-      if (pingInterval) {
-        clearInterval(pingInterval);
-        this.pingIntervals.delete(wsKey);
+      if (existingIndex !== -1) {
+        existingCandles[existingIndex] = candle;
+      } else {
+        existingCandles.push(candle);
+        // Ogranicz liczbę świec
+        if (existingCandles.length > this._getCacheDepth(symbol, interval)) {
+          existingCandles.shift();
+        }
       }
 
-      // Usuń połączenie z mapy
-      this.wsConnections.delete(wsKey);
+      this.candleData.set(dataKey, existingCandles);
+      // NOWE: Zapisz czas aktualizacji
+      this.lastUpdateTime.set(dataKey, Date.now());
+    }
 
-      // Spróbuj ponownie połączyć po 5 sekundach
-      setTimeout(() => {
-        logger.info(`Próba ponownego połączenia dla ${wsKey}`);
-        this.subscribeToKlines(symbol, interval, instanceId);
-      }, 5000);
-    });
+    // Klienci frontendu - jedno zdarzenie na wiadomość
+    this.emit("candle", { candle });
+
+    const allCandles = this.candleData.get(dataKey);
+    const instanceIds = this.stream
+      .getSubscribers(this._getStreamName(symbol, interval))
+      .filter((id) => !id.startsWith(CLIENT_SUBSCRIBER_PREFIX));
 
-    // Dodaj połączenie do mapy
-    this.wsConnections.set(wsKey, ws);
+    for (const instanceId of instanceIds) {
+      // Emituj zdarzenie z danymi dla KAŻDEJ aktualizacji, nie tylko zamkniętych świec
+      this.emit("kline", {
+        candle,
+        instanceId,
+      });
+
+      // Emituj specjalne zdarzenie, jeśli świeca została zamknięta
+      if (candle.isFinal) {
+        this.emit("klineClosed", {
+          candle,
+          instanceId,
+          allCandles,
+        });
+      }
+    }
   }
 
   /**
-   * Zamyka połączenie WebSocket
+   * Sprawdza ciągłość bufora przed dodaniem świecy o podanym openTime
+   * i uzupełnia brakujące świece z REST API (także ponawia nieudane uzupełnienie)
    * @param {string} symbol - Para handlowa
    * @param {string} interval - Interwał czasowy
-   * @param {string} instanceId - Identyfikator instancji strategii
+   * @param {number} openTime - Czas otwarcia dodawanej świecy
+   * @private
    */
-  unsubscribeFromKlines(symbol, interval, instanceId) {
-    const wsKey = `${symbol.toLowerCase()}-${interval}-${instanceId}`;
+  async _ensureContinuity(symbol, interval, openTime) {
+    const key = this._getCacheKey(symbol, interval);
+    const candles = this.candleData.get(key);
+    const pending = this.dataGaps.get(key);
+    const intervalMs = this._getIntervalMs(interval);
+    const lastCandle = candles?.[candles.length - 1];
+
+    if (lastCandle && openTime > lastCandle.openTime + intervalMs) {
+      await this._backfillGap(symbol, interval, {
+        from: Math.min(
+          pending?.from ?? Infinity,
+          lastCandle.openTime + intervalMs
+        ),
+        to: openTime - intervalMs,
+        detectedAt: pending?.detectedAt || Date.now(),
+      });
+    } else if (
+      pending &&
+      Date.now() - pending.lastAttempt >= GAP_RETRY_INTERVAL
+    ) {
+      await this._backfillGap(symbol, interval, pending);
+    }
+  }
+
+  /**
+   * Pobiera brakujące świece zakresu z REST API i scala je z buforem.
+   * Kanał pozostaje niekompletny, dopóki w buforze brakuje świec zakresu.
+   * @param {string} symbol - Para handlowa
+   * @param {string} interval - Interwał czasowy
+   * @param {Object} gap - { from, to, detectedAt } - openTime pierwszej i ostatniej brakującej świecy
+   * @private
+   */
+  async _backfillGap(symbol, interval, gap) {
+    const key = this._getCacheKey(symbol, interval);
+    const intervalMs = this._getIntervalMs(interval);
+    // Starsze świece i tak nie zmieszczą się w buforze
+    const from = Math.max(
+      gap.from,
+      gap.to - (this._getCacheDepth(symbol, interval) - 1) * intervalMs
+    );
+
+    this.dataGaps.set(key, {
+      from,
+      to: gap.to,
+      detectedAt: gap.detectedAt,
+      lastAttempt: Date.now(),
+    });
+
+    logger.warn(
+      `[GAP] ${symbol}/${interval}: brak świec ${new Date(from).toISOString()} - ${new Date(gap.to).toISOString()}, uzupełnianie z REST API`
+    );
+
+    try {
+      const candles = await this.getHistoricalCandles(
+        symbol,
+        interval,
+        Math.floor((gap.to - from) / intervalMs) + 1,
+        from,
+        gap.to
+      );
+      this._mergeCandles(symbol, interval, candles);
+    } catch (error) {
+      logger.error(
+        `[GAP] ${symbol}/${interval}: nie udało się uzupełnić luki: ${error.message}`
+      );
+      return;
+    }
 
-    // Sprawdź, czy połączenie istnieje
-    if (!this.wsConnections.has(wsKey)) {
-      logger.warn(`Brak aktywnego połączenia WebSocket dla ${wsKey}`);
+    const missing = this._countMissingCandles(symbol, interval, from, gap.to);
+    if (missing > 0) {
+      logger.warn(
+        `[GAP] ${symbol}/${interval}: po uzupełnieniu nadal brakuje ${missing} świec`
+      );
       return;
     }
 
-    // Pobierz połączenie WebSocket
-    const ws = this.wsConnections.get(wsKey);
+    this.dataGaps.delete(key);
+    logger.info(
+      `[GAP] ${symbol}/${interval}: uzupełniono lukę (${Math.round((gap.to - from) / intervalMs) + 1} świec)`
+    );
+  }
+
+  /**
+   * Liczy brakujące świece bufora w zakresie openTime (świece starsze niż
+   * początek bufora są pomijane - wypadły z niego z powodu limitu)
+   * @param {string} symbol - Para handlowa
+   * @param {string} interval - Interwał czasowy
+   * @param {number} from - openTime pierwszej świecy zakresu
+   * @param {number} to - openTime ostatniej świecy zakresu
+   * @returns {number} - Liczba brakujących świec
+   * @private
+   */
+  _countMissingCandles(symbol, interval, from, to) {
+    const candles = this.candleData.get(this._getCacheKey(symbol, interval));
+    if (!candles || candles.length === 0) {
+      return 0;
+    }
+
+    const intervalMs = this._getIntervalMs(interval);
+    const openTimes = new Set(candles.map((candle) => candle.openTime));
+    let missing = 0;
+
+    for (
+      let openTime = Math.max(from, candles[0].openTime);
+      openTime <= to;
+      openTime += intervalMs
+    ) {
+      if (!openTimes.has(openTime)) {
+        missing++;
+      }
+    }
+
+    return missing;
+  }
+
+  /**
+   * Po (ponownym) otwarciu połączenia sprawdza ciągłość wszystkich
+   * subskrybowanych kanałów do ostatniej zamkniętej świecy
+   * @private
+   */
+  _checkAllStreamsContinuity() {
+    for (const key of this.candleData.keys()) {
+      const [symbol, interval] = key.split("-");
+      const intervalMs = this._getIntervalMs(interval);
+
+      // Świece tygodniowe i miesięczne nie są wyrównane do epoki
+      if (
+        intervalMs > this._getIntervalMs("1d") ||
+        this.stream.getSubscribers(this._getStreamName(symbol, interval))
+          .length === 0
+      ) {
+        continue;
+      }
+
+      // Czas otwarcia bieżącej (jeszcze niezamkniętej) świecy
+      const currentOpenTime = Math.floor(Date.now() / intervalMs) * intervalMs;
+
+      mutex
+        .withLock(`binance-candles-${key}`, () =>
+          this._ensureContinuity(symbol, interval, currentOpenTime)
+        )
+        .catch((error) => {
+          logger.error(
+            `[GAP] Błąd sprawdzania ciągłości ${key}: ${error.message}`
+          );
+        });
+    }
+  }
+
+  /**
+   * Sprawdza, czy bufor kanału nie ma nieuzupełnionych luk
+   * (sygnały instancji są wstrzymywane przy niekompletnych danych)
+   * @param {string} symbol - Para handlowa
+   * @param {string} interval - Interwał czasowy
+   * @returns {boolean} - Czy dane są kompletne
+   */
+  isDataComplete(symbol, interval) {
+    return !this.dataGaps.has(this._getCacheKey(symbol, interval));
+  }
 
-    // Wyczyść interwał pingowania
-    const pingInterval = this.pingIntervals.get(wsKey);
-    if (pingInterval) {
-      clearInterval(pingInterval);
-      this.pingIntervals.delete(wsKey);
+  /**
+   * Scala świece z REST API ze wspólnym buforem (bez duplikatów, rosnąco po openTime)
+   * @param {string} symbol - Para handlowa
+   * @param {string} interval - Interwał czasowy
+   * @param {Array} candles - Świece
+   * @private
+   */
+  _mergeCandles(symbol, interval, candles) {
+    const key = this._getCacheKey(symbol, interval);
+    const merged = new Map(
+      (this.candleData.get(key) || []).map((candle) => [
+        candle.openTime,
+        candle,
+      ])
+    );
+
+    for (const candle of candles) {
+      merged.set(candle.openTime, candle);
     }
 
-    // Zamknij połączenie
-    ws.close();
+    const sorted = [...merged.values()].sort((a, b) => a.openTime - b.openTime);
+    this.candleData.set(
+      key,
+      sorted.slice(-this._getCacheDepth(symbol, interval))
+    );
+    this.lastUpdateTime.set(key, Date.now());
+  }
 
-    // Usuń połączenie z mapy
-    this.wsConnections.delete(wsKey);
+  /**
+   * Liczba świec przechowywanych w buforze symbol/interwał
+   * (największa głębokość instancji, nie mniej niż domyślny limit interwału)
+   * @param {string} symbol - Para handlowa
+   * @param {string} interval - Interwał czasowy
+   * @returns {number} - Liczba świec
+   * @private
+   */
+  _getCacheDepth(symbol, interval) {
+    const { historicalData } = binanceConfig;
+    const depths = this.cacheDepth.get(this._getCacheKey(symbol, interval));
+    return Math.max(
+      ...(depths ? depths.values() : []),
+      historicalData[interval]?.limit || historicalData.defaultLimit
+    );
+  }
 
-    logger.info(`Zamknięto połączenie WebSocket dla ${wsKey}`);
+  /**
+   * @private
+   */
+  _getCacheKey(symbol, interval) {
+    return `${symbol.toUpperCase()}-${interval}`;
+  }
+
+  /**
+   * @private
+   */
+  _getStreamName(symbol, interval) {
+    return `${symbol.toLowerCase()}@kline_${interval}`;
   }
 
   /**
@@ -275,8 +507,10 @@ class BinanceService extends EventEmitter {
    * @param {string} symbol - Para handlowa
    * @param {Array<string>} intervals - Tablica interwałów czasowych
    * @param {string} instanceId - Identyfikator instancji strategii
+   * @param {Object} [depths={}] - Głębokość historii wg interwału (strategy.getHistoryDepth),
+   *   domyślnie limit interwału z binance.config
    */
-  async initializeInstanceData(symbol, intervals, instanceId) {
+  async initializeInstanceData(symbol, intervals, instanceId, depths = {}) {
     try {
       // 🆕 DODANE: Wymuś aktualne dane przy inicjalizacji
       const endTime = Date.now();
@@ -287,7 +521,12 @@ class BinanceService extends EventEmitter {
 
       // Pobierz dane historyczne dla każdego interwału z wymuszonym endTime
       const dataPromises = intervals.map((interval) => {
-        const limit = interval === "1h" ? 100 : 25;
+        const key = this._getCacheKey(symbol, interval);
+        if (!this.cacheDepth.has(key)) {
+          this.cacheDepth.set(key, new Map());
+        }
+        this.cacheDepth.get(key).set(instanceId, depths[interval] || 0);
+        const limit = this._getCacheDepth(symbol, interval);
         // 🆕 KLUCZOWA ZMIANA: Dodaj endTime=Date.now() tylko dla inicjalizacji
         return this.getHistoricalCandles(
           symbol,
@@ -302,7 +541,7 @@ class BinanceService extends EventEmitter {
 
       // 🆕 DODANE: Weryfikacja świeżości pobranych danych
       intervals.forEach((interval) => {
-        const key = `${symbol}-${interval}`;
+        const key = this._getCacheKey(symbol, interval);
         const candles = this.candleData.get(key);
 
         if (candles && candles.length > 0) {
@@ -336,6 +575,11 @@ class BinanceService extends EventEmitter {
       logger.error(
         `Błąd podczas inicjalizacji danych dla instancji ${instanceId}: ${error.message}`
       );
+      intervals.forEach((interval) => {
+        this.cacheDepth
+          .get(this._getCacheKey(symbol, interval))
+          ?.delete(instanceId);
+      });
       throw error;
     }
   }
@@ -364,12 +608,13 @@ class BinanceService extends EventEmitter {
 
   /**
    * ZMODYFIKOWANA METODA: Sprawdź wiek i zwróć dane tylko jeśli są świeże
+   * (nieaktualny bufor jest uzupełniany z REST API w tle)
    * @param {string} symbol - Para handlowa
    * @param {string} interval - Interwał czasowy
    * @returns {Array|null} - Tablica danych świecowych lub null, jeśli brak danych
    */
   getCachedCandles(symbol, interval) {
-    const key = `${symbol}-${interval}`;
+    const key = this._getCacheKey(symbol, interval);
     const candles = this.candleData.get(key);
 
     if (!candles || candles.length === 0) {
@@ -378,27 +623,86 @@ class BinanceService extends EventEmitter {
 
     // Sprawdź wiek ostatniej świecy
     const lastCandle = candles[candles.length - 1];
-    const maxAge = interval === "1m" ? 120000 : 900000; // 2 min dla 1m, 15 min dla innych
+    // 2 min dla 1m, dla innych dwa interwały (zamknięte świece przychodzą co interwał)
+    const maxAge =
+      interval === "1m" ? 120000 : 2 * this._getIntervalMs(interval);
     const age = Date.now() - lastCandle.closeTime;
 
     if (age > maxAge) {
       logger.warn(
-        `[CACHE] Stale data for ${symbol} ${interval}, age: ${age / 1000}s, clearing...`
+        `[CACHE] Stale data for ${symbol} ${interval}, age: ${age / 1000}s, backfilling...`
       );
-      this.candleData.delete(key);
-      this.lastUpdateTime.delete(key);
+      this._backfillStaleCache(symbol, interval, lastCandle);
       return null;
     }
 
     return candles;
   }
 
+  /**
+   * Oznacza nieaktualny bufor jako lukę do ostatniej zamkniętej świecy
+   * i uzupełnia ją z REST API. Bufor zostaje zachowany - flaga luki
+   * (isDataComplete) znika dopiero, gdy uzupełnienie wypełni cały zakres.
+   * @param {string} symbol - Para handlowa
+   * @param {string} interval - Interwał czasowy
+   * @param {Object} lastCandle - Ostatnia świeca w buforze
+   * @private
+   */
+  _backfillStaleCache(symbol, interval, lastCandle) {
+    const key = this._getCacheKey(symbol, interval);
+    const intervalMs = this._getIntervalMs(interval);
+    const pending = this.dataGaps.get(key);
+
+    // Świece tygodniowe i miesięczne nie są wyrównane do epoki
+    if (
+      intervalMs > this._getIntervalMs("1d") ||
+      (pending && Date.now() - pending.lastAttempt < GAP_RETRY_INTERVAL)
+    ) {
+      return;
+    }
+
+    // Czas otwarcia bieżącej (jeszcze niezamkniętej) świecy
+    const currentOpenTime = Math.floor(Date.now() / intervalMs) * intervalMs;
+
+    if (!pending) {
+      this.dataGaps.set(key, {
+        from: lastCandle.openTime + intervalMs,
+        to: currentOpenTime - intervalMs,
+        detectedAt: Date.now(),
+        lastAttempt: 0,
+      });
+    }
+
+    mutex
+      .withLock(`binance-candles-${key}`, () =>
+        this._ensureContinuity(symbol, interval, currentOpenTime)
+      )
+      .catch((error) => {
+        logger.error(
+          `[GAP] Błąd uzupełniania nieaktualnego bufora ${key}: ${error.message}`
+        );
+      });
+  }
+
+  /**
+   * Liczba świec w buforze symbol/interwał (bez sprawdzania świeżości)
+   * @param {string} symbol - Para handlowa
+   * @param {string} interval - Interwał czasowy
+   * @returns {number} - Liczba świec
+   */
+  getCachedCandleCount(symbol, interval) {
+    return (
+      this.candleData.get(this._getCacheKey(symbol, interval))?.length || 0
+    );
+  }
+
   /**
    * NOWA METODA: Wyczyść cały cache
    */
   clearAllCache() {
     this.candleData.clear();
     this.lastUpdateTime.clear();
+    this.dataGaps.clear();
     logger.info("[CACHE] All market data cache cleared");
   }
 
@@ -407,45 +711,51 @@ class BinanceService extends EventEmitter {
    * @param {string} symbol - Para handlowa
    * @param {string} interval - Interwał czasowy
    * @param {string} instanceId - Identyfikator instancji strategii
-   * @returns {boolean} - True jeśli połączenie jest aktywne
+   * @returns {boolean} - True jeśli połączenie jest aktywne i instancja subskrybuje kanał
    */
   isWebSocketConnected(symbol, interval, instanceId) {
-    const wsKey = `${symbol.toLowerCase()}-${interval}-${instanceId}`;
-    const ws = this.wsConnections.get(wsKey);
-    return ws && ws.readyState === WebSocket.OPEN;
+    return (
+      this.stream.isConnected() &&
+      this.stream.hasSubscriber(
+        this._getStreamName(symbol, interval),
+        instanceId
+      )
+    );
   }
 
   /**
-   * NOWA METODA: Wymuś reconnect
+   * NOWA METODA: Wymuś reconnect wspólnego połączenia (z ponowną subskrypcją kanałów)
    * @param {string} symbol - Para handlowa
    * @param {string} interval - Interwał czasowy
    * @param {string} instanceId - Identyfikator instancji strategii
    */
   async forceReconnect(symbol, interval, instanceId) {
-    const wsKey = `${symbol.toLowerCase()}-${interval}-${instanceId}`;
-
-    // Zamknij istniejące połączenie
-    if (this.wsConnections.has(wsKey)) {
-      const ws = this.wsConnections.get(wsKey);
-      ws.close();
-      this.wsConnections.delete(wsKey);
-
-      // Wyczyść ping interval
-      const pingInterval = this.pingIntervals.get(wsKey);
-      if (pingInterval) {
-        clearInterval(pingInterval);
-        this.pingIntervals.delete(wsKey);
-      }
-    }
-
-    // Otwórz nowe połączenie
-    logger.info(`[WS] Force reconnecting ${wsKey}...`);
+    logger.info(
+      `[WS] Force reconnecting ${this._getStreamName(symbol, interval)} (${instanceId})...`
+    );
     this.subscribeToKlines(symbol, interval, instanceId);
+    this.stream.reconnect();
 
     // Poczekaj na połączenie
     await new Promise((resolve) => setTimeout(resolve, 2000));
   }
 
+  /**
+   * Stan wspólnego połączenia Binance i subskrybowanych strumieni
+   * @returns {Object} - { connected, reconnectAttempts, streams }
+   */
+  getStreamStatus() {
+    return {
+      ...this.stream.getStatus(),
+      dataGaps: [...this.dataGaps.entries()].map(([key, gap]) => ({
+        key,
+        from: new Date(gap.from),
+        to: new Date(gap.to),
+        detectedAt: new Date(gap.detectedAt),
+      })),
+    };
+  }
+
   /**
    * Pobiera aktualną cenę przez REST API
    * @param {string} symbol - Para handlowa
@@ -497,20 +807,7 @@ class BinanceService extends EventEmitter {
    * Zamyka wszystkie połączenia WebSocket
    */
   closeAllConnections() {
-    // Zamknij wszystkie połączenia WebSocket
-    for (const [key, ws] of this.wsConnections.entries()) {
-      ws.close();
-      logger.info(`Zamknięto połączenie WebSocket dla ${key}`);
-    }
-
-    // Wyczyść wszystkie interwały pingowania
-    for (const interval of this.pingIntervals.values()) {
-      clearInterval(interval);
-    }
-
-    // Wyczyść mapy
-    this.wsConnections.clear();
-    this.pingIntervals.clear();
+    this.stream.close();
 
     logger.info("Zamknięto wszystkie połączenia WebSocket");
   }
@@ -533,7 +830,7 @@ class BinanceService extends EventEmitter {
 
     logger.info(`Nowa subskrypcja klienta: ${subscriptionKey}`);
 
-    // Utwórz handler dla danych świecowych
+    // Utwórz handler dla danych świecowych (zdarzenie "candle" - raz na wiadomość strumienia)
     const klineHandler = (data) => {
       // Przekaż dane świecowe do klienta
       if (
@@ -548,7 +845,7 @@ class BinanceService extends EventEmitter {
     };
 
     // Dodaj nasłuchiwanie zdarzeń
-    this.on("kline", klineHandler);
+    this.on("candle", klineHandler);
 
     // Zapisz subskrypcję
     this.clientSubscriptions.set(subscriptionKey, {
@@ -558,10 +855,11 @@ class BinanceService extends EventEmitter {
     });
 
     // Upewnij się, że jesteśmy podłączeni do odpowiedniego kanału Binance
-    const wsKey = `${symbol.toLowerCase()}-${interval}-client-${clientId}`;
-    if (!this.wsConnections.has(wsKey)) {
-      this.subscribeToKlines(symbol, interval, `client-${clientId}`);
-    }
+    this.subscribeToKlines(
+      symbol,
+      interval,
+      `${CLIENT_SUBSCRIBER_PREFIX}${clientId}`
+    );
 
     // Wyślij początkowe dane historyczne
     const historicalData = this.getCachedCandles(symbol, interval);
@@ -611,28 +909,19 @@ class BinanceService extends EventEmitter {
     const subscription = this.clientSubscriptions.get(subscriptionKey);
 
     // Usuń nasłuchiwanie zdarzeń
-    this.removeListener("kline", subscription.handler);
+    this.removeListener("candle", subscription.handler);
 
     // Usuń subskrypcję
     this.clientSubscriptions.delete(subscriptionKey);
 
     logger.info(`Anulowano subskrypcję klienta: ${subscriptionKey}`);
 
-    // Sprawdź, czy kanał jest jeszcze używany
-    const prefix = `${symbol.toLowerCase()}-${interval}`;
-    let hasActiveSubscriptions = false;
-
-    for (const key of this.clientSubscriptions.keys()) {
-      if (key.includes(`-${symbol}-${interval}`)) {
-        hasActiveSubscriptions = true;
-        break;
-      }
-    }
-
-    // Jeśli nikt już nie korzysta z tego kanału, zamknij połączenie
-    if (!hasActiveSubscriptions) {
-      this.unsubscribeFromKlines(symbol, interval, `client-${clientId}`);
-    }
+    // Kanał Binance jest odsubskrybowany po odejściu ostatniego subskrybenta
+    this.unsubscribeFromKlines(
+      symbol,
+      interval,
+      `${CLIENT_SUBSCRIBER_PREFIX}${clientId}`
+    );
   }
 
   /**
@@ -0,0 +1,571 @@
+/**
+ * Candle Store Service - trwałe przechowywanie świec w MongoDB (MarketData)
+ *
+ * Odpowiedzialny za:
+ * - Zapis zamkniętych świec ze strumienia Binance (zdarzenie "candle")
+ * - Zapytania o historię: najpierw baza, brakujące zakresy z REST
+ *   (stronicowane), pobrane świece są zapisywane
+ * - Retencję świec wg interwału (binance.config candleStore.retentionDays)
+ * - Import i eksport świec (CSV / JSON) - eksport JSON ma format pliku
+ *   backtestu ({ "1m": [...], "15m": [...] })
+ *
+ * Bez połączenia z bazą zapytania o historię są obsługiwane tylko z REST.
+ */
+
+const cron = require("node-cron");
+const MarketData = require("../models/market-data.model");
+const binanceService = require("./binance.service");
+const dbService = require("./db.service");
+const logger = require("../utils/logger");
+const { config: binanceConfig } = require("../config/binance.config");
+
+// Interwały o stałej długości - tylko dla nich można wyznaczyć luki
+const INTERVAL_MS = {
+  "1m": 60 * 1000,
+  "3m": 3 * 60 * 1000,
+  "5m": 5 * 60 * 1000,
+  "15m": 15 * 60 * 1000,
+  "30m": 30 * 60 * 1000,
+  "1h": 60 * 60 * 1000,
+  "2h": 2 * 60 * 60 * 1000,
+  "4h": 4 * 60 * 60 * 1000,
+  "6h": 6 * 60 * 60 * 1000,
+  "8h": 8 * 60 * 60 * 1000,
+  "12h": 12 * 60 * 60 * 1000,
+  "1d": 24 * 60 * 60 * 1000,
+};
+
+const CSV_COLUMNS = [
+  "interval",
+  "openTime",
+  "closeTime",
+  "open",
+  "high",
+  "low",
+  "close",
+  "volume",
+  "numberOfTrades",
+];
+
+// Rozmiar paczki zapisu (bulkWrite) przy imporcie i uzupełnianiu luk
+const WRITE_BATCH_SIZE = 1000;
+
+class CandleStoreService {
+  constructor() {
+    this.task = null;
+    this.listening = false;
+    this.onCandle = ({ candle }) => {
+      if (!candle.isFinal || !INTERVAL_MS[candle.interval]) {
+        return;
+      }
+
+      this.saveCandles(candle.symbol, candle.interval, [candle]).catch(
+        (error) => {
+          logger.error(
+            `[CANDLE STORE] Błąd zapisu świecy ${candle.symbol}/${candle.interval}: ${error.message}`
+          );
+        }
+      );
+    };
+  }
+
+  /**
+   * Uruchamia zapis świec ze strumienia i cykliczną retencję
+   * @param {string} [schedule] - Wyrażenie cron retencji
+   */
+  start(schedule = binanceConfig.candleStore.retentionSchedule) {
+    if (!this.listening) {
+      binanceService.on("candle", this.onCandle);
+      this.listening = true;
+    }
+
+    if (this.task) {
+      return;
+    }
+
+    if (!cron.validate(schedule)) {
+      logger.error(`[CANDLE STORE] Nieprawidłowe wyrażenie cron: ${schedule}`);
+      return;
+    }
+
+    this._dropLegacyTtlIndex();
+
+    this.task = cron.schedule(schedule, () => {
+      this.applyRetention().catch((error) => {
+        logger.error(`[CANDLE STORE] Błąd retencji: ${error.message}`);
+      });
+    });
+
+    logger.info(
+      `[CANDLE STORE] Uruchomiono zapis i retencję świec (${schedule})`
+    );
+  }
+
+  /**
+   * Zatrzymuje zapis świec i retencję
+   */
+  stop() {
+    if (this.listening) {
+      binanceService.off("candle", this.onCandle);
+      this.listening = false;
+    }
+
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  /**
+   * @param {string} interval - Interwał
+   * @returns {boolean} - Czy interwał może być przechowywany
+   */
+  isSupportedInterval(interval) {
+    return !!INTERVAL_MS[interval];
+  }
+
+  /**
+   * @param {string} interval - Interwał
+   * @returns {number|undefined} - Długość interwału w ms
+   */
+  getIntervalMs(interval) {
+    return INTERVAL_MS[interval];
+  }
+
+  /**
+   * Zapisuje (upsert) zamknięte świece - świece jeszcze trwające są pomijane
+   * @param {string} symbol - Symbol pary
+   * @param {string} interval - Interwał
+   * @param {Array} candles - Świece (obiekty lub tablice z API Binance)
+   * @returns {Promise<number>} - Liczba zapisanych świec
+   */
+  async saveCandles(symbol, interval, candles) {
+    if (!dbService.isConnectedToDatabase()) {
+      return 0;
+    }
+
+    const now = Date.now();
+    const documents = candles
+      .map((candle) => this._normalizeCandle(candle, interval))
+      .filter((candle) => candle && candle.closeTime < now);
+
+    for (let i = 0; i < documents.length; i += WRITE_BATCH_SIZE) {
+      await MarketData.bulkWrite(
+        documents.slice(i, i + WRITE_BATCH_SIZE).map((candle) => ({
+          updateOne: {
+            filter: {
+              symbol: symbol.toUpperCase(),
+              type: "candle",
+              interval,
+              openTime: candle.openTime,
+            },
+            update: {
+              $set: {
+                ...candle,
+                symbol: symbol.toUpperCase(),
+                type: "candle",
+                interval,
+                timestamp: candle.openTime,
+                isFinal: true,
+              },
+            },
+            upsert: true,
+          },
+        })),
+        { ordered: false }
+      );
+    }
+
+    return documents.length;
+  }
+
+  /**
+   * Zwraca zamknięte świece z zakresu: z bazy, a brakujące z REST (zapisywane)
+   * @param {string} symbol - Symbol pary
+   * @param {string} interval - Interwał
+   * @param {number} startTime - Początek zakresu (ms)
+   * @param {number} [endTime] - Koniec zakresu (ms, domyślnie teraz)
+   * @returns {Promise<Array>} - Świece posortowane rosnąco
+   */
+  async getCandles(symbol, interval, startTime, endTime = Date.now()) {
+    const intervalMs = INTERVAL_MS[interval];
+    if (!intervalMs) {
+      throw new Error(`Interwał ${interval} nie jest obsługiwany`);
+    }
+
+    const stored = dbService.isConnectedToDatabase()
+      ? await this.loadCandles(symbol, interval, startTime, endTime)
+      : [];
+
+    const gaps = this._findGaps(stored, intervalMs, startTime, endTime);
+    if (gaps.length === 0) {
+      return stored;
+    }
+
+    const candlesByOpenTime = new Map(
+      stored.map((candle) => [candle.openTime, candle])
+    );
+
+    for (const gap of gaps) {
+      const fetched = await this._fetchRange(symbol, interval, gap);
+      await this.saveCandles(symbol, interval, fetched);
+
+      for (const candle of fetched) {
+        candlesByOpenTime.set(candle.openTime, candle);
+      }
+    }
+
+    logger.debug(
+      `[CANDLE STORE] ${symbol}/${interval}: ${stored.length} świec z bazy, uzupełniono ${gaps.length} luk z REST`
+    );
+
+    return [...candlesByOpenTime.values()].sort(
+      (a, b) => a.openTime - b.openTime
+    );
+  }
+
+  /**
+   * Wczytuje zapisane świece z zakresu (bez uzupełniania z REST)
+   * @param {string} symbol - Symbol pary
+   * @param {string} interval - Interwał
+   * @param {number} [startTime] - Początek zakresu (ms)
+   * @param {number} [endTime] - Koniec zakresu (ms)
+   * @returns {Promise<Array>} - Świece posortowane rosnąco
+   */
+  async loadCandles(symbol, interval, startTime, endTime) {
+    const query = {
+      symbol: symbol.toUpperCase(),
+      type: "candle",
+      interval,
+    };
+
+    if (startTime || endTime) {
+      query.openTime = {};
+      if (startTime) query.openTime.$gte = startTime;
+      if (endTime) query.openTime.$lte = endTime;
+    }
+
+    const documents = await MarketData.find(query).sort({ openTime: 1 }).lean();
+
+    return documents.map((document) => this._toCandle(document));
+  }
+
+  /**
+   * Usuwa świece starsze niż retencja ich interwału
+   * @returns {Promise<Object>} - Liczba usuniętych świec wg interwału
+   */
+  async applyRetention() {
+    const deleted = {};
+
+    for (const [interval, days] of Object.entries(
+      binanceConfig.candleStore.retentionDays
+    )) {
+      const result = await MarketData.deleteMany({
+        type: "candle",
+        interval,
+        openTime: { $lt: Date.now() - days * 24 * 60 * 60 * 1000 },
+      });
+
+      if (result.deletedCount > 0) {
+        deleted[interval] = result.deletedCount;
+      }
+    }
+
+    logger.info(`[CANDLE STORE] Retencja: usunięto ${JSON.stringify(deleted)}`);
+    return deleted;
+  }
+
+  /**
+   * Importuje świece z treści CSV lub JSON
+   * @param {string} symbol - Symbol pary
+   * @param {string|Object|Array} content - Treść pliku (CSV z nagłówkiem lub JSON)
+   * @param {Object} [options] - { format: "csv"|"json", interval } - interwał
+   *   dla plików bez kolumny interval / tablicy świec bez podziału na interwały
+   * @returns {Promise<Object>} - { imported: { interval: liczba }, skipped }
+   */
+  async importCandles(symbol, content, { format = "json", interval } = {}) {
+    const candleSet =
+      format === "csv"
+        ? this._parseCsv(content, interval)
+        : this._parseJson(content, interval);
+
+    const imported = {};
+    let skipped = 0;
+
+    for (const [candleInterval, candles] of Object.entries(candleSet)) {
+      if (!INTERVAL_MS[candleInterval]) {
+        throw new Error(`Interwał ${candleInterval} nie jest obsługiwany`);
+      }
+
+      const saved = await this.saveCandles(symbol, candleInterval, candles);
+      imported[candleInterval] = saved;
+      skipped += candles.length - saved;
+    }
+
+    logger.info(
+      `[CANDLE STORE] Zaimportowano świece ${symbol}: ${JSON.stringify(imported)} (pominięto ${skipped})`
+    );
+
+    return { imported, skipped };
+  }
+
+  /**
+   * Eksportuje zapisane świece
+   * @param {string} symbol - Symbol pary
+   * @param {Array<string>} intervals - Interwały
+   * @param {Object} [options] - { format: "csv"|"json", startTime, endTime }
+   * @returns {Promise<string>} - CSV (kolumna interval) lub JSON w formacie pliku backtestu
+   */
+  async exportCandles(
+    symbol,
+    intervals,
+    { format = "json", startTime, endTime } = {}
+  ) {
+    const candleSet = {};
+    for (const interval of intervals) {
+      candleSet[interval] = await this.loadCandles(
+        symbol,
+        interval,
+        startTime,
+        endTime
+      );
+    }
+
+    if (format !== "csv") {
+      return JSON.stringify(candleSet);
+    }
+
+    const rows = [CSV_COLUMNS.join(",")];
+    for (const [interval, candles] of Object.entries(candleSet)) {
+      for (const candle of candles) {
+        rows.push(
+          CSV_COLUMNS.map((column) =>
+            column === "interval" ? interval : (candle[column] ?? "")
+          ).join(",")
+        );
+      }
+    }
+
+    return rows.join("\n");
+  }
+
+  /**
+   * Wyznacza brakujące zakresy zamkniętych świec
+   * @param {Array} candles - Posortowane świece z bazy
+   * @param {number} intervalMs - Długość interwału
+   * @param {number} startTime - Początek zakresu
+   * @param {number} endTime - Koniec zakresu
+   * @returns {Array<Object>} - Luki { from, to } (czasy otwarcia pierwszej i ostatniej brakującej świecy)
+   * @private
+   */
+  _findGaps(candles, intervalMs, startTime, endTime) {
+    const first = Math.ceil(startTime / intervalMs) * intervalMs;
+    // Ostatnia świeca zamknięta przed końcem zakresu i przed chwilą obecną
+    const last =
+      Math.floor((Math.min(endTime, Date.now()) + 1) / intervalMs) *
+        intervalMs -
+      intervalMs;
+
+    const stored = new Set(candles.map((candle) => candle.openTime));
+    const gaps = [];
+    let gap = null;
+
+    for (let openTime = first; openTime <= last; openTime += intervalMs) {
+      if (stored.has(openTime)) {
+        gap = null;
+      } else if (gap) {
+        gap.to = openTime;
+      } else {
+        gap = { from: openTime, to: openTime };
+        gaps.push(gap);
+      }
+    }
+
+    return gaps;
+  }
+
+  /**
+   * Pobiera świece zakresu z REST stronami po pageLimit świec
+   * @param {string} symbol - Symbol pary
+   * @param {string} interval - Interwał
+   * @param {Object} range - { from, to } czasy otwarcia
+   * @returns {Promise<Array>} - Zamknięte świece zakresu
+   * @private
+   */
+  async _fetchRange(symbol, interval, { from, to }) {
+    const { pageLimit } = binanceConfig.candleStore;
+    const candles = [];
+    let cursor = from;
+
+    while (cursor <= to) {
+      const page = await binanceService.getHistoricalCandles(
+        symbol,
+        interval,
+        pageLimit,
+        cursor,
+        to + INTERVAL_MS[interval] - 1
+      );
+
+      if (page.length === 0) {
+        break;
+      }
+
+      candles.push(...page);
+      cursor = page[page.length - 1].openTime + INTERVAL_MS[interval];
+    }
+
+    return candles.filter((candle) => candle.closeTime < Date.now());
+  }
+
+  /**
+   * Parsuje CSV z nagłówkiem (kolumny jak CSV_COLUMNS, interval opcjonalny)
+   * @param {string} content - Treść CSV
+   * @param {string} [interval] - Interwał dla wierszy bez kolumny interval
+   * @returns {Object} - Świece wg interwału
+   * @private
+   */
+  _parseCsv(content, interval) {
+    const [header, ...lines] = String(content)
+      .split(/\r?\n/)
+      .filter((line) => line.trim());
+    const columns = (header || "").split(",").map((column) => column.trim());
+
+    if (!columns.includes("openTime") || !columns.includes("close")) {
+      throw new Error("Nagłówek CSV musi zawierać kolumny openTime i close");
+    }
+
+    const candleSet = {};
+    for (const line of lines) {
+      const values = line.split(",");
+      const row = Object.fromEntries(
+        columns.map((column, i) => [column, values[i]?.trim()])
+      );
+      const rowInterval = row.interval || interval;
+
+      if (!rowInterval) {
+        throw new Error("Brak interwału świec (kolumna interval lub parametr)");
+      }
+
+      (candleSet[rowInterval] = candleSet[rowInterval] || []).push(row);
+    }
+
+    return candleSet;
+  }
+
+  /**
+   * Parsuje JSON: { interval: [...] } (format pliku backtestu) lub tablica świec
+   * @param {string|Object|Array} content - Treść JSON
+   * @param {string} [interval] - Interwał dla tablicy świec
+   * @returns {Object} - Świece wg interwału
+   * @private
+   */
+  _parseJson(content, interval) {
+    const parsed = typeof content === "string" ? JSON.parse(content) : content;
+
+    if (Array.isArray(parsed)) {
+      if (!interval) {
+        throw new Error("Brak interwału dla tablicy świec");
+      }
+      return { [interval]: parsed };
+    }
+
+    return parsed?.candles || parsed || {};
+  }
+
+  /**
+   * Normalizuje świecę do zapisu (obiekt lub tablica z API Binance)
+   * @param {Object|Array} rawCandle - Świeca
+   * @param {string} interval - Interwał
+   * @returns {Object|null} - Świeca lub null, gdy nieprawidłowa
+   * @private
+   */
+  _normalizeCandle(rawCandle, interval) {
+    const source = Array.isArray(rawCandle)
+      ? {
+          openTime: rawCandle[0],
+          open: rawCandle[1],
+          high: rawCandle[2],
+          low: rawCandle[3],
+          close: rawCandle[4],
+          volume: rawCandle[5],
+          closeTime: rawCandle[6],
+          numberOfTrades: rawCandle[8],
+        }
+      : rawCandle;
+
+    const candle = {
+      openTime: Number(source.openTime),
+      closeTime:
+        Number(source.closeTime) ||
+        Number(source.openTime) + INTERVAL_MS[interval] - 1,
+      open: parseFloat(source.open),
+      high: parseFloat(source.high),
+      low: parseFloat(source.low),
+      close: parseFloat(source.close),
+      volume: parseFloat(source.volume || 0),
+    };
+
+    if (
+      Object.values(candle).some((value) => !Number.isFinite(value)) ||
+      candle.openTime % INTERVAL_MS[interval] !== 0
+    ) {
+      return null;
+    }
+
+    const numberOfTrades = parseInt(source.numberOfTrades);
+    if (Number.isFinite(numberOfTrades)) {
+      candle.numberOfTrades = numberOfTrades;
+    }
+
+    return candle;
+  }
+
+  /**
+   * @param {Object} document - Dokument MarketData
+   * @returns {Object} - Świeca w formacie binance.service
+   * @private
+   */
+  _toCandle(document) {
+    return {
+      symbol: document.symbol,
+      interval: document.interval,
+      openTime: document.openTime,
+      closeTime: document.closeTime,
+      open: document.open,
+      high: document.high,
+      low: document.low,
+      close: document.close,
+      volume: document.volume,
+      numberOfTrades: document.numberOfTrades,
+      isFinal: true,
+    };
+  }
+
+  /**
+   * Usuwa indeks TTL (30 dni od zapisu) z poprzedniej wersji modelu -
+   * usuwałby świece niezależnie od retencji
+   * @private
+   */
+  async _dropLegacyTtlIndex() {
+    try {
+      const indexes = await MarketData.collection.indexes();
+      const ttlIndex = indexes.find(
+        (index) =>
+          index.key?.createdAt && index.expireAfterSeconds !== undefined
+      );
+
+      if (ttlIndex) {
+        await MarketData.collection.dropIndex(ttlIndex.name);
+        logger.info(`[CANDLE STORE] Usunięto indeks TTL ${ttlIndex.name}`);
+      }
+    } catch (error) {
+      // Kolekcja jeszcze nie istnieje - brak indeksu do usunięcia
+      logger.debug(
+        `[CANDLE STORE] Pominięto sprawdzenie indeksu TTL: ${error.message}`
+      );
+    }
+  }
+}
+
+const candleStoreService = new CandleStoreService();
+module.exports = candleStoreService;
@@ -1,5 +1,7 @@
 const mutex = require("../utils/mutex");
 const logger = require("../utils/logger");
+const clock = require("../utils/clock");
+const tradingStateService = require("./trading-state.service");
 const TradingLogger = require("../utils/trading-logger");
 
 class CooldownService {
@@ -15,7 +17,7 @@ class CooldownService {
   async setCooldown(instanceId, hours = 12) {
     return mutex.withLock(`cooldown-${instanceId}`, async () => {
       try {
-        const startTime = Date.now();
+        const startTime = clock.now(instanceId);
         const durationMs = hours * 60 * 60 * 1000; // hours to milliseconds
 
         this.cooldowns.set(instanceId, {
@@ -24,6 +26,11 @@ class CooldownService {
           endTime: startTime + durationMs,
         });
 
+        await tradingStateService.saveCooldown(
+          instanceId,
+          this.cooldowns.get(instanceId)
+        );
+
         const endDate = new Date(startTime + durationMs);
         TradingLogger.logDebugThrottled(
           `cooldown-set-${instanceId}`,
@@ -54,7 +61,7 @@ class CooldownService {
       return false;
     }
 
-    const now = Date.now();
+    const now = clock.now(instanceId);
 
     // Sprawdź czy cooldown już minął
     if (now >= cooldown.endTime) {
@@ -82,7 +89,7 @@ class CooldownService {
       return null;
     }
 
-    const now = Date.now();
+    const now = clock.now(instanceId);
 
     // Sprawdź czy cooldown już minął
     if (now >= cooldown.endTime) {
@@ -113,21 +120,48 @@ class CooldownService {
   /**
    * Usuwa cooldown dla instancji (force clear)
    * @param {string} instanceId - ID instancji
+   * @returns {Promise<boolean>} - Czy instancja miała cooldown
    */
-  clearCooldown(instanceId) {
-    const hadCooldown = this.cooldowns.has(instanceId);
-    this.cooldowns.delete(instanceId);
+  async clearCooldown(instanceId) {
+    return mutex.withLock(`cooldown-${instanceId}`, async () => {
+      const hadCooldown = this.cooldowns.has(instanceId);
+      this.cooldowns.delete(instanceId);
 
-    if (hadCooldown) {
-      TradingLogger.logDebugThrottled(
-        `cooldown-cleared-${instanceId}`,
-        `[COOLDOWN] Manually cleared | Instance: ${instanceId.slice(-8)}`,
-        300000
-      );
-      logger.info(`Cooldown cleared for instance ${instanceId}`);
+      if (hadCooldown) {
+        await tradingStateService.saveCooldown(instanceId, null);
+        TradingLogger.logDebugThrottled(
+          `cooldown-cleared-${instanceId}`,
+          `[COOLDOWN] Manually cleared | Instance: ${instanceId.slice(-8)}`,
+          300000
+        );
+        logger.info(`Cooldown cleared for instance ${instanceId}`);
+      }
+
+      return hadCooldown;
+    });
+  }
+
+  /**
+   * Odtwarza zapisany cooldown (pomija wygasłe)
+   * @param {string} instanceId - ID instancji
+   * @param {Object} cooldown - Zapisany cooldown { startTime, durationHours, endTime }
+   * @returns {boolean} - Czy cooldown został odtworzony
+   */
+  restoreCooldown(instanceId, cooldown) {
+    if (!cooldown || clock.now(instanceId) >= cooldown.endTime) {
+      return false;
     }
 
-    return hadCooldown;
+    this.cooldowns.set(instanceId, {
+      startTime: cooldown.startTime,
+      durationHours: cooldown.durationHours,
+      endTime: cooldown.endTime,
+    });
+
+    logger.info(
+      `Cooldown restored for instance ${instanceId} until ${new Date(cooldown.endTime).toISOString()}`
+    );
+    return true;
   }
 
   /**
@@ -135,11 +169,10 @@ class CooldownService {
    * @returns {Array} - Lista aktywnych cooldowns
    */
   getAllActiveCooldowns() {
-    const now = Date.now();
     const activeCooldowns = [];
 
     for (const [instanceId, cooldown] of this.cooldowns.entries()) {
-      if (now < cooldown.endTime) {
+      if (clock.now(instanceId) < cooldown.endTime) {
         activeCooldowns.push({
           instanceId,
           ...this.getCooldownInfo(instanceId),
@@ -155,10 +188,18 @@ class CooldownService {
 
   /**
    * Czyści wszystkie cooldowns (np. przy restarcie)
+   * @returns {Promise<number>} - Liczba usuniętych cooldowns
    */
-  clearAllCooldowns() {
-    const count = this.cooldowns.size;
+  async clearAllCooldowns() {
+    const instanceIds = [...this.cooldowns.keys()];
+    const count = instanceIds.length;
+
     this.cooldowns.clear();
+    await Promise.all(
+      instanceIds.map((instanceId) =>
+        tradingStateService.saveCooldown(instanceId, null)
+      )
+    );
 
     if (count > 0) {
       logger.info(`Cleared ${count} cooldowns`);
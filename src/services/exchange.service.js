@@ -0,0 +1,222 @@
+/**
+ * Exchange Service - wybór adaptera giełdy dla instancji
+ *
+ * Odpowiedzialny za:
+ * - Rejestr adapterów (phemex, paper, mock) i tworzenie ich z konfiguracji instancji
+ * - Przechowywanie adaptera per instancja (paper trading ma własną księgę w pamięci)
+ * - Uruchamianie lokalnej giełdy testowej dla adaptera "mock"
+ *
+ * Adapter wybiera pole instance.exchange.adapter. Instancje utworzone przed
+ * wprowadzeniem adapterów (bez tego pola) są mapowane jak dotychczas:
+ * klucz API Phemex i wyłączony testMode = phemex, w przeciwnym razie paper.
+ */
+
+const PhemexAdapter = require("./exchanges/phemex.adapter");
+const PaperAdapter = require("./exchanges/paper.adapter");
+const mockExchangeServer = require("./exchanges/mock-exchange.server");
+const { getLast1mClose } = require("./exchanges/market-price");
+const { PhemexService } = require("./phemex.service");
+const { getPositionSide } = require("../utils/pnl");
+const logger = require("../utils/logger");
+
+class ExchangeService {
+  constructor() {
+    this.factories = new Map(); // nazwa -> { create, syncsBalance }
+    this.adapters = new Map(); // instanceId -> { signature, adapter }
+    this.legacyWarnings = new Set();
+
+    this.registerAdapter("phemex", {
+      create: async (instance) =>
+        new PhemexAdapter({
+          apiKey: instance.phemexConfig?.apiKey,
+          apiSecret: instance.phemexConfig?.apiSecret,
+          subaccountId: instance.phemexConfig?.subaccountId || null,
+        }),
+      syncsBalance: true,
+    });
+
+    this.registerAdapter("paper", {
+      create: async (instance, config) => {
+        const adapter = new PaperAdapter({
+          feeRate: config.paper?.feeRate ?? 0.0006,
+          slippage: config.paper?.slippage ?? 0.0005,
+          initialBalance: instance.financials?.currentBalance || 0,
+        });
+        this._restorePaperPosition(instance, adapter);
+        return adapter;
+      },
+      syncsBalance: false,
+    });
+
+    this.registerAdapter("mock", {
+      create: async (instance, config) => {
+        const baseUrl = config.mock?.url || (await this._startMockExchange());
+        return new PhemexAdapter({
+          apiKey: instance.phemexConfig?.apiKey,
+          apiSecret: instance.phemexConfig?.apiSecret,
+          client: new PhemexService(baseUrl),
+          name: "mock",
+        });
+      },
+      syncsBalance: true,
+    });
+  }
+
+  /**
+   * Rejestruje typ adaptera
+   * @param {string} name - Nazwa adaptera
+   * @param {Object} definition - Definicja adaptera
+   * @param {Function} definition.create - async (instance, exchangeConfig) => ExchangeAdapter
+   * @param {boolean} [definition.syncsBalance=false] - Czy saldo instancji jest synchronizowane z giełdą
+   */
+  registerAdapter(name, { create, syncsBalance = false }) {
+    this.factories.set(name, { create, syncsBalance });
+  }
+
+  /**
+   * Zwraca nazwy dostępnych adapterów
+   * @returns {Array<string>} - Nazwy adapterów
+   */
+  getAvailableAdapters() {
+    return [...this.factories.keys()];
+  }
+
+  /**
+   * Ustala nazwę adaptera dla instancji
+   * @param {Object} instance - Dokument instancji
+   * @returns {string} - Nazwa adaptera
+   */
+  resolveAdapterName(instance) {
+    const configured = instance.exchange?.adapter;
+    if (configured) {
+      return configured;
+    }
+
+    const legacyName =
+      instance.phemexConfig?.apiKey && !instance.testMode ? "phemex" : "paper";
+
+    if (!this.legacyWarnings.has(instance.instanceId)) {
+      this.legacyWarnings.add(instance.instanceId);
+      logger.warn(
+        `Instancja ${instance.instanceId} nie ma skonfigurowanego adaptera giełdy - używam "${legacyName}" (na podstawie testMode i klucza API)`
+      );
+    }
+
+    return legacyName;
+  }
+
+  /**
+   * Sprawdza, czy saldo instancji pochodzi z giełdy (synchronizacja salda)
+   * @param {Object} instance - Dokument instancji
+   * @returns {boolean} - Czy synchronizować saldo
+   */
+  syncsBalance(instance) {
+    const factory = this.factories.get(this.resolveAdapterName(instance));
+    return !!factory?.syncsBalance;
+  }
+
+  /**
+   * Zwraca adapter giełdy dla instancji (tworzy go przy pierwszym użyciu
+   * lub po zmianie konfiguracji)
+   * @param {Object} instance - Dokument instancji
+   * @returns {Promise<ExchangeAdapter>} - Adapter giełdy
+   */
+  async getAdapter(instance) {
+    const name = this.resolveAdapterName(instance);
+    const factory = this.factories.get(name);
+
+    if (!factory) {
+      throw new Error(`Nieznany adapter giełdy: ${name}`);
+    }
+
+    const exchangeConfig = this._toPlainObject(instance.exchange);
+    const signature = JSON.stringify({
+      name,
+      exchangeConfig,
+      apiKey: instance.phemexConfig?.apiKey || "",
+      subaccountId: instance.phemexConfig?.subaccountId || "",
+    });
+
+    const cached = this.adapters.get(instance.instanceId);
+    if (cached && cached.signature === signature) {
+      return cached.adapter;
+    }
+
+    const adapter = await factory.create(instance, exchangeConfig);
+    this.adapters.set(instance.instanceId, { signature, adapter });
+
+    logger.info(
+      `Utworzono adapter giełdy "${name}" dla instancji ${instance.instanceId}`
+    );
+    return adapter;
+  }
+
+  /**
+   * Wpisuje aktywną pozycję instancji (np. przywróconą po restarcie) do księgi
+   * nowego adaptera paper - bez tego zamknięcie reduce-only nie ma czego zamknąć
+   * @param {Object} instance - Dokument instancji
+   * @param {PaperAdapter} adapter - Nowy adapter paper
+   * @private
+   */
+  _restorePaperPosition(instance, adapter) {
+    const signalService = require("./signal.service");
+    const position = signalService.getActivePositions(instance.instanceId);
+    if (!position || position.status !== "active") {
+      return;
+    }
+
+    let size = 0;
+    let value = 0;
+    for (const entry of position.entries) {
+      const quantity = parseFloat(entry.contractQuantity) || 0;
+      size += quantity;
+      value += quantity * (entry.fillPrice || entry.price);
+    }
+
+    if (size > 0) {
+      adapter.restorePosition(instance.symbol, {
+        side: getPositionSide(position.direction),
+        size,
+        avgPrice: value / size,
+      });
+      logger.info(
+        `Odtworzono pozycję paper ${instance.symbol} (${size}) dla instancji ${instance.instanceId}`
+      );
+    }
+  }
+
+  /**
+   * Usuwa adapter instancji (np. po usunięciu instancji lub zmianie konfiguracji)
+   * @param {string} instanceId - ID instancji
+   * @returns {boolean} - Czy usunięto adapter
+   */
+  releaseAdapter(instanceId) {
+    return this.adapters.delete(instanceId);
+  }
+
+  /**
+   * Uruchamia lokalną giełdę testową (ceny z bieżących świec 1m)
+   * @returns {Promise<string>} - Adres giełdy testowej
+   * @private
+   */
+  async _startMockExchange() {
+    if (!mockExchangeServer.fallbackPriceSource) {
+      mockExchangeServer.fallbackPriceSource = getLast1mClose;
+    }
+
+    return mockExchangeServer.start();
+  }
+
+  _toPlainObject(value) {
+    if (!value) {
+      return {};
+    }
+
+    return typeof value.toObject === "function"
+      ? value.toObject()
+      : { ...value };
+  }
+}
+
+const exchangeService = new ExchangeService();
+module.exports = exchangeService;
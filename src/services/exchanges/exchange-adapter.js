@@ -0,0 +1,206 @@
+/**
+ * Exchange Adapter - kontrakt adaptera giełdy
+ *
+ * Każda implementacja (Phemex, paper trading, giełda testowa) udostępnia:
+ * - placeOrder / openPosition / closePosition - zlecenia rynkowe
+ * - getOrder / cancelOrder - stan i anulowanie zlecenia
+ * - placeProtectiveOrder / cancelProtectiveOrder - warunkowe zlecenia ochronne
+ *   (stop loss / take profit) zamykające pozycję po osiągnięciu ceny wyzwolenia
+ * - setLeverage / setMarginMode - ustawienia pozycji
+ * - getPositionSize - rozmiar otwartej pozycji
+ * - getBalance - saldo konta
+ * - getFundingFees - opłaty funding naliczone od podanego czasu
+ * - getInstrumentInfo - parametry instrumentu (min. ilość, krok)
+ * - getCurrentPrice - bieżąca cena
+ *
+ * Zlecenie zwraca znormalizowany stan:
+ * { orderId, clientOrderId, status, side, quantity, filledQuantity, avgPrice, fee }
+ * status: submitted | partially_filled | filled | rejected | canceled
+ * (avgPrice i fee są null, jeśli giełda jeszcze ich nie podała).
+ * Niewyzwolone zlecenie ochronne ma status submitted.
+ */
+
+class ExchangeAdapter {
+  /**
+   * @param {string} name - Nazwa adaptera (phemex, paper, mock)
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Składa zlecenie rynkowe
+   * @param {Object} order - Parametry zlecenia
+   * @param {string} order.symbol - Symbol instrumentu
+   * @param {string} order.side - Strona zlecenia (Buy/Sell)
+   * @param {number} order.quantity - Ilość kontraktów
+   * @param {boolean} [order.reduceOnly=false] - Czy zlecenie tylko zmniejsza pozycję
+   * @param {string} [order.positionSide] - Strona pozycji (Buy = long, Sell = short)
+   * @param {string} [order.clientOrderId] - Własny identyfikator zlecenia
+   * @returns {Promise<Object>} - Znormalizowany stan zlecenia
+   */
+  async placeOrder(order) {
+    throw new Error(`${this.name}: placeOrder nie jest zaimplementowane`);
+  }
+
+  /**
+   * Pobiera stan zlecenia
+   * @param {string} symbol - Symbol instrumentu
+   * @param {Object} ids - { orderId, clientOrderId } (wystarczy jeden)
+   * @returns {Promise<Object|null>} - Znormalizowany stan zlecenia lub null, gdy nie istnieje
+   */
+  async getOrder(symbol, ids) {
+    throw new Error(`${this.name}: getOrder nie jest zaimplementowane`);
+  }
+
+  /**
+   * Anuluje niewypełnioną część zlecenia
+   * @param {string} symbol - Symbol instrumentu
+   * @param {Object} ids - { orderId, clientOrderId }
+   * @returns {Promise<boolean>} - Czy anulowano zlecenie
+   */
+  async cancelOrder(symbol, ids) {
+    throw new Error(`${this.name}: cancelOrder nie jest zaimplementowane`);
+  }
+
+  /**
+   * Otwiera lub powiększa pozycję
+   * @param {string} symbol - Symbol instrumentu
+   * @param {string} side - Strona pozycji (Buy/Sell)
+   * @param {number} quantity - Ilość kontraktów
+   * @param {string} [clientOrderId] - Własny identyfikator zlecenia
+   * @returns {Promise<Object>} - Znormalizowany stan zlecenia
+   */
+  async openPosition(symbol, side, quantity, clientOrderId) {
+    return this.placeOrder({
+      symbol,
+      side,
+      quantity,
+      reduceOnly: false,
+      positionSide: side,
+      clientOrderId,
+    });
+  }
+
+  /**
+   * Zamyka (całą lub część) pozycję
+   * @param {string} symbol - Symbol instrumentu
+   * @param {string} positionSide - Strona zamykanej pozycji (Buy = long)
+   * @param {number} quantity - Ilość kontraktów do zamknięcia
+   * @param {string} [clientOrderId] - Własny identyfikator zlecenia
+   * @returns {Promise<Object>} - Znormalizowany stan zlecenia
+   */
+  async closePosition(symbol, positionSide, quantity, clientOrderId) {
+    return this.placeOrder({
+      symbol,
+      side: positionSide === "Buy" ? "Sell" : "Buy",
+      quantity,
+      reduceOnly: true,
+      positionSide,
+      clientOrderId,
+    });
+  }
+
+  /**
+   * Składa warunkowe zlecenie ochronne (reduce-only, rynkowe po wyzwoleniu)
+   * @param {Object} order - Parametry zlecenia
+   * @param {string} order.symbol - Symbol instrumentu
+   * @param {string} order.type - Rodzaj zlecenia (stopLoss/takeProfit)
+   * @param {string} order.positionSide - Strona chronionej pozycji (Buy = long, Sell = short)
+   * @param {number} order.quantity - Ilość kontraktów
+   * @param {number} order.triggerPrice - Cena wyzwolenia
+   * @param {string} [order.clientOrderId] - Własny identyfikator zlecenia
+   * @returns {Promise<Object>} - Znormalizowany stan zlecenia
+   */
+  async placeProtectiveOrder(order) {
+    throw new Error(
+      `${this.name}: placeProtectiveOrder nie jest zaimplementowane`
+    );
+  }
+
+  /**
+   * Anuluje niewyzwolone zlecenie ochronne
+   * @param {string} symbol - Symbol instrumentu
+   * @param {Object} ids - { orderId, clientOrderId }
+   * @param {string} positionSide - Strona chronionej pozycji (Buy/Sell)
+   * @returns {Promise<boolean>} - Czy anulowano zlecenie
+   */
+  async cancelProtectiveOrder(symbol, ids, positionSide) {
+    throw new Error(
+      `${this.name}: cancelProtectiveOrder nie jest zaimplementowane`
+    );
+  }
+
+  /**
+   * Ustawia dźwignię dla symbolu
+   * @param {string} symbol - Symbol instrumentu
+   * @param {number} leverage - Wartość dźwigni
+   * @returns {Promise<boolean>} - Czy ustawiono dźwignię
+   */
+  async setLeverage(symbol, leverage) {
+    throw new Error(`${this.name}: setLeverage nie jest zaimplementowane`);
+  }
+
+  /**
+   * Ustawia tryb margin
+   * @param {string} symbol - Symbol instrumentu
+   * @param {string} marginMode - Tryb margin (isolated/cross)
+   * @returns {Promise<boolean>} - Czy ustawiono tryb
+   */
+  async setMarginMode(symbol, marginMode) {
+    throw new Error(`${this.name}: setMarginMode nie jest zaimplementowane`);
+  }
+
+  /**
+   * Pobiera rozmiar otwartej pozycji
+   * @param {string} symbol - Symbol instrumentu
+   * @param {string} [direction] - Kierunek pozycji (long/short) - w trybie hedge
+   *                               giełda zwraca osobne pozycje Long i Short
+   * @returns {Promise<number>} - Rozmiar pozycji (0 gdy brak)
+   */
+  async getPositionSize(symbol, direction) {
+    throw new Error(`${this.name}: getPositionSize nie jest zaimplementowane`);
+  }
+
+  /**
+   * Pobiera saldo konta
+   * @param {string} [currency="USDT"] - Waluta
+   * @returns {Promise<Object>} - { currency, walletBalance, availableBalance }
+   */
+  async getBalance(currency = "USDT") {
+    throw new Error(`${this.name}: getBalance nie jest zaimplementowane`);
+  }
+
+  /**
+   * Pobiera sumę opłat funding dla symbolu
+   * (adaptery bez rozliczeń funding zwracają 0)
+   * @param {string} symbol - Symbol instrumentu
+   * @param {number} [since=0] - Początek okresu (ms)
+   * @returns {Promise<number>} - Suma opłat (dodatnia = zapłacona)
+   */
+  async getFundingFees(symbol, since = 0) {
+    return 0;
+  }
+
+  /**
+   * Pobiera parametry instrumentu
+   * @param {string} symbol - Symbol instrumentu
+   * @returns {Promise<Object>} - { minOrderQty, maxOrderQty, qtyStep, minOrderValue, tickSize, priceScale, qtyScale }
+   */
+  async getInstrumentInfo(symbol) {
+    throw new Error(
+      `${this.name}: getInstrumentInfo nie jest zaimplementowane`
+    );
+  }
+
+  /**
+   * Pobiera bieżącą cenę instrumentu
+   * @param {string} symbol - Symbol instrumentu
+   * @returns {Promise<number>} - Cena
+   */
+  async getCurrentPrice(symbol) {
+    throw new Error(`${this.name}: getCurrentPrice nie jest zaimplementowane`);
+  }
+}
+
+module.exports = ExchangeAdapter;
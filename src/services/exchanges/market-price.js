@@ -0,0 +1,29 @@
+/**
+ * Market Price - cena rynkowa dla symulowanych giełd
+ *
+ * Zwraca zamknięcie ostatniej świecy 1m z cache Binance (to samo źródło,
+ * z którego korzystają maszyny stanów band), a gdy cache jest pusty lub
+ * nieświeży - cenę z REST API Binance.
+ */
+
+const binanceService = require("../binance.service");
+
+/**
+ * Pobiera bieżącą cenę (zamknięcie świecy 1m)
+ * @param {string} symbol - Symbol instrumentu
+ * @returns {Promise<number>} - Cena
+ */
+const getLast1mClose = async (symbol) => {
+  const candles1m = binanceService.getCachedCandles(symbol, "1m");
+
+  if (candles1m && candles1m.length > 0) {
+    return candles1m[candles1m.length - 1].close;
+  }
+
+  const ticker = await binanceService.getCurrentPrice(symbol);
+  return ticker.price;
+};
+
+module.exports = {
+  getLast1mClose,
+};
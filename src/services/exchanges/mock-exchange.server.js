@@ -0,0 +1,526 @@
+/**
+ * Mock Exchange Server - lokalna giełda testowa
+ *
+ * Serwer HTTP uruchamiany w tym samym procesie, odwzorowujący endpointy
+ * Phemex używane przez phemex.service:
+ * - GET  /public/products              - parametry instrumentów
+ * - GET  /md/v3/ticker/24hr            - bieżąca cena
+ * - GET  /g-accounts/accountPositions  - saldo konta
+ * - GET  /accounts/accountPositions    - pozycje
+ * - PUT  /positions/leverage           - dźwignia
+ * - POST /g-orders                     - zlecenia rynkowe i warunkowe (Stop/MarketIfTouched)
+ * - DELETE /g-orders/cancel            - anulowanie zlecenia
+ * - GET  /api-data/g-futures/orders/by-order-id - stan zlecenia
+ * - GET  /api-data/g-futures/funding-fees - historia opłat funding
+ *
+ * Zlecenia są wypełniane przez księgę PaperAdapter po cenie ustawionej
+ * przez setPrice() (lub z priceSource). Pozwala to testować adapter Phemex
+ * (podpisy, formaty odpowiedzi, obsługę błędów) bez prawdziwej giełdy.
+ * Po deferFills() zlecenia czekają w stanie New do fillPendingOrders().
+ * Zlecenia warunkowe czekają w stanie Untriggered, aż cena z setPrice()
+ * (lub sprawdzana przy odpytaniu zlecenia) osiągnie stopPxRp.
+ */
+
+const crypto = require("crypto");
+const express = require("express");
+const { v4: uuidv4 } = require("uuid");
+const PaperAdapter = require("./paper.adapter");
+const logger = require("../../utils/logger");
+
+const QTY_SCALE = 4;
+const PRICE_SCALE = 4;
+const CONDITIONAL_ORDER_TYPES = ["Stop", "MarketIfTouched"];
+
+class MockExchangeServer {
+  /**
+   * @param {Object} [options] - Opcje serwera
+   * @param {string} [options.apiKey] - Wymagany klucz API (brak = bez weryfikacji)
+   * @param {string} [options.apiSecret] - Sekret do weryfikacji podpisów
+   * @param {number} [options.initialBalance=10000] - Początkowe saldo konta
+   * @param {number} [options.feeRate=0.0006] - Prowizja
+   * @param {number} [options.slippage=0] - Poślizg
+   * @param {Function} [options.priceSource] - async (symbol) => cena, gdy nie ustawiono setPrice()
+   */
+  constructor({
+    apiKey = "",
+    apiSecret = "",
+    initialBalance = 10000,
+    feeRate = 0.0006,
+    slippage = 0,
+    priceSource = null,
+  } = {}) {
+    this.apiKey = apiKey;
+    this.apiSecret = apiSecret;
+    this.options = { initialBalance, feeRate, slippage };
+    this.fallbackPriceSource = priceSource;
+
+    this.prices = new Map(); // symbol -> cena
+    this.rejections = []; // komunikaty błędów dla kolejnych zleceń
+    this.orders = new Map(); // orderID -> zlecenie w formacie Phemex
+    this.deferredFills = false;
+    this.requests = []; // log żądań (do asercji w testach)
+    this.server = null;
+    this.url = null;
+
+    this.reset();
+    this.app = this._createApp();
+  }
+
+  /**
+   * Przywraca stan początkowy konta (saldo, pozycje, zlecenia)
+   */
+  reset() {
+    this.ledger = new PaperAdapter({
+      feeRate: this.options.feeRate,
+      slippage: this.options.slippage,
+      initialBalance: this.options.initialBalance,
+      priceSource: (symbol) => this._getPrice(symbol),
+      instrumentInfoSource: async (symbol) => this._getInstrument(symbol),
+    });
+    this.rejections = [];
+    this.requests = [];
+    this.orders = new Map();
+    this.deferredFills = false;
+  }
+
+  /**
+   * Ustawia cenę instrumentu i wyzwala osiągnięte zlecenia warunkowe
+   * @param {string} symbol - Symbol instrumentu
+   * @param {number} price - Cena
+   * @returns {Promise<number>} - Liczba wyzwolonych zleceń warunkowych
+   */
+  setPrice(symbol, price) {
+    this.prices.set(symbol, price);
+    return this.triggerConditionalOrders(symbol);
+  }
+
+  /**
+   * Wyzwala zlecenia warunkowe symbolu, których cena została osiągnięta
+   * (Stop - ruch przeciw pozycji, MarketIfTouched - ruch na korzyść)
+   * @param {string} symbol - Symbol instrumentu
+   * @returns {Promise<number>} - Liczba wyzwolonych zleceń
+   */
+  async triggerConditionalOrders(symbol) {
+    let price;
+    try {
+      price = await this._getPrice(symbol);
+    } catch (error) {
+      return 0;
+    }
+
+    let triggered = 0;
+    for (const order of this.orders.values()) {
+      if (order.symbol !== symbol || order.ordStatus !== "Untriggered") {
+        continue;
+      }
+
+      const stopPx = parseFloat(order.stopPxRp);
+      const isLong = order.posSide === "Long";
+      const reached =
+        order.ordType === "Stop"
+          ? isLong
+            ? price <= stopPx
+            : price >= stopPx
+          : isLong
+            ? price >= stopPx
+            : price <= stopPx;
+
+      if (reached) {
+        order.ordStatus = "Triggered";
+        await this._fillOrder(order);
+        triggered++;
+      }
+    }
+    return triggered;
+  }
+
+  /**
+   * Odrzuca kolejne zlecenie z podanym komunikatem
+   * @param {string} [message="Mock order rejected"] - Komunikat błędu
+   */
+  rejectNextOrder(message = "Mock order rejected") {
+    this.rejections.push(message);
+  }
+
+  /**
+   * Nalicza opłatę funding na koncie
+   * @param {string} symbol - Symbol instrumentu
+   * @param {number} amount - Kwota (dodatnia = zapłacona)
+   */
+  chargeFunding(symbol, amount) {
+    this.ledger.chargeFunding(symbol, amount);
+  }
+
+  /**
+   * Wstrzymuje wypełnianie zleceń (zostają w stanie New)
+   * @param {boolean} [enabled=true] - Czy wstrzymać wypełnianie
+   */
+  deferFills(enabled = true) {
+    this.deferredFills = enabled;
+  }
+
+  /**
+   * Wypełnia wszystkie oczekujące zlecenia
+   * @returns {Promise<number>} - Liczba wypełnionych zleceń
+   */
+  async fillPendingOrders() {
+    let filled = 0;
+    for (const order of this.orders.values()) {
+      if (order.ordStatus === "New") {
+        await this._fillOrder(order);
+        filled++;
+      }
+    }
+    return filled;
+  }
+
+  /**
+   * Zwraca stan konta giełdy testowej
+   * @returns {Object} - Saldo, pozycje i zlecenia
+   */
+  getState() {
+    return {
+      balance: this.ledger.balance,
+      realizedPnl: this.ledger.realizedPnl,
+      totalFees: this.ledger.totalFees,
+      fundingHistory: this.ledger.fundingHistory,
+      positions: Object.fromEntries(this.ledger.positions),
+      leverage: Object.fromEntries(this.ledger.leverage),
+      orders: [...this.orders.values()],
+    };
+  }
+
+  /**
+   * Uruchamia serwer
+   * @param {number} [port=0] - Port (0 = losowy wolny port)
+   * @returns {Promise<string>} - Adres bazowy serwera
+   */
+  async start(port = 0) {
+    if (this.server) {
+      return this.url;
+    }
+
+    await new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, "127.0.0.1", resolve);
+      this.server.once("error", reject);
+    });
+
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    logger.info(`[MOCK EXCHANGE] Uruchomiono giełdę testową: ${this.url}`);
+    return this.url;
+  }
+
+  /**
+   * Zatrzymuje serwer
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    await new Promise((resolve) => this.server.close(resolve));
+    this.server = null;
+    this.url = null;
+  }
+
+  async _getPrice(symbol) {
+    if (this.prices.has(symbol)) {
+      return this.prices.get(symbol);
+    }
+
+    if (this.fallbackPriceSource) {
+      return this.fallbackPriceSource(symbol);
+    }
+
+    throw new Error(`Brak ceny dla ${symbol} - użyj setPrice()`);
+  }
+
+  /**
+   * Wypełnia zlecenie przez księgę (odrzuca je, gdy księga zgłosi błąd)
+   * @private
+   */
+  async _fillOrder(order) {
+    try {
+      const fill = await this.ledger.placeOrder({
+        symbol: order.symbol,
+        side: order.side,
+        quantity: order.orderQtyRq,
+        reduceOnly: order.reduceOnly,
+      });
+
+      order.ordStatus = "Filled";
+      order.cumQtyRq = String(fill.filledQuantity);
+      order.cumValueRv = String(fill.filledQuantity * fill.avgPrice);
+      order.avgPriceRp = String(fill.avgPrice);
+      order.cumFeeRv = String(fill.fee);
+    } catch (error) {
+      order.ordStatus = "Rejected";
+      order.rejectReason = error.message;
+    }
+
+    return order;
+  }
+
+  _getInstrument(symbol) {
+    return {
+      symbol,
+      minOrderQty: 0.001,
+      maxOrderQty: 1000,
+      qtyStep: 0.001,
+      minOrderValue: 10,
+      tickSize: 0.1,
+      priceScale: PRICE_SCALE,
+      qtyScale: QTY_SCALE,
+    };
+  }
+
+  /**
+   * Weryfikuje nagłówki i podpis żądania (jak Phemex)
+   * @private
+   */
+  _verifySignature(req) {
+    if (!this.apiKey) {
+      return true;
+    }
+
+    if (req.get("x-phemex-access-token") !== this.apiKey) {
+      return false;
+    }
+
+    const queryIndex = req.originalUrl.indexOf("?");
+    const queryString =
+      queryIndex >= 0 ? req.originalUrl.slice(queryIndex + 1) : "";
+    const expiry = req.get("x-phemex-request-expiry") || "";
+    const body = typeof req.body === "string" ? req.body : "";
+
+    const expected = crypto
+      .createHmac("sha256", this.apiSecret)
+      .update(req.path + queryString + expiry + body)
+      .digest("hex");
+
+    return req.get("x-phemex-request-signature") === expected;
+  }
+
+  _createApp() {
+    const app = express();
+    app.use(express.text({ type: "*/*" }));
+
+    app.use((req, res, next) => {
+      this.requests.push({
+        method: req.method,
+        path: req.path,
+        query: req.query,
+        body: req.body || "",
+      });
+      next();
+    });
+
+    // Endpointy publiczne
+    app.get("/public/products", (req, res) => {
+      const symbols = new Set([...this.prices.keys(), "BTCUSDT", "ETHUSDT"]);
+      const products = [...symbols].map((symbol) => {
+        const instrument = this._getInstrument(symbol);
+        const qtyMultiplier = Math.pow(10, QTY_SCALE);
+        return {
+          symbol,
+          qtyScale: QTY_SCALE,
+          priceScale: PRICE_SCALE,
+          minOrderQty: String(instrument.minOrderQty * qtyMultiplier),
+          maxOrderQty: String(instrument.maxOrderQty * qtyMultiplier),
+          lotSize: String(instrument.qtyStep * qtyMultiplier),
+          minOrderValue: String(instrument.minOrderValue),
+          tickSize: String(instrument.tickSize),
+        };
+      });
+
+      res.json({ code: 0, msg: "", data: { products } });
+    });
+
+    app.get("/md/v3/ticker/24hr", async (req, res) => {
+      try {
+        const price = await this._getPrice(req.query.symbol);
+        res.json({
+          error: null,
+          result: { symbol: req.query.symbol, lastRp: String(price) },
+        });
+      } catch (error) {
+        res.json({ error: { code: 30018, message: error.message } });
+      }
+    });
+
+    // Endpointy prywatne - wymagają podpisu
+    app.use((req, res, next) => {
+      if (!this._verifySignature(req)) {
+        return res.status(401).json({ code: 10500, msg: "Invalid signature" });
+      }
+      next();
+    });
+
+    app.get("/g-accounts/accountPositions", async (req, res) => {
+      const balance = await this.ledger.getBalance(req.query.currency);
+      res.json({
+        code: 0,
+        msg: "",
+        data: {
+          account: {
+            currency: balance.currency,
+            accountBalanceRv: String(balance.walletBalance),
+            usedBalanceRv: String(
+              balance.walletBalance - balance.availableBalance
+            ),
+          },
+          positions: this._formatPositions(),
+        },
+      });
+    });
+
+    app.get("/accounts/accountPositions", (req, res) => {
+      res.json({
+        code: 0,
+        msg: "",
+        data: { positions: this._formatPositions() },
+      });
+    });
+
+    app.put("/positions/leverage", async (req, res) => {
+      const params = this._parseBody(req);
+      await this.ledger.setLeverage(params.symbol, params.leverage);
+      res.json({ code: 0, msg: "OK" });
+    });
+
+    app.post("/g-orders", async (req, res) => {
+      const params = this._parseBody(req);
+
+      if (this.rejections.length > 0) {
+        return res.json({ code: 11001, msg: this.rejections.shift() });
+      }
+
+      const isConditional = CONDITIONAL_ORDER_TYPES.includes(params.ordType);
+      const order = {
+        orderID: `mock-${uuidv4()}`,
+        clOrdID: params.clOrdID,
+        symbol: params.symbol,
+        side: params.side,
+        posSide: params.posSide,
+        ordType: params.ordType || "Market",
+        reduceOnly: params.reduceOnly === true,
+        orderQtyRq: String(params.orderQtyRq),
+        cumQtyRq: "0",
+        cumValueRv: "0",
+        cumFeeRv: "0",
+        ordStatus: isConditional ? "Untriggered" : "New",
+      };
+      if (isConditional) {
+        order.stopPxRp = String(params.stopPxRp);
+      }
+      this.orders.set(order.orderID, order);
+
+      if (isConditional) {
+        await this.triggerConditionalOrders(order.symbol);
+      } else if (!this.deferredFills) {
+        await this._fillOrder(order);
+      }
+
+      if (order.ordStatus === "Rejected") {
+        return res.json({ code: 11001, msg: order.rejectReason });
+      }
+
+      res.json({
+        code: 0,
+        msg: "",
+        data: {
+          orderID: order.orderID,
+          clOrdID: order.clOrdID,
+          symbol: order.symbol,
+          side: order.side,
+          ordStatus: order.ordStatus,
+        },
+      });
+    });
+
+    app.get("/api-data/g-futures/orders/by-order-id", async (req, res) => {
+      const order = this._findOrder(req.query);
+      if (order?.ordStatus === "Untriggered") {
+        await this.triggerConditionalOrders(order.symbol);
+      }
+      res.json({ code: 0, msg: "", data: { rows: order ? [order] : [] } });
+    });
+
+    app.get("/api-data/g-futures/funding-fees", (req, res) => {
+      const rows = this.ledger.fundingHistory
+        .filter((f) => !req.query.symbol || f.symbol === req.query.symbol)
+        .map((f) => ({
+          symbol: f.symbol,
+          currency: "USDT",
+          execFeeRv: String(f.amount),
+          createTime: f.time,
+        }));
+      res.json({ code: 0, msg: "", data: { rows } });
+    });
+
+    app.delete("/g-orders/cancel", (req, res) => {
+      const order = this._findOrder(req.query);
+
+      if (!order || !["New", "Untriggered"].includes(order.ordStatus)) {
+        return res.json({ code: 10002, msg: "OM_ORDER_NOT_FOUND" });
+      }
+
+      order.ordStatus = "Canceled";
+      res.json({ code: 0, msg: "", data: order });
+    });
+
+    app.use((req, res) => {
+      res.status(404).json({ code: 404, msg: `Unknown endpoint ${req.path}` });
+    });
+
+    return app;
+  }
+
+  _findOrder({ orderID, clOrdID }) {
+    if (orderID) {
+      return this.orders.get(orderID) || null;
+    }
+
+    return (
+      [...this.orders.values()].find((order) => order.clOrdID === clOrdID) ||
+      null
+    );
+  }
+
+  _parseBody(req) {
+    try {
+      return req.body ? JSON.parse(req.body) : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Formatuje pozycje jak Phemex w trybie hedge - dla każdego symbolu wiersz
+   * Long i Short (strona bez pozycji ma rozmiar 0), rozmiar skalowany przez qtyScale
+   * @private
+   */
+  _formatPositions() {
+    return [...this.ledger.positions.entries()].flatMap(([symbol, position]) =>
+      ["Long", "Short"].map((posSide) => {
+        const isOpen = posSide === (position.side === "Buy" ? "Long" : "Short");
+        return {
+          symbol,
+          side: isOpen ? position.side : "None",
+          posSide,
+          size: isOpen
+            ? String(Math.round(position.size * Math.pow(10, QTY_SCALE)))
+            : "0",
+          avgEntryPriceRp: isOpen ? String(position.avgPrice) : "0",
+          leverageRr: String(this.ledger.leverage.get(symbol) || 1),
+        };
+      })
+    );
+  }
+}
+
+const mockExchangeServer = new MockExchangeServer();
+module.exports = mockExchangeServer;
+// Klasa udostępniona dla testów uruchamiających kilka niezależnych giełd
+module.exports.MockExchangeServer = MockExchangeServer;
@@ -0,0 +1,423 @@
+/**
+ * Paper Adapter - adapter paper tradingu
+ *
+ * Zlecenia nie trafiają na giełdę - są wypełniane natychmiast po zamknięciu
+ * bieżącej świecy 1m, z konfigurowalnym poślizgiem i prowizją.
+ * Adapter prowadzi własną księgę pozycji i salda (w pamięci) - po restarcie
+ * exchange.service odtwarza w niej pozycję przywróconą przez signal.service.
+ * Zlecenia ochronne (stop loss / take profit) czekają w księdze i są
+ * wyzwalane bieżącą ceną przy odpytaniu ich stanu (getOrder).
+ */
+
+const { v4: uuidv4 } = require("uuid");
+const ExchangeAdapter = require("./exchange-adapter");
+const { getLast1mClose } = require("./market-price");
+const phemexService = require("../phemex.service");
+const { getPositionSide } = require("../../utils/pnl");
+
+const QUANTITY_PRECISION = 1e8;
+
+class PaperAdapter extends ExchangeAdapter {
+  /**
+   * @param {Object} [options] - Opcje adaptera
+   * @param {number} [options.feeRate=0.0006] - Prowizja jako ułamek wartości zlecenia
+   * @param {number} [options.slippage=0.0005] - Poślizg jako ułamek ceny (zawsze niekorzystny)
+   * @param {number} [options.initialBalance=0] - Początkowe saldo księgi
+   * @param {Function} [options.priceSource] - async (symbol) => cena wypełnienia
+   * @param {Function} [options.instrumentInfoSource] - async (symbol) => parametry instrumentu
+   */
+  constructor({
+    feeRate = 0.0006,
+    slippage = 0.0005,
+    initialBalance = 0,
+    priceSource = getLast1mClose,
+    instrumentInfoSource = (symbol) =>
+      phemexService.getCachedInstrumentInfo(symbol),
+  } = {}) {
+    super("paper");
+    this.feeRate = feeRate;
+    this.slippage = slippage;
+    this.balance = initialBalance;
+    this.priceSource = priceSource;
+    this.instrumentInfoSource = instrumentInfoSource;
+
+    this.positions = new Map(); // symbol -> { side, size, avgPrice }
+    this.leverage = new Map(); // symbol -> dźwignia
+    this.marginModes = new Map(); // symbol -> tryb margin
+    this.orders = [];
+    this.protectiveOrders = new Map(); // orderId -> zlecenie ochronne
+    this.fundingHistory = []; // [{ symbol, amount, time }]
+    this.totalFees = 0;
+    this.realizedPnl = 0;
+  }
+
+  async placeOrder({
+    symbol,
+    side,
+    quantity,
+    reduceOnly = false,
+    clientOrderId = null,
+  }) {
+    const orderQuantity = parseFloat(quantity);
+    if (!(orderQuantity > 0)) {
+      throw new Error(`Nieprawidłowa ilość zlecenia: ${quantity}`);
+    }
+
+    const marketPrice = await this.priceSource(symbol);
+    if (!marketPrice) {
+      throw new Error(`Brak ceny rynkowej dla ${symbol}`);
+    }
+
+    const fillPrice =
+      side === "Buy"
+        ? marketPrice * (1 + this.slippage)
+        : marketPrice * (1 - this.slippage);
+
+    const filledQuantity = this._applyFill(
+      symbol,
+      side,
+      orderQuantity,
+      fillPrice,
+      reduceOnly
+    );
+
+    const fee = filledQuantity * fillPrice * this.feeRate;
+    this.balance -= fee;
+    this.totalFees += fee;
+
+    const order = {
+      orderId: `paper-${uuidv4()}`,
+      clientOrderId,
+      status: "filled",
+      side,
+      quantity: orderQuantity,
+      filledQuantity,
+      avgPrice: fillPrice,
+      fee,
+    };
+
+    this.orders.push({ ...order, symbol, reduceOnly, marketPrice });
+    return order;
+  }
+
+  async getOrder(symbol, { orderId, clientOrderId } = {}) {
+    const order = this.orders.find(
+      (o) =>
+        o.symbol === symbol &&
+        ((orderId && o.orderId === orderId) ||
+          (clientOrderId && o.clientOrderId === clientOrderId))
+    );
+
+    if (!order) {
+      return this._getProtectiveOrder(symbol, { orderId, clientOrderId });
+    }
+
+    return {
+      orderId: order.orderId,
+      clientOrderId: order.clientOrderId,
+      status: order.status,
+      side: order.side,
+      quantity: order.quantity,
+      filledQuantity: order.filledQuantity,
+      avgPrice: order.avgPrice,
+      fee: order.fee,
+    };
+  }
+
+  async cancelOrder(symbol, ids) {
+    // Zlecenia paper tradingu są wypełniane natychmiast
+    return false;
+  }
+
+  async placeProtectiveOrder({
+    symbol,
+    type,
+    positionSide,
+    quantity,
+    triggerPrice,
+    clientOrderId = null,
+  }) {
+    const orderQuantity = parseFloat(quantity);
+    if (!(orderQuantity > 0) || !(triggerPrice > 0)) {
+      throw new Error(
+        `Nieprawidłowe zlecenie ochronne: ${quantity} @ ${triggerPrice}`
+      );
+    }
+
+    const order = {
+      orderId: `paper-${uuidv4()}`,
+      clientOrderId,
+      symbol,
+      type,
+      positionSide,
+      triggerPrice,
+      status: "submitted",
+      side: positionSide === "Buy" ? "Sell" : "Buy",
+      quantity: orderQuantity,
+      filledQuantity: 0,
+      avgPrice: null,
+      fee: null,
+    };
+
+    this.protectiveOrders.set(order.orderId, order);
+    return this._formatProtectiveOrder(order);
+  }
+
+  async cancelProtectiveOrder(symbol, ids) {
+    const order = this._findProtectiveOrder(symbol, ids);
+    if (!order || order.status !== "submitted") {
+      return false;
+    }
+
+    order.status = "canceled";
+    return true;
+  }
+
+  /**
+   * Wyzwala zlecenia ochronne symbolu, których cena została osiągnięta
+   * (stop loss - ruch przeciw pozycji, take profit - ruch na korzyść)
+   * @param {string} symbol - Symbol instrumentu
+   * @param {number} price - Bieżąca cena
+   * @returns {Promise<number>} - Liczba wyzwolonych zleceń
+   */
+  async triggerProtectiveOrders(symbol, price) {
+    let triggered = 0;
+
+    for (const order of this.protectiveOrders.values()) {
+      if (order.symbol !== symbol || order.status !== "submitted") {
+        continue;
+      }
+
+      const isLong = order.positionSide === "Buy";
+      const reached =
+        order.type === "stopLoss"
+          ? isLong
+            ? price <= order.triggerPrice
+            : price >= order.triggerPrice
+          : isLong
+            ? price >= order.triggerPrice
+            : price <= order.triggerPrice;
+
+      if (!reached) {
+        continue;
+      }
+
+      try {
+        const fill = await this.placeOrder({
+          symbol,
+          side: order.side,
+          quantity: order.quantity,
+          reduceOnly: true,
+        });
+        Object.assign(order, {
+          status: "filled",
+          filledQuantity: fill.filledQuantity,
+          avgPrice: fill.avgPrice,
+          fee: fill.fee,
+        });
+      } catch (error) {
+        // Pozycja zamknięta innym zleceniem - giełda anuluje zlecenie ochronne
+        order.status = "canceled";
+      }
+      triggered++;
+    }
+
+    return triggered;
+  }
+
+  async _getProtectiveOrder(symbol, ids) {
+    const order = this._findProtectiveOrder(symbol, ids);
+    if (!order) {
+      return null;
+    }
+
+    if (order.status === "submitted") {
+      const price = await this.priceSource(symbol).catch(() => null);
+      if (price) {
+        await this.triggerProtectiveOrders(symbol, price);
+      }
+    }
+
+    return this._formatProtectiveOrder(order);
+  }
+
+  _findProtectiveOrder(symbol, { orderId, clientOrderId } = {}) {
+    if (orderId && this.protectiveOrders.has(orderId)) {
+      const order = this.protectiveOrders.get(orderId);
+      return order.symbol === symbol ? order : null;
+    }
+
+    return (
+      [...this.protectiveOrders.values()].find(
+        (o) =>
+          o.symbol === symbol &&
+          clientOrderId &&
+          o.clientOrderId === clientOrderId
+      ) || null
+    );
+  }
+
+  _formatProtectiveOrder(order) {
+    return {
+      orderId: order.orderId,
+      clientOrderId: order.clientOrderId,
+      status: order.status,
+      side: order.side,
+      quantity: order.quantity,
+      filledQuantity: order.filledQuantity,
+      avgPrice: order.avgPrice,
+      fee: order.fee,
+    };
+  }
+
+  /**
+   * Aktualizuje księgę pozycji po wypełnieniu zlecenia
+   * @param {string} symbol - Symbol instrumentu
+   * @param {string} side - Strona zlecenia
+   * @param {number} quantity - Ilość
+   * @param {number} price - Cena wypełnienia
+   * @param {boolean} reduceOnly - Czy zlecenie tylko zmniejsza pozycję
+   * @returns {number} - Wypełniona ilość
+   * @private
+   */
+  _applyFill(symbol, side, quantity, price, reduceOnly) {
+    const position = this.positions.get(symbol) || {
+      side: null,
+      size: 0,
+      avgPrice: 0,
+    };
+
+    // Powiększenie pozycji (lub otwarcie nowej)
+    if (position.size === 0 || position.side === side) {
+      if (reduceOnly) {
+        throw new Error(`Brak pozycji do zamknięcia dla ${symbol}`);
+      }
+
+      const newSize = this._roundQuantity(position.size + quantity);
+      this.positions.set(symbol, {
+        side,
+        size: newSize,
+        avgPrice:
+          (position.avgPrice * position.size + price * quantity) / newSize,
+      });
+      return quantity;
+    }
+
+    // Zmniejszenie pozycji przeciwną stroną
+    const closedQuantity = Math.min(quantity, position.size);
+    const direction = position.side === "Buy" ? 1 : -1;
+    const pnl = (price - position.avgPrice) * closedQuantity * direction;
+
+    this.balance += pnl;
+    this.realizedPnl += pnl;
+
+    const remainingSize = this._roundQuantity(position.size - closedQuantity);
+    const reversedQuantity = reduceOnly
+      ? 0
+      : this._roundQuantity(quantity - closedQuantity);
+
+    if (reversedQuantity > 0) {
+      this.positions.set(symbol, {
+        side,
+        size: reversedQuantity,
+        avgPrice: price,
+      });
+    } else if (remainingSize > 0) {
+      this.positions.set(symbol, { ...position, size: remainingSize });
+    } else {
+      this.positions.delete(symbol);
+    }
+
+    return closedQuantity + reversedQuantity;
+  }
+
+  /**
+   * Odtwarza pozycję w księdze - księga jest tylko w pamięci, więc po restarcie
+   * pozycja przywrócona w signal.service musi zostać wpisana ponownie,
+   * aby zlecenie reduce-only mogło ją zamknąć
+   * @param {string} symbol - Symbol instrumentu
+   * @param {Object} position - Pozycja
+   * @param {string} position.side - Strona pozycji (Buy = long)
+   * @param {number} position.size - Ilość kontraktów
+   * @param {number} position.avgPrice - Średnia cena wejścia
+   */
+  restorePosition(symbol, { side, size, avgPrice }) {
+    if (!(size > 0) || !(avgPrice > 0)) {
+      this.positions.delete(symbol);
+      return;
+    }
+
+    this.positions.set(symbol, {
+      side,
+      size: this._roundQuantity(size),
+      avgPrice,
+    });
+  }
+
+  _roundQuantity(quantity) {
+    return Math.round(quantity * QUANTITY_PRECISION) / QUANTITY_PRECISION;
+  }
+
+  async setLeverage(symbol, leverage) {
+    this.leverage.set(symbol, leverage);
+    return true;
+  }
+
+  async setMarginMode(symbol, marginMode) {
+    this.marginModes.set(symbol, marginMode);
+    return true;
+  }
+
+  async getPositionSize(symbol, direction) {
+    const position = this.positions.get(symbol);
+    if (
+      !position ||
+      (direction && position.side !== getPositionSide(direction))
+    ) {
+      return 0;
+    }
+    return position.size;
+  }
+
+  async getBalance(currency = "USDT") {
+    let usedMargin = 0;
+    for (const [symbol, position] of this.positions.entries()) {
+      usedMargin +=
+        (position.size * position.avgPrice) / (this.leverage.get(symbol) || 1);
+    }
+
+    return {
+      currency,
+      walletBalance: this.balance,
+      availableBalance: this.balance - usedMargin,
+    };
+  }
+
+  /**
+   * Nalicza opłatę funding (paper trading nie symuluje stóp funding -
+   * opłaty dopisuje np. giełda testowa)
+   * @param {string} symbol - Symbol instrumentu
+   * @param {number} amount - Kwota (dodatnia = zapłacona)
+   * @param {number} [time=Date.now()] - Czas naliczenia (ms)
+   */
+  chargeFunding(symbol, amount, time = Date.now()) {
+    this.balance -= amount;
+    this.fundingHistory.push({ symbol, amount, time });
+  }
+
+  async getFundingFees(symbol, since = 0) {
+    return this.fundingHistory
+      .filter((f) => f.symbol === symbol && f.time >= since)
+      .reduce((sum, f) => sum + f.amount, 0);
+  }
+
+  async getInstrumentInfo(symbol) {
+    return this.instrumentInfoSource(symbol);
+  }
+
+  async getCurrentPrice(symbol) {
+    return this.priceSource(symbol);
+  }
+}
+
+module.exports = PaperAdapter;
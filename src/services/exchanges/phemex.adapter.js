@@ -0,0 +1,261 @@
+/**
+ * Phemex Adapter - adapter giełdy Phemex
+ *
+ * Tłumaczy kontrakt ExchangeAdapter na wywołania phemex.service
+ * z kluczami API instancji. Ten sam adapter obsługuje lokalną giełdę
+ * testową (mock) - wystarczy klient z innym adresem API.
+ */
+
+const ExchangeAdapter = require("./exchange-adapter");
+const phemexService = require("../phemex.service");
+
+// Statusy zleceń Phemex -> statusy znormalizowane
+const ORDER_STATUS_MAP = {
+  Created: "submitted",
+  New: "submitted",
+  Untriggered: "submitted",
+  Triggered: "submitted",
+  PartiallyFilled: "partially_filled",
+  Filled: "filled",
+  Canceled: "canceled",
+  Deactivated: "canceled",
+  Rejected: "rejected",
+};
+
+class PhemexAdapter extends ExchangeAdapter {
+  /**
+   * @param {Object} options - Opcje adaptera
+   * @param {string} options.apiKey - Klucz API
+   * @param {string} options.apiSecret - Sekret API
+   * @param {string} [options.subaccountId] - ID subkonta
+   * @param {Object} [options.client] - Klient Phemex (domyślnie phemex.service)
+   * @param {string} [options.name="phemex"] - Nazwa adaptera
+   */
+  constructor({
+    apiKey,
+    apiSecret,
+    subaccountId = null,
+    client = phemexService,
+    name = "phemex",
+  }) {
+    super(name);
+    this.apiKey = apiKey;
+    this.apiSecret = apiSecret;
+    this.subaccountId = subaccountId;
+    this.client = client;
+  }
+
+  async placeOrder({
+    symbol,
+    side,
+    quantity,
+    reduceOnly = false,
+    positionSide,
+    clientOrderId = null,
+  }) {
+    let response;
+
+    if (reduceOnly) {
+      // phemex.service.closePosition przyjmuje stronę zamykanej pozycji
+      response = await this.client.closePosition(
+        this.apiKey,
+        this.apiSecret,
+        symbol,
+        positionSide || (side === "Sell" ? "Buy" : "Sell"),
+        quantity.toString(),
+        0,
+        this.subaccountId,
+        clientOrderId
+      );
+    } else {
+      response = await this.client.openPosition(
+        this.apiKey,
+        this.apiSecret,
+        symbol,
+        side,
+        quantity.toString(),
+        0,
+        this.subaccountId,
+        clientOrderId
+      );
+    }
+
+    // Odpowiedź na zlecenie nie zawiera wypełnienia - potwierdza je getOrder()
+    return {
+      orderId: response.result?.orderId,
+      clientOrderId: response.result?.orderLinkId || clientOrderId,
+      status:
+        ORDER_STATUS_MAP[response.result?.orderStatus] === "rejected"
+          ? "rejected"
+          : "submitted",
+      side,
+      quantity: parseFloat(quantity),
+      filledQuantity: 0,
+      avgPrice: null,
+      fee: null,
+    };
+  }
+
+  async getOrder(symbol, { orderId, clientOrderId } = {}) {
+    const row = await this.client.getOrder(
+      this.apiKey,
+      this.apiSecret,
+      symbol,
+      {
+        orderId,
+        clientOrderId,
+      }
+    );
+
+    if (!row) {
+      return null;
+    }
+
+    const filledQuantity = parseFloat(row.cumQtyRq || "0");
+    const filledValue = parseFloat(row.cumValueRv || "0");
+    let avgPrice = row.avgPriceRp ? parseFloat(row.avgPriceRp) : null;
+    if (!avgPrice && filledQuantity > 0 && filledValue > 0) {
+      avgPrice = filledValue / filledQuantity;
+    }
+
+    return {
+      orderId: row.orderID || row.orderId || orderId,
+      clientOrderId: row.clOrdID || row.clOrdId || clientOrderId,
+      status: ORDER_STATUS_MAP[row.ordStatus] || "submitted",
+      side: row.side,
+      quantity: parseFloat(row.orderQtyRq || "0"),
+      filledQuantity,
+      avgPrice,
+      fee: parseFloat(row.cumFeeRv || row.execFeeRv || "0"),
+    };
+  }
+
+  async cancelOrder(symbol, { orderId, clientOrderId } = {}) {
+    return this.client.cancelOrder(this.apiKey, this.apiSecret, symbol, {
+      orderId,
+      clientOrderId,
+    });
+  }
+
+  async placeProtectiveOrder({
+    symbol,
+    type,
+    positionSide,
+    quantity,
+    triggerPrice,
+    clientOrderId = null,
+  }) {
+    const response = await this.client.placeConditionalOrder(
+      this.apiKey,
+      this.apiSecret,
+      symbol,
+      positionSide,
+      quantity.toString(),
+      triggerPrice,
+      type,
+      clientOrderId
+    );
+
+    // Zlecenie warunkowe czeka na giełdzie (Untriggered) - stan daje getOrder()
+    return {
+      orderId: response.result?.orderId,
+      clientOrderId: response.result?.orderLinkId || clientOrderId,
+      status:
+        ORDER_STATUS_MAP[response.result?.orderStatus] === "rejected"
+          ? "rejected"
+          : "submitted",
+      side: positionSide === "Buy" ? "Sell" : "Buy",
+      quantity: parseFloat(quantity),
+      filledQuantity: 0,
+      avgPrice: null,
+      fee: null,
+    };
+  }
+
+  async cancelProtectiveOrder(
+    symbol,
+    { orderId, clientOrderId } = {},
+    positionSide = "Buy"
+  ) {
+    return this.client.cancelOrder(
+      this.apiKey,
+      this.apiSecret,
+      symbol,
+      { orderId, clientOrderId },
+      positionSide === "Buy" ? "Long" : "Short"
+    );
+  }
+
+  async setLeverage(symbol, leverage) {
+    await this.client.setLeverage(
+      this.apiKey,
+      this.apiSecret,
+      symbol,
+      leverage
+    );
+    return true;
+  }
+
+  async setMarginMode(symbol, marginMode) {
+    await this.client.setMarginMode(
+      this.apiKey,
+      this.apiSecret,
+      symbol,
+      marginMode === "isolated" ? 1 : 0
+    );
+    return true;
+  }
+
+  async getPositionSize(symbol, direction) {
+    return this.client.getPositionSize(
+      this.apiKey,
+      this.apiSecret,
+      symbol,
+      this.subaccountId,
+      direction ? (direction === "short" ? "Short" : "Long") : null
+    );
+  }
+
+  async getBalance(currency = "USDT") {
+    const balanceData = await this.client.getBalance(
+      this.apiKey,
+      this.apiSecret,
+      currency
+    );
+
+    if (balanceData.retCode !== 0) {
+      throw new Error(`Phemex API error: ${balanceData.retMsg}`);
+    }
+
+    const coinBalance = balanceData.result?.list?.[0]?.coin?.find(
+      (coin) => coin.coin === currency
+    );
+
+    return {
+      currency,
+      walletBalance: parseFloat(coinBalance?.walletBalance || "0"),
+      availableBalance: parseFloat(
+        coinBalance?.availableToWithdraw || coinBalance?.walletBalance || "0"
+      ),
+    };
+  }
+
+  async getFundingFees(symbol, since = 0) {
+    return this.client.getFundingFees(
+      this.apiKey,
+      this.apiSecret,
+      symbol,
+      since
+    );
+  }
+
+  async getInstrumentInfo(symbol) {
+    return this.client.getCachedInstrumentInfo(symbol);
+  }
+
+  async getCurrentPrice(symbol) {
+    return this.client.getCurrentPrice(symbol);
+  }
+}
+
+module.exports = PhemexAdapter;
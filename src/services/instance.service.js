@@ -5,8 +5,10 @@ const mutex = require("../utils/mutex");
 const logger = require("../utils/logger");
 const TradingLogger = require("../utils/trading-logger");
 const { v4: uuidv4 } = require("uuid");
-const phemexService = require("./phemex.service");
+const exchangeService = require("./exchange.service");
 const Signal = require("../models/signal.model");
+const tradingStateService = require("./trading-state.service");
+const strategyService = require("./strategy.service");
 
 class InstanceService {
   constructor() {
@@ -18,53 +20,22 @@ class InstanceService {
       const instances = await Instance.find({ active: true });
 
       for (const instance of instances) {
+        // Pobierz zapisany stan przed startem - start resetuje stany band
+        const savedState = await tradingStateService.loadState(
+          instance.instanceId
+        );
+
         await this.startInstance(instance.instanceId);
 
-        if (
-          instance.financials &&
-          instance.financials.openPositions &&
-          instance.financials.openPositions.length > 0
-        ) {
-          const signalIds = instance.financials.openPositions.map(
-            (p) => p.signalId
+        if (savedState) {
+          await tradingStateService.restoreState(
+            instance.instanceId,
+            savedState
           );
-          const entrySignals = await Signal.find({
-            _id: { $in: signalIds },
-            type: "entry",
-          });
-
-          if (entrySignals.length > 0) {
-            const position = {
-              instanceId: instance.instanceId,
-              symbol: instance.symbol,
-              entryTime: instance.financials.openPositions[0].lockedAt,
-              entryPrice: entrySignals[0].price,
-              capitalAllocation: 0,
-              capitalAmount: 0,
-              status: "active",
-              entries: [],
-            };
-
-            for (const signal of entrySignals) {
-              position.entries.push({
-                time: signal.timestamp,
-                price: signal.price,
-                type: signal.subType,
-                trend: signal.metadata?.trend || "unknown",
-                allocation: signal.allocation,
-                amount: signal.amount,
-                signalId: signal._id.toString(),
-              });
-
-              position.capitalAllocation += signal.allocation || 0;
-              position.capitalAmount += signal.amount || 0;
-            }
+        }
 
-            signalService.setActivePosition(instance.instanceId, position);
-            logger.info(
-              `Odtworzono aktywną pozycję dla instancji ${instance.instanceId}`
-            );
-          }
+        if (!savedState?.activePosition) {
+          await this.restorePositionFromFinancials(instance);
         }
       }
 
@@ -78,6 +49,76 @@ class InstanceService {
     }
   }
 
+  /**
+   * Odtwarza aktywną pozycję na podstawie financials.openPositions
+   * (dla instancji bez zapisanego stanu handlowego)
+   * @param {Object} instance - Dokument instancji
+   * @returns {Promise<boolean>} - Czy odtworzono pozycję
+   */
+  async restorePositionFromFinancials(instance) {
+    const openPosition = instance.financials?.openPositions?.[0];
+    if (!openPosition) {
+      return false;
+    }
+
+    const signalIds = (openPosition.entrySignals || [])
+      .map((entrySignal) => entrySignal.signalId)
+      .filter(Boolean);
+
+    const entrySignals = await Signal.find({
+      _id: { $in: signalIds },
+      type: "entry",
+    }).sort({ timestamp: 1 });
+
+    if (entrySignals.length === 0) {
+      logger.warn(
+        `Nie znaleziono sygnałów wejścia dla otwartej pozycji ${openPosition.positionId} instancji ${instance.instanceId}`
+      );
+      return false;
+    }
+
+    const position = {
+      instanceId: instance.instanceId,
+      symbol: instance.symbol,
+      positionId: openPosition.positionId,
+      direction: openPosition.direction || entrySignals[0].direction || "long",
+      entryTime: entrySignals[0].timestamp,
+      entryPrice: entrySignals[0].price,
+      capitalAllocation: 0,
+      capitalAmount: 0,
+      status: "active",
+      entries: [],
+      history: [],
+    };
+
+    for (const signal of entrySignals) {
+      position.entries.push({
+        time: signal.timestamp,
+        price: signal.price,
+        type: signal.subType,
+        trend: signal.metadata?.trend || "unknown",
+        allocation: signal.allocation,
+        amount: signal.amount,
+        signalId: signal._id.toString(),
+        contractQuantity:
+          signal.metadata?.contractQuantity ||
+          signal.metadata?.adjustedQuantity,
+        fillPrice: signal.metadata?.fillPrice,
+        fee: signal.metadata?.fee || 0,
+        positionId: openPosition.positionId,
+      });
+
+      position.capitalAllocation += signal.allocation || 0;
+      position.capitalAmount += signal.amount || 0;
+    }
+
+    signalService.setActivePosition(instance.instanceId, position);
+    logger.info(
+      `Odtworzono aktywną pozycję dla instancji ${instance.instanceId} z financials.openPositions`
+    );
+    return true;
+  }
+
   async createInstance(config) {
     return mutex.withLock(`create-${config.name}`, async () => {
       try {
@@ -94,11 +135,17 @@ class InstanceService {
           symbol: config.symbol,
           active: config.active !== false,
           testMode: config.testMode || false,
+          exchange: {
+            adapter: config.exchange?.adapter || "paper",
+            paper: config.exchange?.paper,
+            mock: config.exchange?.mock,
+          },
           strategy: {
             type: config.strategy?.type || "hurst",
             parameters: config.strategy?.parameters || {
               hurst: {
                 interval: "15m",
+                direction: "long",
                 periods: 25,
                 upperDeviationFactor: 2.0,
                 lowerDeviationFactor: 2.0,
@@ -153,7 +200,7 @@ class InstanceService {
           await this.startInstance(instanceId);
         }
 
-        if (instance.phemexConfig?.apiKey && !instance.testMode) {
+        if (exchangeService.syncsBalance(instance)) {
           setTimeout(async () => {
             try {
               await this.syncInstanceBalance(instanceId);
@@ -197,20 +244,21 @@ class InstanceService {
           return true;
         }
 
-        if (
-          instance.phemexConfig &&
-          instance.phemexConfig.apiKey &&
-          !instance.testMode
-        ) {
+        if (exchangeService.syncsBalance(instance)) {
           await this.syncInstanceBalance(instanceId);
         }
 
+        const strategyType = instance.strategy.type || "hurst";
         const analysisConfig = {
           symbol: instance.symbol,
-          hurst: instance.strategy.parameters.hurst,
-          ema: instance.strategy.parameters.ema,
+          strategyType,
+          ...strategyService.resolveParameters(
+            strategyType,
+            instance.strategy.parameters
+          ),
           checkEMATrend: instance.strategy.parameters.signals.checkEMATrend,
           signals: instance.strategy.parameters.signals,
+          capitalAllocation: instance.strategy.parameters.capitalAllocation,
         };
 
         const analysisSuccess = await analysisService.initializeInstance(
@@ -252,7 +300,13 @@ class InstanceService {
     });
   }
 
-  async stopInstance(instanceId) {
+  /**
+   * Zatrzymuje instancję
+   * @param {string} instanceId - ID instancji
+   * @param {boolean} [preserveState=false] - Zachowaj flagę active i zapisany stan (restart serwera)
+   * @returns {Promise<boolean>} - Czy zatrzymano instancję
+   */
+  async stopInstance(instanceId, preserveState = false) {
     return mutex.withLock(`stop-${instanceId}`, async () => {
       try {
         if (!this.instances.has(instanceId)) {
@@ -264,6 +318,15 @@ class InstanceService {
         analysisService.stopInstance(instanceId);
         this.instances.delete(instanceId);
 
+        if (preserveState) {
+          TradingLogger.logInstanceState(
+            instanceId,
+            "Stopped",
+            "state preserved"
+          );
+          return true;
+        }
+
         const instance = await Instance.findOne({ instanceId });
         if (instance) {
           instance.active = false;
@@ -317,6 +380,48 @@ class InstanceService {
           };
         }
 
+        if (updateData.strategy?.type) {
+          if (!strategyService.hasStrategy(updateData.strategy.type)) {
+            throw new Error(
+              `Nieznany typ strategii: ${updateData.strategy.type}`
+            );
+          }
+          instance.strategy.type = updateData.strategy.type;
+        }
+
+        // Grupy parametrów pozostałych strategii (macd, rsi)
+        for (const group of ["macd", "rsi"]) {
+          if (updateData.strategy?.parameters?.[group]) {
+            instance.strategy.parameters[group] = {
+              ...instance.strategy.parameters[group],
+              ...updateData.strategy.parameters[group],
+            };
+          }
+        }
+
+        if (updateData.strategy?.parameters?.signals) {
+          const currentSignals = instance.strategy.parameters.signals || {};
+          const signals = {
+            ...currentSignals,
+            ...updateData.strategy.parameters.signals,
+          };
+
+          // Grupy zagnieżdżone (stopLoss, upperBand, ...) - częściowa zmiana zachowuje pozostałe pola
+          for (const [group, values] of Object.entries(
+            updateData.strategy.parameters.signals
+          )) {
+            if (
+              values &&
+              typeof values === "object" &&
+              !Array.isArray(values)
+            ) {
+              signals[group] = { ...currentSignals[group], ...values };
+            }
+          }
+
+          instance.strategy.parameters.signals = signals;
+        }
+
         if (updateData.strategy?.parameters?.checkEMATrend !== undefined) {
           instance.strategy.parameters.checkEMATrend =
             updateData.strategy.parameters.checkEMATrend;
@@ -360,6 +465,8 @@ class InstanceService {
         }
 
         const deletedSignals = await Signal.deleteMany({ instanceId });
+        await tradingStateService.deleteState(instanceId);
+        exchangeService.releaseAdapter(instanceId);
 
         try {
           if (signalService.positionHistory) {
@@ -428,10 +535,19 @@ class InstanceService {
     };
   }
 
-  async stopAllInstances() {
+  /**
+   * Zatrzymuje wszystkie instancje
+   * @param {boolean} [preserveState=false] - Przy zamykaniu serwera: nie nadpisuj zapisanego
+   * stanu handlowego i pozostaw instancje aktywne, aby zostały odtworzone przy starcie
+   */
+  async stopAllInstances(preserveState = false) {
+    if (preserveState) {
+      tradingStateService.freeze();
+    }
+
     const instanceIds = [...this.instances.keys()];
     for (const instanceId of instanceIds) {
-      await this.stopInstance(instanceId);
+      await this.stopInstance(instanceId, preserveState);
     }
     logger.info("Zatrzymano wszystkie instancje");
   }
@@ -440,44 +556,33 @@ class InstanceService {
     try {
       const instance = await Instance.findOne({ instanceId });
 
-      if (!instance || !instance.phemexConfig?.apiKey || instance.testMode) {
+      if (!instance || !exchangeService.syncsBalance(instance)) {
         return false;
       }
 
+      const exchange = await exchangeService.getAdapter(instance);
+
       TradingLogger.logConfig(instanceId, "Starting balance sync", {
+        exchange: exchange.name,
         hasApiKey: !!instance.phemexConfig?.apiKey,
         hasApiSecret: !!instance.phemexConfig?.apiSecret,
-        testMode: instance.testMode,
       });
 
-      const balanceData = await phemexService.getBalance(
-        instance.phemexConfig.apiKey,
-        instance.phemexConfig.apiSecret,
-        "USDT"
-      );
-
-      if (balanceData.retCode !== 0) {
+      let balance;
+      try {
+        balance = await exchange.getBalance("USDT");
+      } catch (error) {
         TradingLogger.logTradingError(
           instanceId,
           instance.symbol,
-          `Phemex API error: ${balanceData.retMsg}`,
+          error.message,
           "Balance sync"
         );
         return false;
       }
 
-      const accountInfo = balanceData.result?.list?.[0];
-      const usdtBalance = accountInfo?.coin?.find(
-        (coin) => coin.coin === "USDT"
-      );
-
-      if (usdtBalance) {
-        const availableBalance = parseFloat(
-          usdtBalance.availableToWithdraw ||
-            usdtBalance.walletBalance ||
-            usdtBalance.availableBalance ||
-            "0"
-        );
+      if (balance) {
+        const availableBalance = balance.availableBalance;
 
         if (!instance.financials) {
           instance.financials = {
@@ -558,6 +663,68 @@ class InstanceService {
       }
     });
   }
+
+  /**
+   * Aktualizuje konfigurację adaptera giełdy
+   * @param {string} instanceId - ID instancji
+   * @param {Object} exchangeConfig - { adapter, paper: { feeRate, slippage }, mock: { url } }
+   * @returns {Promise<Object>} - Zaktualizowana instancja
+   */
+  async updateExchangeConfig(instanceId, { adapter, paper, mock }) {
+    return mutex.withLock(`exchange-config-${instanceId}`, async () => {
+      try {
+        const instance = await Instance.findOne({ instanceId });
+        if (!instance) {
+          throw new Error("Instance not found");
+        }
+
+        if (!exchangeService.getAvailableAdapters().includes(adapter)) {
+          throw new Error(`Nieznany adapter giełdy: ${adapter}`);
+        }
+
+        if (signalService.getActivePositions(instanceId)) {
+          throw new Error(
+            "Nie można zmienić adaptera giełdy przy otwartej pozycji"
+          );
+        }
+
+        const current = instance.exchange?.toObject
+          ? instance.exchange.toObject()
+          : instance.exchange || {};
+
+        instance.exchange = {
+          adapter,
+          paper: { ...current.paper, ...paper },
+          mock: { ...current.mock, ...mock },
+        };
+
+        await instance.save();
+        exchangeService.releaseAdapter(instanceId);
+
+        // Uruchomiona instancja korzysta z kopii konfiguracji
+        if (this.instances.has(instanceId)) {
+          this.instances.set(instanceId, {
+            ...this.instances.get(instanceId),
+            exchange: instance.exchange.toObject(),
+          });
+        }
+
+        TradingLogger.logConfig(instanceId, "Exchange config updated", {
+          exchange: instance.exchange.toObject(),
+        });
+
+        return instance;
+      } catch (error) {
+        TradingLogger.logTradingError(
+          instanceId,
+          "UNKNOWN",
+          error.message,
+          "Exchange config update failed"
+        );
+        throw error;
+      }
+    });
+  }
 }
 
 const instanceService = new InstanceService();
@@ -0,0 +1,425 @@
+/**
+ * Order Service - cykl życia zleceń giełdowych
+ *
+ * Odpowiedzialny za:
+ * - Zapis każdego zlecenia (Order) przed wysłaniem na giełdę
+ * - Potwierdzanie wypełnienia przez odpytywanie adaptera giełdy
+ * - Anulowanie niewypełnionej reszty po przekroczeniu czasu potwierdzenia
+ * - Warunkowe zlecenia ochronne (stop loss / take profit) - bez czekania
+ *   na wypełnienie, ich stan odświeża refreshOrder()
+ *
+ * Wywołujący (signal.service) uznaje wejście/wyjście za wykonane dopiero,
+ * gdy zlecenie ma potwierdzoną wypełnioną ilość (isFilled).
+ */
+
+const { EventEmitter } = require("events");
+const { v4: uuidv4 } = require("uuid");
+const Order = require("../models/order.model");
+const logger = require("../utils/logger");
+
+// Statusy, po których nie odpytujemy już giełdy
+const TERMINAL_STATUSES = ["filled", "rejected", "canceled"];
+
+// Cele zleceń ochronnych (warunkowych)
+const PROTECTIVE_PURPOSES = ["stopLoss", "takeProfit"];
+
+class OrderService extends EventEmitter {
+  constructor() {
+    super();
+    this.pollInterval = 1000; // Co ile ms sprawdzać stan zlecenia
+    this.fillTimeout = 15000; // Maksymalny czas oczekiwania na wypełnienie
+  }
+
+  /**
+   * Wysyła zlecenie rynkowe i czeka na potwierdzenie wypełnienia
+   * @param {Object} params - Parametry zlecenia
+   * @param {string} params.instanceId - ID instancji
+   * @param {string} params.symbol - Symbol instrumentu
+   * @param {ExchangeAdapter} params.exchange - Adapter giełdy
+   * @param {string} params.purpose - Cel zlecenia (entry/exit)
+   * @param {string} params.positionSide - Strona pozycji (Buy = long)
+   * @param {number} params.quantity - Ilość kontraktów
+   * @param {string} [params.signalId] - ID sygnału
+   * @param {string} [params.positionId] - ID pozycji
+   * @returns {Promise<Object>} - Dokument zlecenia w stanie końcowym
+   */
+  async executeOrder({
+    instanceId,
+    symbol,
+    exchange,
+    purpose,
+    positionSide,
+    quantity,
+    signalId = null,
+    positionId = null,
+  }) {
+    const reduceOnly = purpose === "exit";
+    const side = reduceOnly
+      ? positionSide === "Buy"
+        ? "Sell"
+        : "Buy"
+      : positionSide;
+
+    // Phemex ogranicza clOrdID do 40 znaków
+    const clientOrderId = `${purpose.charAt(0)}${uuidv4().replace(/-/g, "")}`;
+
+    const order = await Order.create({
+      instanceId,
+      symbol,
+      exchange: exchange.name,
+      clientOrderId,
+      signalId: signalId ? signalId.toString() : null,
+      positionId,
+      purpose,
+      side,
+      reduceOnly,
+      requestedQuantity: parseFloat(quantity),
+      status: "created",
+    });
+
+    let state;
+    try {
+      state = reduceOnly
+        ? await exchange.closePosition(
+            symbol,
+            positionSide,
+            quantity,
+            clientOrderId
+          )
+        : await exchange.openPosition(
+            symbol,
+            positionSide,
+            quantity,
+            clientOrderId
+          );
+    } catch (error) {
+      // Błąd sieci nie wyklucza przyjęcia zlecenia - sprawdź po własnym ID
+      state = await this._queryOrder(exchange, symbol, { clientOrderId });
+
+      if (!state) {
+        return this._complete(order, {
+          status: "rejected",
+          error: error.message,
+        });
+      }
+    }
+
+    order.submittedAt = new Date();
+    this._applyState(order, state);
+    await order.save();
+    this.emit("orderUpdated", order.toObject());
+
+    if (!TERMINAL_STATUSES.includes(order.status)) {
+      await this._awaitFill(order, exchange);
+    }
+
+    return this._complete(order);
+  }
+
+  /**
+   * Składa warunkowe zlecenie ochronne pozycji. Nie czeka na wypełnienie -
+   * zlecenie pozostaje na giełdzie w stanie submitted do wyzwolenia.
+   * @param {Object} params - Parametry zlecenia
+   * @param {string} params.instanceId - ID instancji
+   * @param {string} params.symbol - Symbol instrumentu
+   * @param {ExchangeAdapter} params.exchange - Adapter giełdy
+   * @param {string} params.type - Rodzaj zlecenia (stopLoss/takeProfit)
+   * @param {string} params.positionSide - Strona chronionej pozycji (Buy = long)
+   * @param {number} params.quantity - Ilość kontraktów
+   * @param {number} params.triggerPrice - Cena wyzwolenia
+   * @param {string} [params.positionId] - ID pozycji
+   * @returns {Promise<Object>} - Dokument zlecenia (submitted lub rejected)
+   */
+  async placeProtectiveOrder({
+    instanceId,
+    symbol,
+    exchange,
+    type,
+    positionSide,
+    quantity,
+    triggerPrice,
+    positionId = null,
+  }) {
+    const clientOrderId = `${type === "takeProfit" ? "t" : "s"}${uuidv4().replace(/-/g, "")}`;
+
+    const order = await Order.create({
+      instanceId,
+      symbol,
+      exchange: exchange.name,
+      clientOrderId,
+      positionId,
+      purpose: type,
+      side: positionSide === "Buy" ? "Sell" : "Buy",
+      reduceOnly: true,
+      requestedQuantity: parseFloat(quantity),
+      triggerPrice,
+      status: "created",
+    });
+
+    let state;
+    try {
+      state = await exchange.placeProtectiveOrder({
+        symbol,
+        type,
+        positionSide,
+        quantity,
+        triggerPrice,
+        clientOrderId,
+      });
+    } catch (error) {
+      state = await this._queryOrder(exchange, symbol, { clientOrderId });
+
+      if (!state) {
+        return this._complete(order, {
+          status: "rejected",
+          error: error.message,
+        });
+      }
+    }
+
+    order.submittedAt = new Date();
+    this._applyState(order, state);
+    await order.save();
+    this.emit("orderUpdated", order.toObject());
+
+    if (TERMINAL_STATUSES.includes(order.status)) {
+      return this._complete(order);
+    }
+
+    return order.toObject();
+  }
+
+  /**
+   * Odświeża stan zlecenia z giełdy (np. czy zlecenie ochronne zostało wyzwolone)
+   * @param {ExchangeAdapter} exchange - Adapter giełdy
+   * @param {string} clientOrderId - Własny identyfikator zlecenia
+   * @returns {Promise<Object|null>} - Dokument zlecenia lub null
+   */
+  async refreshOrder(exchange, clientOrderId) {
+    const order = await Order.findOne({ clientOrderId });
+    if (!order) {
+      return null;
+    }
+
+    if (TERMINAL_STATUSES.includes(order.status)) {
+      return order.toObject();
+    }
+
+    const state = await this._queryOrder(exchange, order.symbol, {
+      orderId: order.orderId,
+      clientOrderId,
+    });
+    if (!state) {
+      return order.toObject();
+    }
+
+    order.pollCount += 1;
+    this._applyState(order, state);
+
+    if (TERMINAL_STATUSES.includes(order.status)) {
+      return this._complete(order);
+    }
+
+    await order.save();
+    return order.toObject();
+  }
+
+  /**
+   * Anuluje niewyzwolone zlecenie ochronne i zapisuje jego stan końcowy
+   * @param {ExchangeAdapter} exchange - Adapter giełdy
+   * @param {string} clientOrderId - Własny identyfikator zlecenia
+   * @param {string} positionSide - Strona chronionej pozycji (Buy/Sell)
+   * @returns {Promise<Object|null>} - Dokument zlecenia (filled, jeśli zdążyło się wykonać)
+   */
+  async cancelProtectiveOrder(exchange, clientOrderId, positionSide) {
+    const order = await Order.findOne({ clientOrderId });
+    if (!order) {
+      return null;
+    }
+
+    if (TERMINAL_STATUSES.includes(order.status)) {
+      return order.toObject();
+    }
+
+    const ids = { orderId: order.orderId, clientOrderId };
+    let canceled = false;
+    try {
+      canceled = await exchange.cancelProtectiveOrder(
+        order.symbol,
+        ids,
+        positionSide
+      );
+    } catch (error) {
+      logger.warn(
+        `[ORDER] Nie udało się anulować zlecenia ochronnego ${clientOrderId}: ${error.message}`
+      );
+    }
+
+    // Zlecenie mogło zostać wyzwolone tuż przed anulowaniem
+    const state = await this._queryOrder(exchange, order.symbol, ids);
+    if (state) {
+      this._applyState(order, state);
+    }
+
+    if (!TERMINAL_STATUSES.includes(order.status)) {
+      if (!canceled) {
+        await order.save();
+        return order.toObject();
+      }
+      order.status = "canceled";
+    }
+
+    return this._complete(order);
+  }
+
+  /**
+   * Sprawdza, czy zlecenie ma potwierdzoną wypełnioną ilość
+   * @param {Object} order - Dokument zlecenia
+   * @returns {boolean} - Czy zlecenie (choć częściowo) wypełnione
+   */
+  isFilled(order) {
+    return !!order && order.filledQuantity > 0;
+  }
+
+  /**
+   * Odpytuje giełdę do wypełnienia zlecenia lub upływu fillTimeout,
+   * po czym anuluje niewypełnioną resztę
+   * @param {Object} order - Dokument zlecenia
+   * @param {ExchangeAdapter} exchange - Adapter giełdy
+   * @private
+   */
+  async _awaitFill(order, exchange) {
+    const ids = { orderId: order.orderId, clientOrderId: order.clientOrderId };
+    const deadline = Date.now() + this.fillTimeout;
+
+    while (Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, this.pollInterval));
+
+      const state = await this._queryOrder(exchange, order.symbol, ids);
+      order.pollCount += 1;
+
+      if (state) {
+        this._applyState(order, state);
+        await order.save();
+
+        if (TERMINAL_STATUSES.includes(order.status)) {
+          return;
+        }
+      }
+    }
+
+    try {
+      await exchange.cancelOrder(order.symbol, ids);
+    } catch (error) {
+      logger.warn(
+        `[ORDER] Nie udało się anulować zlecenia ${order.clientOrderId}: ${error.message}`
+      );
+    }
+
+    const finalState = await this._queryOrder(exchange, order.symbol, ids);
+    if (finalState) {
+      this._applyState(order, finalState);
+    }
+
+    if (!TERMINAL_STATUSES.includes(order.status)) {
+      order.status = order.filledQuantity > 0 ? "partially_filled" : "expired";
+      order.error = `Brak potwierdzenia wypełnienia w ${this.fillTimeout / 1000}s`;
+    }
+  }
+
+  async _queryOrder(exchange, symbol, ids) {
+    try {
+      return await exchange.getOrder(symbol, ids);
+    } catch (error) {
+      logger.warn(
+        `[ORDER] Błąd pobierania stanu zlecenia ${ids.clientOrderId || ids.orderId}: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Przepisuje znormalizowany stan z adaptera do dokumentu zlecenia
+   * @private
+   */
+  _applyState(order, state) {
+    if (state.orderId) {
+      order.orderId = state.orderId;
+    }
+    if (state.status) {
+      order.status = state.status;
+    }
+    if (state.filledQuantity !== undefined && state.filledQuantity !== null) {
+      order.filledQuantity = state.filledQuantity;
+    }
+    if (state.avgPrice) {
+      order.avgFillPrice = state.avgPrice;
+    }
+    if (state.fee !== undefined && state.fee !== null) {
+      order.fee = state.fee;
+    }
+  }
+
+  /**
+   * Zamyka cykl życia zlecenia
+   * @private
+   */
+  async _complete(order, { status, error } = {}) {
+    if (status) {
+      order.status = status;
+    }
+    if (error) {
+      order.error = error;
+    }
+
+    order.completedAt = new Date();
+    await order.save();
+
+    const result = order.toObject();
+    this.emit("orderCompleted", result);
+
+    // Anulowanie niewyzwolonego zlecenia ochronnego to zwykła zmiana ochrony
+    const isCanceledProtection =
+      PROTECTIVE_PURPOSES.includes(result.purpose) &&
+      result.status === "canceled";
+
+    if (!this.isFilled(result) && !isCanceledProtection) {
+      logger.warn(
+        `[ORDER] ${result.symbol} | ${result.purpose} ${result.side} ${result.requestedQuantity} ${result.status}${result.error ? ": " + result.error : ""} | Instance: ${result.instanceId.slice(-8)}`
+      );
+    }
+
+    return result;
+  }
+
+  /**
+   * Pobiera zlecenia
+   * @param {Object} [filters] - { instanceId, status, purpose, signalId }
+   * @param {number} [limit=100] - Maksymalna liczba zleceń
+   * @returns {Promise<Array>} - Zlecenia od najnowszych
+   */
+  async getOrders(filters = {}, limit = 100) {
+    const query = {};
+    for (const key of ["instanceId", "status", "purpose", "signalId"]) {
+      if (filters[key]) {
+        query[key] = filters[key];
+      }
+    }
+
+    return Order.find(query).sort({ createdAt: -1 }).limit(limit).lean();
+  }
+
+  /**
+   * Pobiera zlecenie po ID giełdy lub własnym ID
+   * @param {string} id - orderId lub clientOrderId
+   * @returns {Promise<Object|null>} - Zlecenie
+   */
+  async getOrder(id) {
+    return Order.findOne({
+      $or: [{ orderId: id }, { clientOrderId: id }],
+    }).lean();
+  }
+}
+
+const orderService = new OrderService();
+module.exports = orderService;
@@ -3,8 +3,13 @@ const axios = require("axios");
 const logger = require("../utils/logger");
 
 class PhemexService {
-  constructor() {
-    this.baseUrl = "https://api.phemex.com";
+  /**
+   * @param {string} [baseUrl] - Adres REST API (np. lokalna giełda testowa)
+   */
+  constructor(
+    baseUrl = process.env.PHEMEX_API_URL || "https://api.phemex.com"
+  ) {
+    this.baseUrl = baseUrl;
     this.instrumentInfoCache = new Map();
     this.instrumentCacheExpiry = 3600000; // 1 hour
     this.scaleCache = new Map(); // Cache dla scale info
@@ -53,7 +58,9 @@ class PhemexService {
       let queryString = "";
       let requestBody = "";
 
-      if (method === "GET" && Object.keys(params).length > 0) {
+      const usesQuery = method === "GET" || method === "DELETE";
+
+      if (usesQuery && Object.keys(params).length > 0) {
         queryString = Object.keys(params)
           .sort()
           .map((key) => `${key}=${encodeURIComponent(params[key])}`)
@@ -86,7 +93,7 @@ class PhemexService {
         headers,
       };
 
-      if (method === "GET" && queryString) {
+      if (usesQuery && queryString) {
         config.url += `?${queryString}`;
       } else if ((method === "POST" || method === "PUT") && requestBody) {
         config.data = requestBody;
@@ -215,6 +222,7 @@ class PhemexService {
    * @param {string} quantity - Wielkość pozycji
    * @param {number} positionIdx - Indeks pozycji (nie używany)
    * @param {string} subaccountId - ID subkonta (nie używany)
+   * @param {string} clientOrderId - Własny identyfikator zlecenia (opcjonalny)
    * @returns {Promise<Object>} - Odpowiedź z API
    */
   async openPosition(
@@ -224,14 +232,17 @@ class PhemexService {
     side,
     quantity,
     positionIdx = 0,
-    subaccountId = null
+    subaccountId = null,
+    clientOrderId = null
   ) {
     try {
       const phemexSymbol = this.convertToPhemexSymbol(symbol);
 
       // ✅ POPRAWNE PARAMETRY dla Phemex futures
       const params = {
-        clOrdID: `order-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`, // Unikalny ID
+        clOrdID:
+          clientOrderId ||
+          `order-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`, // Unikalny ID
         symbol: phemexSymbol, // BTCUSDT (bez prefiksu)
         side: side, // "Buy" lub "Sell"
         orderQtyRq: quantity, // ← orderQtyRq zamiast orderQty!
@@ -257,6 +268,7 @@ class PhemexService {
           result: {
             orderId: response.data?.orderID,
             orderLinkId: response.data?.clOrdID,
+            orderStatus: response.data?.ordStatus,
           },
         };
       } else {
@@ -295,6 +307,7 @@ class PhemexService {
    * @param {string} quantity - Wielkość do zamknięcia
    * @param {number} positionIdx - Indeks pozycji (nie używany)
    * @param {string} subaccountId - ID subkonta (nie używany)
+   * @param {string} clientOrderId - Własny identyfikator zlecenia (opcjonalny)
    * @returns {Promise<Object>} - Odpowiedź z API
    */
   async closePosition(
@@ -304,7 +317,8 @@ class PhemexService {
     side,
     quantity,
     positionIdx = 0,
-    subaccountId = null
+    subaccountId = null,
+    clientOrderId = null
   ) {
     try {
       const phemexSymbol = this.convertToPhemexSymbol(symbol);
@@ -314,7 +328,9 @@ class PhemexService {
 
       // ✅ NAPRAWA - użyj tego samego formatu co openPosition
       const params = {
-        clOrdID: `close-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`, // ✅ DODANE
+        clOrdID:
+          clientOrderId ||
+          `close-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`, // ✅ DODANE
         symbol: phemexSymbol, // ✅ BTCUSDT
         side: closeSide, // ✅ "Sell" (dla zamknięcia Long)
         orderQtyRq: quantity.toString(), // ✅ NAPRAWA - string zamiast parseFloat
@@ -346,6 +362,7 @@ class PhemexService {
           result: {
             orderId: response.data?.orderID,
             orderLinkId: response.data?.clOrdID,
+            orderStatus: response.data?.ordStatus,
           },
         };
       } else {
@@ -360,6 +377,175 @@ class PhemexService {
     }
   }
 
+  /**
+   * Składa warunkowe zlecenie zamykające pozycję (stop loss / take profit)
+   * - wyzwalane ceną ostatniej transakcji, po wyzwoleniu rynkowe reduce-only
+   * @param {string} apiKey - Klucz API
+   * @param {string} apiSecret - Sekret API
+   * @param {string} symbol - Symbol instrumentu
+   * @param {string} side - Strona chronionej pozycji ("Buy" dla Long pozycji)
+   * @param {string} quantity - Wielkość do zamknięcia
+   * @param {number} triggerPrice - Cena wyzwolenia
+   * @param {string} type - Rodzaj zlecenia (stopLoss/takeProfit)
+   * @param {string} clientOrderId - Własny identyfikator zlecenia (opcjonalny)
+   * @returns {Promise<Object>} - Odpowiedź z API
+   */
+  async placeConditionalOrder(
+    apiKey,
+    apiSecret,
+    symbol,
+    side,
+    quantity,
+    triggerPrice,
+    type,
+    clientOrderId = null
+  ) {
+    try {
+      const phemexSymbol = this.convertToPhemexSymbol(symbol);
+      const closeSide = side === "Buy" ? "Sell" : "Buy";
+
+      const params = {
+        clOrdID:
+          clientOrderId ||
+          `${type}-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`,
+        symbol: phemexSymbol,
+        side: closeSide,
+        orderQtyRq: quantity.toString(),
+        // Stop - wyzwolenie przy ruchu przeciw pozycji, MarketIfTouched - na korzyść
+        ordType: type === "takeProfit" ? "MarketIfTouched" : "Stop",
+        stopPxRp: triggerPrice.toString(),
+        triggerType: "ByLastPrice",
+        timeInForce: "GoodTillCancel",
+        posSide: side === "Buy" ? "Long" : "Short",
+        reduceOnly: true,
+        closeOnTrigger: true,
+      };
+
+      logger.info(
+        `[PHEMEX] Conditional order: ${params.ordType} ${closeSide} ${quantity} @ ${triggerPrice} (${side} position)`
+      );
+
+      const response = await this.makeRequest(
+        "POST",
+        "/g-orders",
+        apiKey,
+        apiSecret,
+        params
+      );
+
+      if (response.code === 0) {
+        return {
+          result: {
+            orderId: response.data?.orderID,
+            orderLinkId: response.data?.clOrdID,
+            orderStatus: response.data?.ordStatus,
+          },
+        };
+      } else {
+        logger.error(
+          `[PHEMEX ORDER] ❌ API ERROR: Code ${response.code} - ${response.msg}`
+        );
+        throw new Error(response.msg || "Conditional order placement failed");
+      }
+    } catch (error) {
+      logger.error(`[PHEMEX ORDER] ❌ NETWORK ERROR: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Pobiera zlecenie po ID giełdy lub własnym ID
+   * @param {string} apiKey - Klucz API
+   * @param {string} apiSecret - Sekret API
+   * @param {string} symbol - Symbol instrumentu
+   * @param {Object} ids - { orderId, clientOrderId }
+   * @returns {Promise<Object|null>} - Surowe dane zlecenia lub null
+   */
+  async getOrder(apiKey, apiSecret, symbol, { orderId, clientOrderId }) {
+    const params = { symbol: this.convertToPhemexSymbol(symbol) };
+    if (orderId) {
+      params.orderID = orderId;
+    } else {
+      params.clOrdID = clientOrderId;
+    }
+
+    const response = await this.makeRequest(
+      "GET",
+      "/api-data/g-futures/orders/by-order-id",
+      apiKey,
+      apiSecret,
+      params
+    );
+
+    if (response.code !== 0) {
+      throw new Error(response.msg || "Order query failed");
+    }
+
+    const rows = response.data?.rows || response.data || [];
+    return Array.isArray(rows) ? rows[0] || null : rows;
+  }
+
+  /**
+   * Pobiera sumę opłat funding dla symbolu
+   * @param {string} apiKey - Klucz API
+   * @param {string} apiSecret - Sekret API
+   * @param {string} symbol - Symbol instrumentu
+   * @param {number} [since=0] - Początek okresu (ms)
+   * @returns {Promise<number>} - Suma opłat (dodatnia = zapłacona)
+   */
+  async getFundingFees(apiKey, apiSecret, symbol, since = 0) {
+    const response = await this.makeRequest(
+      "GET",
+      "/api-data/g-futures/funding-fees",
+      apiKey,
+      apiSecret,
+      { symbol: this.convertToPhemexSymbol(symbol), limit: 200 }
+    );
+
+    if (response.code !== 0) {
+      throw new Error(response.msg || "Funding fees query failed");
+    }
+
+    const rows = response.data?.rows || [];
+    return rows
+      .filter((row) => !since || (row.createTime || 0) >= since)
+      .reduce((sum, row) => sum + parseFloat(row.execFeeRv || "0"), 0);
+  }
+
+  /**
+   * Anuluje zlecenie
+   * @param {string} apiKey - Klucz API
+   * @param {string} apiSecret - Sekret API
+   * @param {string} symbol - Symbol instrumentu
+   * @param {Object} ids - { orderId, clientOrderId }
+   * @param {string} posSide - Strona pozycji (Long/Short)
+   * @returns {Promise<boolean>} - Czy anulowano zlecenie
+   */
+  async cancelOrder(
+    apiKey,
+    apiSecret,
+    symbol,
+    { orderId, clientOrderId },
+    posSide = "Long"
+  ) {
+    const params = { symbol: this.convertToPhemexSymbol(symbol), posSide };
+    if (orderId) {
+      params.orderID = orderId;
+    } else {
+      params.clOrdID = clientOrderId;
+    }
+
+    const response = await this.makeRequest(
+      "DELETE",
+      "/g-orders/cancel",
+      apiKey,
+      apiSecret,
+      params
+    );
+
+    return response.code === 0;
+  }
+
   /**
    * Ustawia dźwignię dla symbolu
    * @param {string} apiKey - Klucz API
@@ -505,6 +691,7 @@ class PhemexService {
               parseFloat(instrument.lotSize || "0.001") /
               Math.pow(10, qtyScale),
             minOrderValue: parseFloat(instrument.minOrderValue || "10"),
+            tickSize: parseFloat(instrument.tickSize || "0.01"),
             priceScale,
             qtyScale,
           };
@@ -530,6 +717,7 @@ class PhemexService {
         maxOrderQty: 1000000,
         qtyStep: 0.001,
         minOrderValue: 10,
+        tickSize: 0.01,
         priceScale: 4,
         qtyScale: 4,
       };
@@ -543,6 +731,7 @@ class PhemexService {
         maxOrderQty: 1000000,
         qtyStep: 0.001,
         minOrderValue: 10,
+        tickSize: 0.01,
         priceScale: 4,
         qtyScale: 4,
       };
@@ -580,9 +769,16 @@ class PhemexService {
    * @param {string} apiSecret - Sekret API
    * @param {string} symbol - Symbol instrumentu
    * @param {string} subaccountId - ID subkonta
+   * @param {string} [posSide=null] - Strona pozycji (Long/Short) w trybie hedge
    * @returns {Promise<number>} - Rozmiar pozycji
    */
-  async getPositionSize(apiKey, apiSecret, symbol, subaccountId = null) {
+  async getPositionSize(
+    apiKey,
+    apiSecret,
+    symbol,
+    subaccountId = null,
+    posSide = null
+  ) {
     try {
       const phemexSymbol = this.convertToPhemexSymbol(symbol);
 
@@ -595,8 +791,10 @@ class PhemexService {
       );
 
       if (response.code === 0 && response.data?.positions) {
+        // ✅ Tryb hedge: osobne wiersze Long i Short - wybór po posSide
         const position = response.data.positions.find(
-          (p) => p.symbol === phemexSymbol
+          (p) =>
+            p.symbol === phemexSymbol && (!posSide || p.posSide === posSide)
         );
 
         if (position) {
@@ -719,3 +917,5 @@ class PhemexService {
 }
 
 module.exports = new PhemexService();
+// Klasa udostępniona dla klientów z innym adresem API (giełda testowa)
+module.exports.PhemexService = PhemexService;
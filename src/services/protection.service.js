@@ -0,0 +1,429 @@
+/**
+ * Protection Service - zlecenia ochronne pozycji na giełdzie
+ *
+ * Odpowiedzialny za:
+ * - Złożenie warunkowego stop loss (i opcjonalnie take profit) po każdym wejściu,
+ *   tak aby pozycja była chroniona także przy przerwie w działaniu bota
+ * - Przeliczenie cen wyzwolenia po zmianie średniej ceny wejścia (kolejne poziomy
+ *   drabinki) - nowe zlecenie jest składane przed anulowaniem starego
+ * - Anulowanie zleceń ochronnych przed zamknięciem pozycji przez strategię
+ * - Okresowe wykrywanie wyzwolonych zleceń i zamknięcie pozycji wewnętrznej
+ *
+ * Zlecenia są zapisywane na pozycji jako position.protectiveOrders
+ * ({ stopLoss, takeProfit }) - zapis stanu pozycji należy do signal.service.
+ */
+
+const cron = require("node-cron");
+const Instance = require("../models/instance.model");
+const exchangeService = require("./exchange.service");
+const orderService = require("./order.service");
+const clock = require("../utils/clock");
+const logger = require("../utils/logger");
+const TradingLogger = require("../utils/trading-logger");
+const { getPositionSide } = require("../utils/pnl");
+const {
+  config,
+  getEntryLevels,
+  isStopLossActive,
+} = require("../config/instance.config");
+
+const PROTECTIVE_TYPES = ["stopLoss", "takeProfit"];
+const DEFAULT_TICK_SIZE = 0.01;
+
+class ProtectionService {
+  constructor() {
+    this.task = null;
+    this.running = false;
+  }
+
+  /**
+   * Uruchamia cykliczne sprawdzanie wyzwolonych zleceń ochronnych
+   * @param {string} [schedule] - Wyrażenie cron (domyślnie co minutę)
+   */
+  start(schedule = process.env.PROTECTION_CHECK_CRON || "* * * * *") {
+    if (this.task) {
+      return;
+    }
+
+    if (!cron.validate(schedule)) {
+      logger.error(`[PROTECTION] Nieprawidłowe wyrażenie cron: ${schedule}`);
+      return;
+    }
+
+    this.task = cron.schedule(schedule, () => {
+      this.checkAll().catch((error) => {
+        logger.error(
+          `[PROTECTION] Błąd sprawdzania zleceń ochronnych: ${error.message}`
+        );
+      });
+    });
+
+    logger.info(
+      `[PROTECTION] Uruchomiono sprawdzanie zleceń ochronnych (${schedule})`
+    );
+  }
+
+  /**
+   * Zatrzymuje cykliczne sprawdzanie
+   */
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  /**
+   * Zwraca ustawienia zleceń ochronnych instancji z wartościami domyślnymi
+   * @param {Object} instance - Instancja
+   * @returns {Object} - { enabled, stopLossPercent, takeProfitPercent }
+   */
+  getSettings(instance) {
+    const defaults = config.signals.protectiveOrders;
+    const settings =
+      instance.strategy?.parameters?.signals?.protectiveOrders || {};
+
+    return {
+      enabled: settings.enabled ?? defaults.enabled,
+      stopLossPercent: settings.stopLossPercent || defaults.stopLossPercent,
+      takeProfitPercent:
+        settings.takeProfitPercent ?? defaults.takeProfitPercent,
+    };
+  }
+
+  /**
+   * Wyznacza ceny wyzwolenia zleceń ochronnych od średniej ceny wejścia.
+   * Stop loss ma procent strategii od poziomu drabinki, który go aktywuje,
+   * wcześniej awaryjny stopLossPercent (dla short ceny są lustrzane).
+   * @param {Object} instance - Instancja
+   * @param {Object} position - Aktywna pozycja
+   * @param {number} avgEntryPrice - Średnia ważona cena wejścia
+   * @param {number} [tickSize] - Krok ceny instrumentu
+   * @returns {Object} - { stopLoss, takeProfit } (null = bez zlecenia)
+   */
+  getTriggerPrices(instance, position, avgEntryPrice, tickSize) {
+    const settings = this.getSettings(instance);
+    if (!settings.enabled || !(avgEntryPrice > 0)) {
+      return { stopLoss: null, takeProfit: null };
+    }
+
+    const parameters = instance.strategy?.parameters || {};
+    const strategyStopLoss = parameters.signals?.stopLoss;
+    const stopLossPercent =
+      strategyStopLoss?.enabled &&
+      isStopLossActive(getEntryLevels(parameters), position.entries.length)
+        ? strategyStopLoss.percent || 0.015
+        : settings.stopLossPercent;
+
+    const sign = position.direction === "short" ? -1 : 1;
+
+    return {
+      stopLoss: this._roundToTick(
+        avgEntryPrice * (1 - sign * stopLossPercent),
+        tickSize
+      ),
+      takeProfit:
+        settings.takeProfitPercent > 0
+          ? this._roundToTick(
+              avgEntryPrice * (1 + sign * settings.takeProfitPercent),
+              tickSize
+            )
+          : null,
+    };
+  }
+
+  /**
+   * Składa lub przelicza zlecenia ochronne pozycji (po każdym wejściu).
+   * Błędy giełdy są logowane - nie przerywają obsługi wejścia.
+   * @param {Object} instance - Instancja
+   * @param {Object} position - Aktywna pozycja (protectiveOrders jest aktualizowane)
+   * @returns {Promise<Object|null>} - position.protectiveOrders
+   */
+  async protectPosition(instance, position) {
+    if (!position?.entries?.length) {
+      return null;
+    }
+
+    const signalService = require("./signal.service");
+
+    try {
+      const exchange = await exchangeService.getAdapter(instance);
+      const instrumentInfo = await exchange.getInstrumentInfo(instance.symbol);
+      const quantity = this._getPositionQuantity(position);
+      const triggerPrices = this.getTriggerPrices(
+        instance,
+        position,
+        signalService.calculateAverageEntryPrice(position),
+        instrumentInfo?.tickSize
+      );
+
+      const current = position.protectiveOrders || {};
+      const updated = {};
+
+      for (const type of PROTECTIVE_TYPES) {
+        updated[type] = await this._syncOrder({
+          instance,
+          exchange,
+          position,
+          type,
+          triggerPrice: quantity > 0 ? triggerPrices[type] : null,
+          quantity,
+          existing: current[type] || null,
+        });
+      }
+
+      position.protectiveOrders =
+        updated.stopLoss || updated.takeProfit ? updated : null;
+    } catch (error) {
+      TradingLogger.logExchangeError(
+        instance.instanceId,
+        instance.symbol,
+        "protection",
+        "Protective orders",
+        error.message
+      );
+    }
+
+    return position.protectiveOrders || null;
+  }
+
+  /**
+   * Anuluje zlecenia ochronne pozycji przed jej zamknięciem
+   * @param {Object} instance - Instancja
+   * @param {Object} position - Aktywna pozycja
+   * @returns {Promise<Object|null>} - Wypełnione zlecenie ochronne, jeśli zdążyło
+   *   zamknąć pozycję (zastępuje wtedy zlecenie zamknięcia), lub null
+   */
+  async cancelProtection(instance, position) {
+    const records = position?.protectiveOrders;
+    if (!records) {
+      return null;
+    }
+
+    const exchange = await exchangeService.getAdapter(instance);
+    const positionSide = getPositionSide(position.direction);
+    let filledOrder = null;
+
+    for (const type of PROTECTIVE_TYPES) {
+      if (!records[type]) {
+        continue;
+      }
+
+      const order = await orderService.cancelProtectiveOrder(
+        exchange,
+        records[type].clientOrderId,
+        positionSide
+      );
+      if (orderService.isFilled(order)) {
+        filledOrder = order;
+      }
+    }
+
+    position.protectiveOrders = null;
+    return filledOrder;
+  }
+
+  /**
+   * Sprawdza zlecenia ochronne wszystkich aktywnych pozycji
+   * @returns {Promise<number>} - Liczba pozycji zamkniętych przez zlecenia ochronne
+   */
+  async checkAll() {
+    if (this.running) {
+      return 0;
+    }
+
+    const signalService = require("./signal.service");
+
+    this.running = true;
+    try {
+      let closed = 0;
+      for (const position of signalService.getActivePositions()) {
+        if (!position.protectiveOrders) {
+          continue;
+        }
+
+        try {
+          if (await this.checkInstance(position.instanceId)) {
+            closed++;
+          }
+        } catch (error) {
+          logger.error(
+            `[PROTECTION] Błąd sprawdzania instancji ${position.instanceId}: ${error.message}`
+          );
+        }
+      }
+      return closed;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Odświeża stan zleceń ochronnych instancji. Gdy któreś zostało wypełnione,
+   * zamyka pozycję wewnętrzną sygnałem wyjścia (stopLoss/takeProfit) - zamiast
+   * nowego zlecenia zamknięcia używane jest wypełnienie zlecenia ochronnego.
+   * @param {string} instanceId - ID instancji
+   * @returns {Promise<Object|null>} - Sygnał wyjścia lub null
+   */
+  async checkInstance(instanceId) {
+    const signalService = require("./signal.service");
+
+    const position = signalService.getActivePositions(instanceId);
+    if (!position?.protectiveOrders || position.status !== "active") {
+      return null;
+    }
+
+    const instance = await Instance.findOne({ instanceId });
+    if (!instance) {
+      return null;
+    }
+
+    const exchange = await exchangeService.getAdapter(instance);
+
+    for (const type of PROTECTIVE_TYPES) {
+      const record = position.protectiveOrders[type];
+      if (!record) {
+        continue;
+      }
+
+      const order = await orderService.refreshOrder(
+        exchange,
+        record.clientOrderId
+      );
+
+      if (orderService.isFilled(order)) {
+        logger.warn(
+          `[PROTECTION] ${instance.symbol} | ${type} wyzwolony @ ${order.avgFillPrice || record.triggerPrice} | Instance: ${instanceId.slice(-8)}`
+        );
+
+        return signalService.processExitSignal({
+          instanceId,
+          type,
+          price: order.avgFillPrice || record.triggerPrice,
+          timestamp: clock.now(instanceId),
+          positionId: position.positionId,
+          strategy: instance.strategy?.type,
+          force: true,
+        });
+      }
+
+      if (order && ["canceled", "rejected"].includes(order.status)) {
+        TradingLogger.logDebugThrottled(
+          `protection-inactive-${instanceId}-${type}`,
+          `[PROTECTION] ${instance.symbol} | ${type} ${order.status} na giełdzie - pozycja bez tej ochrony | Instance: ${instanceId.slice(-8)}`,
+          300000
+        );
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Doprowadza jedno zlecenie ochronne do żądanej ceny i ilości
+   * @returns {Promise<Object|null>} - Zapis zlecenia na pozycji lub null
+   * @private
+   */
+  async _syncOrder({
+    instance,
+    exchange,
+    position,
+    type,
+    triggerPrice,
+    quantity,
+    existing,
+  }) {
+    const positionSide = getPositionSide(position.direction);
+
+    if (
+      existing &&
+      existing.triggerPrice === triggerPrice &&
+      existing.quantity === quantity
+    ) {
+      return existing;
+    }
+
+    if (!triggerPrice) {
+      if (existing) {
+        await orderService.cancelProtectiveOrder(
+          exchange,
+          existing.clientOrderId,
+          positionSide
+        );
+      }
+      return null;
+    }
+
+    const order = await orderService.placeProtectiveOrder({
+      instanceId: instance.instanceId,
+      symbol: instance.symbol,
+      exchange,
+      type,
+      positionSide,
+      quantity,
+      triggerPrice,
+      positionId: position.positionId,
+    });
+
+    if (order.status === "rejected") {
+      TradingLogger.logExchangeError(
+        instance.instanceId,
+        instance.symbol,
+        exchange.name,
+        `Protective ${type}`,
+        `${order.status}${order.error ? ": " + order.error : ""}`
+      );
+      // Poprzednie zlecenie (ze starą ceną) jest lepsze niż brak ochrony
+      return existing;
+    }
+
+    if (existing) {
+      await orderService.cancelProtectiveOrder(
+        exchange,
+        existing.clientOrderId,
+        positionSide
+      );
+    }
+
+    TradingLogger.logExchangeSuccess(
+      instance.instanceId,
+      instance.symbol,
+      exchange.name,
+      `Protective ${type}`,
+      `Trigger: ${triggerPrice} | Contract: ${quantity}`
+    );
+
+    return {
+      orderId: order.orderId,
+      clientOrderId: order.clientOrderId,
+      triggerPrice,
+      quantity,
+      placedAt: clock.now(instance.instanceId),
+    };
+  }
+
+  /**
+   * Sumuje ilość kontraktów wejść pozycji
+   * @private
+   */
+  _getPositionQuantity(position) {
+    const quantity = position.entries.reduce(
+      (sum, entry) => sum + (parseFloat(entry.contractQuantity) || 0),
+      0
+    );
+    return Math.round(quantity * 1e8) / 1e8;
+  }
+
+  /**
+   * Zaokrągla cenę do kroku ceny instrumentu
+   * @private
+   */
+  _roundToTick(price, tickSize = DEFAULT_TICK_SIZE) {
+    const tick = tickSize > 0 ? tickSize : DEFAULT_TICK_SIZE;
+    const decimals = Math.max(0, Math.ceil(-Math.log10(tick)));
+    return parseFloat((Math.round(price / tick) * tick).toFixed(decimals));
+  }
+}
+
+const protectionService = new ProtectionService();
+module.exports = protectionService;
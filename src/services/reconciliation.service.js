@@ -0,0 +1,466 @@
+/**
+ * Reconciliation Service - okresowe uzgadnianie pozycji z giełdą
+ *
+ * Odpowiedzialny za:
+ * - Porównanie pozycji w pamięci (signal.service), w bazie (financials.openPositions)
+ *   i na giełdzie (getPositionSize) dla każdej aktywnej instancji
+ * - Raportowanie rozbieżności (API + zdarzenie "discrepancy" dla WebSocket)
+ * - Akcje administratora: przyjęcie stanu giełdy lub wymuszone zamknięcie
+ *
+ * Instancje bez synchronizacji z giełdą (paper trading) są pomijane -
+ * księga adaptera paper nie przetrwa restartu, więc porównanie nie ma sensu.
+ */
+
+const { EventEmitter } = require("events");
+const cron = require("node-cron");
+const Instance = require("../models/instance.model");
+const exchangeService = require("./exchange.service");
+const accountService = require("./account.service");
+const orderService = require("./order.service");
+const protectionService = require("./protection.service");
+const mutex = require("../utils/mutex");
+const clock = require("../utils/clock");
+const logger = require("../utils/logger");
+const { getPositionSide } = require("../utils/pnl");
+
+// Tolerancja porównania ilości kontraktów (błędy zaokrągleń)
+const QUANTITY_TOLERANCE = 1e-8;
+
+class ReconciliationService extends EventEmitter {
+  constructor() {
+    super();
+    this.task = null;
+    this.running = false;
+    this.reports = new Map(); // instanceId -> ostatni raport
+  }
+
+  /**
+   * Uruchamia cykliczne uzgadnianie
+   * @param {string} [schedule] - Wyrażenie cron (domyślnie co 5 minut)
+   */
+  start(schedule = process.env.RECONCILIATION_CRON || "*/5 * * * *") {
+    if (this.task) {
+      return;
+    }
+
+    if (!cron.validate(schedule)) {
+      logger.error(`[RECONCILE] Nieprawidłowe wyrażenie cron: ${schedule}`);
+      return;
+    }
+
+    this.task = cron.schedule(schedule, () => {
+      this.reconcileAll().catch((error) => {
+        logger.error(`[RECONCILE] Błąd uzgadniania: ${error.message}`);
+      });
+    });
+
+    logger.info(`[RECONCILE] Uruchomiono uzgadnianie pozycji (${schedule})`);
+  }
+
+  /**
+   * Zatrzymuje cykliczne uzgadnianie
+   */
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  /**
+   * Uzgadnia wszystkie aktywne instancje
+   * @returns {Promise<Array>} - Raporty instancji
+   */
+  async reconcileAll() {
+    if (this.running) {
+      logger.warn("[RECONCILE] Poprzednie uzgadnianie jeszcze trwa - pomijam");
+      return [];
+    }
+
+    this.running = true;
+    try {
+      const instances = await Instance.find({ active: true });
+      const reports = [];
+
+      for (const instance of instances) {
+        reports.push(await this.reconcileInstance(instance.instanceId));
+      }
+
+      const mismatches = reports.filter((r) => r.status === "mismatch").length;
+      if (mismatches > 0) {
+        logger.warn(
+          `[RECONCILE] Rozbieżności w ${mismatches}/${reports.length} instancjach`
+        );
+      }
+
+      return reports;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Porównuje stan pozycji instancji w pamięci, bazie i na giełdzie
+   * @param {string} instanceId - ID instancji
+   * @returns {Promise<Object>} - Raport uzgodnienia
+   */
+  async reconcileInstance(instanceId) {
+    const signalService = require("./signal.service");
+
+    const report = {
+      instanceId,
+      symbol: null,
+      checkedAt: new Date(),
+      status: "ok",
+      memory: null,
+      database: null,
+      exchange: null,
+      discrepancies: [],
+    };
+
+    // ✅ Zlecenie w toku (order.service czeka na wypełnienie) - pamięć i giełda
+    // różnią się chwilowo; pominięty przebieg nie nadpisuje ostatniego raportu
+    if (
+      mutex.isLocked(`entry-${instanceId}`) ||
+      mutex.isLocked(`exit-${instanceId}`)
+    ) {
+      report.status = "skipped";
+      report.reason = "order_in_progress";
+      return report;
+    }
+
+    try {
+      const instance = await Instance.findOne({ instanceId });
+      if (!instance) {
+        throw new Error(`Instancja o ID ${instanceId} nie istnieje`);
+      }
+
+      report.symbol = instance.symbol;
+
+      if (!exchangeService.syncsBalance(instance)) {
+        report.status = "skipped";
+        return this._storeReport(report);
+      }
+
+      const position = signalService.getActivePositions(instanceId);
+      const openPositions = instance.financials?.openPositions || [];
+
+      report.memory = {
+        positionId: position?.positionId || null,
+        entries: position?.entries?.length || 0,
+        quantity: this._getPositionQuantity(position),
+      };
+      report.database = {
+        positionIds: openPositions.map((p) => p.positionId),
+        lockedBalance: instance.financials?.lockedBalance || 0,
+      };
+
+      const exchange = await exchangeService.getAdapter(instance);
+      report.exchange = {
+        name: exchange.name,
+        quantity: parseFloat(
+          (await exchange.getPositionSize(
+            instance.symbol,
+            this._getDirection(instance, position)
+          )) || 0
+        ),
+      };
+
+      this._compare(report);
+    } catch (error) {
+      report.status = "error";
+      report.error = error.message;
+      logger.error(
+        `[RECONCILE] Błąd uzgadniania instancji ${instanceId}: ${error.message}`
+      );
+    }
+
+    return this._storeReport(report);
+  }
+
+  /**
+   * Wyznacza rozbieżności na podstawie zebranych stanów
+   * @param {Object} report - Raport uzgodnienia
+   * @private
+   */
+  _compare(report) {
+    const { memory, database, exchange, discrepancies } = report;
+
+    if (
+      memory.positionId &&
+      !database.positionIds.includes(memory.positionId)
+    ) {
+      discrepancies.push({
+        type: "database_missing_position",
+        message: `Pozycja ${memory.positionId} jest w pamięci, ale nie w financials.openPositions`,
+      });
+    }
+
+    const orphanedIds = database.positionIds.filter(
+      (id) => id !== memory.positionId
+    );
+    if (orphanedIds.length > 0) {
+      discrepancies.push({
+        type: "database_orphaned_position",
+        message: `financials.openPositions zawiera pozycje bez odpowiednika w pamięci: ${orphanedIds.join(", ")}`,
+      });
+    }
+
+    if (Math.abs(memory.quantity - exchange.quantity) > QUANTITY_TOLERANCE) {
+      discrepancies.push({
+        type: "quantity_mismatch",
+        message: `Ilość w pamięci ${memory.quantity} ≠ ilość na giełdzie ${exchange.quantity}`,
+      });
+    }
+
+    if (discrepancies.length > 0) {
+      report.status = "mismatch";
+    }
+  }
+
+  _storeReport(report) {
+    const previous = this.reports.get(report.instanceId);
+    this.reports.set(report.instanceId, report);
+
+    // Alarmuj przy nowej lub zmienionej rozbieżności, nie przy każdym przebiegu
+    if (report.status === "mismatch") {
+      const signature = JSON.stringify(report.discrepancies);
+      const previousSignature =
+        previous?.status === "mismatch"
+          ? JSON.stringify(previous.discrepancies)
+          : null;
+
+      if (signature !== previousSignature) {
+        logger.warn(
+          `[RECONCILE] ${report.symbol} | ${report.discrepancies.map((d) => d.type).join(", ")} | Instance: ${report.instanceId.slice(-8)}`
+        );
+        this.emit("discrepancy", report);
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Kierunek pozycji instancji - z pozycji wewnętrznej, z financials.openPositions
+   * lub z konfiguracji strategii (giełda w trybie hedge ma osobne pozycje Long i Short)
+   * @param {Object} instance - Instancja
+   * @param {Object|null} position - Aktywna pozycja w pamięci
+   * @returns {string} - long/short
+   * @private
+   */
+  _getDirection(instance, position) {
+    return (
+      position?.direction ||
+      instance.financials?.openPositions?.[0]?.direction ||
+      instance.strategy?.parameters?.hurst?.direction ||
+      "long"
+    );
+  }
+
+  /**
+   * Sumuje ilość kontraktów wejść pozycji
+   * @private
+   */
+  _getPositionQuantity(position) {
+    if (!position || !position.entries) {
+      return 0;
+    }
+
+    return position.entries.reduce(
+      (sum, entry) => sum + (parseFloat(entry.contractQuantity) || 0),
+      0
+    );
+  }
+
+  /**
+   * Zwraca ostatnie raporty uzgodnienia
+   * @param {boolean} [onlyDiscrepancies=false] - Tylko raporty z rozbieżnościami
+   * @returns {Array} - Raporty
+   */
+  getReports(onlyDiscrepancies = false) {
+    const reports = Array.from(this.reports.values());
+    return onlyDiscrepancies
+      ? reports.filter((r) => r.status === "mismatch")
+      : reports;
+  }
+
+  /**
+   * Zwraca ostatni raport instancji
+   * @param {string} instanceId - ID instancji
+   * @returns {Object|null} - Raport
+   */
+  getReport(instanceId) {
+    return this.reports.get(instanceId) || null;
+  }
+
+  /**
+   * Przyjmuje stan giełdy jako obowiązujący:
+   * - brak pozycji na giełdzie → pozycja wewnętrzna jest usuwana, depozyt zwalniany
+   * - inna ilość na giełdzie → ilości wejść są skalowane do stanu giełdy
+   * - brak pozycji w pamięci → odtworzenie z financials.openPositions
+   * @param {string} instanceId - ID instancji
+   * @returns {Promise<Object>} - Raport po uzgodnieniu
+   */
+  async adoptExchangeState(instanceId) {
+    const signalService = require("./signal.service");
+    const instanceService = require("./instance.service");
+
+    await this._withPositionLocks(instanceId, async () => {
+      const instance = await Instance.findOne({ instanceId });
+      if (!instance) {
+        throw new Error(`Instancja o ID ${instanceId} nie istnieje`);
+      }
+
+      const exchange = await exchangeService.getAdapter(instance);
+      const exchangeQuantity = parseFloat(
+        (await exchange.getPositionSize(
+          instance.symbol,
+          this._getDirection(
+            instance,
+            signalService.getActivePositions(instanceId)
+          )
+        )) || 0
+      );
+
+      if (exchangeQuantity <= QUANTITY_TOLERANCE) {
+        const position = signalService.getActivePositions(instanceId);
+        if (position) {
+          await protectionService.cancelProtection(instance, position);
+        }
+        await this._releaseOpenPositions(instance);
+        await signalService.clearActivePosition(instanceId);
+        logger.warn(
+          `[RECONCILE] Przyjęto stan giełdy (brak pozycji) | Instance: ${instanceId.slice(-8)}`
+        );
+        return;
+      }
+
+      let position = signalService.getActivePositions(instanceId);
+      if (!position) {
+        await instanceService.restorePositionFromFinancials(instance);
+        position = signalService.getActivePositions(instanceId);
+      }
+
+      if (!position) {
+        throw new Error(
+          `Na giełdzie jest pozycja ${exchangeQuantity}, ale brak danych wejścia do jej przyjęcia - użyj wymuszonego zamknięcia`
+        );
+      }
+
+      const internalQuantity = this._getPositionQuantity(position);
+      for (const entry of position.entries) {
+        entry.contractQuantity =
+          internalQuantity > 0
+            ? (parseFloat(entry.contractQuantity) || 0) *
+              (exchangeQuantity / internalQuantity)
+            : exchangeQuantity / position.entries.length;
+      }
+
+      // Zlecenia ochronne z nową ilością pozycji
+      await protectionService.protectPosition(instance, position);
+      signalService.setActivePosition(instanceId, position);
+      logger.warn(
+        `[RECONCILE] Przyjęto ilość z giełdy ${internalQuantity} → ${exchangeQuantity} | Instance: ${instanceId.slice(-8)}`
+      );
+    });
+
+    return this.reconcileInstance(instanceId);
+  }
+
+  /**
+   * Wymusza zamknięcie pozycji: wewnętrzna przez sygnał wyjścia "forceClose",
+   * pozostała ilość na giełdzie zleceniem reduce-only
+   * @param {string} instanceId - ID instancji
+   * @returns {Promise<Object>} - Raport po zamknięciu
+   */
+  async forceClose(instanceId) {
+    const signalService = require("./signal.service");
+
+    const instance = await Instance.findOne({ instanceId });
+    if (!instance) {
+      throw new Error(`Instancja o ID ${instanceId} nie istnieje`);
+    }
+
+    const exchange = await exchangeService.getAdapter(instance);
+    const position = signalService.getActivePositions(instanceId);
+
+    const direction = this._getDirection(instance, position);
+
+    if (position) {
+      await signalService.processExitSignal({
+        instanceId,
+        type: "forceClose",
+        price: await exchange.getCurrentPrice(instance.symbol),
+        timestamp: clock.now(instanceId),
+        positionId: position.positionId,
+        force: true,
+      });
+    }
+
+    await this._withPositionLocks(instanceId, async () => {
+      const remaining = parseFloat(
+        (await exchange.getPositionSize(instance.symbol, direction)) || 0
+      );
+
+      if (remaining > QUANTITY_TOLERANCE) {
+        const order = await orderService.executeOrder({
+          instanceId,
+          symbol: instance.symbol,
+          exchange,
+          purpose: "exit",
+          positionSide: getPositionSide(direction),
+          quantity: remaining,
+        });
+
+        if (!orderService.isFilled(order)) {
+          throw new Error(
+            `Nie udało się zamknąć pozycji na giełdzie: ${order.status}${order.error ? " - " + order.error : ""}`
+          );
+        }
+      }
+
+      if (!signalService.getActivePositions(instanceId)) {
+        const freshInstance = await Instance.findOne({ instanceId });
+        await this._releaseOpenPositions(freshInstance);
+      }
+    });
+
+    logger.warn(
+      `[RECONCILE] Wymuszono zamknięcie pozycji | Instance: ${instanceId.slice(-8)}`
+    );
+
+    return this.reconcileInstance(instanceId);
+  }
+
+  /**
+   * Zwalnia depozyt wszystkich wejść z financials.openPositions
+   * @private
+   */
+  async _releaseOpenPositions(instance) {
+    const openPositions = instance.financials?.openPositions || [];
+
+    for (const position of openPositions) {
+      for (const entry of position.entrySignals || []) {
+        await accountService.releaseLockedFunds(
+          instance.instanceId,
+          entry.signalId,
+          entry.amount
+        );
+      }
+    }
+  }
+
+  /**
+   * Wykonuje akcję z blokadą wejść i wyjść instancji
+   * @private
+   */
+  async _withPositionLocks(instanceId, fn) {
+    return mutex.withLock(`entry-${instanceId}`, () =>
+      mutex.withLock(`exit-${instanceId}`, fn)
+    );
+  }
+}
+
+const reconciliationService = new ReconciliationService();
+module.exports = reconciliationService;
@@ -0,0 +1,225 @@
+/**
+ * Rejected Signal Service - dziennik odrzuconych sygnałów
+ *
+ * Odpowiedzialny za:
+ * - Zapis każdego odrzuconego lub wstrzymanego sygnału wejścia/wyjścia
+ *   (brak środków, limit wejść, odstęp czasu, cooldown, trend, filtry wejścia,
+ *   throttling, zbyt świeże pierwsze wejście) z kodem powodu, ceną,
+ *   poziomami band i migawką konfiguracji
+ * - Agregację powtórzeń - kolejne odrzucenia z tym samym powodem w oknie
+ *   AGGREGATION_WINDOW zwiększają licznik occurrences ostatniego wpisu
+ *   (atomowo w bazie przy każdym powtórzeniu)
+ * - Pobieranie dziennika i statystyk odrzuceń
+ *
+ * Instancje offline (backtest) nie są zapisywane - BacktestBroker
+ * zbiera odrzucenia w wyniku backtestu.
+ */
+
+const RejectedSignal = require("../models/rejected-signal.model");
+const dbService = require("./db.service");
+const clock = require("../utils/clock");
+const logger = require("../utils/logger");
+
+// Odrzucenia z tym samym powodem bliżej niż okno trafiają do jednego wpisu
+const AGGREGATION_WINDOW = 5 * 60 * 1000;
+
+// Grupy parametrów zapisywane w migawce konfiguracji
+const SNAPSHOT_GROUPS = [
+  "strategyType",
+  "hurst",
+  "ema",
+  "macd",
+  "rsi",
+  "signals",
+  "capitalAllocation",
+];
+
+class RejectedSignalService {
+  constructor() {
+    this.openEntries = new Map(); // instanceId-action-reasonCode -> zagregowany wpis
+  }
+
+  /**
+   * Zapisuje odrzucony sygnał w dzienniku (błędy zapisu są tylko logowane)
+   * @param {string} instanceId - ID instancji
+   * @param {Object} rejection - { action, reasonCode, reason, symbol, signalType,
+   *   subType, direction, price, hurstChannel, trend, config, metadata, timestamp }
+   * @returns {Promise<void>}
+   */
+  async record(instanceId, rejection) {
+    if (!this._shouldPersist(instanceId)) {
+      return;
+    }
+
+    try {
+      const timestamp = rejection.timestamp || clock.now(instanceId);
+      const key = `${instanceId}-${rejection.action}-${rejection.reasonCode}`;
+      const open = this.openEntries.get(key);
+
+      if (open && timestamp - open.lastTimestamp < AGGREGATION_WINDOW) {
+        open.lastTimestamp = timestamp;
+
+        // ✅ Każde powtórzenie od razu w bazie ($inc) - licznik nie ginie po restarcie
+        await open.saved;
+        await RejectedSignal.updateOne(
+          { _id: open.id },
+          {
+            $inc: { occurrences: 1 },
+            $set: { lastTimestamp: timestamp, lastPrice: rejection.price },
+          }
+        );
+        return;
+      }
+
+      const channel = rejection.hurstChannel;
+      const document = new RejectedSignal({
+        instanceId,
+        symbol: rejection.symbol,
+        action: rejection.action,
+        signalType: rejection.signalType,
+        subType: rejection.subType,
+        direction: rejection.direction || "long",
+        reasonCode: rejection.reasonCode,
+        reason: rejection.reason,
+        price: rejection.price,
+        bands: channel
+          ? {
+              upperBand: channel.upperBand,
+              middleBand: channel.middleBand,
+              lowerBand: channel.lowerBand,
+            }
+          : undefined,
+        trend: rejection.trend,
+        configSnapshot: this._snapshotConfig(rejection.config),
+        metadata: rejection.metadata || {},
+        timestamp,
+        lastTimestamp: timestamp,
+        lastPrice: rejection.price,
+      });
+
+      // Wpis jest otwarty przed zapisem - równoległe odrzucenia nie tworzą
+      // duplikatów, a ich $inc czeka na zapis dokumentu
+      const saved = document.save();
+      this.openEntries.set(key, {
+        id: document._id,
+        lastTimestamp: timestamp,
+        // Nieudany zapis zamyka wpis - kolejne odrzucenie utworzy nowy
+        saved: saved.catch(() => this.openEntries.delete(key)),
+      });
+
+      await saved;
+    } catch (error) {
+      logger.error(
+        `Błąd zapisu odrzuconego sygnału dla instancji ${instanceId}: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Pobiera wpisy dziennika odrzuceń
+   * @param {Object} filters - Filtry MongoDB
+   * @param {number} [limit=100] - Limit wyników
+   * @param {number} [skip=0] - Liczba pominiętych wyników
+   * @returns {Promise<Object>} - { total, rejectedSignals }
+   */
+  async getRejectedSignals(filters = {}, limit = 100, skip = 0) {
+    const [total, rejectedSignals] = await Promise.all([
+      RejectedSignal.countDocuments(filters),
+      RejectedSignal.find(filters)
+        .sort({ timestamp: -1 })
+        .limit(limit)
+        .skip(skip)
+        .lean(),
+    ]);
+
+    return { total, rejectedSignals };
+  }
+
+  /**
+   * Statystyki odrzuceń (z powtórzeniami) wg kodu powodu
+   * @param {string|null} [instanceId] - ID instancji (null = wszystkie)
+   * @returns {Promise<Object>} - { total, byReason, byAction }
+   */
+  async getRejectionStats(instanceId = null) {
+    const match = instanceId ? { instanceId } : {};
+    const groups = await RejectedSignal.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { action: "$action", reasonCode: "$reasonCode" },
+          count: { $sum: "$occurrences" },
+        },
+      },
+    ]);
+
+    const stats = { total: 0, byReason: {}, byAction: { entry: 0, exit: 0 } };
+    for (const group of groups) {
+      const { action, reasonCode } = group._id;
+      stats.total += group.count;
+      stats.byReason[reasonCode] =
+        (stats.byReason[reasonCode] || 0) + group.count;
+      stats.byAction[action] = (stats.byAction[action] || 0) + group.count;
+    }
+
+    return stats;
+  }
+
+  /**
+   * Usuwa dziennik odrzuceń instancji
+   * @param {string} instanceId - ID instancji
+   * @returns {Promise<number>} - Liczba usuniętych wpisów
+   */
+  async clearInstance(instanceId) {
+    for (const key of this.openEntries.keys()) {
+      if (key.startsWith(`${instanceId}-`)) {
+        this.openEntries.delete(key);
+      }
+    }
+
+    const result = await RejectedSignal.deleteMany({ instanceId });
+    return result.deletedCount;
+  }
+
+  /**
+   * Sprawdza, czy odrzucenia instancji powinny być zapisywane
+   * @param {string} instanceId - ID instancji
+   * @returns {boolean} - Czy zapisywać
+   * @private
+   */
+  _shouldPersist(instanceId) {
+    if (!instanceId) {
+      return false;
+    }
+
+    // Instancje offline (backtest) nie są zapisywane
+    const analysisService = require("./analysis.service");
+    if (analysisService.isOfflineInstance(instanceId)) {
+      return false;
+    }
+
+    return dbService.isConnectedToDatabase();
+  }
+
+  /**
+   * Kopiuje grupy parametrów strategii do migawki
+   * @param {Object} [config] - Konfiguracja analizy lub parametry instancji
+   * @returns {Object} - Migawka
+   * @private
+   */
+  _snapshotConfig(config) {
+    if (!config) {
+      return {};
+    }
+
+    const snapshot = {};
+    for (const group of SNAPSHOT_GROUPS) {
+      if (config[group] !== undefined) {
+        snapshot[group] = JSON.parse(JSON.stringify(config[group]));
+      }
+    }
+    return snapshot;
+  }
+}
+
+const rejectedSignalService = new RejectedSignalService();
+module.exports = rejectedSignalService;
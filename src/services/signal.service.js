@@ -1,4 +1,4 @@
-const phemexService = require("./phemex.service");
+const exchangeService = require("./exchange.service");
 const accountService = require("./account.service");
 const mutex = require("../utils/mutex");
 const logger = require("../utils/logger");
@@ -8,7 +8,28 @@ const Signal = require("../models/signal.model");
 const Instance = require("../models/instance.model");
 const instanceService = require("./instance.service");
 const downerBandStateManager = require("../utils/downer-band-state-manager");
+const trailingStopStateManager = require("../utils/trailing-stop-state-manager");
 const cooldownService = require("./cooldown.service");
+const clock = require("../utils/clock");
+const tradingStateService = require("./trading-state.service");
+const {
+  calculatePositionPnl,
+  getPositionSide,
+  calculatePriceChangePercent,
+} = require("../utils/pnl");
+const {
+  config: defaultParams,
+  getPositionSizing,
+  isTrendValidForDirection,
+} = require("../config/instance.config");
+const {
+  checkEntryRules,
+  checkExitRules,
+  getStopLossCooldownHours,
+} = require("../utils/signal-rules");
+const orderService = require("./order.service");
+const protectionService = require("./protection.service");
+const rejectedSignalService = require("./rejected-signal.service");
 
 class SignalService extends EventEmitter {
   constructor() {
@@ -85,23 +106,129 @@ class SignalService extends EventEmitter {
     return (marginUsed / availableBalance) * 100;
   }
 
+  /**
+   * Kapitał instancji do wielkości pozycji wg ryzyka
+   * @param {Object} instance - Instancja
+   * @returns {number} - Wolne + zablokowane środki
+   */
+  _getInstanceEquity(instance) {
+    return (
+      (instance.financials?.availableBalance || 0) +
+      (instance.financials?.lockedBalance || 0)
+    );
+  }
+
+  /**
+   * Zwraca parametry wielkości pozycji wg ryzyka (capitalAllocation.sizing.mode = "risk").
+   * Dystans do stopu: ATR × atrMultiplier lub signals.stopLoss.percent od ceny
+   * (także gdy ATR nie jest jeszcze dostępny).
+   * @param {Object} strategyParams - Parametry strategii
+   * @param {number} price - Cena wejścia
+   * @param {number} equity - Kapitał instancji (wolne + zablokowane środki)
+   * @param {number|null} [atr] - ATR z intencji wejścia strategii
+   * @returns {Object|null} - { mode, equity, riskPercent, riskAmount, stopSource, stopDistance, atr, atrMultiplier, stopLossPercent } lub null w trybie allocation
+   */
+  _getRiskSizing(strategyParams, price, equity, atr = null) {
+    const sizing = getPositionSizing(strategyParams);
+    if (sizing.mode !== "risk") {
+      return null;
+    }
+
+    const useAtr = sizing.stopSource === "atr" && atr > 0;
+    const stopLossPercent =
+      strategyParams?.signals?.stopLoss?.percent ||
+      defaultParams.signals.stopLoss.percent;
+
+    return {
+      mode: "risk",
+      equity,
+      riskPercent: sizing.riskPercent,
+      riskAmount: equity * sizing.riskPercent,
+      stopSource: useAtr ? "atr" : "stopLoss",
+      stopDistance: useAtr
+        ? atr * sizing.atrMultiplier
+        : price * stopLossPercent,
+      atr: atr ?? null,
+      atrMultiplier: useAtr ? sizing.atrMultiplier : null,
+      stopLossPercent: useAtr ? null : stopLossPercent,
+    };
+  }
+
+  /**
+   * Oblicza ilość kontraktów wejścia - ułamek środków poziomu drabinki
+   * lub (z riskSizing) ilość ryzykującą riskAmount do poziomu stopu,
+   * ograniczona alokacją poziomu, minOrderQty i qtyStep instrumentu.
+   * W trybie risk ilość nie jest podnoszona do minOrderQty - gdy minimum
+   * instrumentu przekracza ryzyko lub alokację, wynik zawiera rejection.
+   * @param {number} allocationPercent - Alokacja poziomu drabinki (%)
+   * @param {number} availableBalance - Dostępne środki
+   * @param {number} price - Cena
+   * @param {number} leverage - Dźwignia
+   * @param {Object} instrumentInfo - { minOrderQty, qtyStep }
+   * @param {Object|null} [riskSizing] - Wynik _getRiskSizing
+   * @returns {Promise<Object>} - Ilości, depozyt i parametry wielkości pozycji (sizing)
+   *                              lub { rejection: { reasonCode, reason }, sizing }
+   */
   async _calculateOptimalContractQuantity(
     allocationPercent,
     availableBalance,
     price,
     leverage,
-    instrumentInfo
+    instrumentInfo,
+    riskSizing = null
   ) {
     const allocationFraction = allocationPercent / 100;
-    const theoreticalMargin = availableBalance * allocationFraction;
-    const theoreticalPosition = theoreticalMargin * leverage;
-    const theoreticalQuantity = theoreticalPosition / price;
+    const allocationMargin = availableBalance * allocationFraction;
+    const allocationQuantity = (allocationMargin * leverage) / price;
+
+    let theoreticalQuantity = allocationQuantity;
+    let sizing = { mode: "allocation", availableBalance, allocationPercent };
+
+    if (riskSizing) {
+      // ✅ Ilość ryzykująca riskAmount do stopu, nie więcej niż alokacja poziomu
+      const riskQuantity = riskSizing.riskAmount / riskSizing.stopDistance;
+      theoreticalQuantity = Math.min(riskQuantity, allocationQuantity);
+      sizing = {
+        ...riskSizing,
+        availableBalance,
+        allocationPercent,
+        riskQuantity,
+        allocationQuantity,
+        cappedByAllocation: riskQuantity > allocationQuantity,
+      };
+    }
+
+    const theoreticalMargin = riskSizing
+      ? (theoreticalQuantity * price) / leverage
+      : allocationMargin;
 
     const adjustedQuantity = await this._adjustContractQuantity(
       theoreticalQuantity,
       instrumentInfo
     );
 
+    if (riskSizing) {
+      sizing.actualRiskAmount = adjustedQuantity * riskSizing.stopDistance;
+
+      // ✅ Minimum instrumentu ponad ryzyko lub alokację - odrzucenie zamiast zaokrąglenia w górę
+      const minOrderQty = instrumentInfo?.minOrderQty ?? 0.001;
+      if (
+        sizing.riskQuantity < minOrderQty ||
+        sizing.actualRiskAmount > riskSizing.riskAmount ||
+        adjustedQuantity > allocationQuantity
+      ) {
+        return {
+          rejection: {
+            reasonCode: "risk_below_min_qty",
+            reason: `Risk-sized quantity ${theoreticalQuantity.toFixed(6)} below min order qty ${minOrderQty} (risk ${riskSizing.riskAmount.toFixed(2)}, stop distance ${riskSizing.stopDistance.toFixed(2)})`,
+          },
+          theoreticalQuantity,
+          adjustedQuantity,
+          sizing,
+        };
+      }
+    }
+
     const actualAllocationPercent = this._calculateActualAllocationPercent(
       adjustedQuantity,
       price,
@@ -120,6 +247,7 @@ class SignalService extends EventEmitter {
       theoreticalMargin,
       actualMargin,
       actualPosition,
+      sizing,
     };
   }
 
@@ -128,6 +256,7 @@ class SignalService extends EventEmitter {
       try {
         const { instanceId, type, price, timestamp, trend, subType } =
           signalData;
+        const direction = signalData.direction || "long";
         let currentPosition = this.activePositions.get(instanceId);
 
         const instance = await Instance.findOne({ instanceId });
@@ -135,51 +264,81 @@ class SignalService extends EventEmitter {
           return;
         }
 
-        if (!instance.financials || instance.financials.availableBalance <= 0) {
-          const rejectionKey = `${instanceId}-no-funds`;
-          this.lastRejectionLogs.set(
-            rejectionKey,
-            TradingLogger.logSignalRejected(
-              instanceId,
-              instance.symbol,
-              "No available funds",
-              this.lastRejectionLogs.get(rejectionKey)
-            )
+        const strategyParams = instance.strategy.parameters;
+
+        // Pozycja w trakcie zamykania - brak kolejnych wejść
+        if (currentPosition && currentPosition.status !== "active") {
+          return;
+        }
+
+        // ✅ REGUŁY WEJŚCIA (wspólne z backtestem - utils/signal-rules)
+        const rules = checkEntryRules({
+          parameters: strategyParams,
+          position: currentPosition,
+          availableBalance: instance.financials?.availableBalance,
+          price,
+          timestamp,
+          lastEntryTime: this.lastEntryTimes.get(instanceId) || 0,
+          direction,
+        });
+
+        if (!rules.allowed) {
+          this._rejectSignal(
+            signalData,
+            instance,
+            "entry",
+            rules.reasonCode,
+            rules.reason
           );
           return;
         }
 
-        const strategyParams = instance.strategy.parameters;
         const leverage = instance.phemexConfig?.leverage || 3;
+        const exchange = await exchangeService.getAdapter(instance);
 
         // ✅ UŻYWAMY price z DownerBandStateManager (1M CLOSE)
-        const currentPrice = await phemexService.getCurrentPrice(
-          instance.symbol
-        );
-        const instrumentInfo = await phemexService.getCachedInstrumentInfo(
+        const currentPrice = await exchange.getCurrentPrice(instance.symbol);
+        const instrumentInfo = await exchange.getInstrumentInfo(
           instance.symbol
         );
 
         if (!currentPosition) {
           // ✅ PIERWSZE WEJŚCIE
-          const firstEntryPercent =
-            strategyParams.capitalAllocation?.firstEntry * 100 || 10;
+          const firstEntryPercent = rules.level.allocation * 100;
 
           const optimalEntry = await this._calculateOptimalContractQuantity(
             firstEntryPercent,
             instance.financials.availableBalance,
             currentPrice, // Live price dla obliczeń
             leverage,
-            instrumentInfo
+            instrumentInfo,
+            this._getRiskSizing(
+              strategyParams,
+              currentPrice,
+              this._getInstanceEquity(instance),
+              signalData.atr
+            )
           );
 
-          const positionId = `position-${instanceId}-${Date.now()}`;
+          if (optimalEntry.rejection) {
+            this._rejectSignal(
+              signalData,
+              instance,
+              "entry",
+              optimalEntry.rejection.reasonCode,
+              optimalEntry.rejection.reason
+            );
+            return;
+          }
+
+          const positionId = `position-${instanceId}-${clock.now(instanceId)}`;
 
           const signal = await this.createSignalInDatabase({
             instanceId,
             symbol: instance.symbol,
             type: "entry",
             subType: "first",
+            direction,
             price, // ✅ 1M CLOSE price z DownerBandStateManager
             allocation: optimalEntry.actualAllocationPercent / 100,
             amount: optimalEntry.actualMargin,
@@ -192,8 +351,16 @@ class SignalService extends EventEmitter {
               theoreticalAllocation: firstEntryPercent / 100,
               theoreticalQuantity: optimalEntry.theoreticalQuantity,
               adjustedQuantity: optimalEntry.adjustedQuantity,
+              sizing: optimalEntry.sizing,
               priceSource: signalData.metadata?.priceSource || "1m_close", // ✅ DODANE
+              strategy: signalData.strategy || "hurst",
+              trigger: type,
+              // ✅ Wyniki filtrów potwierdzających (signals.entryFilters)
+              ...(signalData.metadata?.entryFilters && {
+                entryFilters: signalData.metadata.entryFilters,
+              }),
             },
+            decision: signalData.decision || null,
           });
 
           try {
@@ -202,102 +369,6 @@ class SignalService extends EventEmitter {
               optimalEntry.actualMargin,
               signal._id
             );
-
-            // ✅ PHEMEX API CALLS (bez zmian)
-            if (instance.phemexConfig && instance.phemexConfig.apiKey) {
-              try {
-                await phemexService.setLeverage(
-                  instance.phemexConfig.apiKey,
-                  instance.phemexConfig.apiSecret,
-                  instance.symbol,
-                  leverage
-                );
-                await phemexService.setMarginMode(
-                  instance.phemexConfig.apiKey,
-                  instance.phemexConfig.apiSecret,
-                  instance.symbol,
-                  instance.phemexConfig.marginMode === "isolated" ? 1 : 0
-                );
-
-                const orderResult = await phemexService.openPosition(
-                  instance.phemexConfig.apiKey,
-                  instance.phemexConfig.apiSecret,
-                  instance.symbol,
-                  "Buy",
-                  optimalEntry.adjustedQuantity.toString(),
-                  0,
-                  instance.phemexConfig.subaccountId
-                );
-
-                TradingLogger.logPhemexSuccess(
-                  instanceId,
-                  instance.symbol,
-                  "Order placed",
-                  `ID: ${orderResult.result?.orderId}`
-                );
-
-                signal.metadata.phemexOrderId = orderResult.result?.orderId;
-                signal.metadata.phemexOrderLinkId =
-                  orderResult.result?.orderLinkId;
-                signal.metadata.contractQuantity =
-                  optimalEntry.adjustedQuantity;
-                await signal.save();
-              } catch (error) {
-                TradingLogger.logPhemexError(
-                  instanceId,
-                  instance.symbol,
-                  "Order placement",
-                  error.message
-                );
-              }
-            }
-
-            // ✅ UTWORZENIE POZYCJI
-            const newPosition = {
-              instanceId,
-              symbol: instance.symbol,
-              positionId: positionId,
-              entryTime: timestamp,
-              entryPrice: price, // ✅ 1M CLOSE price
-              capitalAllocation: optimalEntry.actualAllocationPercent / 100,
-              capitalAmount: optimalEntry.actualMargin,
-              status: "active",
-              entries: [
-                {
-                  time: timestamp,
-                  price, // ✅ 1M CLOSE price
-                  type,
-                  trend,
-                  allocation: optimalEntry.actualAllocationPercent / 100,
-                  amount: optimalEntry.actualMargin,
-                  signalId: signal._id.toString(),
-                  contractQuantity: optimalEntry.adjustedQuantity,
-                  positionId: positionId,
-                },
-              ],
-              history: [],
-            };
-
-            this.activePositions.set(instanceId, newPosition);
-
-            // ✅ SYNC Z DOWNERBAND STATE MANAGER
-            this.lastEntryTimes.set(instanceId, timestamp);
-            downerBandStateManager.updateLastEntryTime(instanceId, timestamp);
-
-            await this._atomicStateReset(instanceId);
-
-            TradingLogger.logEntry(
-              instanceId,
-              instance.symbol,
-              price, // ✅ 1M CLOSE price w logu
-              "First entry",
-              trend,
-              optimalEntry.actualAllocationPercent / 100,
-              optimalEntry.actualMargin,
-              optimalEntry.adjustedQuantity
-            );
-
-            this.emit("newPosition", newPosition);
           } catch (error) {
             TradingLogger.logTradingError(
               instanceId,
@@ -311,66 +382,110 @@ class SignalService extends EventEmitter {
                 cancelReason: `Nie udało się zablokować środków: ${error.message}`,
               },
             });
-          }
-        } else if (currentPosition.status === "active") {
-          // ✅ DODATKOWE WEJŚCIA (second/third)
-          const entryCount = currentPosition.entries.length;
-
-          if (entryCount >= 3) {
-            const rejectionKey = `${instanceId}-max-entries`;
-            this.lastRejectionLogs.set(
-              rejectionKey,
-              TradingLogger.logSignalRejected(
-                instanceId,
-                instance.symbol,
-                "Max 3 entries reached",
-                this.lastRejectionLogs.get(rejectionKey)
-              )
-            );
             return;
           }
 
-          // ✅ WALIDACJA CZASU - możliwość użycia z DownerBandStateManager lub lokalnej kopii
-          const lastEntryTime = this.lastEntryTimes.get(instanceId) || 0;
-          const minEntryTimeGap =
-            strategyParams.signals?.minEntryTimeGap || 7200000;
-
-          if (timestamp - lastEntryTime < minEntryTimeGap) {
-            const rejectionKey = `${instanceId}-time-gap`;
-            this.lastRejectionLogs.set(
-              rejectionKey,
-              TradingLogger.logSignalRejected(
-                instanceId,
-                instance.symbol,
-                `Too soon: ${((timestamp - lastEntryTime) / 60000).toFixed(1)}min < ${minEntryTimeGap / 60000}min`,
-                this.lastRejectionLogs.get(rejectionKey)
-              )
-            );
+          // ✅ ZLECENIE PRZEZ ADAPTER GIEŁDY - pozycja powstaje dopiero po potwierdzeniu wypełnienia
+          const fill = await this._executeEntryOrder({
+            instance,
+            exchange,
+            signal,
+            positionId,
+            optimalEntry,
+            entryType: "first",
+            direction,
+            leverage,
+          });
+          if (!fill) {
             return;
           }
 
+          // ✅ UTWORZENIE POZYCJI
+          const newPosition = {
+            instanceId,
+            symbol: instance.symbol,
+            positionId: positionId,
+            direction,
+            entryTime: timestamp,
+            entryPrice: price, // ✅ 1M CLOSE price
+            capitalAllocation: fill.allocation,
+            capitalAmount: fill.amount,
+            status: "active",
+            entries: [
+              {
+                time: timestamp,
+                price, // ✅ 1M CLOSE price
+                type,
+                trend,
+                allocation: fill.allocation,
+                amount: fill.amount,
+                signalId: signal._id.toString(),
+                contractQuantity: fill.contractQuantity,
+                fillPrice: fill.fillPrice,
+                fee: fill.fee,
+                orderId: fill.orderId,
+                positionId: positionId,
+              },
+            ],
+            history: [],
+          };
+
+          this.activePositions.set(instanceId, newPosition);
+
+          // ✅ ZLECENIA OCHRONNE NA GIEŁDZIE (stop loss / take profit)
+          await protectionService.protectPosition(instance, newPosition);
+
+          // ✅ SYNC Z DOWNERBAND STATE MANAGER
+          this.lastEntryTimes.set(instanceId, timestamp);
+          downerBandStateManager.updateLastEntryTime(instanceId, timestamp);
+          await this._persistPositionState(instanceId);
+
+          await this._atomicStateReset(instanceId);
+
+          TradingLogger.logEntry(
+            instanceId,
+            instance.symbol,
+            price, // ✅ 1M CLOSE price w logu
+            "First entry",
+            trend,
+            fill.allocation,
+            fill.amount,
+            fill.contractQuantity
+          );
+
+          this.emit("newPosition", newPosition);
+        } else {
+          // ✅ DODATKOWE WEJŚCIA (kolejne poziomy drabinki)
+          const { level, entryType } = rules;
+
           const remainingBalance = instance.financials.availableBalance;
-          let allocationPercent = 0;
-          let entryType = "";
-
-          if (entryCount === 1) {
-            allocationPercent =
-              strategyParams.capitalAllocation?.secondEntry * 100 || 25;
-            entryType = "second";
-          } else if (entryCount === 2) {
-            allocationPercent =
-              strategyParams.capitalAllocation?.thirdEntry * 100 || 50;
-            entryType = "third";
-          }
+          const allocationPercent = level.allocation * 100;
 
           const optimalEntry = await this._calculateOptimalContractQuantity(
             allocationPercent,
             remainingBalance,
             currentPrice,
             leverage,
-            instrumentInfo
+            instrumentInfo,
+            this._getRiskSizing(
+              strategyParams,
+              currentPrice,
+              this._getInstanceEquity(instance),
+              signalData.atr
+            )
           );
 
+          if (optimalEntry.rejection) {
+            this._rejectSignal(
+              signalData,
+              instance,
+              "entry",
+              optimalEntry.rejection.reasonCode,
+              optimalEntry.rejection.reason
+            );
+            return;
+          }
+
           const positionId = currentPosition.positionId;
 
           const signal = await this.createSignalInDatabase({
@@ -378,6 +493,7 @@ class SignalService extends EventEmitter {
             symbol: currentPosition.symbol,
             type: "entry",
             subType: entryType,
+            direction,
             price, // ✅ 1M CLOSE price
             allocation: optimalEntry.actualAllocationPercent / 100,
             amount: optimalEntry.actualMargin,
@@ -389,8 +505,16 @@ class SignalService extends EventEmitter {
               theoreticalAllocation: allocationPercent / 100,
               theoreticalQuantity: optimalEntry.theoreticalQuantity,
               adjustedQuantity: optimalEntry.adjustedQuantity,
+              sizing: optimalEntry.sizing,
               priceSource: signalData.metadata?.priceSource || "1m_close", // ✅ DODANE
+              strategy: signalData.strategy || "hurst",
+              trigger: type,
+              // ✅ Wyniki filtrów potwierdzających (signals.entryFilters)
+              ...(signalData.metadata?.entryFilters && {
+                entryFilters: signalData.metadata.entryFilters,
+              }),
             },
+            decision: signalData.decision || null,
           });
 
           try {
@@ -399,76 +523,6 @@ class SignalService extends EventEmitter {
               optimalEntry.actualMargin,
               signal._id
             );
-
-            // ✅ PHEMEX API dla dodatkowych wejść (bez zmian)
-            if (instance.phemexConfig && instance.phemexConfig.apiKey) {
-              try {
-                const orderResult = await phemexService.openPosition(
-                  instance.phemexConfig.apiKey,
-                  instance.phemexConfig.apiSecret,
-                  instance.symbol,
-                  "Buy",
-                  optimalEntry.adjustedQuantity.toString(),
-                  0,
-                  instance.phemexConfig.subaccountId
-                );
-
-                TradingLogger.logPhemexSuccess(
-                  instanceId,
-                  instance.symbol,
-                  `${entryType} order placed`,
-                  `ID: ${orderResult.result?.orderId}`
-                );
-
-                signal.metadata.phemexOrderId = orderResult.result?.orderId;
-                signal.metadata.phemexOrderLinkId =
-                  orderResult.result?.orderLinkId;
-                signal.metadata.contractQuantity =
-                  optimalEntry.adjustedQuantity;
-                await signal.save();
-              } catch (error) {
-                TradingLogger.logPhemexError(
-                  instanceId,
-                  instance.symbol,
-                  `${entryType} order placement`,
-                  error.message
-                );
-              }
-            }
-
-            // ✅ AKTUALIZACJA POZYCJI
-            currentPosition.entries.push({
-              time: timestamp,
-              price, // ✅ 1M CLOSE price
-              type,
-              trend,
-              allocation: optimalEntry.actualAllocationPercent / 100,
-              amount: optimalEntry.actualMargin,
-              signalId: signal._id.toString(),
-              contractQuantity: optimalEntry.adjustedQuantity,
-              positionId: positionId,
-            });
-
-            currentPosition.capitalAllocation +=
-              optimalEntry.actualAllocationPercent / 100;
-            currentPosition.capitalAmount += optimalEntry.actualMargin;
-
-            // ✅ SYNC Z DOWNERBAND STATE MANAGER
-            this.lastEntryTimes.set(instanceId, timestamp);
-            downerBandStateManager.updateLastEntryTime(instanceId, timestamp);
-
-            TradingLogger.logEntry(
-              instanceId,
-              instance.symbol,
-              price, // ✅ 1M CLOSE price w logu
-              `${entryType} entry`,
-              trend,
-              optimalEntry.actualAllocationPercent / 100,
-              optimalEntry.actualMargin,
-              optimalEntry.adjustedQuantity
-            );
-
-            this.emit("positionUpdated", currentPosition);
           } catch (error) {
             TradingLogger.logTradingError(
               instanceId,
@@ -482,7 +536,62 @@ class SignalService extends EventEmitter {
                 cancelReason: `Nie udało się zablokować środków: ${error.message}`,
               },
             });
+            return;
           }
+
+          // ✅ ZLECENIE PRZEZ ADAPTER GIEŁDY (dodatkowe wejścia)
+          const fill = await this._executeEntryOrder({
+            instance,
+            exchange,
+            signal,
+            positionId,
+            optimalEntry,
+            entryType,
+            direction,
+          });
+          if (!fill) {
+            return;
+          }
+
+          // ✅ AKTUALIZACJA POZYCJI
+          currentPosition.entries.push({
+            time: timestamp,
+            price, // ✅ 1M CLOSE price
+            type,
+            trend,
+            allocation: fill.allocation,
+            amount: fill.amount,
+            signalId: signal._id.toString(),
+            contractQuantity: fill.contractQuantity,
+            fillPrice: fill.fillPrice,
+            fee: fill.fee,
+            orderId: fill.orderId,
+            positionId: positionId,
+          });
+
+          currentPosition.capitalAllocation += fill.allocation;
+          currentPosition.capitalAmount += fill.amount;
+
+          // ✅ PRZELICZENIE ZLECEŃ OCHRONNYCH - nowa średnia cena i ilość
+          await protectionService.protectPosition(instance, currentPosition);
+
+          // ✅ SYNC Z DOWNERBAND STATE MANAGER
+          this.lastEntryTimes.set(instanceId, timestamp);
+          downerBandStateManager.updateLastEntryTime(instanceId, timestamp);
+          await this._persistPositionState(instanceId);
+
+          TradingLogger.logEntry(
+            instanceId,
+            instance.symbol,
+            price, // ✅ 1M CLOSE price w logu
+            `${entryType} entry`,
+            trend,
+            fill.allocation,
+            fill.amount,
+            fill.contractQuantity
+          );
+
+          this.emit("positionUpdated", currentPosition);
         }
       } catch (error) {
         logger.error(
@@ -492,6 +601,376 @@ class SignalService extends EventEmitter {
     });
   }
 
+  /**
+   * Wysyła zlecenie wejścia i czeka na potwierdzenie wypełnienia.
+   * Sygnał jest oznaczany jako wykonany dopiero po wypełnieniu - przy odrzuceniu
+   * środki wracają do puli, a przy częściowym wypełnieniu zwalniana jest
+   * niewykorzystana część depozytu.
+   * @param {Object} params - Parametry wejścia
+   * @param {Object} params.instance - Instancja
+   * @param {ExchangeAdapter} params.exchange - Adapter giełdy
+   * @param {Object} params.signal - Dokument sygnału wejścia
+   * @param {string} params.positionId - ID pozycji
+   * @param {Object} params.optimalEntry - Wynik _calculateOptimalContractQuantity
+   * @param {string} params.entryType - Typ wejścia (first/second/third)
+   * @param {string} [params.direction="long"] - Kierunek pozycji (long/short)
+   * @param {number} [params.leverage] - Dźwignia (ustawiana przy pierwszym wejściu)
+   * @returns {Promise<Object|null>} - Dane wypełnienia lub null, gdy brak wypełnienia
+   * @private
+   */
+  async _executeEntryOrder({
+    instance,
+    exchange,
+    signal,
+    positionId,
+    optimalEntry,
+    entryType,
+    direction = "long",
+    leverage = null,
+  }) {
+    const instanceId = instance.instanceId;
+    let order;
+
+    try {
+      if (entryType === "first") {
+        await exchange.setLeverage(instance.symbol, leverage);
+        await exchange.setMarginMode(
+          instance.symbol,
+          instance.phemexConfig?.marginMode || "isolated"
+        );
+      }
+
+      order = await orderService.executeOrder({
+        instanceId,
+        symbol: instance.symbol,
+        exchange,
+        purpose: "entry",
+        positionSide: getPositionSide(direction),
+        quantity: optimalEntry.adjustedQuantity,
+        signalId: signal._id,
+        positionId,
+      });
+    } catch (error) {
+      order = { status: "rejected", error: error.message, filledQuantity: 0 };
+    }
+
+    if (!orderService.isFilled(order)) {
+      TradingLogger.logExchangeError(
+        instanceId,
+        instance.symbol,
+        exchange.name,
+        `${entryType} order placement`,
+        `${order.status}${order.error ? ": " + order.error : ""}`
+      );
+
+      try {
+        await accountService.releaseLockedFunds(
+          instanceId,
+          signal._id,
+          optimalEntry.actualMargin
+        );
+      } catch (error) {
+        logger.error(
+          `[SIGNAL] Nie udało się zwolnić środków sygnału ${signal._id}: ${error.message}`
+        );
+      }
+
+      await signal.markAsCanceled(
+        `Zlecenie ${order.status}${order.error ? ": " + order.error : ""}`
+      );
+      return null;
+    }
+
+    // ✅ CZĘŚCIOWE WYPEŁNIENIE - zwolnij depozyt niewypełnionej części
+    const fillRatio = Math.min(
+      order.filledQuantity / optimalEntry.adjustedQuantity,
+      1
+    );
+    const amount = optimalEntry.actualMargin * fillRatio;
+    const allocation = (optimalEntry.actualAllocationPercent / 100) * fillRatio;
+
+    if (fillRatio < 1) {
+      await accountService.releaseLockedFunds(
+        instanceId,
+        signal._id,
+        optimalEntry.actualMargin - amount
+      );
+    }
+
+    TradingLogger.logExchangeSuccess(
+      instanceId,
+      instance.symbol,
+      exchange.name,
+      `${entryType} order ${order.status}`,
+      `ID: ${order.orderId} | Qty: ${order.filledQuantity}/${optimalEntry.adjustedQuantity}`
+    );
+
+    signal.amount = amount;
+    signal.allocation = allocation;
+    signal.status = "executed";
+    signal.executedAt = new Date();
+    this._applyOrderMetadata(signal, exchange, order);
+    await signal.save();
+
+    return {
+      amount,
+      allocation,
+      contractQuantity: order.filledQuantity,
+      fillPrice: order.avgFillPrice,
+      fee: order.fee || 0,
+      orderId: order.orderId,
+    };
+  }
+
+  /**
+   * Wysyła zlecenie zamknięcia pozycji i czeka na potwierdzenie wypełnienia.
+   * Gdy zlecenie nie zostanie w pełni wypełnione, sygnał wyjścia jest anulowany,
+   * a pozycja pozostaje aktywna (z ilością pomniejszoną o część zamkniętą).
+   * @param {Object} params - Parametry wyjścia
+   * @param {Object} params.instance - Instancja
+   * @param {Object} params.exitSignal - Dokument sygnału wyjścia
+   * @param {Object} params.currentPosition - Aktywna pozycja z pamięci
+   * @param {number} params.totalEntryAmount - Suma depozytów wejść
+   * @param {number} params.timestamp - Czas sygnału wyjścia
+   * @returns {Promise<Object|null>} - Wypełnione zlecenie zamknięcia lub null
+   * @private
+   */
+  async _executeExitOrder({
+    instance,
+    exitSignal,
+    currentPosition,
+    totalEntryAmount,
+    timestamp,
+  }) {
+    const instanceId = instance.instanceId;
+    const exchange = await exchangeService.getAdapter(instance);
+    let order;
+
+    try {
+      const totalContractQuantity = await this._resolveCloseQuantity(
+        instance,
+        exchange,
+        currentPosition,
+        totalEntryAmount,
+        timestamp
+      );
+
+      order = await orderService.executeOrder({
+        instanceId,
+        symbol: instance.symbol,
+        exchange,
+        purpose: "exit",
+        positionSide: getPositionSide(currentPosition.direction),
+        quantity: totalContractQuantity,
+        signalId: exitSignal._id,
+        positionId: currentPosition.positionId,
+      });
+    } catch (error) {
+      order = { status: "rejected", error: error.message, filledQuantity: 0 };
+    }
+
+    if (order.status === "filled") {
+      TradingLogger.logExchangeSuccess(
+        instanceId,
+        instance.symbol,
+        exchange.name,
+        "Position closed",
+        `ID: ${order.orderId} | Contract: ${order.filledQuantity}`
+      );
+
+      this._applyOrderMetadata(exitSignal, exchange, order);
+      await exitSignal.save();
+      return order;
+    }
+
+    TradingLogger.logExchangeError(
+      instanceId,
+      instance.symbol,
+      exchange.name,
+      "Position close",
+      `${order.status}${order.error ? ": " + order.error : ""}`
+    );
+
+    // ✅ CZĘŚCIOWE ZAMKNIĘCIE - pozostała ilość zostanie zamknięta kolejnym sygnałem
+    if (orderService.isFilled(order) && order.requestedQuantity > 0) {
+      const remainingRatio = Math.max(
+        1 - order.filledQuantity / order.requestedQuantity,
+        0
+      );
+      for (const entry of currentPosition.entries) {
+        if (entry.contractQuantity) {
+          entry.contractQuantity =
+            parseFloat(entry.contractQuantity) * remainingRatio;
+        }
+      }
+      await this._persistPositionState(instanceId);
+    }
+
+    if (order.orderId) {
+      this._applyOrderMetadata(exitSignal, exchange, order);
+    }
+    await exitSignal.markAsCanceled(
+      `Zlecenie zamknięcia ${order.status}${order.error ? ": " + order.error : ""}`
+    );
+    return null;
+  }
+
+  /**
+   * Zapisuje wypełnione zlecenie ochronne jako zlecenie zamknięcia pozycji
+   * (pozycja została już zamknięta na giełdzie)
+   * @param {Object} instance - Instancja
+   * @param {Object} exitSignal - Dokument sygnału wyjścia
+   * @param {Object} order - Wypełnione zlecenie ochronne z order.service
+   * @returns {Promise<Object>} - Zlecenie zamknięcia
+   * @private
+   */
+  async _recordProtectiveExit(instance, exitSignal, order) {
+    const exchange = await exchangeService.getAdapter(instance);
+
+    TradingLogger.logExchangeSuccess(
+      instance.instanceId,
+      instance.symbol,
+      exchange.name,
+      `Position closed by protective ${order.purpose}`,
+      `ID: ${order.orderId} | Contract: ${order.filledQuantity}`
+    );
+
+    this._applyOrderMetadata(exitSignal, exchange, order);
+    exitSignal.metadata.protectiveOrder = order.purpose;
+    await exitSignal.save();
+    return order;
+  }
+
+  /**
+   * Rozlicza pozycję z rzeczywistych wypełnień wejść i wyjścia,
+   * z prowizjami i opłatami funding naliczonymi od otwarcia pozycji
+   * @param {Object} instance - Instancja
+   * @param {Object} position - Aktywna pozycja z pamięci
+   * @param {Object} exitOrder - Wypełnione zlecenie zamknięcia
+   * @param {number} price - Cena sygnału (gdy brak ceny wypełnienia)
+   * @returns {Promise<Object>} - Wynik z calculatePositionPnl
+   * @private
+   */
+  async _calculateRealizedPnl(instance, position, exitOrder, price) {
+    const exchange = await exchangeService.getAdapter(instance);
+
+    let fundingFees = 0;
+    try {
+      fundingFees = await exchange.getFundingFees(
+        instance.symbol,
+        position.entryTime
+      );
+    } catch (error) {
+      logger.warn(
+        `[SIGNAL] Nie udało się pobrać opłat funding dla ${instance.symbol}: ${error.message}`
+      );
+    }
+
+    return calculatePositionPnl({
+      entries: position.entries.map((entry) => ({
+        quantity: entry.contractQuantity,
+        price: entry.fillPrice || entry.price,
+        fee: entry.fee || 0,
+        margin: entry.amount,
+      })),
+      exit: {
+        quantity: exitOrder.filledQuantity,
+        price: exitOrder.avgFillPrice || price,
+        fee: exitOrder.fee || 0,
+      },
+      fundingFees,
+      side: getPositionSide(position.direction),
+    });
+  }
+
+  /**
+   * Ustala ilość kontraktów do zamknięcia: z wejść w pamięci, z sygnałów
+   * w bazie, z pozycji na giełdzie lub (ostatecznie) z depozytu i dźwigni
+   * @private
+   */
+  async _resolveCloseQuantity(
+    instance,
+    exchange,
+    currentPosition,
+    totalEntryAmount,
+    timestamp
+  ) {
+    let totalContractQuantity = 0;
+
+    for (const entry of currentPosition.entries) {
+      if (entry.contractQuantity) {
+        totalContractQuantity += parseFloat(entry.contractQuantity);
+      }
+    }
+
+    if (totalContractQuantity === 0) {
+      const allEntrySignals = await Signal.find({
+        instanceId: instance.instanceId,
+        type: "entry",
+        status: "executed",
+        timestamp: {
+          $gte: currentPosition.entryTime - 24 * 60 * 60 * 1000,
+          $lte: timestamp,
+        },
+      }).sort({ timestamp: 1 });
+
+      for (const signal of allEntrySignals) {
+        const contractQty = signal.metadata?.contractQuantity || 0;
+        if (contractQty > 0) {
+          totalContractQuantity += parseFloat(contractQty);
+        }
+      }
+    }
+
+    if (totalContractQuantity === 0) {
+      try {
+        totalContractQuantity = await exchange.getPositionSize(
+          instance.symbol,
+          currentPosition.direction || "long"
+        );
+      } catch (apiError) {
+        const currentPrice = await exchange.getCurrentPrice(instance.symbol);
+        const positionValue =
+          totalEntryAmount * (instance.phemexConfig?.leverage || 3);
+        const instrumentInfo = await exchange.getInstrumentInfo(
+          instance.symbol
+        );
+        const theoreticalQuantity = positionValue / currentPrice;
+        totalContractQuantity = await this._adjustContractQuantity(
+          theoreticalQuantity,
+          instrumentInfo
+        );
+      }
+    }
+
+    return totalContractQuantity;
+  }
+
+  /**
+   * Zapisuje wynik zlecenia giełdowego w metadanych sygnału
+   * @param {Object} signal - Dokument sygnału
+   * @param {ExchangeAdapter} exchange - Adapter giełdy
+   * @param {Object} order - Zlecenie z order.service
+   * @private
+   */
+  _applyOrderMetadata(signal, exchange, order) {
+    signal.metadata.exchange = exchange.name;
+    signal.metadata.exchangeOrderId = order.orderId;
+    signal.metadata.exchangeOrderLinkId = order.clientOrderId;
+    signal.metadata.orderStatus = order.status;
+    signal.metadata.requestedQuantity = order.requestedQuantity;
+    signal.metadata.contractQuantity = order.filledQuantity;
+
+    if (order.avgFillPrice) {
+      signal.metadata.fillPrice = order.avgFillPrice;
+    }
+    if (order.fee !== null && order.fee !== undefined) {
+      signal.metadata.fee = order.fee;
+    }
+
+    signal.markModified("metadata");
+  }
+
   async _atomicStateReset(instanceId) {
     return mutex.withLock(`state-reset-${instanceId}`, async () => {
       try {
@@ -499,6 +978,7 @@ class SignalService extends EventEmitter {
         await analysisService.resetUpperBandState(instanceId);
         // ✅ DODANE - reset stanu entry
         await analysisService.resetDownerBandState(instanceId);
+        await analysisService.resetTrailingStopState(instanceId);
         await analysisService.resetStopLossTracking(instanceId);
       } catch (error) {
         logger.error(`Error in atomic state reset: ${error.message}`);
@@ -506,9 +986,57 @@ class SignalService extends EventEmitter {
     });
   }
 
+  /**
+   * Loguje odrzucenie sygnału (raz na 5 minut na powód) i zapisuje je
+   * w dzienniku odrzuceń (rejected-signal.service)
+   * @param {Object} signalData - Dane odrzuconego sygnału
+   * @param {Object} instance - Instancja (symbol, parametry strategii)
+   * @param {string} action - Rodzaj sygnału (entry/exit)
+   * @param {string} reasonCode - Kod powodu
+   * @param {string} reason - Opis powodu
+   * @private
+   */
+  _rejectSignal(signalData, instance, action, reasonCode, reason) {
+    const { instanceId } = signalData;
+    const rejectionKey = `${instanceId}-${reasonCode}`;
+    this.lastRejectionLogs.set(
+      rejectionKey,
+      TradingLogger.logSignalRejected(
+        instanceId,
+        instance.symbol,
+        reason,
+        this.lastRejectionLogs.get(rejectionKey)
+      )
+    );
+
+    const position = this.activePositions.get(instanceId);
+    rejectedSignalService.record(instanceId, {
+      action,
+      reasonCode,
+      reason,
+      symbol: instance.symbol,
+      signalType: signalData.type,
+      subType: signalData.subType,
+      direction: signalData.direction || position?.direction,
+      price: signalData.price,
+      hurstChannel: signalData.hurstChannel,
+      trend: signalData.trend,
+      config: {
+        strategyType: instance.strategy?.type,
+        ...instance.strategy?.parameters,
+      },
+      metadata: {
+        ...signalData.metadata,
+        positionId: position?.positionId,
+        entriesCount: position?.entries.length || 0,
+      },
+      timestamp: signalData.timestamp,
+    });
+  }
+
   // ✅ POZOSTAŁE METODY BEZ ZMIAN
-  _isTrendValidForEntry(trend) {
-    return ["up", "strong_up", "neutral"].includes(trend);
+  _isTrendValidForEntry(trend, direction = "long") {
+    return isTrendValidForDirection(trend, direction);
   }
 
   async processExitSignal(signalData) {
@@ -521,47 +1049,53 @@ class SignalService extends EventEmitter {
           return;
         }
 
-        const entryCount = currentPosition.entries.length;
-        if (entryCount === 1) {
-          const instanceForTimeCheck = await Instance.findOne({ instanceId });
-          if (instanceForTimeCheck) {
-            const minFirstEntryDuration =
-              instanceForTimeCheck.strategy.parameters.signals
-                ?.minFirstEntryDuration || 60 * 60 * 1000;
-            const positionDuration = timestamp - currentPosition.entryTime;
-
-            if (positionDuration < minFirstEntryDuration) {
-              const rejectionKey = `${instanceId}-too-fresh`;
-              this.lastRejectionLogs.set(
-                rejectionKey,
-                TradingLogger.logSignalRejected(
-                  instanceId,
-                  currentPosition.symbol,
-                  `First entry too fresh: ${(positionDuration / 60000).toFixed(1)}min < ${minFirstEntryDuration / 60000}min`,
-                  this.lastRejectionLogs.get(rejectionKey)
-                )
-              );
-              return;
-            }
+        // ✅ REGUŁY WYJŚCIA (wspólne z backtestem) - wymuszone zamknięcie
+        // (akcja administratora) i wyjścia ochronne pomijają minimalny czas trwania
+        const instanceForExit = await Instance.findOne({ instanceId });
+        if (instanceForExit) {
+          const rules = checkExitRules({
+            parameters: instanceForExit.strategy.parameters,
+            position: currentPosition,
+            timestamp,
+            type,
+            force: signalData.force,
+          });
+
+          if (!rules.allowed) {
+            this._rejectSignal(
+              signalData,
+              instanceForExit,
+              "exit",
+              rules.reasonCode,
+              rules.reason
+            );
+            return;
           }
         }
 
+        const direction = currentPosition.direction || "long";
         const entryAvgPrice = this.calculateAverageEntryPrice(currentPosition);
-        const profitPercent = (price / entryAvgPrice - 1) * 100;
+        let profitPercent = calculatePriceChangePercent(
+          entryAvgPrice,
+          price,
+          direction
+        );
 
         let totalEntryAmount = 0;
         for (const entry of currentPosition.entries) {
           totalEntryAmount += entry.amount;
         }
 
-        const exitAmount = totalEntryAmount * (1 + profitPercent / 100);
-        const profit = exitAmount - totalEntryAmount;
+        // Szacunek z ceny 1m - po wypełnieniu zastępowany rzeczywistym wynikiem
+        let exitAmount = totalEntryAmount * (1 + profitPercent / 100);
+        let profit = exitAmount - totalEntryAmount;
 
         const exitSignal = await this.createSignalInDatabase({
           instanceId,
           symbol: currentPosition.symbol,
           type: "exit",
           subType: type,
+          direction,
           price,
           profitPercent,
           exitAmount,
@@ -573,6 +1107,7 @@ class SignalService extends EventEmitter {
             entryAvgPrice,
             totalEntryAmount,
             entriesFromMemory: currentPosition.entries.length,
+            strategy: signalData.strategy || "hurst",
             ...(type === "trailingStop" && signalData.highestPrice
               ? {
                   highestPrice: signalData.highestPrice,
@@ -580,7 +1115,8 @@ class SignalService extends EventEmitter {
                   trailingStopPercent: signalData.trailingStopPercent,
                 }
               : {}),
-            ...(type === "upperBandReturn" && signalData.metadata
+            ...((type === "upperBandReturn" || type === "lowerBandReturn") &&
+            signalData.metadata
               ? {
                   exitReason: signalData.metadata.exitReason,
                   totalCycleTime: signalData.metadata.totalCycleTime,
@@ -588,112 +1124,68 @@ class SignalService extends EventEmitter {
                   finalPrice: signalData.metadata.finalPrice,
                 }
               : {}),
+            // ✅ Reguła wyjścia (signals.exitRules) - szczegóły reguły
+            ...(signalData.metadata?.exitRule ? signalData.metadata : {}),
           },
+          decision: signalData.decision || null,
         });
 
         const firstEntrySignalId = currentPosition.entries[0]?.signalId;
 
+        // ✅ ZAMKNIĘCIE NA GIEŁDZIE - pozycja jest finalizowana dopiero po potwierdzeniu wypełnienia
+        let pnl = null;
+        if (instanceForExit) {
+          // ✅ ZLECENIA OCHRONNE - anulowane przed zamknięciem; jeśli zdążyły
+          // zamknąć pozycję na giełdzie, ich wypełnienie zastępuje zlecenie zamknięcia
+          const protectiveFill = await protectionService.cancelProtection(
+            instanceForExit,
+            currentPosition
+          );
+
+          const exitOrder = protectiveFill
+            ? await this._recordProtectiveExit(
+                instanceForExit,
+                exitSignal,
+                protectiveFill
+              )
+            : await this._executeExitOrder({
+                instance: instanceForExit,
+                exitSignal,
+                currentPosition,
+                totalEntryAmount,
+                timestamp,
+              });
+          if (!exitOrder) {
+            // Pozycja pozostaje otwarta - przywróć ochronę na giełdzie
+            await protectionService.protectPosition(
+              instanceForExit,
+              currentPosition
+            );
+            await this._persistPositionState(instanceId);
+            return null;
+          }
+
+          // ✅ WYNIK Z RZECZYWISTYCH WYPEŁNIEŃ (dźwignia, prowizje, funding)
+          pnl = await this._calculateRealizedPnl(
+            instanceForExit,
+            currentPosition,
+            exitOrder,
+            price
+          );
+          profit = pnl.netPnl;
+          exitAmount = totalEntryAmount + profit;
+          profitPercent = pnl.returnOnMargin;
+        }
+
         try {
           await accountService.finalizePosition(
             instanceId,
             firstEntrySignalId,
             exitSignal._id,
             totalEntryAmount,
-            exitAmount
+            exitAmount,
+            pnl
           );
-          const instanceForExit = await Instance.findOne({ instanceId });
-
-          if (
-            instanceForExit &&
-            instanceForExit.phemexConfig &&
-            instanceForExit.phemexConfig.apiKey
-          ) {
-            try {
-              let totalContractQuantity = 0;
-
-              for (const entry of currentPosition.entries) {
-                if (entry.contractQuantity) {
-                  totalContractQuantity += parseFloat(entry.contractQuantity);
-                }
-              }
-
-              if (totalContractQuantity === 0) {
-                const allEntrySignals = await Signal.find({
-                  instanceId,
-                  type: "entry",
-                  status: "executed",
-                  timestamp: {
-                    $gte: currentPosition.entryTime - 24 * 60 * 60 * 1000,
-                    $lte: timestamp,
-                  },
-                }).sort({ timestamp: 1 });
-
-                for (const signal of allEntrySignals) {
-                  const contractQty = signal.metadata?.contractQuantity || 0;
-                  if (contractQty > 0) {
-                    totalContractQuantity += parseFloat(contractQty);
-                  }
-                }
-              }
-
-              if (totalContractQuantity === 0) {
-                try {
-                  const positionSize = await phemexService.getPositionSize(
-                    instanceForExit.phemexConfig.apiKey,
-                    instanceForExit.phemexConfig.apiSecret,
-                    instanceForExit.symbol,
-                    instanceForExit.phemexConfig.subaccountId
-                  );
-                  totalContractQuantity = positionSize;
-                } catch (apiError) {
-                  const currentPrice = await phemexService.getCurrentPrice(
-                    instanceForExit.symbol
-                  );
-                  const positionValue =
-                    totalEntryAmount * instanceForExit.phemexConfig.leverage;
-                  const instrumentInfo =
-                    await phemexService.getCachedInstrumentInfo(
-                      instanceForExit.symbol
-                    );
-                  const theoreticalQuantity = positionValue / currentPrice;
-                  totalContractQuantity = await this._adjustContractQuantity(
-                    theoreticalQuantity,
-                    instrumentInfo
-                  );
-                }
-              }
-
-              const orderResult = await phemexService.closePosition(
-                instanceForExit.phemexConfig.apiKey,
-                instanceForExit.phemexConfig.apiSecret,
-                instanceForExit.symbol,
-                "Buy",
-                totalContractQuantity.toString(),
-                0,
-                instanceForExit.phemexConfig.subaccountId
-              );
-
-              TradingLogger.logPhemexSuccess(
-                instanceId,
-                instanceForExit.symbol,
-                "Position closed",
-                `Contract: ${totalContractQuantity}`
-              );
-
-              exitSignal.metadata.phemexOrderId = orderResult.result?.orderId;
-              exitSignal.metadata.phemexOrderLinkId =
-                orderResult.result?.orderLinkId;
-              exitSignal.metadata.contractQuantity = totalContractQuantity;
-              await exitSignal.save();
-            } catch (error) {
-              TradingLogger.logPhemexError(
-                instanceId,
-                instanceForExit.symbol,
-                "Position close",
-                error.message
-              );
-            }
-          }
 
           currentPosition.exitTime = timestamp;
           currentPosition.exitPrice = price;
@@ -701,6 +1193,7 @@ class SignalService extends EventEmitter {
           currentPosition.profitPercent = profitPercent;
           currentPosition.exitAmount = exitAmount;
           currentPosition.profit = profit;
+          currentPosition.pnl = pnl;
           currentPosition.status = "closed";
           currentPosition.exitSignalId = exitSignal._id;
 
@@ -714,6 +1207,10 @@ class SignalService extends EventEmitter {
 
           this.activePositions.delete(instanceId);
           this.lastEntryTimes.delete(instanceId);
+          // ✅ Stan trailing stopu dotyczy zamkniętej pozycji - czyszczony po jej
+          // usunięciu, bo tick w trakcie zamykania mógł go odtworzyć po resecie
+          await trailingStopStateManager.forceCleanAllState(instanceId);
+          await this._persistPositionState(instanceId);
 
           const duration = timestamp - currentPosition.entryTime;
           TradingLogger.logExit(
@@ -728,21 +1225,22 @@ class SignalService extends EventEmitter {
 
           this.emit("positionClosed", currentPosition);
           // Aktywuj cooldown jeśli to był stop loss
-          if (signalData.type === "stopLoss") {
-            await cooldownService.setCooldown(instanceId, 12); // 12 godzin cooldown
+          const cooldownHours = getStopLossCooldownHours(
+            instanceForExit?.strategy.parameters
+          );
+          if (signalData.type === "stopLoss" && cooldownHours > 0) {
+            await cooldownService.setCooldown(instanceId, cooldownHours);
 
             TradingLogger.logDebugThrottled(
               `cooldown-activated-${instanceId}`,
-              `[COOLDOWN] Activated for 12h after stop loss | Instance: ${instanceId.slice(-8)}`,
+              `[COOLDOWN] Activated for ${cooldownHours}h after stop loss | Instance: ${instanceId.slice(-8)}`,
               300000
             );
           }
           const instanceForSync = await Instance.findOne({ instanceId });
           if (
             instanceForSync &&
-            instanceForSync.phemexConfig &&
-            instanceForSync.phemexConfig.apiKey &&
-            !instanceForSync.testMode
+            exchangeService.syncsBalance(instanceForSync)
           ) {
             setTimeout(async () => {
               try {
@@ -802,6 +1300,7 @@ class SignalService extends EventEmitter {
         symbol: signalData.symbol,
         type: signalData.type,
         subType: signalData.subType,
+        direction: signalData.direction,
         price: signalData.price,
         allocation: signalData.allocation,
         amount: signalData.amount,
@@ -813,6 +1312,7 @@ class SignalService extends EventEmitter {
         metadata: signalData.metadata || {},
         entrySignalId: signalData.entrySignalId,
         positionId: signalData.positionId,
+        decision: signalData.decision || null,
       });
 
       await signal.save();
@@ -847,7 +1347,7 @@ class SignalService extends EventEmitter {
 
   setActivePosition(instanceId, position) {
     if (!position.positionId) {
-      position.positionId = `position-${instanceId}-${Date.now()}`;
+      position.positionId = `position-${instanceId}-${clock.now(instanceId)}`;
     }
 
     this.activePositions.set(instanceId, position);
@@ -855,6 +1355,56 @@ class SignalService extends EventEmitter {
     if (position.entries && position.entries.length > 0) {
       this.lastEntryTimes.set(instanceId, position.entries[0].time);
     }
+
+    this._persistPositionState(instanceId);
+  }
+
+  /**
+   * Usuwa aktywną pozycję z pamięci bez jej finalizacji
+   * (np. gdy pozycja nie istnieje już na giełdzie)
+   * @param {string} instanceId - ID instancji
+   */
+  async clearActivePosition(instanceId) {
+    this.activePositions.delete(instanceId);
+    this.lastEntryTimes.delete(instanceId);
+    await this._atomicStateReset(instanceId);
+    await trailingStopStateManager.forceCleanAllState(instanceId);
+    await this._persistPositionState(instanceId);
+  }
+
+  /**
+   * Zapisuje stan pozycji instancji w bazie (odtwarzany po restarcie)
+   * @param {string} instanceId - ID instancji
+   * @private
+   */
+  async _persistPositionState(instanceId) {
+    await tradingStateService.savePositionState(instanceId, {
+      activePosition: this.activePositions.get(instanceId) || null,
+      positionHistory: this.positionHistory.get(instanceId) || [],
+      lastEntryTime: this.lastEntryTimes.get(instanceId) || null,
+    });
+  }
+
+  /**
+   * Odtwarza zapisany stan pozycji bez ponownego zapisu
+   * @param {string} instanceId - ID instancji
+   * @param {Object} positionState - { activePosition, positionHistory, lastEntryTime }
+   */
+  restorePositionState(
+    instanceId,
+    { activePosition, positionHistory, lastEntryTime }
+  ) {
+    if (activePosition && activePosition.status === "active") {
+      this.activePositions.set(instanceId, activePosition);
+    }
+
+    if (positionHistory && positionHistory.length > 0) {
+      this.positionHistory.set(instanceId, positionHistory);
+    }
+
+    if (lastEntryTime) {
+      this.lastEntryTimes.set(instanceId, lastEntryTime);
+    }
   }
 
   async getSignalsFromDb(filters = {}, limit = 100, skip = 0) {
@@ -884,6 +1434,8 @@ class SignalService extends EventEmitter {
       let totalTrades = exitSignals.length;
       let profitableTrades = 0;
       let totalProfit = 0;
+      let totalFees = 0;
+      let totalFundingFees = 0;
       let totalAmount = 0;
       let maxProfit = 0;
       let maxLoss = 0;
@@ -893,6 +1445,8 @@ class SignalService extends EventEmitter {
         const profitPercent = signal.profitPercent || 0;
 
         totalProfit += profit;
+        totalFees += signal.metadata?.pnl?.tradingFees || 0;
+        totalFundingFees += signal.metadata?.pnl?.fundingFees || 0;
 
         if (signal.amount) {
           totalAmount += signal.amount;
@@ -911,10 +1465,9 @@ class SignalService extends EventEmitter {
         }
       }
 
-      const rejectedSignals = await Signal.find({
-        ...filters,
-        type: "entry-rejected",
-      }).count();
+      // ✅ Dziennik odrzuconych sygnałów (z powtórzeniami)
+      const rejections =
+        await rejectedSignalService.getRejectionStats(instanceId);
 
       return {
         totalTrades,
@@ -922,11 +1475,15 @@ class SignalService extends EventEmitter {
         winRate: totalTrades > 0 ? (profitableTrades / totalTrades) * 100 : 0,
         averageProfitPercent: totalTrades > 0 ? totalProfit / totalTrades : 0,
         totalProfit,
+        totalFees,
+        totalFundingFees,
         totalAmount,
         maxProfitPercent: maxProfit,
         maxLossPercent: maxLoss,
         roi: totalAmount > 0 ? (totalProfit / totalAmount) * 100 : 0,
-        rejectedSignals: rejectedSignals || 0,
+        rejectedSignals: rejections.total,
+        rejectedByReason: rejections.byReason,
+        rejectedByAction: rejections.byAction,
       };
     } catch (error) {
       logger.error(
@@ -939,9 +1496,11 @@ class SignalService extends EventEmitter {
   async clearSignalHistory(instanceId) {
     try {
       const result = await Signal.deleteMany({ instanceId });
+      await rejectedSignalService.clearInstance(instanceId);
       this.positionHistory.delete(instanceId);
       this.lastEntryTimes.delete(instanceId);
       this.lastRejectionLogs.delete(instanceId);
+      await this._persistPositionState(instanceId);
 
       logger.info(`Wyczyszczono historię sygnałów dla instancji ${instanceId}`);
       return result.deletedCount;
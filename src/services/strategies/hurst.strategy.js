@@ -0,0 +1,344 @@
+/**
+ * Hurst Strategy - kanał Hursta z filtrem trendu EMA
+ *
+ * Wejścia: cena 1m na lub poniżej dolnej bandy (DownerBandStateManager),
+ * z filtrem trendu EMA30/EMA5 i opcjonalnymi filtrami
+ * potwierdzającymi (signals.entryFilters, EntryFilters).
+ * Kanał liczony na świecach hurst.interval (domyślnie 15m), EMA i krótka EMA
+ * na świecach ema.interval (domyślnie 1h) - oba interwały mogą być równe.
+ * Wykładnik kanału estymowany metodą R/S lub DFA (hurst.estimator).
+ * Wyjścia: wyjście ponad górną bandę i powrót (UpperBandStateManager,
+ * progi i czasy cyklu z signals.upperBand) oraz stop loss od poziomu drabinki, który go aktywuje
+ * i opcjonalne: trailing stop (signals.trailingStop) oraz reguły wyjścia
+ * (signals.exitRules, w tym dojście do środkowej bandy).
+ *
+ * Tryb short (hurst.direction = "short") działa lustrzanie: wejście na
+ * górnej bandzie przy trendzie down/strong_down/neutral, wyjście po
+ * powrocie spod dolnej bandy, stop loss powyżej średniej ceny wejścia.
+ */
+
+const Strategy = require("./strategy");
+const {
+  HurstChannel,
+  ExponentialMovingAverage,
+} = require("../../utils/technical");
+const upperBandStateManager = require("../../utils/upper-band-state-manager");
+const downerBandStateManager = require("../../utils/downer-band-state-manager");
+const EntryFilters = require("../../utils/entry-filters");
+const logger = require("../../utils/logger");
+const {
+  config: defaultParams,
+  POSITION_DIRECTIONS,
+  HURST_ESTIMATORS,
+  HURST_INTERVALS,
+  EMA_INTERVALS,
+} = require("../../config/instance.config");
+
+const HURST_INTERVAL = defaultParams.intervals.hurst;
+const EMA_INTERVAL = defaultParams.intervals.ema;
+const PRICE_INTERVAL = "1m";
+
+const PARAMETER_SCHEMA = {
+  hurst: {
+    interval: {
+      type: "string",
+      default: HURST_INTERVAL,
+      enum: HURST_INTERVALS,
+    },
+    direction: { type: "string", default: "long", enum: POSITION_DIRECTIONS },
+    periods: { type: "number", default: 25, min: 10, max: 100 },
+    upperDeviationFactor: { type: "number", default: 2.0, min: 0.5, max: 5 },
+    lowerDeviationFactor: { type: "number", default: 2.0, min: 0.5, max: 5 },
+    minExponent: { type: "number", default: 0.55, min: 0, max: 1 },
+    estimator: { type: "string", default: "rs", enum: HURST_ESTIMATORS },
+  },
+  ema: {
+    interval: { type: "string", default: EMA_INTERVAL, enum: EMA_INTERVALS },
+    periods: { type: "number", default: 30, min: 5, max: 200 },
+  },
+};
+
+class HurstStrategy extends Strategy {
+  constructor(instanceId, config, options) {
+    super("hurst", instanceId, config, options);
+  }
+
+  static getParameterSchema() {
+    return PARAMETER_SCHEMA;
+  }
+
+  getRequiredIntervals() {
+    const intervals = [
+      ...new Set([this.hurstInterval, this.emaInterval, PRICE_INTERVAL]),
+    ];
+    const filterIntervals = this.entryFilters
+      .getRequiredIntervals()
+      .filter((interval) => !intervals.includes(interval));
+
+    return this.withSizingInterval([...intervals, ...filterIntervals]);
+  }
+
+  getMinimumCandles(interval) {
+    const filterMinimum = Math.max(
+      this.entryFilters.getMinimumCandles(interval),
+      this.getSizingMinimumCandles(interval)
+    );
+    return Math.max(
+      interval === this.hurstInterval ? this.hurstChannel.options.periods : 0,
+      interval === this.emaInterval ? this.ema.options.periods : 0,
+      filterMinimum
+    );
+  }
+
+  setup() {
+    const hurstConfig = this.config.hurst || {
+      interval: HURST_INTERVAL,
+      periods: 25,
+      upperDeviationFactor: 2.0,
+      lowerDeviationFactor: 2.0,
+    };
+
+    const emaConfig = this.config.ema || {
+      interval: EMA_INTERVAL,
+      periods: 30,
+    };
+
+    this.hurstInterval = hurstConfig.interval || HURST_INTERVAL;
+    this.emaInterval = emaConfig.interval || EMA_INTERVAL;
+
+    this.hurstChannel = new HurstChannel(hurstConfig);
+    this.ema = new ExponentialMovingAverage(emaConfig);
+    this.shortEma = new ExponentialMovingAverage({
+      ...emaConfig,
+      periods: 5,
+    });
+
+    this.entryFilters = new EntryFilters(
+      this.config.signals?.entryFilters,
+      hurstConfig
+    );
+
+    this.hurstResult = null;
+    this.emaValue = null;
+    this.shortEmaValue = null;
+  }
+
+  onCandle(interval, candles) {
+    const filtersUpdated = this.entryFilters.update(interval, candles);
+    const sizingUpdated = this.updateSizingAtr(interval, candles);
+
+    // Przy równych interwałach kanał i EMA aktualizowane są tą samą świecą
+    const hurstUpdated =
+      interval === this.hurstInterval && this._updateHurstChannel(candles);
+    const emaUpdated =
+      interval === this.emaInterval && this._updateEMA(candles);
+
+    return hurstUpdated || emaUpdated || filtersUpdated || sizingUpdated;
+  }
+
+  async onTick({ price, high, low }, { getActivePosition }) {
+    const getActivePositionFn = () => getActivePosition();
+
+    const currentTrend = this.determineTrend(
+      price,
+      this.emaValue,
+      this.shortEmaValue
+    );
+
+    // SPRAWDZENIE SYGNAŁÓW WYJŚCIA (upper band)
+    const exitSignal = await upperBandStateManager.updateState(
+      this.instanceId,
+      price,
+      high,
+      low,
+      this.hurstResult,
+      getActivePositionFn,
+      this._getUpperBandSettings()
+    );
+
+    if (exitSignal) {
+      return [this.exitIntent(exitSignal)];
+    }
+
+    // SPRAWDZENIE TRAILING STOP (signals.trailingStop)
+    const trailingStopSignal = await this.checkTrailingStop(
+      { price, high, low },
+      getActivePosition()
+    );
+    if (trailingStopSignal) {
+      return [
+        this.exitIntent({
+          ...trailingStopSignal,
+          hurstChannel: this.hurstResult,
+        }),
+      ];
+    }
+
+    // SPRAWDZENIE DODATKOWYCH REGUŁ WYJŚCIA (signals.exitRules)
+    const exitRuleSignal = this.checkExitRules(price, getActivePosition(), {
+      middleBand: this.hurstResult?.middleBand,
+    });
+    if (exitRuleSignal) {
+      return [
+        this.exitIntent({ ...exitRuleSignal, hurstChannel: this.hurstResult }),
+      ];
+    }
+
+    // SPRAWDZENIE STOP LOSS (od poziomu drabinki, który go aktywuje)
+    const stopLossSignal = this.checkStopLoss(price, getActivePosition());
+    if (stopLossSignal) {
+      return [
+        this.exitIntent({ ...stopLossSignal, hurstChannel: this.hurstResult }),
+      ];
+    }
+
+    // SPRAWDZENIE SYGNAŁÓW WEJŚCIA
+    const entrySignal = await downerBandStateManager.updateState(
+      this.instanceId,
+      price,
+      high,
+      low,
+      this.hurstResult,
+      this.emaValue,
+      this.shortEmaValue,
+      currentTrend,
+      this.config,
+      getActivePositionFn,
+      (entryPrice, direction) =>
+        this.entryFilters.evaluate(entryPrice, direction, this.hurstResult)
+    );
+
+    return entrySignal ? [this.entryIntent(entrySignal)] : [];
+  }
+
+  isReady() {
+    return !!this.hurstResult;
+  }
+
+  /**
+   * Zwraca progi i czasy cyklu wyjścia (signals.upperBand) uzupełnione
+   * wartościami domyślnymi
+   * @returns {Object} - Ustawienia UpperBandStateManager
+   * @private
+   */
+  _getUpperBandSettings() {
+    const configured = this.config?.signals?.upperBand || {};
+    const settings = { ...defaultParams.signals.upperBand };
+
+    for (const name of Object.keys(settings)) {
+      if (configured[name] !== undefined && configured[name] !== null) {
+        settings[name] = configured[name];
+      }
+    }
+
+    return settings;
+  }
+
+  getIndicatorValues() {
+    return {
+      hurstChannel: this.hurstResult,
+      emaValue: this.emaValue,
+      shortEmaValue: this.shortEmaValue,
+    };
+  }
+
+  getStateSnapshot() {
+    const upperBand = upperBandStateManager.getState(this.instanceId);
+    const downerBand = downerBandStateManager.getState(this.instanceId);
+
+    return {
+      ...super.getStateSnapshot(),
+      upperBand: upperBand ? { ...upperBand } : null,
+      downerBand: downerBand ? { ...downerBand } : null,
+    };
+  }
+
+  getDecisionSnapshot({ price }) {
+    return {
+      indicators: this.getIndicatorValues(),
+      trend: this.determineTrend(price, this.emaValue, this.shortEmaValue),
+    };
+  }
+
+  async reset() {
+    await upperBandStateManager.forceCleanAllState(this.instanceId);
+    await downerBandStateManager.forceCleanAllState(this.instanceId);
+  }
+
+  determineTrend(currentPrice, emaValue, shortEmaValue) {
+    if (!emaValue || !shortEmaValue) {
+      return "neutral";
+    }
+
+    const direction =
+      shortEmaValue > emaValue
+        ? "up"
+        : shortEmaValue < emaValue
+          ? "down"
+          : "neutral";
+    const trendStrength = Math.abs((currentPrice - emaValue) / emaValue) * 100;
+
+    if (currentPrice > emaValue && direction === "up") {
+      return trendStrength > 1.5 ? "strong_up" : "up";
+    } else if (currentPrice < emaValue && direction === "down") {
+      return trendStrength > 1.5 ? "strong_down" : "down";
+    } else {
+      return "neutral";
+    }
+  }
+
+  _updateHurstChannel(candles) {
+    try {
+      // Przyrostowo - przetwarzane są tylko świece nowsze niż ostatnia
+      const hurstResult = this.hurstChannel.sync(candles);
+      if (!hurstResult) {
+        return false;
+      }
+
+      this.hurstResult = hurstResult;
+      this.emit("hurstUpdated", { result: hurstResult });
+
+      logger.debug(
+        `Zaktualizowano kanał Hursta dla instancji ${this.instanceId} (H=${hurstResult.hurstExponent.toFixed(3)})`
+      );
+      return true;
+    } catch (error) {
+      logger.error(
+        `Błąd podczas aktualizacji kanału Hursta dla instancji ${this.instanceId}: ${error.message}`
+      );
+      return false;
+    }
+  }
+
+  _updateEMA(candles) {
+    try {
+      const emaValue = this.ema.sync(candles);
+      const shortEmaValue = this.shortEma.sync(candles);
+
+      if (emaValue === null || shortEmaValue === null) {
+        return false;
+      }
+
+      this.emaValue = emaValue;
+      this.shortEmaValue = shortEmaValue;
+
+      this.emit("emaUpdated", {
+        value: emaValue,
+        shortValue: shortEmaValue,
+        candle: candles[candles.length - 1],
+      });
+
+      logger.debug(
+        `Zaktualizowano EMA dla instancji ${this.instanceId} (EMA=${emaValue.toFixed(2)}, EMA5=${shortEmaValue.toFixed(2)})`
+      );
+      return true;
+    } catch (error) {
+      logger.error(
+        `Błąd podczas aktualizacji EMA dla instancji ${this.instanceId}: ${error.message}`
+      );
+      return false;
+    }
+  }
+}
+
+module.exports = HurstStrategy;
@@ -0,0 +1,188 @@
+/**
+ * MACD Strategy - przecięcia linii MACD z linią sygnału
+ *
+ * Wejścia: histogram MACD przechodzi z wartości ujemnej na dodatnią
+ * na zamkniętej świecy (kolejne przecięcia dokładają poziomy drabinki).
+ * Wyjścia: histogram przechodzi z dodatniego na ujemny (opcjonalnie
+ * tylko z zyskiem) oraz wspólne stop loss, trailing stop i reguły wyjścia.
+ */
+
+const Strategy = require("./strategy");
+const { MovingAverageConvergenceDivergence } = require("../../utils/technical");
+const TradingLogger = require("../../utils/trading-logger");
+const logger = require("../../utils/logger");
+
+const PRICE_INTERVAL = "1m";
+const INTERVALS = ["5m", "15m", "30m", "1h", "2h", "4h", "6h", "12h", "1d"];
+
+const PARAMETER_SCHEMA = {
+  macd: {
+    interval: { type: "string", default: "1h", enum: INTERVALS },
+    fastPeriods: { type: "number", default: 12, min: 2, max: 100 },
+    slowPeriods: { type: "number", default: 26, min: 3, max: 200 },
+    signalPeriods: { type: "number", default: 9, min: 2, max: 50 },
+    // Wyjście na przecięciu w dół tylko powyżej średniej ceny wejścia
+    exitOnlyInProfit: { type: "boolean", default: false },
+  },
+};
+
+class MacdStrategy extends Strategy {
+  constructor(instanceId, config, options) {
+    super("macd", instanceId, config, options);
+  }
+
+  static getParameterSchema() {
+    return PARAMETER_SCHEMA;
+  }
+
+  static validateParameters(parameters) {
+    const { fastPeriods, slowPeriods } = parameters.macd;
+    if (fastPeriods >= slowPeriods) {
+      return [
+        "Liczba okresów szybkiej EMA MACD musi być mniejsza niż wolnej EMA",
+      ];
+    }
+    return [];
+  }
+
+  getRequiredIntervals() {
+    return this.withSizingInterval([this.params.interval, PRICE_INTERVAL]);
+  }
+
+  getMinimumCandles(interval) {
+    const sizingMinimum = this.getSizingMinimumCandles(interval);
+    return interval === this.params.interval
+      ? Math.max(this.macd.getRequiredCandles(), sizingMinimum)
+      : sizingMinimum;
+  }
+
+  setup() {
+    this.params = { ...this.config.macd };
+    this.macd = new MovingAverageConvergenceDivergence(this.params);
+    this.macdResult = null;
+    this.pendingCross = null; // "up" | "down" - przecięcie czekające na ocenę w onTick
+  }
+
+  onCandle(interval, candles) {
+    const sizingUpdated = this.updateSizingAtr(interval, candles);
+    if (interval !== this.params.interval) {
+      return sizingUpdated;
+    }
+
+    try {
+      const result = this.macd.calculate(candles);
+      if (!result) {
+        return false;
+      }
+
+      // Ta sama świeca może zostać przeliczona ponownie - przecięcie liczymy raz
+      const isNewCandle =
+        result.lastCandle?.openTime !== this.macdResult?.lastCandle?.openTime;
+      this.macdResult = result;
+
+      if (isNewCandle) {
+        if (result.previousHistogram <= 0 && result.histogram > 0) {
+          this.pendingCross = "up";
+        } else if (result.previousHistogram >= 0 && result.histogram < 0) {
+          this.pendingCross = "down";
+        } else {
+          this.pendingCross = null;
+        }
+      }
+
+      this.emit("macdUpdated", { result });
+
+      logger.debug(
+        `Zaktualizowano MACD dla instancji ${this.instanceId} (MACD=${result.macd.toFixed(4)}, hist=${result.histogram.toFixed(4)})`
+      );
+      return true;
+    } catch (error) {
+      logger.error(
+        `Błąd podczas aktualizacji MACD dla instancji ${this.instanceId}: ${error.message}`
+      );
+      return false;
+    }
+  }
+
+  async onTick({ price, high, low }, { getActivePosition }) {
+    const activePosition = getActivePosition();
+    const inPosition = activePosition?.status === "active";
+    const metadata = {
+      macd: this.macdResult.macd,
+      signalLine: this.macdResult.signal,
+      histogram: this.macdResult.histogram,
+      interval: this.params.interval,
+    };
+
+    if (inPosition && this.pendingCross === "down") {
+      const avgEntryPrice = this._calculateAverageEntryPrice(activePosition);
+      if (!this.params.exitOnlyInProfit || price > avgEntryPrice) {
+        this.pendingCross = null;
+        return [
+          this.exitIntent({
+            type: "macdCrossDown",
+            price,
+            metadata: { ...metadata, avgEntryPrice },
+          }),
+        ];
+      }
+    }
+
+    const trailingStopSignal = await this.checkTrailingStop(
+      { price, high, low },
+      activePosition
+    );
+    if (trailingStopSignal) {
+      return [this.exitIntent(trailingStopSignal)];
+    }
+
+    const exitRuleSignal = this.checkExitRules(price, activePosition);
+    if (exitRuleSignal) {
+      return [this.exitIntent(exitRuleSignal)];
+    }
+
+    const stopLossSignal = this.checkStopLoss(price, activePosition);
+    if (stopLossSignal) {
+      return [this.exitIntent(stopLossSignal)];
+    }
+
+    if (this.pendingCross !== "up") {
+      return [];
+    }
+
+    // Jedno przecięcie = jedna próba wejścia
+    this.pendingCross = null;
+
+    if (this.isInCooldown()) {
+      TradingLogger.logDebugThrottled(
+        `entry-blocked-cooldown-${this.instanceId}`,
+        `[ENTRY BLOCKED] MACD cross up during cooldown | Instance: ${this.instanceId.slice(-8)}`,
+        300000
+      );
+      return [];
+    }
+
+    return [
+      this.entryIntent({
+        type: "macdCrossUp",
+        price,
+        trend: "up",
+        metadata: { ...metadata, entryLogic: "macd_cross_up" },
+      }),
+    ];
+  }
+
+  isReady() {
+    return !!this.macdResult;
+  }
+
+  getIndicatorValues() {
+    return { macd: this.macdResult };
+  }
+
+  async reset() {
+    this.pendingCross = null;
+  }
+}
+
+module.exports = MacdStrategy;
@@ -0,0 +1,184 @@
+/**
+ * RSI Strategy - powrót do średniej na wskaźniku RSI
+ *
+ * Wejścia: RSI zamkniętej świecy na lub poniżej progu wyprzedania
+ * (każda kolejna taka świeca może dołożyć poziom drabinki).
+ * Wyjścia: RSI zamkniętej świecy na lub powyżej progu wykupienia
+ * oraz wspólne stop loss, trailing stop i reguły wyjścia.
+ */
+
+const Strategy = require("./strategy");
+const { RelativeStrengthIndex } = require("../../utils/technical");
+const TradingLogger = require("../../utils/trading-logger");
+const logger = require("../../utils/logger");
+
+const PRICE_INTERVAL = "1m";
+const INTERVALS = ["5m", "15m", "30m", "1h", "2h", "4h", "6h", "12h", "1d"];
+
+const PARAMETER_SCHEMA = {
+  rsi: {
+    interval: { type: "string", default: "15m", enum: INTERVALS },
+    periods: { type: "number", default: 14, min: 2, max: 100 },
+    oversold: { type: "number", default: 30, min: 1, max: 50 },
+    overbought: { type: "number", default: 70, min: 50, max: 99 },
+  },
+};
+
+class RsiStrategy extends Strategy {
+  constructor(instanceId, config, options) {
+    super("rsi", instanceId, config, options);
+  }
+
+  static getParameterSchema() {
+    return PARAMETER_SCHEMA;
+  }
+
+  static validateParameters(parameters) {
+    const { oversold, overbought } = parameters.rsi;
+    if (oversold >= overbought) {
+      return ["Próg wyprzedania RSI musi być niższy niż próg wykupienia"];
+    }
+    return [];
+  }
+
+  getRequiredIntervals() {
+    return this.withSizingInterval([this.params.interval, PRICE_INTERVAL]);
+  }
+
+  getMinimumCandles(interval) {
+    const sizingMinimum = this.getSizingMinimumCandles(interval);
+    return interval === this.params.interval
+      ? Math.max(this.rsi.getRequiredCandles(), sizingMinimum)
+      : sizingMinimum;
+  }
+
+  setup() {
+    this.params = { ...this.config.rsi };
+    this.rsi = new RelativeStrengthIndex(this.params);
+    this.rsiResult = null;
+    this.pendingZone = null; // "oversold" | "overbought" - strefa zamkniętej świecy czekająca na onTick
+  }
+
+  onCandle(interval, candles) {
+    const sizingUpdated = this.updateSizingAtr(interval, candles);
+    if (interval !== this.params.interval) {
+      return sizingUpdated;
+    }
+
+    try {
+      const result = this.rsi.calculate(candles);
+      if (!result) {
+        return false;
+      }
+
+      // Ta sama świeca może zostać przeliczona ponownie - strefę oceniamy raz
+      const isNewCandle =
+        result.lastCandle?.openTime !== this.rsiResult?.lastCandle?.openTime;
+      this.rsiResult = result;
+
+      if (isNewCandle) {
+        if (result.value <= this.params.oversold) {
+          this.pendingZone = "oversold";
+        } else if (result.value >= this.params.overbought) {
+          this.pendingZone = "overbought";
+        } else {
+          this.pendingZone = null;
+        }
+      }
+
+      this.emit("rsiUpdated", { result });
+
+      logger.debug(
+        `Zaktualizowano RSI dla instancji ${this.instanceId} (RSI=${result.value.toFixed(2)})`
+      );
+      return true;
+    } catch (error) {
+      logger.error(
+        `Błąd podczas aktualizacji RSI dla instancji ${this.instanceId}: ${error.message}`
+      );
+      return false;
+    }
+  }
+
+  async onTick({ price, high, low }, { getActivePosition }) {
+    const activePosition = getActivePosition();
+    const inPosition = activePosition?.status === "active";
+    const metadata = {
+      rsi: this.rsiResult.value,
+      previousRsi: this.rsiResult.previousValue,
+      interval: this.params.interval,
+    };
+
+    if (inPosition && this.pendingZone === "overbought") {
+      this.pendingZone = null;
+      return [
+        this.exitIntent({
+          type: "rsiOverbought",
+          price,
+          metadata: { ...metadata, overbought: this.params.overbought },
+        }),
+      ];
+    }
+
+    const trailingStopSignal = await this.checkTrailingStop(
+      { price, high, low },
+      activePosition
+    );
+    if (trailingStopSignal) {
+      return [this.exitIntent(trailingStopSignal)];
+    }
+
+    const exitRuleSignal = this.checkExitRules(price, activePosition);
+    if (exitRuleSignal) {
+      return [this.exitIntent(exitRuleSignal)];
+    }
+
+    const stopLossSignal = this.checkStopLoss(price, activePosition);
+    if (stopLossSignal) {
+      return [this.exitIntent(stopLossSignal)];
+    }
+
+    if (this.pendingZone !== "oversold") {
+      return [];
+    }
+
+    // Jedna świeca w strefie wyprzedania = jedna próba wejścia
+    this.pendingZone = null;
+
+    if (this.isInCooldown()) {
+      TradingLogger.logDebugThrottled(
+        `entry-blocked-cooldown-${this.instanceId}`,
+        `[ENTRY BLOCKED] RSI oversold during cooldown | Instance: ${this.instanceId.slice(-8)}`,
+        300000
+      );
+      return [];
+    }
+
+    return [
+      this.entryIntent({
+        type: "rsiOversold",
+        price,
+        trend: "neutral",
+        metadata: {
+          ...metadata,
+          oversold: this.params.oversold,
+          entryLogic: "rsi_oversold",
+        },
+      }),
+    ];
+  }
+
+  isReady() {
+    return !!this.rsiResult;
+  }
+
+  getIndicatorValues() {
+    return { rsi: this.rsiResult };
+  }
+
+  async reset() {
+    this.pendingZone = null;
+  }
+}
+
+module.exports = RsiStrategy;
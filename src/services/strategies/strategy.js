@@ -0,0 +1,499 @@
+/**
+ * Strategy - kontrakt strategii handlowej
+ *
+ * Każda strategia (hurst, macd, rsi) udostępnia:
+ * - getParameterSchema - grupy parametrów z typami, zakresami i wartościami domyślnymi
+ * - getRequiredIntervals - interwały świec subskrybowane dla instancji
+ * - getMinimumCandles / getHistoryDepth - świece potrzebne wskaźnikom i głębokość
+ *   historii pobieranej dla instancji
+ * - setup - utworzenie wskaźników z parametrów
+ * - onCandle - aktualizacja wskaźników po zamknięciu świecy
+ * - onTick - ocena warunków przy każdej cenie, zwraca intencje wejścia/wyjścia
+ *
+ * Intencja: { action: "entry" | "exit", signal }, gdzie signal ma format
+ * oczekiwany przez signal.service ({ instanceId, type, price, timestamp, metadata }).
+ * Strategia nie składa zleceń - drabinkę wejść, środki i wykonanie
+ * sprawdza signal.service (lub BacktestBroker w backteście).
+ *
+ * Przy wielkości pozycji wg ryzyka z ATR (capitalAllocation.sizing) strategia
+ * dołącza interwał ATR do swoich interwałów (withSizingInterval), aktualizuje go
+ * w onCandle (updateSizingAtr) i przekazuje wartość ATR w intencji wejścia.
+ */
+
+const cooldownService = require("../cooldown.service");
+const clock = require("../../utils/clock");
+const TradingLogger = require("../../utils/trading-logger");
+const { AverageTrueRange } = require("../../utils/technical");
+const { config: binanceConfig } = require("../../config/binance.config");
+const trailingStopStateManager = require("../../utils/trailing-stop-state-manager");
+const {
+  config: defaultParams,
+  getEntryLevels,
+  getPositionSizing,
+  isStopLossActive,
+} = require("../../config/instance.config");
+
+class Strategy {
+  /**
+   * @param {string} type - Typ strategii (hurst, macd, rsi)
+   * @param {string} instanceId - ID instancji
+   * @param {Object} config - Konfiguracja analizy instancji (symbol, grupy parametrów, signals, capitalAllocation)
+   * @param {Object} [options] - Opcje
+   * @param {Function} [options.emit] - (eventName, data) => void - zdarzenia wskaźników dla analysis.service
+   */
+  constructor(type, instanceId, config, { emit = () => {} } = {}) {
+    this.type = type;
+    this.instanceId = instanceId;
+    this.config = config;
+    this.emit = emit;
+
+    this.setup();
+    this._setupSizingAtr();
+  }
+
+  /**
+   * Opis parametrów strategii: { grupa: { parametr: { type, default, min, max, enum } } }
+   * @returns {Object} - Schemat parametrów
+   */
+  static getParameterSchema() {
+    return {};
+  }
+
+  /**
+   * Dodatkowa walidacja zależności między parametrami (np. fast < slow)
+   * @param {Object} parameters - Parametry strategii z wartościami domyślnymi
+   * @returns {Array<string>} - Błędy walidacji
+   */
+  static validateParameters(parameters) {
+    return [];
+  }
+
+  /**
+   * Zwraca interwały świec wymagane przez strategię
+   * @returns {Array<string>} - Interwały (np. ["15m", "1h", "1m"])
+   */
+  getRequiredIntervals() {
+    throw new Error(
+      `${this.type}: getRequiredIntervals nie jest zaimplementowane`
+    );
+  }
+
+  /**
+   * Minimalna liczba zamkniętych świec interwału potrzebna wskaźnikom
+   * @param {string} interval - Interwał świec
+   * @returns {number} - Liczba świec
+   */
+  getMinimumCandles(interval) {
+    return 0;
+  }
+
+  /**
+   * Liczba świec interwału pobierana przy starcie i utrzymywana w buforze:
+   * minimum wskaźników z rozgrzewką, nie mniej niż domyślny limit interwału
+   * (binance.config historicalData)
+   * @param {string} interval - Interwał świec
+   * @returns {number} - Liczba świec
+   */
+  getHistoryDepth(interval) {
+    const { warmupCandles, maxCandles, defaultLimit } =
+      binanceConfig.historicalData;
+    const minimum = this.getMinimumCandles(interval);
+    const depth = Math.max(
+      minimum > 0 ? minimum + warmupCandles : 0,
+      binanceConfig.historicalData[interval]?.limit || defaultLimit
+    );
+
+    return Math.min(depth, maxCandles);
+  }
+
+  /**
+   * Tworzy wskaźniki strategii (wywoływane w konstruktorze)
+   */
+  setup() {}
+
+  /**
+   * Aktualizuje wskaźniki po zamknięciu świecy
+   * @param {string} interval - Interwał zamkniętej świecy
+   * @param {Array} candles - Zamknięte świece interwału (najnowsza na końcu)
+   * @returns {boolean} - Czy zaktualizowano któryś wskaźnik
+   */
+  onCandle(interval, candles) {
+    return false;
+  }
+
+  /**
+   * Ocenia warunki wejścia/wyjścia dla bieżącej ceny
+   * @param {Object} tick - { price, high, low }
+   * @param {Object} context - Kontekst instancji
+   * @param {Function} context.getActivePosition - () => aktywna pozycja lub null
+   * @returns {Promise<Array<Object>>} - Intencje [{ action, signal }]
+   */
+  async onTick(tick, context) {
+    throw new Error(`${this.type}: onTick nie jest zaimplementowane`);
+  }
+
+  /**
+   * Sprawdza, czy wskaźniki mają dane do oceny sygnałów
+   * @returns {boolean} - Czy strategia jest gotowa
+   */
+  isReady() {
+    return false;
+  }
+
+  /**
+   * Zwraca bieżące wartości wskaźników (stan analizy, WebSocket)
+   * @returns {Object} - Wartości wskaźników
+   */
+  getIndicatorValues() {
+    return {};
+  }
+
+  /**
+   * Zwraca kopię stanu maszyn stanów strategii (migawka decyzji)
+   * @returns {Object} - Stany maszyn stanów
+   */
+  getStateSnapshot() {
+    const trailingStop = trailingStopStateManager.getState(this.instanceId);
+    return { trailingStop: trailingStop ? { ...trailingStop } : null };
+  }
+
+  /**
+   * Zwraca wskaźniki użyte przy ocenie ceny (migawka decyzji)
+   * @param {Object} tick - { price, high, low }
+   * @returns {Object} - { indicators, trend }
+   */
+  getDecisionSnapshot(tick) {
+    return { indicators: this.getIndicatorValues(), trend: null };
+  }
+
+  /**
+   * Dołącza interwał ATR wielkości pozycji do interwałów strategii
+   * @param {Array<string>} intervals - Interwały strategii
+   * @returns {Array<string>} - Interwały z interwałem ATR (jeśli wymagany)
+   */
+  withSizingInterval(intervals) {
+    if (!this.sizingAtr || intervals.includes(this.sizingAtrInterval)) {
+      return intervals;
+    }
+    return [...intervals, this.sizingAtrInterval];
+  }
+
+  /**
+   * Minimalna liczba świec interwału potrzebna ATR wielkości pozycji
+   * @param {string} interval - Interwał świec
+   * @returns {number} - Liczba świec (0, gdy interwał nie dotyczy ATR)
+   */
+  getSizingMinimumCandles(interval) {
+    return this.sizingAtr && interval === this.sizingAtrInterval
+      ? this.sizingAtr.getRequiredCandles()
+      : 0;
+  }
+
+  /**
+   * Aktualizuje ATR wielkości pozycji po zamknięciu świecy
+   * @param {string} interval - Interwał zamkniętej świecy
+   * @param {Array} candles - Zamknięte świece interwału (najnowsza na końcu)
+   * @returns {boolean} - Czy zaktualizowano ATR
+   */
+  updateSizingAtr(interval, candles) {
+    if (!this.sizingAtr || interval !== this.sizingAtrInterval) {
+      return false;
+    }
+
+    const result = this.sizingAtr.sync(candles);
+    this.sizingAtrValue = result ? result.value : null;
+    return !!result;
+  }
+
+  /**
+   * Czyści stan strategii po zamknięciu pozycji lub zatrzymaniu instancji
+   */
+  async reset() {}
+
+  /**
+   * Sprawdza stop loss od poziomu drabinki, który go aktywuje.
+   * Wspólny dla wszystkich strategii - liczony od średniej ważonej ceny wejścia
+   * (dla long poniżej średniej, dla short powyżej).
+   * @param {number} price - Bieżąca cena
+   * @param {Object} activePosition - Aktywna pozycja
+   * @returns {Object|null} - Sygnał wyjścia stopLoss lub null
+   */
+  checkStopLoss(price, activePosition) {
+    if (
+      !activePosition?.entries ||
+      !isStopLossActive(
+        getEntryLevels(this.config),
+        activePosition.entries.length
+      )
+    ) {
+      return null;
+    }
+
+    const stopLossConfig =
+      this.config?.stopLoss || this.config?.signals?.stopLoss;
+    if (!stopLossConfig || !stopLossConfig.enabled) {
+      return null;
+    }
+
+    const direction = activePosition.direction || "long";
+    const isShort = direction === "short";
+    const avgEntryPrice = this._calculateAverageEntryPrice(activePosition);
+    const stopLossPercent = stopLossConfig.percent || 0.015;
+    const stopLossPrice = isShort
+      ? avgEntryPrice * (1 + stopLossPercent)
+      : avgEntryPrice * (1 - stopLossPercent);
+
+    if (isShort ? price < stopLossPrice : price > stopLossPrice) {
+      return null;
+    }
+
+    TradingLogger.logDebugThrottled(
+      `stoploss-trigger-${this.instanceId}`,
+      `[STOP LOSS] Triggered ${direction} | Price: ${price} ${isShort ? ">=" : "<="} Stop: ${stopLossPrice.toFixed(2)} (avg: ${avgEntryPrice.toFixed(2)}) | Instance: ${this.instanceId.slice(-8)}`,
+      60000
+    );
+
+    return {
+      instanceId: this.instanceId,
+      type: "stopLoss",
+      direction,
+      price,
+      strategy: this.type,
+      timestamp: clock.now(this.instanceId),
+      metadata: {
+        avgEntryPrice,
+        stopLossPrice,
+        // Ruch ceny przeciw pozycji (spadek dla long, wzrost dla short)
+        dropPercent: (
+          ((isShort ? price - avgEntryPrice : avgEntryPrice - price) /
+            avgEntryPrice) *
+          100
+        ).toFixed(2),
+        entriesCount: activePosition.entries.length,
+      },
+    };
+  }
+
+  /**
+   * Sprawdza trailing stop pozycji (signals.trailingStop) - wspólny dla
+   * wszystkich strategii, stan śledzi trailing-stop-state-manager
+   * @param {Object} tick - { price, high, low }
+   * @param {Object} activePosition - Aktywna pozycja
+   * @returns {Promise<Object|null>} - Sygnał wyjścia trailingStop lub null
+   */
+  async checkTrailingStop(tick, activePosition) {
+    const trailingConfig = this.config?.signals?.trailingStop;
+    if (
+      !trailingConfig?.enabled ||
+      activePosition?.status !== "active" ||
+      !activePosition.entries?.length
+    ) {
+      return null;
+    }
+
+    const defaults = defaultParams.signals.trailingStop;
+    const settings = {
+      activationPercent:
+        trailingConfig.activationPercent ?? defaults.activationPercent,
+      trailPercent: trailingConfig.trailPercent || defaults.trailPercent,
+      priceSource: trailingConfig.priceSource || defaults.priceSource,
+    };
+
+    const avgEntryPrice = this._calculateAverageEntryPrice(activePosition);
+    const result = await trailingStopStateManager.update(
+      this.instanceId,
+      tick,
+      activePosition,
+      avgEntryPrice,
+      settings
+    );
+    if (!result) {
+      return null;
+    }
+
+    TradingLogger.logDebugThrottled(
+      `trailing-trigger-${this.instanceId}`,
+      `[TRAILING STOP] Triggered ${result.direction} | Price: ${tick.price} | Peak: ${result.peakPrice} | Stop: ${result.stopPrice.toFixed(2)} | Instance: ${this.instanceId.slice(-8)}`,
+      60000
+    );
+
+    return {
+      instanceId: this.instanceId,
+      type: "trailingStop",
+      direction: result.direction,
+      price: tick.price,
+      strategy: this.type,
+      timestamp: clock.now(this.instanceId),
+      highestPrice: result.peakPrice,
+      dropPercent: result.dropPercent,
+      trailingStopPercent: settings.trailPercent,
+      metadata: {
+        avgEntryPrice,
+        peakPrice: result.peakPrice,
+        stopPrice: result.stopPrice,
+        activatedAt: result.activatedAt,
+        activationPercent: settings.activationPercent,
+        priceSource: settings.priceSource,
+        entriesCount: activePosition.entries.length,
+      },
+    };
+  }
+
+  /**
+   * Sprawdza dodatkowe reguły wyjścia (signals.exitRules) w kolejności:
+   * take profit, dojście do środkowej bandy, powrót do średniej ceny wejścia
+   * po breakevenAfter, maksymalny czas trwania pozycji.
+   * Reguła, która zadziałała, jest typem sygnału (subType) i trafia do metadanych.
+   * @param {number} price - Bieżąca cena
+   * @param {Object} activePosition - Aktywna pozycja
+   * @param {Object} [levels] - Poziomy wskaźników strategii ({ middleBand })
+   * @returns {Object|null} - Sygnał wyjścia lub null
+   */
+  checkExitRules(price, activePosition, { middleBand = null } = {}) {
+    const rules = this.config?.signals?.exitRules;
+    if (
+      !rules ||
+      activePosition?.status !== "active" ||
+      !activePosition.entries?.length
+    ) {
+      return null;
+    }
+
+    const direction = activePosition.direction || "long";
+    const isShort = direction === "short";
+    const avgEntryPrice = this._calculateAverageEntryPrice(activePosition);
+    const holdingTime = clock.now(this.instanceId) - activePosition.entryTime;
+    const profitRatio = isShort
+      ? (avgEntryPrice - price) / avgEntryPrice
+      : (price - avgEntryPrice) / avgEntryPrice;
+
+    let rule = null;
+    let details = {};
+
+    if (rules.takeProfitPercent > 0 && profitRatio >= rules.takeProfitPercent) {
+      rule = "takeProfit";
+      details = { takeProfitPercent: rules.takeProfitPercent };
+    } else if (
+      rules.middleBandCross &&
+      middleBand &&
+      (isShort ? price <= middleBand : price >= middleBand)
+    ) {
+      rule = "middleBandCross";
+      details = { middleBand };
+    } else if (
+      rules.breakevenAfter > 0 &&
+      holdingTime >= rules.breakevenAfter &&
+      profitRatio >= 0
+    ) {
+      rule = "breakeven";
+      details = { breakevenAfter: rules.breakevenAfter };
+    } else if (
+      rules.maxHoldingTime > 0 &&
+      holdingTime >= rules.maxHoldingTime
+    ) {
+      rule = "maxHoldingTime";
+      details = { maxHoldingTime: rules.maxHoldingTime };
+    }
+
+    if (!rule) {
+      return null;
+    }
+
+    TradingLogger.logDebugThrottled(
+      `exit-rule-${this.instanceId}`,
+      `[EXIT RULE] ${rule} ${direction} | Price: ${price} | Avg: ${avgEntryPrice.toFixed(2)} | Held: ${(holdingTime / 60000).toFixed(0)}min | Instance: ${this.instanceId.slice(-8)}`,
+      60000
+    );
+
+    return {
+      instanceId: this.instanceId,
+      type: rule,
+      direction,
+      price,
+      strategy: this.type,
+      timestamp: clock.now(this.instanceId),
+      metadata: {
+        exitRule: rule,
+        avgEntryPrice,
+        holdingTime,
+        profitPercent: (profitRatio * 100).toFixed(2),
+        entriesCount: activePosition.entries.length,
+        ...details,
+      },
+    };
+  }
+
+  /**
+   * Sprawdza, czy instancja jest w cooldownie po stop lossie
+   * @returns {boolean} - Czy nowe wejścia są zablokowane
+   */
+  isInCooldown() {
+    return cooldownService.isInCooldown(this.instanceId);
+  }
+
+  /**
+   * Tworzy intencję wejścia
+   * @param {Object} signal - Dane sygnału (bez instanceId/strategy/timestamp)
+   * @returns {Object} - { action: "entry", signal }
+   */
+  entryIntent(signal) {
+    return {
+      action: "entry",
+      signal: {
+        instanceId: this.instanceId,
+        strategy: this.type,
+        timestamp: clock.now(this.instanceId),
+        // ✅ ATR dla wielkości pozycji wg ryzyka (capitalAllocation.sizing)
+        ...(this.sizingAtr && { atr: this.sizingAtrValue }),
+        ...signal,
+      },
+    };
+  }
+
+  /**
+   * Tworzy intencję wyjścia
+   * @param {Object} signal - Dane sygnału (bez instanceId/strategy/timestamp)
+   * @returns {Object} - { action: "exit", signal }
+   */
+  exitIntent(signal) {
+    return {
+      action: "exit",
+      signal: {
+        instanceId: this.instanceId,
+        strategy: this.type,
+        timestamp: clock.now(this.instanceId),
+        ...signal,
+      },
+    };
+  }
+
+  /**
+   * Tworzy ATR wielkości pozycji, gdy wejścia są liczone wg ryzyka
+   * z dystansem stopu z ATR (capitalAllocation.sizing)
+   * @private
+   */
+  _setupSizingAtr() {
+    const sizing = getPositionSizing(this.config);
+    this.sizingAtr = null;
+    this.sizingAtrValue = null;
+
+    if (sizing.mode === "risk" && sizing.stopSource === "atr") {
+      this.sizingAtr = new AverageTrueRange({ periods: sizing.atrPeriods });
+      this.sizingAtrInterval = sizing.atrInterval;
+    }
+  }
+
+  _calculateAverageEntryPrice(position) {
+    let totalAllocation = 0;
+    let weightedSum = 0;
+
+    for (const entry of position.entries) {
+      weightedSum += entry.price * entry.allocation;
+      totalAllocation += entry.allocation;
+    }
+
+    return totalAllocation > 0 ? weightedSum / totalAllocation : 0;
+  }
+}
+
+module.exports = Strategy;
@@ -0,0 +1,204 @@
+/**
+ * Strategy Service - rejestr strategii handlowych
+ *
+ * Odpowiedzialny za:
+ * - Rejestr strategii (hurst, macd, rsi) odpowiadający polu instance.strategy.type
+ * - Tworzenie instancji strategii dla analysis.service
+ * - Walidację i uzupełnianie parametrów strategii wartościami domyślnymi
+ *
+ * Parametry każdej strategii to grupy w instance.strategy.parameters
+ * (np. hurst/ema, macd, rsi) opisane przez getParameterSchema().
+ * Wspólne grupy (signals, capitalAllocation) obowiązują wszystkie strategie.
+ */
+
+const HurstStrategy = require("./strategies/hurst.strategy");
+const MacdStrategy = require("./strategies/macd.strategy");
+const RsiStrategy = require("./strategies/rsi.strategy");
+
+const DEFAULT_STRATEGY = "hurst";
+
+class StrategyService {
+  constructor() {
+    this.strategies = new Map(); // typ -> { StrategyClass, description }
+
+    this.registerStrategy("hurst", HurstStrategy, {
+      description:
+        "Kanał Hursta: wejście na dolnej bandzie z filtrem trendu EMA, wyjście po powrocie spod górnej bandy (w trybie short lustrzanie)",
+    });
+
+    this.registerStrategy("macd", MacdStrategy, {
+      description:
+        "MACD: wejście na przecięciu linii sygnału w górę, wyjście na przecięciu w dół",
+    });
+
+    this.registerStrategy("rsi", RsiStrategy, {
+      description:
+        "RSI: wejście w strefie wyprzedania, wyjście w strefie wykupienia",
+    });
+  }
+
+  /**
+   * Rejestruje typ strategii
+   * @param {string} type - Typ strategii (wartość instance.strategy.type)
+   * @param {Function} StrategyClass - Klasa rozszerzająca Strategy
+   * @param {Object} [options] - { description }
+   */
+  registerStrategy(type, StrategyClass, { description = "" } = {}) {
+    this.strategies.set(type, { StrategyClass, description });
+  }
+
+  /**
+   * Sprawdza, czy typ strategii jest zarejestrowany
+   * @param {string} type - Typ strategii
+   * @returns {boolean} - Czy strategia istnieje
+   */
+  hasStrategy(type) {
+    return this.strategies.has(type);
+  }
+
+  /**
+   * Zwraca opis zarejestrowanych strategii
+   * @returns {Array<Object>} - [{ type, description, parameters }]
+   */
+  getStrategies() {
+    return [...this.strategies.keys()].map((type) =>
+      this.describeStrategy(type)
+    );
+  }
+
+  /**
+   * Zwraca opis strategii ze schematem parametrów
+   * @param {string} type - Typ strategii
+   * @returns {Object|null} - { type, description, parameters } lub null
+   */
+  describeStrategy(type) {
+    const definition = this.strategies.get(type);
+    if (!definition) {
+      return null;
+    }
+
+    return {
+      type,
+      description: definition.description,
+      parameters: definition.StrategyClass.getParameterSchema(),
+    };
+  }
+
+  /**
+   * Tworzy strategię dla instancji analizy
+   * @param {string} instanceId - ID instancji
+   * @param {Object} config - Konfiguracja analizy (strategyType, symbol, grupy parametrów)
+   * @param {Object} [options] - Opcje strategii ({ emit })
+   * @returns {Strategy} - Instancja strategii
+   */
+  createStrategy(instanceId, config, options = {}) {
+    const type = config.strategyType || DEFAULT_STRATEGY;
+    const definition = this.strategies.get(type);
+    if (!definition) {
+      throw new Error(`Nieznany typ strategii: ${type}`);
+    }
+
+    const resolvedConfig = {
+      ...config,
+      ...this.resolveParameters(type, config),
+      strategyType: type,
+    };
+
+    return new definition.StrategyClass(instanceId, resolvedConfig, options);
+  }
+
+  /**
+   * Uzupełnia grupy parametrów strategii wartościami domyślnymi
+   * @param {string} type - Typ strategii
+   * @param {Object} [parameters] - Parametry (instance.strategy.parameters)
+   * @returns {Object} - Tylko grupy parametrów danej strategii
+   */
+  resolveParameters(type, parameters = {}) {
+    const definition = this.strategies.get(type);
+    if (!definition) {
+      return {};
+    }
+
+    const schema = definition.StrategyClass.getParameterSchema();
+    const resolved = {};
+
+    for (const [group, fields] of Object.entries(schema)) {
+      const values = parameters?.[group];
+      resolved[group] = values?.toObject ? values.toObject() : { ...values };
+
+      for (const [name, field] of Object.entries(fields)) {
+        if (
+          resolved[group][name] === undefined ||
+          resolved[group][name] === null
+        ) {
+          resolved[group][name] = field.default;
+        }
+      }
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Waliduje typ i parametry strategii względem schematu
+   * @param {string} type - Typ strategii
+   * @param {Object} [parameters] - Parametry (instance.strategy.parameters)
+   * @returns {Array<string>} - Błędy walidacji
+   */
+  validateParameters(type, parameters = {}) {
+    const definition = this.strategies.get(type);
+    if (!definition) {
+      return [
+        `Nieznany typ strategii: ${type} (dostępne: ${[...this.strategies.keys()].join(", ")})`,
+      ];
+    }
+
+    const errors = [];
+    const schema = definition.StrategyClass.getParameterSchema();
+
+    for (const [group, fields] of Object.entries(schema)) {
+      const values = parameters?.[group];
+      if (!values) {
+        continue;
+      }
+
+      for (const [name, field] of Object.entries(fields)) {
+        const value = values[name];
+        if (value === undefined || value === null) {
+          continue;
+        }
+
+        if (typeof value !== field.type) {
+          errors.push(`Parametr ${group}.${name} musi być typu ${field.type}`);
+          continue;
+        }
+
+        if (field.enum && !field.enum.includes(value)) {
+          errors.push(
+            `Parametr ${group}.${name} musi być jedną z wartości: ${field.enum.join(", ")}`
+          );
+        }
+
+        if (
+          (field.min !== undefined && value < field.min) ||
+          (field.max !== undefined && value > field.max)
+        ) {
+          errors.push(
+            `Parametr ${group}.${name} musi być z zakresu ${field.min}-${field.max}`
+          );
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    return definition.StrategyClass.validateParameters(
+      this.resolveParameters(type, parameters)
+    );
+  }
+}
+
+const strategyService = new StrategyService();
+module.exports = strategyService;
@@ -0,0 +1,249 @@
+/**
+ * Trading State Service - serwis trwałego stanu handlowego
+ *
+ * Odpowiedzialny za:
+ * - Zapis pozycji, historii, czasów wejść, stanów band, trailing stopu i cooldownów do MongoDB
+ * - Odtwarzanie pełnego stanu instancji po restarcie
+ *
+ * Zapis nie przerywa logiki handlowej - błędy są tylko logowane.
+ */
+
+const TradingState = require("../models/trading-state.model");
+const dbService = require("./db.service");
+const logger = require("../utils/logger");
+
+const MAX_PERSISTED_HISTORY = 100;
+
+class TradingStateService {
+  constructor() {
+    this.frozen = false;
+  }
+
+  /**
+   * Sprawdza, czy stan instancji powinien być zapisywany
+   * @param {string} instanceId - ID instancji
+   * @returns {boolean} - Czy zapisywać
+   * @private
+   */
+  _shouldPersist(instanceId) {
+    if (this.frozen || !instanceId) {
+      return false;
+    }
+
+    // Instancje offline (backtest) nie są zapisywane
+    const analysisService = require("./analysis.service");
+    if (analysisService.isOfflineInstance(instanceId)) {
+      return false;
+    }
+
+    return dbService.isConnectedToDatabase();
+  }
+
+  /**
+   * Zapisuje wybrane pola stanu instancji
+   * @param {string} instanceId - ID instancji
+   * @param {Object} fields - Pola do zapisania
+   * @returns {Promise<boolean>} - Czy zapis się powiódł
+   */
+  async saveState(instanceId, fields) {
+    if (!this._shouldPersist(instanceId)) {
+      return false;
+    }
+
+    try {
+      await TradingState.updateOne(
+        { instanceId },
+        { $set: { ...fields, updatedAt: new Date() } },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      logger.error(
+        `Błąd podczas zapisu stanu handlowego instancji ${instanceId}: ${error.message}`
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Zapisuje stan pozycji (signal.service)
+   * @param {string} instanceId - ID instancji
+   * @param {Object} positionState - { activePosition, positionHistory, lastEntryTime }
+   * @returns {Promise<boolean>} - Czy zapis się powiódł
+   */
+  async savePositionState(
+    instanceId,
+    { activePosition, positionHistory, lastEntryTime }
+  ) {
+    return this.saveState(instanceId, {
+      activePosition: activePosition || null,
+      positionHistory: (positionHistory || []).slice(-MAX_PERSISTED_HISTORY),
+      lastEntryTime: lastEntryTime || null,
+    });
+  }
+
+  /**
+   * Zapisuje stan maszyny górnej bandy
+   * @param {string} instanceId - ID instancji
+   * @param {Object|null} state - Stan lub null po wyczyszczeniu
+   * @returns {Promise<boolean>} - Czy zapis się powiódł
+   */
+  async saveUpperBandState(instanceId, state) {
+    return this.saveState(instanceId, {
+      upperBandState: state ? { ...state } : null,
+    });
+  }
+
+  /**
+   * Zapisuje stan maszyny dolnej bandy
+   * @param {string} instanceId - ID instancji
+   * @param {Object|null} state - { state, lastEntryTime, lastSignalEmission } lub null
+   * @returns {Promise<boolean>} - Czy zapis się powiódł
+   */
+  async saveDownerBandState(instanceId, state) {
+    return this.saveState(instanceId, {
+      downerBandState: state ? { ...state } : null,
+    });
+  }
+
+  /**
+   * Zapisuje stan trailing stopu pozycji
+   * @param {string} instanceId - ID instancji
+   * @param {Object|null} state - Stan lub null po wyczyszczeniu
+   * @returns {Promise<boolean>} - Czy zapis się powiódł
+   */
+  async saveTrailingStopState(instanceId, state) {
+    return this.saveState(instanceId, {
+      trailingStopState: state ? { ...state } : null,
+    });
+  }
+
+  /**
+   * Zapisuje cooldown instancji
+   * @param {string} instanceId - ID instancji
+   * @param {Object|null} cooldown - Cooldown lub null po wyczyszczeniu
+   * @returns {Promise<boolean>} - Czy zapis się powiódł
+   */
+  async saveCooldown(instanceId, cooldown) {
+    return this.saveState(instanceId, {
+      cooldown: cooldown ? { ...cooldown } : null,
+    });
+  }
+
+  /**
+   * Pobiera zapisany stan instancji
+   * @param {string} instanceId - ID instancji
+   * @returns {Promise<Object|null>} - Zapisany stan lub null
+   */
+  async loadState(instanceId) {
+    try {
+      return await TradingState.findOne({ instanceId }).lean();
+    } catch (error) {
+      logger.error(
+        `Błąd podczas odczytu stanu handlowego instancji ${instanceId}: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Odtwarza stan instancji w pamięci serwisów
+   * @param {string} instanceId - ID instancji
+   * @param {Object} snapshot - Stan pobrany przez loadState
+   * @returns {Promise<boolean>} - Czy odtworzono aktywną pozycję
+   */
+  async restoreState(instanceId, snapshot) {
+    if (!snapshot) {
+      return false;
+    }
+
+    try {
+      const signalService = require("./signal.service");
+      const cooldownService = require("./cooldown.service");
+      const upperBandStateManager = require("../utils/upper-band-state-manager");
+      const downerBandStateManager = require("../utils/downer-band-state-manager");
+      const trailingStopStateManager = require("../utils/trailing-stop-state-manager");
+
+      signalService.restorePositionState(instanceId, {
+        activePosition: snapshot.activePosition,
+        positionHistory: snapshot.positionHistory,
+        lastEntryTime: snapshot.lastEntryTime,
+      });
+
+      if (snapshot.upperBandState) {
+        upperBandStateManager.restoreState(instanceId, snapshot.upperBandState);
+      }
+
+      if (snapshot.downerBandState) {
+        downerBandStateManager.restoreState(
+          instanceId,
+          snapshot.downerBandState
+        );
+      }
+
+      if (snapshot.trailingStopState) {
+        trailingStopStateManager.restoreState(
+          instanceId,
+          snapshot.trailingStopState
+        );
+      }
+
+      if (snapshot.cooldown) {
+        cooldownService.restoreCooldown(instanceId, snapshot.cooldown);
+      }
+
+      logger.info(
+        `Odtworzono stan handlowy instancji ${instanceId} (pozycja: ${snapshot.activePosition ? "aktywna" : "brak"}, górna banda: ${snapshot.upperBandState?.currentState || "brak"})`
+      );
+
+      // Zapisz ponownie - resety wykonane podczas startu instancji nie mogą nadpisać stanu
+      await this.saveState(instanceId, {
+        activePosition: snapshot.activePosition || null,
+        positionHistory: snapshot.positionHistory || [],
+        lastEntryTime: snapshot.lastEntryTime || null,
+        upperBandState: snapshot.upperBandState || null,
+        downerBandState: snapshot.downerBandState || null,
+        trailingStopState: snapshot.trailingStopState || null,
+        cooldown: cooldownService.getCooldownInfo(instanceId)
+          ? snapshot.cooldown
+          : null,
+      });
+
+      return !!snapshot.activePosition;
+    } catch (error) {
+      logger.error(
+        `Błąd podczas odtwarzania stanu handlowego instancji ${instanceId}: ${error.message}`
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Usuwa zapisany stan instancji
+   * @param {string} instanceId - ID instancji
+   * @returns {Promise<boolean>} - Czy usunięto stan
+   */
+  async deleteState(instanceId) {
+    try {
+      const result = await TradingState.deleteOne({ instanceId });
+      return result.deletedCount > 0;
+    } catch (error) {
+      logger.error(
+        `Błąd podczas usuwania stanu handlowego instancji ${instanceId}: ${error.message}`
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Wstrzymuje zapisy (przy zamykaniu serwera czyszczenie pamięci
+   * nie może nadpisać stanu w bazie)
+   */
+  freeze() {
+    this.frozen = true;
+    logger.info("Wstrzymano zapis stanu handlowego");
+  }
+}
+
+const tradingStateService = new TradingStateService();
+module.exports = tradingStateService;
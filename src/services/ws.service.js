@@ -13,6 +13,7 @@ const { v4: uuidv4 } = require("uuid"); // Jeśli nie masz uuid, zainstaluj: npm
 const logger = require("../utils/logger");
 const jwt = require("jsonwebtoken");
 const analysisService = require("./analysis.service");
+const reconciliationService = require("./reconciliation.service");
 
 // Sekret JWT (powinien być zgodny z tym z auth.middleware.js)
 const JWT_SECRET = process.env.JWT_SECRET;
@@ -190,6 +191,18 @@ class WebSocketService {
       }
     });
 
+    // Alarmy rozbieżności pozycji - tylko dla administratorów
+    reconciliationService.on("discrepancy", (report) => {
+      this.broadcast(
+        {
+          type: "reconciliationAlert",
+          report,
+          timestamp: Date.now(),
+        },
+        (ws) => this.clients.get(ws)?.role === "admin"
+      );
+    });
+
     logger.info("Serwer WebSocket zainicjalizowany");
   }
 
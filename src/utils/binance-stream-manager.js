@@ -0,0 +1,371 @@
+/**
+ * Binance Stream Manager - jedno połączenie combined stream dla wszystkich subskrypcji
+ *
+ * Odpowiedzialny za:
+ * - Multipleksowanie strumieni Binance (/stream?streams=a/b/c) na jednym połączeniu
+ * - Zliczanie referencji - strumień jest subskrybowany przy pierwszym subskrybencie
+ *   (instancja, klient frontendu) i odsubskrybowany po odejściu ostatniego,
+ *   przez SUBSCRIBE/UNSUBSCRIBE na otwartym połączeniu (zmiany łączone w paczki)
+ * - Ponowne połączenie z wykładniczym opóźnieniem i ponowną subskrypcją
+ *   wszystkich aktywnych strumieni
+ * - Utrzymywanie połączenia (pinging)
+ */
+
+const WebSocket = require("ws");
+const logger = require("./logger");
+
+// Opóźnienie ponownego połączenia: 1s, 2s, 4s... maks. 60s
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 60 * 1000;
+// Zmiany subskrypcji wysyłane razem (Binance: maks. 5 wiadomości sterujących na sekundę)
+const SUBSCRIPTION_FLUSH_DELAY = 250;
+// Binance: maks. 1024 strumienie na połączenie
+const MAX_STREAMS = 1024;
+
+class BinanceStreamManager {
+  /**
+   * @param {Object} options - Opcje konfiguracyjne
+   * @param {string} options.baseUrl - Adres combined stream (np. wss://stream.binance.com:9443/stream)
+   * @param {Function} options.onMessage - (stream, data) => void - dane strumienia
+   * @param {Function} [options.onOpen] - () => void - po (ponownym) otwarciu połączenia
+   * @param {number} [options.pingInterval] - Czas w ms pomiędzy pingami (domyślnie: 30 minut)
+   */
+  constructor({
+    baseUrl,
+    onMessage,
+    onOpen = () => {},
+    pingInterval = 30 * 60 * 1000,
+  }) {
+    this.baseUrl = baseUrl;
+    this.onMessage = onMessage;
+    this.onOpen = onOpen;
+    this.pingInterval = pingInterval;
+
+    this.subscribers = new Map(); // stream -> Set(subscriberId)
+    this.streams = new Set(); // Strumienie zasubskrybowane na bieżącym połączeniu
+    this.ws = null;
+    this.pingTimer = null;
+    this.flushTimer = null;
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    this.requestId = 0;
+  }
+
+  /**
+   * Dodaje subskrybenta strumienia (wielokrotne wywołanie z tym samym ID nic nie zmienia)
+   * @param {string} stream - Nazwa strumienia (np. btcusdt@kline_1m)
+   * @param {string} subscriberId - ID subskrybenta (instancja lub klient)
+   * @returns {boolean} - Czy strumień został dodany (pierwszy subskrybent)
+   */
+  subscribe(stream, subscriberId) {
+    let subscribers = this.subscribers.get(stream);
+    const isNew = !subscribers;
+
+    if (isNew) {
+      if (this.subscribers.size >= MAX_STREAMS) {
+        throw new Error(
+          `Przekroczono limit ${MAX_STREAMS} strumieni na połączenie`
+        );
+      }
+      subscribers = new Set();
+      this.subscribers.set(stream, subscribers);
+      this._scheduleFlush();
+    }
+
+    subscribers.add(subscriberId);
+    return isNew;
+  }
+
+  /**
+   * Usuwa subskrybenta strumienia - po ostatnim strumień jest odsubskrybowany
+   * @param {string} stream - Nazwa strumienia
+   * @param {string} subscriberId - ID subskrybenta
+   * @returns {boolean} - Czy subskrybent był zapisany
+   */
+  unsubscribe(stream, subscriberId) {
+    const subscribers = this.subscribers.get(stream);
+    if (!subscribers || !subscribers.delete(subscriberId)) {
+      return false;
+    }
+
+    if (subscribers.size === 0) {
+      this.subscribers.delete(stream);
+      this._scheduleFlush();
+    }
+    return true;
+  }
+
+  /**
+   * @param {string} stream - Nazwa strumienia
+   * @returns {Array<string>} - ID subskrybentów strumienia
+   */
+  getSubscribers(stream) {
+    return [...(this.subscribers.get(stream) || [])];
+  }
+
+  /**
+   * @param {string} stream - Nazwa strumienia
+   * @param {string} subscriberId - ID subskrybenta
+   * @returns {boolean} - Czy subskrybent jest zapisany na strumień
+   */
+  hasSubscriber(stream, subscriberId) {
+    return !!this.subscribers.get(stream)?.has(subscriberId);
+  }
+
+  /**
+   * @returns {boolean} - Czy połączenie jest otwarte
+   */
+  isConnected() {
+    return !!this.ws && this.ws.readyState === WebSocket.OPEN;
+  }
+
+  /**
+   * Stan połączenia i subskrypcji (diagnostyka)
+   * @returns {Object} - { connected, reconnectAttempts, streams: [{ stream, subscribers, active }] }
+   */
+  getStatus() {
+    return {
+      connected: this.isConnected(),
+      reconnectAttempts: this.reconnectAttempts,
+      streams: [...this.subscribers.entries()].map(([stream, subscribers]) => ({
+        stream,
+        subscribers: subscribers.size,
+        active: this.isConnected() && this.streams.has(stream),
+      })),
+    };
+  }
+
+  /**
+   * Wymusza ponowne połączenie ze wszystkimi aktywnymi strumieniami
+   * (połączenie w trakcie nawiązywania nie jest przerywane)
+   */
+  reconnect() {
+    if (this.ws && this.ws.readyState === WebSocket.CONNECTING) {
+      return;
+    }
+
+    logger.info("[BINANCE STREAM] Wymuszone ponowne połączenie");
+    this._disconnect();
+    this.reconnectAttempts = 0;
+    if (this.subscribers.size > 0) {
+      this._connect();
+    }
+  }
+
+  /**
+   * Zamyka połączenie i usuwa wszystkie subskrypcje
+   */
+  close() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    this.subscribers.clear();
+    this._disconnect();
+  }
+
+  /**
+   * Planuje wysłanie zmian subskrypcji (zmiany z jednej chwili trafiają do jednej wiadomości)
+   * @private
+   */
+  _scheduleFlush() {
+    if (this.flushTimer) {
+      return;
+    }
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this._flush();
+    }, SUBSCRIPTION_FLUSH_DELAY);
+  }
+
+  /**
+   * Uzgadnia strumienie połączenia z subskrypcjami: otwiera połączenie,
+   * wysyła SUBSCRIBE/UNSUBSCRIBE lub zamyka połączenie bez subskrybentów
+   * @private
+   */
+  _flush() {
+    if (this.subscribers.size === 0) {
+      this._disconnect();
+      return;
+    }
+
+    if (!this.ws) {
+      // Po zerwaniu połączenia czeka zaplanowana próba ponownego połączenia
+      if (!this.reconnectTimer) {
+        this._connect();
+      }
+      return;
+    }
+
+    // Połączenie w trakcie nawiązywania - różnice zostaną wysłane po otwarciu
+    if (this.ws.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    const toSubscribe = [...this.subscribers.keys()].filter(
+      (stream) => !this.streams.has(stream)
+    );
+    const toUnsubscribe = [...this.streams].filter(
+      (stream) => !this.subscribers.has(stream)
+    );
+
+    if (toSubscribe.length > 0) {
+      this._send("SUBSCRIBE", toSubscribe);
+      toSubscribe.forEach((stream) => this.streams.add(stream));
+    }
+    if (toUnsubscribe.length > 0) {
+      this._send("UNSUBSCRIBE", toUnsubscribe);
+      toUnsubscribe.forEach((stream) => this.streams.delete(stream));
+    }
+  }
+
+  /**
+   * Otwiera połączenie combined stream ze wszystkimi aktywnymi strumieniami
+   * @private
+   */
+  _connect() {
+    const streams = [...this.subscribers.keys()];
+    this.streams = new Set(streams);
+
+    const ws = new WebSocket(`${this.baseUrl}?streams=${streams.join("/")}`);
+    this.ws = ws;
+
+    ws.on("open", () => {
+      if (this.ws !== ws) {
+        return;
+      }
+
+      logger.info(
+        `[BINANCE STREAM] Połączenie nawiązane (${streams.length} strumieni)`
+      );
+      this.reconnectAttempts = 0;
+
+      this.pingTimer = setInterval(() => {
+        if (ws.readyState === WebSocket.OPEN) {
+          ws.ping();
+          logger.debug("[BINANCE STREAM] Wysłano ping");
+        }
+      }, this.pingInterval);
+
+      // Subskrypcje zmienione w trakcie nawiązywania połączenia
+      this._flush();
+      this.onOpen();
+    });
+
+    ws.on("message", (data) => {
+      if (this.ws !== ws) {
+        return;
+      }
+
+      try {
+        const message = JSON.parse(data);
+
+        if (message.stream && message.data) {
+          this.onMessage(message.stream, message.data);
+        } else if (message.error) {
+          logger.error(
+            `[BINANCE STREAM] Błąd żądania ${message.id}: ${message.error.msg}`
+          );
+        }
+      } catch (error) {
+        logger.error(
+          `[BINANCE STREAM] Błąd podczas przetwarzania wiadomości: ${error.message}`
+        );
+      }
+    });
+
+    ws.on("error", (error) => {
+      if (this.ws === ws) {
+        logger.error(`[BINANCE STREAM] Błąd WebSocket: ${error.message}`);
+      }
+    });
+
+    ws.on("close", (code, reason) => {
+      if (this.ws !== ws) {
+        return;
+      }
+
+      logger.warn(
+        `[BINANCE STREAM] Połączenie zamknięte: kod=${code}, powód=${reason}`
+      );
+      this._clearPing();
+      this.ws = null;
+      this.streams.clear();
+
+      if (this.subscribers.size > 0) {
+        this._scheduleReconnect();
+      }
+    });
+  }
+
+  /**
+   * Planuje ponowne połączenie z wykładniczym opóźnieniem
+   * @private
+   */
+  _scheduleReconnect() {
+    if (this.reconnectTimer) {
+      return;
+    }
+
+    const delay = Math.min(
+      RECONNECT_BASE_DELAY * 2 ** this.reconnectAttempts,
+      RECONNECT_MAX_DELAY
+    );
+    this.reconnectAttempts++;
+
+    logger.info(
+      `[BINANCE STREAM] Ponowne połączenie za ${delay / 1000}s (próba ${this.reconnectAttempts})`
+    );
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (!this.ws && this.subscribers.size > 0) {
+        this._connect();
+      }
+    }, delay);
+  }
+
+  /**
+   * Zamyka bieżące połączenie bez ponownego łączenia
+   * @private
+   */
+  _disconnect() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    this._clearPing();
+    this.streams.clear();
+
+    if (this.ws) {
+      const ws = this.ws;
+      this.ws = null;
+      ws.close();
+      logger.info("[BINANCE STREAM] Zamknięto połączenie");
+    }
+  }
+
+  /**
+   * @private
+   */
+  _clearPing() {
+    if (this.pingTimer) {
+      clearInterval(this.pingTimer);
+      this.pingTimer = null;
+    }
+  }
+
+  /**
+   * Wysyła żądanie sterujące (SUBSCRIBE/UNSUBSCRIBE)
+   * @param {string} method - Metoda
+   * @param {Array<string>} params - Strumienie
+   * @private
+   */
+  _send(method, params) {
+    this.ws.send(JSON.stringify({ method, params, id: ++this.requestId }));
+    logger.debug(`[BINANCE STREAM] ${method} ${params.join(", ")}`);
+  }
+}
+
+module.exports = BinanceStreamManager;
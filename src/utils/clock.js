@@ -0,0 +1,139 @@
+/**
+ * Clock - źródło czasu dla logiki strategii
+ *
+ * Odpowiedzialny za:
+ * - Dostarczanie bieżącego czasu (domyślnie Date.now())
+ * - Podmianę źródła czasu globalnie lub dla wybranych instancji (backtest, testy)
+ * - Symulowany zegar przesuwany ręcznie
+ *
+ * Cała logika zależna od czasu (okna potwierdzeń górnej bandy, throttling
+ * sygnałów, minEntryTimeGap, cooldown) powinna korzystać z clock.now(instanceId)
+ * zamiast Date.now(), aby powtórne odtworzenie dawało identyczne wyniki.
+ */
+
+/**
+ * Zegar systemowy
+ */
+class SystemClock {
+  now() {
+    return Date.now();
+  }
+}
+
+/**
+ * Zegar symulowany - czas zmienia się tylko przez set()/advance()
+ */
+class SimulatedClock {
+  /**
+   * @param {number} [startTime=0] - Początkowy znacznik czasu w ms
+   */
+  constructor(startTime = 0) {
+    this.currentTime = startTime;
+  }
+
+  now() {
+    return this.currentTime;
+  }
+
+  /**
+   * Ustawia bieżący czas (czas nie może się cofać)
+   * @param {number} timestamp - Znacznik czasu w ms
+   * @returns {number} - Bieżący czas
+   */
+  set(timestamp) {
+    if (timestamp < this.currentTime) {
+      throw new Error(
+        `Zegar symulowany nie może cofać się w czasie (${timestamp} < ${this.currentTime})`
+      );
+    }
+
+    this.currentTime = timestamp;
+    return this.currentTime;
+  }
+
+  /**
+   * Przesuwa czas do przodu
+   * @param {number} ms - Liczba milisekund
+   * @returns {number} - Bieżący czas
+   */
+  advance(ms) {
+    return this.set(this.currentTime + ms);
+  }
+}
+
+class Clock {
+  constructor() {
+    this.defaultClock = new SystemClock();
+    this.instanceClocks = new Map(); // instanceId -> zegar
+  }
+
+  /**
+   * Zwraca bieżący czas dla instancji
+   * @param {string} [instanceId=null] - ID instancji
+   * @returns {number} - Znacznik czasu w ms
+   */
+  now(instanceId = null) {
+    if (instanceId && this.instanceClocks.has(instanceId)) {
+      return this.instanceClocks.get(instanceId).now();
+    }
+
+    return this.defaultClock.now();
+  }
+
+  /**
+   * Ustawia własne źródło czasu dla instancji
+   * @param {string} instanceId - ID instancji
+   * @param {Object|Function} source - Zegar z metodą now() lub funkcja zwracająca znacznik czasu
+   */
+  setInstanceClock(instanceId, source) {
+    this.instanceClocks.set(instanceId, this._toClock(source));
+  }
+
+  /**
+   * Przywraca zegar domyślny dla instancji
+   * @param {string} instanceId - ID instancji
+   * @returns {boolean} - Czy instancja miała własny zegar
+   */
+  clearInstanceClock(instanceId) {
+    return this.instanceClocks.delete(instanceId);
+  }
+
+  /**
+   * Podmienia zegar domyślny dla wszystkich instancji (np. w testach)
+   * @param {Object|Function} source - Zegar z metodą now() lub funkcja zwracająca znacznik czasu
+   */
+  setDefaultClock(source) {
+    this.defaultClock = this._toClock(source);
+  }
+
+  /**
+   * Przywraca zegar systemowy jako domyślny
+   */
+  resetDefaultClock() {
+    this.defaultClock = new SystemClock();
+  }
+
+  /**
+   * Tworzy zegar symulowany
+   * @param {number} [startTime=0] - Początkowy znacznik czasu w ms
+   * @returns {SimulatedClock} - Zegar symulowany
+   */
+  createSimulatedClock(startTime = 0) {
+    return new SimulatedClock(startTime);
+  }
+
+  _toClock(source) {
+    if (typeof source === "function") {
+      return { now: source };
+    }
+
+    if (!source || typeof source.now !== "function") {
+      throw new Error("Zegar musi udostępniać metodę now()");
+    }
+
+    return source;
+  }
+}
+
+const clock = new Clock();
+module.exports = clock;
@@ -0,0 +1,218 @@
+/**
+ * Decision Explainer - odtworzenie decyzji sygnału z migawki
+ *
+ * Na podstawie migawki decyzji zapisanej z sygnałem (Signal.decision)
+ * składa czytelne wyjaśnienie, dlaczego sygnał został wygenerowany:
+ * - Położenie ceny w kanale Hursta (bandy, wykładnik, odchylenie, współczynniki adaptacyjne)
+ * - Trend z EMA/krótkiej EMA
+ * - Wyniki filtrów wejścia, szczegóły reguły wyjścia / stop lossa
+ * - Stan maszyn stanów przed i po ocenie ceny
+ * - Świece i efektywne parametry strategii
+ */
+
+/**
+ * Formatuje liczbę do wyjaśnienia
+ * @param {number} value - Wartość
+ * @param {number} [digits=2] - Liczba miejsc po przecinku
+ * @returns {string} - Sformatowana wartość lub "n/a"
+ */
+const formatNumber = (value, digits = 2) => {
+  return typeof value === "number" && Number.isFinite(value)
+    ? value.toFixed(digits)
+    : "n/a";
+};
+
+/**
+ * Położenie ceny w kanale (0 = dolna banda, 1 = górna)
+ * @param {number} price - Cena
+ * @param {Object} channel - Kanał Hursta
+ * @returns {number|null} - Położenie lub null
+ */
+const getChannelPosition = (price, channel) => {
+  const width = channel ? channel.upperBand - channel.lowerBand : 0;
+  return width > 0 ? (price - channel.lowerBand) / width : null;
+};
+
+/**
+ * Opis kanału Hursta w momencie decyzji
+ * @param {Object} signal - Sygnał
+ * @param {Object} decision - Migawka decyzji
+ * @returns {Object|null} - Sekcja kanału lub null
+ */
+const describeChannel = (signal, decision) => {
+  const channel = decision.indicators?.hurstChannel;
+  if (!channel) {
+    return null;
+  }
+
+  return {
+    interval: decision.parameters?.hurst?.interval || null,
+    upperBand: channel.upperBand,
+    middleBand: channel.middleBand,
+    lowerBand: channel.lowerBand,
+    hurstExponent: channel.hurstExponent,
+    stdDev: channel.stdDev,
+    channelTrend: channel.trend,
+    adaptiveUpperFactor: channel.adaptiveUpperFactor,
+    adaptiveLowerFactor: channel.adaptiveLowerFactor,
+    originalUpperFactor: channel.originalUpperFactor,
+    originalLowerFactor: channel.originalLowerFactor,
+    pricePosition: getChannelPosition(signal.price, channel),
+  };
+};
+
+/**
+ * Opis trendu z EMA w momencie decyzji
+ * @param {Object} signal - Sygnał
+ * @param {Object} decision - Migawka decyzji
+ * @returns {Object} - Sekcja trendu
+ */
+const describeTrend = (signal, decision) => {
+  const { emaValue = null, shortEmaValue = null } = decision.indicators || {};
+
+  return {
+    trend: decision.trend || signal.metadata?.trend || null,
+    emaPeriods: decision.parameters?.ema?.periods || null,
+    emaValue,
+    shortEmaValue,
+    priceVsEmaPercent: emaValue ? (signal.price / emaValue - 1) * 100 : null,
+  };
+};
+
+/**
+ * Składa zdania wyjaśnienia
+ * @param {Object} signal - Sygnał
+ * @param {Object} decision - Migawka decyzji
+ * @param {Object|null} channel - Sekcja kanału
+ * @param {Object} trend - Sekcja trendu
+ * @returns {Array<string>} - Zdania wyjaśnienia
+ */
+const buildReasoning = (signal, decision, channel, trend) => {
+  const reasoning = [];
+  const isShort = signal.direction === "short";
+  const signalMetadata = decision.signalMetadata || {};
+  const trigger = signal.metadata?.trigger || signal.subType;
+
+  if (signal.type === "entry") {
+    const band = isShort ? "upper" : "lower";
+    const level = channel
+      ? formatNumber(isShort ? channel.upperBand : channel.lowerBand)
+      : "n/a";
+    reasoning.push(
+      `${signal.subType} ${signal.direction} entry (${trigger}) at ${formatNumber(signal.price)}: price reached the ${band} band ${level}`
+    );
+  } else {
+    reasoning.push(
+      `${signal.direction} exit (${signal.subType}) at ${formatNumber(signal.price)}`
+    );
+  }
+
+  if (channel) {
+    reasoning.push(
+      `Hurst channel${channel.interval ? ` ${channel.interval}` : ""}: upper ${formatNumber(channel.upperBand)}, middle ${formatNumber(channel.middleBand)}, lower ${formatNumber(channel.lowerBand)}, H=${formatNumber(channel.hurstExponent, 3)}, stdDev ${formatNumber(channel.stdDev)}, position in channel ${formatNumber(channel.pricePosition, 3)}`
+    );
+    reasoning.push(
+      `Band factors: upper ${formatNumber(channel.adaptiveUpperFactor, 3)} (configured ${formatNumber(channel.originalUpperFactor, 3)}), lower ${formatNumber(channel.adaptiveLowerFactor, 3)} (configured ${formatNumber(channel.originalLowerFactor, 3)})`
+    );
+  }
+
+  if (trend.emaValue !== null || trend.trend) {
+    reasoning.push(
+      `Trend ${trend.trend || "n/a"}: EMA${trend.emaPeriods || ""} ${formatNumber(trend.emaValue)}, short EMA ${formatNumber(trend.shortEmaValue)}, price ${formatNumber(trend.priceVsEmaPercent)}% vs EMA`
+    );
+  }
+
+  const entryFilters =
+    signal.metadata?.entryFilters || signalMetadata.entryFilters;
+  if (entryFilters) {
+    const results = Object.entries(entryFilters.filters || {}).map(
+      ([name, filter]) => `${name} ${filter.passed ? "passed" : "failed"}`
+    );
+    reasoning.push(
+      `Entry filters (${entryFilters.logic}): ${results.join(", ")}`
+    );
+  }
+
+  if (signalMetadata.exitReason) {
+    reasoning.push(signalMetadata.exitReason);
+  }
+  if (signalMetadata.exitRule) {
+    reasoning.push(
+      `Exit rule ${signalMetadata.exitRule}, profit ${signalMetadata.profitPercent}%`
+    );
+  }
+  if (signal.subType === "stopLoss" && signalMetadata.stopLossPrice) {
+    reasoning.push(
+      `Stop loss level ${formatNumber(signalMetadata.stopLossPrice)} from average entry ${formatNumber(signalMetadata.avgEntryPrice)}`
+    );
+  }
+
+  for (const [machine, state] of Object.entries(decision.state?.before || {})) {
+    if (!state) {
+      continue;
+    }
+    const after = decision.state.after?.[machine];
+    const stateBefore =
+      state.currentState ?? (state.activated ? "activated" : "inactive");
+    const stateAfter = after
+      ? (after.currentState ?? (after.activated ? "activated" : "inactive"))
+      : "cleared";
+    reasoning.push(`State ${machine}: ${stateBefore} -> ${stateAfter}`);
+  }
+
+  return reasoning;
+};
+
+/**
+ * Wyjaśnia decyzję sygnału na podstawie zapisanej migawki
+ * @param {Object} signal - Dokument sygnału (Signal)
+ * @returns {Object} - { signal, hasDecision, reasoning, channel, trend, tick, candles, state, signalMetadata, parameters }
+ */
+const explainSignal = (signal) => {
+  const summary = {
+    id: signal._id,
+    instanceId: signal.instanceId,
+    symbol: signal.symbol,
+    type: signal.type,
+    subType: signal.subType,
+    direction: signal.direction,
+    price: signal.price,
+    status: signal.status,
+    timestamp: signal.timestamp,
+    positionId: signal.positionId,
+  };
+
+  const decision = signal.decision;
+  if (!decision) {
+    return {
+      signal: summary,
+      hasDecision: false,
+      reasoning: [
+        "Signal was stored without a decision snapshot (created before snapshots were recorded or outside the strategy)",
+      ],
+      metadata: signal.metadata || {},
+    };
+  }
+
+  const channel = describeChannel(signal, decision);
+  const trend = describeTrend(signal, decision);
+
+  return {
+    signal: summary,
+    hasDecision: true,
+    strategy: decision.strategy,
+    decidedAt: decision.timestamp,
+    reasoning: buildReasoning(signal, decision, channel, trend),
+    channel,
+    trend,
+    tick: decision.tick || null,
+    candles: decision.candles || {},
+    state: decision.state || {},
+    signalMetadata: decision.signalMetadata || {},
+    parameters: decision.parameters || {},
+  };
+};
+
+module.exports = {
+  explainSignal,
+};
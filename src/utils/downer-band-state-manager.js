@@ -1,7 +1,16 @@
 const mutex = require("./mutex");
 const TradingLogger = require("./trading-logger");
 const logger = require("./logger");
+const clock = require("./clock");
 const cooldownService = require("../services/cooldown.service");
+const tradingStateService = require("../services/trading-state.service");
+const rejectedSignalService = require("../services/rejected-signal.service");
+const {
+  getEntryLevels,
+  getEntrySubType,
+  checkEntryPriceDistance,
+  isTrendValidForDirection,
+} = require("../config/instance.config");
 
 class DownerBandStateManager {
   constructor() {
@@ -16,7 +25,9 @@ class DownerBandStateManager {
       try {
         this.downerBandStates.delete(instanceId);
         this.lastEntryTimes.delete(instanceId);
-        this.lastSignalEmission.delete(instanceId);
+        this.lastSignalEmission.delete(`${instanceId}-lowerBandTouch`);
+
+        await tradingStateService.saveDownerBandState(instanceId, null);
 
         TradingLogger.logDebugThrottled(
           `entry-state-reset-${instanceId}`,
@@ -39,6 +50,8 @@ class DownerBandStateManager {
           lastCheckTime: null,
         });
 
+        await this._persistState(instanceId);
+
         TradingLogger.logDebugThrottled(
           `entry-state-init-${instanceId}`,
           `[ENTRY STATE] Initialized waiting_for_entry | Instance: ${instanceId.slice(-8)}`,
@@ -60,6 +73,13 @@ class DownerBandStateManager {
       const binanceService = require("../services/binance.service");
       const analysisService = require("../services/analysis.service");
 
+      // ✅ Instancje offline (backtest) dostarczają cenę 1m bez Binance
+      const offlinePriceSource =
+        analysisService.getOfflinePriceSource(instanceId);
+      if (offlinePriceSource) {
+        return offlinePriceSource();
+      }
+
       const instances = analysisService.instances;
       const config = instances?.get(instanceId);
 
@@ -75,7 +95,7 @@ class DownerBandStateManager {
 
         if (candles1m && candles1m.length > 0) {
           const lastCandle = candles1m[candles1m.length - 1];
-          const age = Date.now() - lastCandle.openTime;
+          const age = clock.now(instanceId) - lastCandle.openTime;
 
           // Akceptuj świece do 90 sekund
           if (age <= 90000) {
@@ -155,7 +175,8 @@ class DownerBandStateManager {
     shortEmaValue,
     trend,
     config,
-    getActivePositionFn
+    getActivePositionFn,
+    checkEntryFiltersFn = null
   ) {
     return mutex.withLock(`update-entry-${instanceId}`, async () => {
       try {
@@ -173,7 +194,8 @@ class DownerBandStateManager {
             shortEmaValue,
             trend,
             config,
-            activePosition
+            activePosition,
+            checkEntryFiltersFn
           );
         }
 
@@ -183,7 +205,7 @@ class DownerBandStateManager {
         }
 
         const state = this.downerBandStates.get(instanceId);
-        const now = Date.now();
+        const now = clock.now(instanceId);
         if (cooldownService.isInCooldown(instanceId)) {
           const cooldownInfo = cooldownService.getCooldownInfo(instanceId);
           TradingLogger.logDebugThrottled(
@@ -191,6 +213,19 @@ class DownerBandStateManager {
             `[ENTRY BLOCKED] Cooldown active: ${cooldownInfo.remainingText} | Instance: ${instanceId.slice(-8)}`,
             300000 // co 5 minut
           );
+          this._recordRejectionOnTouch(
+            instanceId,
+            "cooldown",
+            `Cooldown active: ${cooldownInfo.remainingText}`,
+            {
+              price: currentPrice,
+              hurstResult,
+              trend,
+              config,
+              direction: config.hurst?.direction || "long",
+              subType: "first",
+            }
+          );
           return null;
         }
         // ✅ GŁÓWNA LOGIKA - sprawdź warunki dla pierwszego wejścia
@@ -204,7 +239,8 @@ class DownerBandStateManager {
           shortEmaValue,
           trend,
           config,
-          now
+          now,
+          checkEntryFiltersFn
         );
       } catch (error) {
         logger.error(`Error in updateState (entry): ${error.message}`);
@@ -223,7 +259,8 @@ class DownerBandStateManager {
     shortEmaValue,
     trend,
     config,
-    now
+    now,
+    checkEntryFiltersFn = null
   ) {
     // ✅ NOWE: Pobierz 1m cenę do decyzji (jak w UpperBandStateManager)
     const oneMinPrice = await this._get1MinutePrice(instanceId);
@@ -238,10 +275,11 @@ class DownerBandStateManager {
       );
     }
 
-    // ✅ NOWA LOGIKA: TYLKO 1M CLOSE <= lowerBand (identycznie jak UpperBandStateManager)
-    const touchesLowerBand = priceForDecisions <= hurstResult.lowerBand;
+    // ✅ Kierunek z konfiguracji: long - dotknięcie dolnej bandy, short - górnej
+    const direction = config.hurst?.direction || "long";
+    const touch = this._getBandTouch(priceForDecisions, hurstResult, direction);
 
-    if (touchesLowerBand) {
+    if (touch.touchesBand) {
       // ✅ THROTTLING - nie częściej niż co 30s
       const signalKey = `${instanceId}-lowerBandTouch`;
       const lastEmission = this.lastSignalEmission.get(signalKey) || 0;
@@ -250,14 +288,42 @@ class DownerBandStateManager {
         // ✅ SPRAWDZENIE TRENDU EMA
         let trendConditionMet = true;
         if (config.checkEMATrend && emaValue !== null) {
-          trendConditionMet = ["up", "strong_up", "neutral"].includes(trend);
+          trendConditionMet = isTrendValidForDirection(trend, direction);
         }
 
-        if (trendConditionMet) {
+        // ✅ FILTRY POTWIERDZAJĄCE (signals.entryFilters)
+        const filterResult =
+          trendConditionMet && checkEntryFiltersFn
+            ? checkEntryFiltersFn(priceForDecisions, direction)
+            : null;
+
+        if (filterResult && !filterResult.passed) {
+          TradingLogger.logDebugThrottled(
+            `entry-filter-reject-${instanceId}`,
+            `[ENTRY REJECTED] Entry filters (${filterResult.logic}): ${this._describeFilters(filterResult)} (1m CLOSE: ${priceForDecisions}) | Instance: ${instanceId.slice(-8)}`,
+            120000
+          );
+          this._recordRejection(
+            instanceId,
+            "entry_filters",
+            `Entry filters (${filterResult.logic}): ${this._describeFilters(filterResult)}`,
+            {
+              price: priceForDecisions,
+              touch,
+              hurstResult,
+              trend,
+              config,
+              direction,
+              subType: "first",
+              metadata: { entryFilters: filterResult },
+            }
+          );
+        } else if (trendConditionMet) {
           // ✅ GENEROWANIE SYGNAŁU WEJŚCIA
           const entrySignal = {
             instanceId,
-            type: "lowerBandTouch",
+            type: touch.type,
+            direction,
             price: priceForDecisions, // ← 1M CLOSE
             hurstChannel: hurstResult,
             emaValue,
@@ -266,20 +332,21 @@ class DownerBandStateManager {
             timestamp: now,
             metadata: {
               priceSource: oneMinPrice ? "1m_close" : "15m_fallback",
-              lowerBand: hurstResult.lowerBand,
-              priceVsBand: (
-                (priceForDecisions / hurstResult.lowerBand - 1) *
-                100
-              ).toFixed(3),
+              [touch.bandName]: touch.band,
+              priceVsBand: ((priceForDecisions / touch.band - 1) * 100).toFixed(
+                3
+              ),
               entryLogic: "pure_1m_close", // ← Nowa informacja
+              ...(filterResult && { entryFilters: filterResult }),
             },
           };
 
           this.lastSignalEmission.set(signalKey, now);
+          await this._persistState(instanceId);
 
           TradingLogger.logDebugThrottled(
             `signal-${instanceId}-entry`,
-            `[ENTRY SIGNAL] ${config.symbol} | 1m CLOSE: ${priceForDecisions} <= band: ${hurstResult.lowerBand.toFixed(2)} | Trend: ${trend} | Instance: ${instanceId.slice(-8)}`,
+            `[ENTRY SIGNAL] ${config.symbol} ${direction.toUpperCase()} | 1m CLOSE: ${priceForDecisions} ${touch.operator} band: ${touch.band.toFixed(2)} | Trend: ${trend} | Instance: ${instanceId.slice(-8)}`,
             60000
           );
 
@@ -288,18 +355,46 @@ class DownerBandStateManager {
           // ✅ LOG ODRZUCENIA przez trend
           TradingLogger.logDebugThrottled(
             `entry-trend-reject-${instanceId}`,
-            `[ENTRY REJECTED] Bad trend: ${trend} (1m CLOSE: ${priceForDecisions} <= band: ${hurstResult.lowerBand.toFixed(2)}) | Instance: ${instanceId.slice(-8)}`,
+            `[ENTRY REJECTED] Bad trend for ${direction}: ${trend} (1m CLOSE: ${priceForDecisions} ${touch.operator} band: ${touch.band.toFixed(2)}) | Instance: ${instanceId.slice(-8)}`,
             120000
           );
+          this._recordRejection(
+            instanceId,
+            "bad_trend",
+            `Bad trend for ${direction}: ${trend}`,
+            {
+              price: priceForDecisions,
+              touch,
+              hurstResult,
+              trend,
+              config,
+              direction,
+              subType: "first",
+            }
+          );
         }
       } else {
         // ✅ LOG THROTTLING
         const timeSinceLastSignal = Math.floor((now - lastEmission) / 1000);
         TradingLogger.logDebugThrottled(
           `entry-throttle-${instanceId}`,
-          `[ENTRY THROTTLED] 1m CLOSE: ${priceForDecisions} <= band, but last signal ${timeSinceLastSignal}s ago | Instance: ${instanceId.slice(-8)}`,
+          `[ENTRY THROTTLED] 1m CLOSE: ${priceForDecisions} ${touch.operator} band, but last signal ${timeSinceLastSignal}s ago | Instance: ${instanceId.slice(-8)}`,
           60000
         );
+        this._recordRejection(
+          instanceId,
+          "throttled",
+          `Last signal ${timeSinceLastSignal}s ago (min ${this.signalThrottleTime / 1000}s)`,
+          {
+            price: priceForDecisions,
+            touch,
+            hurstResult,
+            trend,
+            config,
+            direction,
+            subType: "first",
+          }
+        );
       }
     }
 
@@ -316,10 +411,20 @@ class DownerBandStateManager {
     shortEmaValue,
     trend,
     config,
-    activePosition
+    activePosition,
+    checkEntryFiltersFn = null
   ) {
-    const now = Date.now();
+    const now = clock.now(instanceId);
     const entryCount = activePosition.entries.length;
+    const direction = activePosition.direction || "long";
+    const rejectionDetails = {
+      price: currentPrice,
+      hurstResult,
+      trend,
+      config,
+      direction,
+      subType: getEntrySubType(entryCount),
+    };
     // Sprawdź cooldown przed procesowaniem dodatkowych wejść
     if (cooldownService.isInCooldown(instanceId)) {
       const cooldownInfo = cooldownService.getCooldownInfo(instanceId);
@@ -328,16 +433,31 @@ class DownerBandStateManager {
         `[MULTIPLE ENTRY BLOCKED] Cooldown active: ${cooldownInfo.remainingText} | Instance: ${instanceId.slice(-8)}`,
         300000
       );
+      this._recordRejectionOnTouch(
+        instanceId,
+        "cooldown",
+        `Cooldown active: ${cooldownInfo.remainingText}`,
+        rejectionDetails
+      );
       return null;
     }
-    // ✅ SPRAWDŹ MAKSYMALNĄ LICZBĘ WEJŚĆ
-    if (entryCount >= 3) {
-      return null; // Maksymalnie 3 wejścia
+    // ✅ SPRAWDŹ MAKSYMALNĄ LICZBĘ WEJŚĆ (długość drabinki)
+    const entryLevels = getEntryLevels(config);
+    if (entryCount >= entryLevels.length) {
+      this._recordRejectionOnTouch(
+        instanceId,
+        "max_entries",
+        `Max ${entryLevels.length} entries reached`,
+        rejectionDetails
+      );
+      return null;
     }
 
+    const level = entryLevels[entryCount];
+
     // ✅ SPRAWDŹ MINIMALNY ODSTĘP CZASOWY
     const lastEntryTime = this.lastEntryTimes.get(instanceId) || 0;
-    const minEntryTimeGap = config.signals?.minEntryTimeGap || 7200000; // 2h default
+    const minEntryTimeGap = level.minTimeGap;
 
     if (now - lastEntryTime < minEntryTimeGap) {
       const minutesSinceLastEntry = Math.floor((now - lastEntryTime) / 60000);
@@ -348,6 +468,12 @@ class DownerBandStateManager {
         `[ENTRY BLOCKED] Time gap: ${minutesSinceLastEntry}min < ${minutesRequired}min required | Instance: ${instanceId.slice(-8)}`,
         300000
       );
+      this._recordRejectionOnTouch(
+        instanceId,
+        "time_gap",
+        `Too soon: ${minutesSinceLastEntry}min < ${minutesRequired}min`,
+        rejectionDetails
+      );
       return null;
     }
 
@@ -355,23 +481,71 @@ class DownerBandStateManager {
     const oneMinPrice = await this._get1MinutePrice(instanceId);
     const priceForDecisions = oneMinPrice || currentPrice;
 
-    // ✅ NOWA LOGIKA: TYLKO 1M CLOSE <= lowerBand
-    const touchesLowerBand = priceForDecisions <= hurstResult.lowerBand;
+    // ✅ Kolejne wejścia w kierunku otwartej pozycji
+    const touch = this._getBandTouch(priceForDecisions, hurstResult, direction);
+
+    if (touch.touchesBand) {
+      // ✅ SPRAWDŹ DYSTANS CENY od poprzedniego wejścia
+      const previousEntryPrice = activePosition.entries[entryCount - 1].price;
+      const distance = checkEntryPriceDistance(
+        priceForDecisions,
+        previousEntryPrice,
+        level.minPriceDistance,
+        direction
+      );
+
+      if (!distance.allowed) {
+        TradingLogger.logDebugThrottled(
+          `entry-distance-${instanceId}`,
+          `[ENTRY BLOCKED] Price distance: ${priceForDecisions} vs limit ${distance.limitPrice.toFixed(2)} (${(level.minPriceDistance * 100).toFixed(2)}% ${direction === "short" ? "above" : "below"} ${previousEntryPrice}) | Instance: ${instanceId.slice(-8)}`,
+          300000
+        );
+        this._recordRejection(
+          instanceId,
+          "price_distance",
+          `Price too close: ${priceForDecisions} vs limit ${distance.limitPrice.toFixed(2)}`,
+          { ...rejectionDetails, price: priceForDecisions, touch }
+        );
+        return null;
+      }
 
-    if (touchesLowerBand) {
       // ✅ SPRAWDŹ TREND dla dodatkowego wejścia
       let trendConditionMet = true;
       if (config.checkEMATrend && emaValue !== null) {
-        trendConditionMet = ["up", "strong_up", "neutral"].includes(trend);
+        trendConditionMet = isTrendValidForDirection(trend, direction);
       }
 
-      if (trendConditionMet) {
-        const entryType = entryCount === 1 ? "second" : "third";
+      // ✅ FILTRY POTWIERDZAJĄCE (signals.entryFilters)
+      const filterResult =
+        trendConditionMet && checkEntryFiltersFn
+          ? checkEntryFiltersFn(priceForDecisions, direction)
+          : null;
+
+      if (filterResult && !filterResult.passed) {
+        TradingLogger.logDebugThrottled(
+          `entry-filter-reject-multiple-${instanceId}`,
+          `[MULTIPLE ENTRY REJECTED] Entry filters (${filterResult.logic}): ${this._describeFilters(filterResult)} (1m CLOSE: ${priceForDecisions}) | Instance: ${instanceId.slice(-8)}`,
+          120000
+        );
+        this._recordRejection(
+          instanceId,
+          "entry_filters",
+          `Entry filters (${filterResult.logic}): ${this._describeFilters(filterResult)}`,
+          {
+            ...rejectionDetails,
+            price: priceForDecisions,
+            touch,
+            metadata: { entryFilters: filterResult },
+          }
+        );
+      } else if (trendConditionMet) {
+        const entryType = getEntrySubType(entryCount);
 
         const entrySignal = {
           instanceId,
-          type: "lowerBandTouch",
+          type: touch.type,
           subType: entryType,
+          direction,
           price: priceForDecisions, // ← 1M CLOSE
           hurstChannel: hurstResult,
           emaValue,
@@ -381,21 +555,22 @@ class DownerBandStateManager {
           metadata: {
             priceSource: oneMinPrice ? "1m_close" : "15m_fallback",
             entryNumber: entryCount + 1,
-            lowerBand: hurstResult.lowerBand,
-            priceVsBand: (
-              (priceForDecisions / hurstResult.lowerBand - 1) *
-              100
-            ).toFixed(3),
+            [touch.bandName]: touch.band,
+            priceVsBand: ((priceForDecisions / touch.band - 1) * 100).toFixed(
+              3
+            ),
             entryLogic: "pure_1m_close", // ← Nowa informacja
+            ...(filterResult && { entryFilters: filterResult }),
           },
         };
 
         // ✅ AKTUALIZUJ CZAS OSTATNIEGO WEJŚCIA
         this.lastEntryTimes.set(instanceId, now);
+        await this._persistState(instanceId);
 
         TradingLogger.logDebugThrottled(
           `signal-${instanceId}-${entryType}`,
-          `[${entryType.toUpperCase()} ENTRY] ${config.symbol} | 1m CLOSE: ${priceForDecisions} <= band: ${hurstResult.lowerBand.toFixed(2)} | Instance: ${instanceId.slice(-8)}`,
+          `[${entryType.toUpperCase()} ENTRY] ${config.symbol} ${direction.toUpperCase()} | 1m CLOSE: ${priceForDecisions} ${touch.operator} band: ${touch.band.toFixed(2)} | Instance: ${instanceId.slice(-8)}`,
           60000
         );
 
@@ -404,18 +579,151 @@ class DownerBandStateManager {
         // ✅ LOG ODRZUCENIA przez trend dla multiple entries
         TradingLogger.logDebugThrottled(
           `entry-trend-reject-multiple-${instanceId}`,
-          `[MULTIPLE ENTRY REJECTED] Bad trend: ${trend} (1m CLOSE: ${priceForDecisions} <= band: ${hurstResult.lowerBand.toFixed(2)}) | Instance: ${instanceId.slice(-8)}`,
+          `[MULTIPLE ENTRY REJECTED] Bad trend for ${direction}: ${trend} (1m CLOSE: ${priceForDecisions} ${touch.operator} band: ${touch.band.toFixed(2)}) | Instance: ${instanceId.slice(-8)}`,
           120000
         );
+        this._recordRejection(
+          instanceId,
+          "bad_trend",
+          `Bad trend for ${direction}: ${trend}`,
+          { ...rejectionDetails, price: priceForDecisions, touch }
+        );
       }
     }
 
     return null;
   }
 
+  /**
+   * Zapisuje odrzucone wejście w dzienniku odrzuceń (rejected-signal.service)
+   * @param {string} instanceId - ID instancji
+   * @param {string} reasonCode - Kod powodu
+   * @param {string} reason - Opis powodu
+   * @param {Object} details - { price, touch, hurstResult, trend, config, direction, subType, metadata }
+   * @private
+   */
+  _recordRejection(instanceId, reasonCode, reason, details) {
+    rejectedSignalService.record(instanceId, {
+      action: "entry",
+      reasonCode,
+      reason,
+      symbol: details.config?.symbol,
+      signalType: details.touch?.type,
+      subType: details.subType,
+      direction: details.direction,
+      price: details.price,
+      hurstChannel: details.hurstResult,
+      trend: details.trend,
+      config: details.config,
+      metadata: details.metadata,
+      timestamp: clock.now(instanceId),
+    });
+  }
+
+  /**
+   * Zapisuje odrzucenie sprawdzane przed dotknięciem bandy (cooldown, odstęp,
+   * limit wejść) tylko wtedy, gdy cena faktycznie dotyka bandy wejścia
+   * @private
+   */
+  _recordRejectionOnTouch(instanceId, reasonCode, reason, details) {
+    if (!details.hurstResult) {
+      return;
+    }
+
+    const touch = this._getBandTouch(
+      details.price,
+      details.hurstResult,
+      details.direction
+    );
+    if (touch.touchesBand) {
+      this._recordRejection(instanceId, reasonCode, reason, {
+        ...details,
+        touch,
+      });
+    }
+  }
+
+  /**
+   * Opis wyników filtrów wejścia do logów (np. "rsi=pass volume=fail")
+   * @param {Object} filterResult - Wynik EntryFilters.evaluate
+   * @returns {string}
+   * @private
+   */
+  _describeFilters(filterResult) {
+    return Object.entries(filterResult.filters)
+      .map(([name, filter]) => `${name}=${filter.passed ? "pass" : "fail"}`)
+      .join(" ");
+  }
+
+  /**
+   * Sprawdza dotknięcie bandy wejścia dla kierunku pozycji:
+   * long - 1m CLOSE <= dolna banda, short - 1m CLOSE >= górna banda
+   * @param {number} price - Cena 1m CLOSE
+   * @param {Object} hurstResult - Wynik kanału Hursta
+   * @param {string} direction - Kierunek pozycji (long/short)
+   * @returns {Object} - { touchesBand, type, band, bandName, operator }
+   * @private
+   */
+  _getBandTouch(price, hurstResult, direction) {
+    if (direction === "short") {
+      return {
+        touchesBand: price >= hurstResult.upperBand,
+        type: "upperBandTouch",
+        band: hurstResult.upperBand,
+        bandName: "upperBand",
+        operator: ">=",
+      };
+    }
+
+    return {
+      touchesBand: price <= hurstResult.lowerBand,
+      type: "lowerBandTouch",
+      band: hurstResult.lowerBand,
+      bandName: "lowerBand",
+      operator: "<=",
+    };
+  }
+
   // ✅ CALLBACK do aktualizacji czasu ostatniego wejścia z signalService
   updateLastEntryTime(instanceId, timestamp) {
     this.lastEntryTimes.set(instanceId, timestamp);
+    this._persistState(instanceId);
+  }
+
+  /**
+   * Zapisuje stan dolnej bandy instancji (odtwarzany po restarcie)
+   * @param {string} instanceId - ID instancji
+   * @private
+   */
+  async _persistState(instanceId) {
+    await tradingStateService.saveDownerBandState(instanceId, {
+      state: this.downerBandStates.get(instanceId) || null,
+      lastEntryTime: this.lastEntryTimes.get(instanceId) || null,
+      lastSignalEmission:
+        this.lastSignalEmission.get(`${instanceId}-lowerBandTouch`) || null,
+    });
+  }
+
+  /**
+   * Odtwarza zapisany stan dolnej bandy
+   * @param {string} instanceId - ID instancji
+   * @param {Object} savedState - { state, lastEntryTime, lastSignalEmission }
+   */
+  restoreState(instanceId, savedState) {
+    if (savedState.state) {
+      this.downerBandStates.set(instanceId, { ...savedState.state });
+    }
+
+    if (savedState.lastEntryTime) {
+      this.lastEntryTimes.set(instanceId, savedState.lastEntryTime);
+    }
+
+    if (savedState.lastSignalEmission) {
+      this.lastSignalEmission.set(
+        `${instanceId}-lowerBandTouch`,
+        savedState.lastSignalEmission
+      );
+    }
   }
 
   getState(instanceId) {
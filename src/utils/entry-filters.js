@@ -0,0 +1,228 @@
+/**
+ * Entry Filters - filtry potwierdzające wejście (signals.entryFilters)
+ *
+ * Sprawdzane po dotknięciu bandy wejścia i filtrze trendu EMA:
+ * - rsi - RSI wybranego interwału w strefie wyprzedania (short: wykupienia)
+ * - volume - wolumen ostatniej zamkniętej świecy >= multiplier × średnia
+ *   z poprzednich N świec
+ * - hurstExponent - wykładnik Hursta kanału wejścia >= hurst.minExponent
+ * - higherTimeframe - pozycja ceny w kanale Hursta wyższego interwału
+ *   (0 = dolna banda, 1 = górna; long: <= maxPosition, short: >= 1 - maxPosition)
+ *
+ * Włączone filtry łączone są logiką "and" (wszystkie) lub "or" (którykolwiek).
+ * Wynik każdego filtra trafia do metadanych sygnału wejścia.
+ */
+
+const { RelativeStrengthIndex, HurstChannel } = require("./technical");
+const { config: defaultParams } = require("../config/instance.config");
+
+const FILTER_NAMES = ["rsi", "volume", "hurstExponent", "higherTimeframe"];
+
+class EntryFilters {
+  /**
+   * @param {Object} [settings] - Konfiguracja signals.entryFilters
+   * @param {Object} [hurstParams] - Parametry kanału wejścia (minExponent, współczynniki band)
+   */
+  constructor(settings = {}, hurstParams = {}) {
+    const defaults = defaultParams.signals.entryFilters;
+
+    this.logic = settings?.logic || defaults.logic;
+    this.filters = {};
+    for (const name of FILTER_NAMES) {
+      this.filters[name] = { ...defaults[name] };
+      for (const [key, value] of Object.entries(settings?.[name] || {})) {
+        if (value !== undefined && value !== null) {
+          this.filters[name][key] = value;
+        }
+      }
+    }
+
+    this.minExponent =
+      hurstParams.minExponent ?? defaultParams.hurst.minExponent;
+
+    const { rsi, higherTimeframe } = this.filters;
+    this.rsi = new RelativeStrengthIndex({ periods: rsi.periods });
+    this.higherTimeframeChannel = new HurstChannel({
+      periods: higherTimeframe.periods,
+      upperDeviationFactor:
+        hurstParams.upperDeviationFactor ??
+        defaultParams.hurst.upperDeviationFactor,
+      lowerDeviationFactor:
+        hurstParams.lowerDeviationFactor ??
+        defaultParams.hurst.lowerDeviationFactor,
+      estimator: hurstParams.estimator ?? defaultParams.hurst.estimator,
+    });
+
+    this.values = {
+      rsi: null,
+      volume: null,
+      higherTimeframe: null,
+    };
+  }
+
+  /**
+   * Sprawdza, czy którykolwiek filtr jest włączony
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return FILTER_NAMES.some((name) => this.filters[name].enabled);
+  }
+
+  /**
+   * Zwraca interwały świec potrzebne włączonym filtrom
+   * @returns {Array<string>} - Interwały (bez duplikatów)
+   */
+  getRequiredIntervals() {
+    const intervals = ["rsi", "volume", "higherTimeframe"]
+      .filter((name) => this.filters[name].enabled)
+      .map((name) => this.filters[name].interval);
+
+    return [...new Set(intervals)];
+  }
+
+  /**
+   * Minimalna liczba świec interwału wymagana przez filtry
+   * @param {string} interval - Interwał świec
+   * @returns {number} - Liczba świec
+   */
+  getMinimumCandles(interval) {
+    const { rsi, volume, higherTimeframe } = this.filters;
+    let minimum = 0;
+
+    if (rsi.enabled && rsi.interval === interval) {
+      minimum = Math.max(minimum, this.rsi.getRequiredCandles());
+    }
+    if (volume.enabled && volume.interval === interval) {
+      minimum = Math.max(minimum, volume.periods + 1);
+    }
+    if (higherTimeframe.enabled && higherTimeframe.interval === interval) {
+      minimum = Math.max(minimum, higherTimeframe.periods);
+    }
+
+    return minimum;
+  }
+
+  /**
+   * Przelicza wartości filtrów po zamknięciu świecy interwału
+   * @param {string} interval - Interwał świec
+   * @param {Array} candles - Zamknięte świece (najnowsza na końcu)
+   * @returns {boolean} - Czy interwał dotyczył któregoś z filtrów
+   */
+  update(interval, candles) {
+    const { rsi, volume, higherTimeframe } = this.filters;
+    let updated = false;
+
+    if (rsi.enabled && rsi.interval === interval) {
+      this.values.rsi = this.rsi.calculate(candles)?.value ?? null;
+      updated = true;
+    }
+
+    if (volume.enabled && volume.interval === interval) {
+      this.values.volume = this._calculateVolumeRatio(candles, volume.periods);
+      updated = true;
+    }
+
+    if (higherTimeframe.enabled && higherTimeframe.interval === interval) {
+      this.values.higherTimeframe = this.higherTimeframeChannel.sync(candles);
+      updated = true;
+    }
+
+    return updated;
+  }
+
+  /**
+   * Ocenia włączone filtry dla ceny wejścia
+   * @param {number} price - Cena wejścia (1m CLOSE)
+   * @param {string} direction - Kierunek pozycji (long/short)
+   * @param {Object} hurstResult - Kanał Hursta interwału wejścia
+   * @returns {Object|null} - { passed, logic, filters } lub null, gdy żaden filtr nie jest włączony
+   */
+  evaluate(price, direction, hurstResult) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    const isShort = direction === "short";
+    const filters = {};
+
+    const { rsi, volume, higherTimeframe, hurstExponent } = this.filters;
+
+    if (rsi.enabled) {
+      const value = this.values.rsi;
+      const threshold = isShort ? rsi.overbought : rsi.oversold;
+      filters.rsi = {
+        passed:
+          value !== null && (isShort ? value >= threshold : value <= threshold),
+        interval: rsi.interval,
+        value,
+        threshold,
+      };
+    }
+
+    if (volume.enabled) {
+      const ratio = this.values.volume;
+      filters.volume = {
+        passed: ratio !== null && ratio >= volume.multiplier,
+        interval: volume.interval,
+        ratio,
+        multiplier: volume.multiplier,
+      };
+    }
+
+    if (hurstExponent.enabled) {
+      const value = hurstResult?.hurstExponent ?? null;
+      filters.hurstExponent = {
+        passed: value !== null && value >= this.minExponent,
+        value,
+        minExponent: this.minExponent,
+      };
+    }
+
+    if (higherTimeframe.enabled) {
+      const channel = this.values.higherTimeframe;
+      const width = channel ? channel.upperBand - channel.lowerBand : 0;
+      const position = width > 0 ? (price - channel.lowerBand) / width : null;
+      filters.higherTimeframe = {
+        passed:
+          position !== null &&
+          (isShort
+            ? position >= 1 - higherTimeframe.maxPosition
+            : position <= higherTimeframe.maxPosition),
+        interval: higherTimeframe.interval,
+        position,
+        maxPosition: higherTimeframe.maxPosition,
+        upperBand: channel?.upperBand ?? null,
+        lowerBand: channel?.lowerBand ?? null,
+      };
+    }
+
+    const results = Object.values(filters).map((filter) => filter.passed);
+    const passed =
+      this.logic === "or" ? results.some(Boolean) : results.every(Boolean);
+
+    return { passed, logic: this.logic, filters };
+  }
+
+  /**
+   * Stosunek wolumenu ostatniej świecy do średniej z poprzednich N świec
+   * @param {Array} candles - Zamknięte świece
+   * @param {number} periods - Liczba świec średniej
+   * @returns {number|null} - Stosunek lub null przy braku danych
+   * @private
+   */
+  _calculateVolumeRatio(candles, periods) {
+    if (!candles || candles.length < periods + 1) {
+      return null;
+    }
+
+    const lastVolume = candles[candles.length - 1].volume;
+    const previous = candles.slice(-(periods + 1), -1);
+    const average =
+      previous.reduce((total, candle) => total + (candle.volume || 0), 0) /
+      periods;
+
+    return average > 0 ? lastVolume / average : null;
+  }
+}
+
+module.exports = EntryFilters;
@@ -8,10 +8,12 @@ const technical = require("./technical");
 const logger = require("./logger");
 const websocket = require("./websocket");
 const validators = require("./validators");
+const pnl = require("./pnl");
 
 module.exports = {
   technical,
   logger,
   websocket,
   validators,
+  pnl,
 };
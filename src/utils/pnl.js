@@ -0,0 +1,88 @@
+/**
+ * P&L Utilities - rozliczanie wyniku pozycji
+ *
+ * Wynik liczony jest z rzeczywistych wypełnień (ilość × cena) zamiast
+ * procentowej zmiany ceny 1m, dzięki czemu uwzględnia dźwignię
+ * (depozyt to tylko część wartości pozycji), prowizje obu stron
+ * i opłaty funding naliczone w trakcie trwania pozycji.
+ */
+
+/**
+ * Oblicza wynik zamkniętej pozycji
+ * @param {Object} params - Dane pozycji
+ * @param {Array} params.entries - Wejścia: [{ quantity, price, fee, margin }]
+ * @param {Object} params.exit - Wyjście: { quantity, price, fee }
+ * @param {number} [params.fundingFees=0] - Opłaty funding (dodatnie = zapłacone)
+ * @param {string} [params.side="Buy"] - Strona pozycji (Buy = long)
+ * @returns {Object} - { quantity, avgEntryPrice, avgExitPrice, margin, grossPnl, tradingFees, fundingFees, netPnl, returnOnMargin }
+ */
+const calculatePositionPnl = ({
+  entries,
+  exit,
+  fundingFees = 0,
+  side = "Buy",
+}) => {
+  let entryQuantity = 0;
+  let entryValue = 0;
+  let entryFees = 0;
+  let margin = 0;
+
+  for (const entry of entries) {
+    const quantity = parseFloat(entry.quantity) || 0;
+    entryQuantity += quantity;
+    entryValue += quantity * entry.price;
+    entryFees += entry.fee || 0;
+    margin += entry.margin || 0;
+  }
+
+  const avgEntryPrice = entryQuantity > 0 ? entryValue / entryQuantity : 0;
+
+  // Zamknięta ilość nie może przekroczyć otwartej (reduce-only)
+  const quantity = Math.min(parseFloat(exit.quantity) || 0, entryQuantity);
+  const direction = side === "Buy" ? 1 : -1;
+
+  const grossPnl = (exit.price - avgEntryPrice) * quantity * direction;
+  const tradingFees = entryFees + (exit.fee || 0);
+  const netPnl = grossPnl - tradingFees - fundingFees;
+
+  return {
+    quantity,
+    avgEntryPrice,
+    avgExitPrice: exit.price,
+    margin,
+    grossPnl,
+    tradingFees,
+    fundingFees,
+    netPnl,
+    returnOnMargin: margin > 0 ? (netPnl / margin) * 100 : 0,
+  };
+};
+
+/**
+ * Zwraca stronę zlecenia otwierającego pozycję w danym kierunku
+ * @param {string} [direction="long"] - Kierunek pozycji (long/short)
+ * @returns {string} - Buy (long) lub Sell (short)
+ */
+const getPositionSide = (direction = "long") => {
+  return direction === "short" ? "Sell" : "Buy";
+};
+
+/**
+ * Procentowa zmiana ceny względem ceny wejścia liczona na korzyść pozycji
+ * (dodatnia = zysk, dla short zysk przy spadku ceny)
+ * @param {number} entryPrice - Średnia cena wejścia
+ * @param {number} price - Bieżąca cena
+ * @param {string} [direction="long"] - Kierunek pozycji (long/short)
+ * @returns {number} - Zmiana w procentach
+ */
+const calculatePriceChangePercent = (entryPrice, price, direction = "long") => {
+  return direction === "short"
+    ? (1 - price / entryPrice) * 100
+    : (price / entryPrice - 1) * 100;
+};
+
+module.exports = {
+  calculatePositionPnl,
+  getPositionSide,
+  calculatePriceChangePercent,
+};
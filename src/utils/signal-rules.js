@@ -0,0 +1,161 @@
+/**
+ * Signal Rules - wspólne reguły dopuszczenia sygnałów wejścia i wyjścia
+ *
+ * Używane przez signal.service (handel na żywo) i BacktestBroker (backtest),
+ * aby obie ścieżki odrzucały sygnały z tych samych powodów:
+ * - wejście: wolne środki, kierunek otwartej pozycji, liczba poziomów drabinki,
+ *   minimalny odstęp czasu i dystans ceny od poprzedniego wejścia
+ * - wyjście: minimalny czas trwania pozycji z jednym wejściem (poza wyjściami
+ *   ochronnymi - stop loss i trailing stop działają od pierwszego wejścia)
+ * - cooldown po stop lossie: signals.stopLossCooldownHours
+ *
+ * Wynik odrzucenia: { allowed: false, reasonCode, reason }.
+ */
+
+const {
+  config: defaultParams,
+  getEntryLevels,
+  getEntrySubType,
+  checkEntryPriceDistance,
+} = require("../config/instance.config");
+
+// Wyjścia ochronne - nie czekają na minimalny czas trwania pozycji
+const PROTECTIVE_EXIT_TYPES = ["stopLoss", "trailingStop"];
+
+const reject = (reasonCode, reason) => ({ allowed: false, reasonCode, reason });
+
+/**
+ * Sprawdza reguły wejścia dla kolejnego poziomu drabinki
+ * @param {Object} options - Dane sygnału i rachunku
+ * @param {Object} options.parameters - Parametry strategii
+ * @param {Object|null} options.position - Aktywna pozycja (null przy pierwszym wejściu)
+ * @param {number} options.availableBalance - Wolne środki
+ * @param {number} options.price - Cena wejścia
+ * @param {number} options.timestamp - Czas sygnału
+ * @param {number} [options.lastEntryTime=0] - Czas poprzedniego wejścia
+ * @param {string} [options.direction="long"] - Kierunek sygnału
+ * @returns {Object} - { allowed, level, entryCount, entryType } lub { allowed: false, reasonCode, reason }
+ */
+const checkEntryRules = ({
+  parameters,
+  position,
+  availableBalance,
+  price,
+  timestamp,
+  lastEntryTime = 0,
+  direction = "long",
+}) => {
+  if (!(availableBalance > 0)) {
+    return reject("no_funds", "No available funds");
+  }
+
+  const entryLevels = getEntryLevels(parameters);
+  const entryCount = position?.entries.length || 0;
+
+  if (position) {
+    // ✅ Kolejne wejście musi mieć kierunek otwartej pozycji
+    const positionDirection = position.direction || "long";
+    if (direction !== positionDirection) {
+      return reject(
+        "direction_mismatch",
+        `Direction mismatch: ${direction} signal for ${positionDirection} position`
+      );
+    }
+  }
+
+  if (entryCount >= entryLevels.length) {
+    return reject("max_entries", `Max ${entryLevels.length} entries reached`);
+  }
+
+  const level = entryLevels[entryCount];
+
+  if (position) {
+    if (timestamp - lastEntryTime < level.minTimeGap) {
+      return reject(
+        "time_gap",
+        `Too soon: ${((timestamp - lastEntryTime) / 60000).toFixed(1)}min < ${level.minTimeGap / 60000}min`
+      );
+    }
+
+    // ✅ Dystans ceny od poprzedniego wejścia
+    const previousEntryPrice = position.entries[entryCount - 1].price;
+    const distance = checkEntryPriceDistance(
+      price,
+      previousEntryPrice,
+      level.minPriceDistance,
+      direction
+    );
+
+    if (!distance.allowed) {
+      return reject(
+        "price_distance",
+        `Price too close: ${price} vs limit ${distance.limitPrice.toFixed(2)} (${(level.minPriceDistance * 100).toFixed(2)}% ${direction === "short" ? "above" : "below"} ${previousEntryPrice})`
+      );
+    }
+  }
+
+  return {
+    allowed: true,
+    level,
+    entryCount,
+    entryType: getEntrySubType(entryCount),
+  };
+};
+
+/**
+ * Sprawdza reguły wyjścia - pozycja z jednym wejściem musi trwać
+ * co najmniej signals.minFirstEntryDuration (wymuszone zamknięcie
+ * i wyjścia ochronne pomijają regułę)
+ * @param {Object} options - Dane sygnału i pozycji
+ * @param {Object} options.parameters - Parametry strategii
+ * @param {Object} options.position - Aktywna pozycja
+ * @param {number} options.timestamp - Czas sygnału
+ * @param {string} [options.type] - Typ sygnału wyjścia
+ * @param {boolean} [options.force=false] - Wymuszone zamknięcie (akcja administratora)
+ * @returns {Object} - { allowed } lub { allowed: false, reasonCode, reason }
+ */
+const checkExitRules = ({
+  parameters,
+  position,
+  timestamp,
+  type,
+  force = false,
+}) => {
+  if (
+    position.entries.length === 1 &&
+    !force &&
+    !PROTECTIVE_EXIT_TYPES.includes(type)
+  ) {
+    const minFirstEntryDuration =
+      parameters?.signals?.minFirstEntryDuration ??
+      defaultParams.signals.minFirstEntryDuration;
+    const positionDuration = timestamp - position.entryTime;
+
+    if (positionDuration < minFirstEntryDuration) {
+      return reject(
+        "first_entry_too_fresh",
+        `First entry too fresh: ${(positionDuration / 60000).toFixed(1)}min < ${minFirstEntryDuration / 60000}min`
+      );
+    }
+  }
+
+  return { allowed: true };
+};
+
+/**
+ * Zwraca długość cooldownu po stop lossie
+ * @param {Object} parameters - Parametry strategii
+ * @returns {number} - Liczba godzin (0 = bez cooldownu)
+ */
+const getStopLossCooldownHours = (parameters) => {
+  return (
+    parameters?.signals?.stopLossCooldownHours ??
+    defaultParams.signals.stopLossCooldownHours
+  );
+};
+
+module.exports = {
+  checkEntryRules,
+  checkExitRules,
+  getStopLossCooldownHours,
+};
@@ -2,28 +2,281 @@
  * Technical Analysis Utilities - narzędzia do analizy technicznej
  *
  * Zawiera funkcje do obliczania wskaźników technicznych:
- * - Kanał Hursta
+ * - Kanał Hursta (estymator wykładnika R/S lub DFA)
  * - EMA (Exponential Moving Average)
+ * - MACD (Moving Average Convergence Divergence)
+ * - RSI (Relative Strength Index)
+ * - ATR (Average True Range)
+ * - Wstęgi Bollingera
+ * - VWAP (Volume Weighted Average Price) w sesjach dziennych
+ * - ADX (Average Directional Index) z +DI/-DI
+ * - Kanał Keltnera
  * - Wykrywanie przecięć
+ *
+ * Wszystkie wskaźniki przyjmują świece { openTime, open, high, low, close, volume }
+ * i mają wspólne API: calculate(candles) dla pełnej serii oraz strumieniowe
+ * update/sync - każda nowa zamknięta świeca aktualizuje wskaźnik przyrostowo
+ * (średnia i odchylenie w oknie kroczącym, R/S segmentów liczone raz,
+ * wygładzanie EMA/Wildera), zamiast przeliczać całe okno.
  */
 
 const logger = require("./logger");
 
+/**
+ * Bazowa klasa wskaźników strumieniowych
+ *
+ * Podklasy implementują _push(candle), _reset(), getResult(),
+ * getRequiredCandles() i getReplayLength() (liczba ostatnich świec
+ * potrzebna do odtworzenia stanu).
+ */
+class StreamingIndicator {
+  constructor() {
+    this.lastOpenTime = null;
+  }
+
+  /**
+   * Minimalna liczba świec potrzebna do pierwszego wyniku
+   * @returns {number} - Liczba świec
+   */
+  getRequiredCandles() {
+    return 1;
+  }
+
+  /**
+   * Oblicza wskaźnik dla pełnej serii świec (bez zmiany stanu strumieniowego)
+   * @param {Array} candles - Zamknięte świece (najnowsza na końcu)
+   * @returns {*} - Wynik wskaźnika lub null przy zbyt małej liczbie świec
+   */
+  calculate(candles) {
+    if (!candles || candles.length < this.getRequiredCandles()) {
+      return null;
+    }
+
+    return new this.constructor(this.options).sync(candles);
+  }
+
+  /**
+   * Dodaje jedną zamkniętą świecę
+   * @param {Object} candle - Świeca ({ openTime, open, high, low, close, volume })
+   * @returns {*} - Bieżący wynik wskaźnika (null do czasu zebrania danych)
+   */
+  update(candle) {
+    this.lastOpenTime = candle.openTime ?? null;
+    this._push(candle);
+    return this.getResult();
+  }
+
+  /**
+   * Przekazuje do update tylko świece nowsze niż ostatnio przetworzona.
+   * Przy pierwszym wywołaniu, luce w ciągu świec lub świecach bez openTime
+   * stan jest odtwarzany od nowa z ostatnich getReplayLength() świec.
+   * @param {Array} candles - Zamknięte świece (najnowsza na końcu)
+   * @returns {*} - Bieżący wynik wskaźnika
+   */
+  sync(candles) {
+    if (!candles || candles.length === 0) {
+      return this.getResult();
+    }
+
+    let start = this._findNextIndex(candles);
+    if (start === -1) {
+      this.reset();
+      start = Math.max(0, candles.length - this.getReplayLength());
+    }
+
+    for (let i = start; i < candles.length; i++) {
+      this.update(candles[i]);
+    }
+
+    return this.getResult();
+  }
+
+  /**
+   * Czyści stan wskaźnika
+   */
+  reset() {
+    this.lastOpenTime = null;
+    this._reset();
+  }
+
+  /**
+   * Indeks pierwszej nieprzetworzonej świecy lub -1, gdy stan trzeba odtworzyć
+   * @param {Array} candles - Zamknięte świece
+   * @returns {number} - Indeks
+   * @private
+   */
+  _findNextIndex(candles) {
+    if (this.lastOpenTime === null) {
+      return -1;
+    }
+
+    for (let i = candles.length - 1; i >= 0; i--) {
+      const openTime = candles[i].openTime;
+      if (openTime === this.lastOpenTime) {
+        return i + 1;
+      }
+      if (openTime === undefined || openTime < this.lastOpenTime) {
+        return -1;
+      }
+    }
+
+    return -1;
+  }
+}
+
+/**
+ * Okno kroczące ze średnią i odchyleniem standardowym aktualizowanymi w O(1)
+ * (algorytm Welforda z usuwaniem najstarszej wartości)
+ */
+class RollingStatistics {
+  /**
+   * @param {number} size - Rozmiar okna
+   */
+  constructor(size) {
+    this.size = size;
+    this.values = new Array(size);
+    this.reset();
+  }
+
+  /**
+   * Dodaje wartość, usuwając najstarszą przy pełnym oknie
+   * @param {number} value - Nowa wartość
+   */
+  push(value) {
+    if (this.count < this.size) {
+      this.values[(this.start + this.count) % this.size] = value;
+      this.count++;
+      const delta = value - this.mean;
+      this.mean += delta / this.count;
+      this.m2 += delta * (value - this.mean);
+      return;
+    }
+
+    const removed = this.values[this.start];
+    this.values[this.start] = value;
+    this.start = (this.start + 1) % this.size;
+
+    const previousMean = this.mean;
+    this.mean += (value - removed) / this.size;
+    this.m2 += (value - removed) * (value - this.mean + removed - previousMean);
+
+    // Okresowe przeliczenie od zera ogranicza kumulację błędów zaokrągleń
+    if (++this.updatesSinceResync >= this.size) {
+      this._resync();
+    }
+  }
+
+  /**
+   * Zwraca wartość okna (0 = najstarsza)
+   * @param {number} index - Indeks w oknie
+   * @returns {number} - Wartość
+   */
+  get(index) {
+    return this.values[(this.start + index) % this.size];
+  }
+
+  isFull() {
+    return this.count === this.size;
+  }
+
+  getMean() {
+    return this.count > 0 ? this.mean : 0;
+  }
+
+  /**
+   * Odchylenie standardowe populacji okna
+   * @returns {number} - Odchylenie standardowe
+   */
+  getStandardDeviation() {
+    return this.count > 0 ? Math.sqrt(Math.max(this.m2, 0) / this.count) : 0;
+  }
+
+  reset() {
+    this.start = 0;
+    this.count = 0;
+    this.mean = 0;
+    this.m2 = 0;
+    this.updatesSinceResync = 0;
+  }
+
+  /**
+   * Przelicza średnią i sumę kwadratów odchyleń od zera
+   * @private
+   */
+  _resync() {
+    let sum = 0;
+    for (let i = 0; i < this.count; i++) {
+      sum += this.get(i);
+    }
+    this.mean = sum / this.count;
+
+    let m2 = 0;
+    for (let i = 0; i < this.count; i++) {
+      m2 += Math.pow(this.get(i) - this.mean, 2);
+    }
+    this.m2 = m2;
+    this.updatesSinceResync = 0;
+  }
+}
+
 /**
  * Klasa do obliczania wykładniczej średniej ruchomej (EMA)
  */
-class ExponentialMovingAverage {
+class ExponentialMovingAverage extends StreamingIndicator {
   /**
    * Tworzy nowy obiekt EMA
    * @param {Object} options - Opcje konfiguracyjne
    * @param {number} options.periods - Liczba okresów (domyślnie: 30)
    */
   constructor(options = {}) {
+    super();
     this.options = {
       periods: 30,
       ...options,
     };
     this.emaValue = null;
+    this.seedPrices = [];
+  }
+
+  getResult() {
+    return this.emaValue;
+  }
+
+  getRequiredCandles() {
+    return this.options.periods;
+  }
+
+  /**
+   * EMA zależy od całej historii - odtwarzana jest ze wszystkich świec
+   * @returns {number} - Liczba świec
+   */
+  getReplayLength() {
+    return Infinity;
+  }
+
+  /**
+   * Dodaje cenę zamknięcia - do zebrania 'periods' cen EMA inicjalizowana jest jako SMA
+   * @param {Object} candle - Zamknięta świeca
+   * @private
+   */
+  _push(candle) {
+    if (this.emaValue !== null) {
+      this._updateEMA(candle.close);
+      return;
+    }
+
+    this.seedPrices.push(candle.close);
+    if (this.seedPrices.length === this.options.periods) {
+      this.emaValue =
+        this.seedPrices.reduce((sum, price) => sum + price, 0) /
+        this.seedPrices.length;
+      this.seedPrices = [];
+    }
+  }
+
+  _reset() {
+    this.emaValue = null;
+    this.seedPrices = [];
   }
 
   /**
@@ -95,24 +348,437 @@ class ExponentialMovingAverage {
   }
 }
 
+/**
+ * Oblicza szereg EMA inicjalizowany średnią SMA z pierwszych 'periods' wartości
+ * @param {Array<number>} values - Wartości wejściowe
+ * @param {number} periods - Liczba okresów
+ * @returns {Array<number>} - Wartości EMA (od indeksu periods - 1 wejścia)
+ */
+const calculateEMASeries = (values, periods) => {
+  if (values.length < periods) {
+    return [];
+  }
+
+  const multiplier = 2 / (periods + 1);
+  let ema =
+    values.slice(0, periods).reduce((sum, value) => sum + value, 0) / periods;
+  const series = [ema];
+
+  for (let i = periods; i < values.length; i++) {
+    ema = values[i] * multiplier + ema * (1 - multiplier);
+    series.push(ema);
+  }
+
+  return series;
+};
+
+/**
+ * EMA pojedynczych wartości inicjalizowana średnią SMA z pierwszych
+ * 'periods' wartości (strumieniowy odpowiednik calculateEMASeries)
+ */
+class SeededEMA {
+  /**
+   * @param {number} periods - Liczba okresów
+   */
+  constructor(periods) {
+    this.periods = periods;
+    this.multiplier = 2 / (periods + 1);
+    this.reset();
+  }
+
+  /**
+   * Dodaje wartość
+   * @param {number} value - Nowa wartość
+   * @returns {number|null} - Bieżąca EMA lub null do zebrania 'periods' wartości
+   */
+  push(value) {
+    if (this.value !== null) {
+      this.value = value * this.multiplier + this.value * (1 - this.multiplier);
+      return this.value;
+    }
+
+    this.seed.push(value);
+    if (this.seed.length === this.periods) {
+      this.value =
+        this.seed.reduce((sum, item) => sum + item, 0) / this.periods;
+      this.seed = [];
+    }
+    return this.value;
+  }
+
+  reset() {
+    this.value = null;
+    this.seed = [];
+  }
+}
+
+/**
+ * Klasa do obliczania wskaźnika MACD
+ */
+class MovingAverageConvergenceDivergence extends StreamingIndicator {
+  /**
+   * Tworzy nowy obiekt MACD
+   * @param {Object} options - Opcje konfiguracyjne
+   * @param {number} options.fastPeriods - Okresy szybkiej EMA (domyślnie: 12)
+   * @param {number} options.slowPeriods - Okresy wolnej EMA (domyślnie: 26)
+   * @param {number} options.signalPeriods - Okresy linii sygnału (domyślnie: 9)
+   */
+  constructor(options = {}) {
+    super();
+    this.options = {
+      fastPeriods: 12,
+      slowPeriods: 26,
+      signalPeriods: 9,
+      ...options,
+    };
+
+    this.fastEma = new SeededEMA(this.options.fastPeriods);
+    this.slowEma = new SeededEMA(this.options.slowPeriods);
+    this.signalEma = new SeededEMA(this.options.signalPeriods);
+    this.previousHistogram = null;
+    this.result = null;
+  }
+
+  getResult() {
+    return this.result;
+  }
+
+  getReplayLength() {
+    return Infinity;
+  }
+
+  /**
+   * Dodaje cenę zamknięcia - wynik po zebraniu dwóch wartości histogramu
+   * @param {Object} candle - Zamknięta świeca
+   * @private
+   */
+  _push(candle) {
+    const fast = this.fastEma.push(candle.close);
+    const slow = this.slowEma.push(candle.close);
+    if (fast === null || slow === null) {
+      return;
+    }
+
+    const macd = fast - slow;
+    const signal = this.signalEma.push(macd);
+    if (signal === null) {
+      return;
+    }
+
+    const histogram = macd - signal;
+    this.result =
+      this.previousHistogram === null
+        ? null
+        : {
+            macd,
+            signal,
+            histogram,
+            previousHistogram: this.previousHistogram,
+            lastClose: candle.close,
+            lastCandle: candle,
+          };
+    this.previousHistogram = histogram;
+  }
+
+  _reset() {
+    this.fastEma.reset();
+    this.slowEma.reset();
+    this.signalEma.reset();
+    this.previousHistogram = null;
+    this.result = null;
+  }
+
+  /**
+   * Minimalna liczba świec potrzebna do obliczenia dwóch ostatnich wartości
+   * @returns {number} - Liczba świec
+   */
+  getRequiredCandles() {
+    return this.options.slowPeriods + this.options.signalPeriods;
+  }
+
+  /**
+   * Oblicza MACD dla danych świecowych
+   * @param {Array} candles - Tablica danych świecowych
+   * @returns {Object|null} - { macd, signal, histogram, previousHistogram }
+   */
+  calculate(candles) {
+    const required = this.getRequiredCandles();
+    if (!candles || candles.length < required) {
+      logger.warn(
+        `Za mało danych do obliczenia MACD (${candles ? candles.length : 0}/${required})`
+      );
+      return null;
+    }
+
+    try {
+      const { fastPeriods, slowPeriods, signalPeriods } = this.options;
+      const closePrices = candles.map((candle) => candle.close);
+
+      // Wyrównaj szybką EMA do początku wolnej
+      const fastSeries = calculateEMASeries(closePrices, fastPeriods).slice(
+        slowPeriods - fastPeriods
+      );
+      const slowSeries = calculateEMASeries(closePrices, slowPeriods);
+      const macdSeries = slowSeries.map(
+        (slowValue, index) => fastSeries[index] - slowValue
+      );
+      const signalSeries = calculateEMASeries(macdSeries, signalPeriods);
+
+      const last = macdSeries.length - 1;
+      const lastSignal = signalSeries.length - 1;
+
+      return {
+        macd: macdSeries[last],
+        signal: signalSeries[lastSignal],
+        histogram: macdSeries[last] - signalSeries[lastSignal],
+        previousHistogram: macdSeries[last - 1] - signalSeries[lastSignal - 1],
+        lastClose: closePrices[closePrices.length - 1],
+        lastCandle: candles[candles.length - 1],
+      };
+    } catch (error) {
+      logger.error(`Błąd podczas obliczania MACD: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+/**
+ * Klasa do obliczania wskaźnika RSI (wygładzanie Wildera)
+ */
+class RelativeStrengthIndex extends StreamingIndicator {
+  /**
+   * Tworzy nowy obiekt RSI
+   * @param {Object} options - Opcje konfiguracyjne
+   * @param {number} options.periods - Liczba okresów (domyślnie: 14)
+   */
+  constructor(options = {}) {
+    super();
+    this.options = {
+      periods: 14,
+      ...options,
+    };
+    this._reset();
+  }
+
+  getResult() {
+    return this.result;
+  }
+
+  getReplayLength() {
+    return Infinity;
+  }
+
+  /**
+   * Dodaje cenę zamknięcia - średnie zysków i strat inicjalizowane są
+   * średnią z pierwszych 'periods' zmian, potem wygładzane metodą Wildera
+   * @param {Object} candle - Zamknięta świeca
+   * @private
+   */
+  _push(candle) {
+    const close = candle.close;
+    if (this.previousClose === null) {
+      this.previousClose = close;
+      return;
+    }
+
+    const { periods } = this.options;
+    const change = close - this.previousClose;
+    this.previousClose = close;
+
+    if (this.changeCount < periods) {
+      this.avgGain += Math.max(change, 0);
+      this.avgLoss += Math.max(-change, 0);
+      this.changeCount++;
+      if (this.changeCount < periods) {
+        return;
+      }
+      this.avgGain /= periods;
+      this.avgLoss /= periods;
+    } else {
+      this.avgGain =
+        (this.avgGain * (periods - 1) + Math.max(change, 0)) / periods;
+      this.avgLoss =
+        (this.avgLoss * (periods - 1) + Math.max(-change, 0)) / periods;
+    }
+
+    const value = this._toRSI(this.avgGain, this.avgLoss);
+    this.result =
+      this.lastValue === null
+        ? null
+        : {
+            value,
+            previousValue: this.lastValue,
+            lastClose: close,
+            lastCandle: candle,
+          };
+    this.lastValue = value;
+  }
+
+  _reset() {
+    this.previousClose = null;
+    this.changeCount = 0;
+    this.avgGain = 0;
+    this.avgLoss = 0;
+    this.lastValue = null;
+    this.result = null;
+  }
+
+  /**
+   * Minimalna liczba świec potrzebna do obliczenia dwóch ostatnich wartości
+   * @returns {number} - Liczba świec
+   */
+  getRequiredCandles() {
+    return this.options.periods + 2;
+  }
+
+  /**
+   * Oblicza RSI dla danych świecowych
+   * @param {Array} candles - Tablica danych świecowych
+   * @returns {Object|null} - { value, previousValue }
+   */
+  calculate(candles) {
+    const required = this.getRequiredCandles();
+    if (!candles || candles.length < required) {
+      logger.warn(
+        `Za mało danych do obliczenia RSI (${candles ? candles.length : 0}/${required})`
+      );
+      return null;
+    }
+
+    try {
+      const { periods } = this.options;
+      const closePrices = candles.map((candle) => candle.close);
+
+      let avgGain = 0;
+      let avgLoss = 0;
+      for (let i = 1; i <= periods; i++) {
+        const change = closePrices[i] - closePrices[i - 1];
+        avgGain += Math.max(change, 0);
+        avgLoss += Math.max(-change, 0);
+      }
+      avgGain /= periods;
+      avgLoss /= periods;
+
+      const values = [this._toRSI(avgGain, avgLoss)];
+      for (let i = periods + 1; i < closePrices.length; i++) {
+        const change = closePrices[i] - closePrices[i - 1];
+        avgGain = (avgGain * (periods - 1) + Math.max(change, 0)) / periods;
+        avgLoss = (avgLoss * (periods - 1) + Math.max(-change, 0)) / periods;
+        values.push(this._toRSI(avgGain, avgLoss));
+      }
+
+      return {
+        value: values[values.length - 1],
+        previousValue: values[values.length - 2],
+        lastClose: closePrices[closePrices.length - 1],
+        lastCandle: candles[candles.length - 1],
+      };
+    } catch (error) {
+      logger.error(`Błąd podczas obliczania RSI: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Przelicza średnie zyski i straty na wartość RSI
+   * @private
+   */
+  _toRSI(avgGain, avgLoss) {
+    if (avgLoss === 0) {
+      return avgGain === 0 ? 50 : 100;
+    }
+
+    return 100 - 100 / (1 + avgGain / avgLoss);
+  }
+}
+
 /**
  * Klasa implementująca kanał Hursta
  */
-class HurstChannel {
+class HurstChannel extends StreamingIndicator {
   /**
    * Tworzy nowy kanał Hursta
    * @param {Object} options - Opcje konfiguracyjne
    * @param {number} options.periods - Liczba okresów do analizy (domyślnie: 25)
    * @param {number} options.upperDeviationFactor - Współczynnik odchylenia dla górnej bandy (domyślnie: 2.0)
    * @param {number} options.lowerDeviationFactor - Współczynnik odchylenia dla dolnej bandy (domyślnie: 2.0)
+   * @param {string} options.estimator - Estymator wykładnika: "rs" (przeskalowany zakres) lub "dfa" (domyślnie: "rs")
    */
   constructor(options = {}) {
+    super();
     this.options = {
       periods: 25,
       upperDeviationFactor: 2.0,
       lowerDeviationFactor: 2.0,
+      estimator: "rs",
       ...options,
     };
+
+    // Stan strumieniowy: okno cen zamknięcia i logarytmicznych zmian
+    const returnsSize = Math.max(this.options.periods - 1, 1);
+    this.closes = new RollingStatistics(this.options.periods);
+    this.returns = new Array(returnsSize);
+    this.segmentCache = new Map(); // długość segmentu -> { starts, values } (bufory cykliczne)
+    this.returnCount = 0;
+    this.lastStreamCandle = null;
+    this.result = null;
+  }
+
+  getResult() {
+    return this.result;
+  }
+
+  getRequiredCandles() {
+    return this.options.periods;
+  }
+
+  getReplayLength() {
+    return this.options.periods;
+  }
+
+  /**
+   * Dodaje zamkniętą świecę i przelicza kanał przyrostowo
+   * @param {Object} candle - Zamknięta świeca
+   * @private
+   */
+  _push(candle) {
+    if (this.lastStreamCandle) {
+      this.returns[this.returnCount % this.returns.length] = Math.log(
+        candle.close / this.lastStreamCandle.close
+      );
+      this.returnCount++;
+    }
+    this.closes.push(candle.close);
+    this.lastStreamCandle = candle;
+
+    if (!this.closes.isFull()) {
+      this.result = null;
+      return;
+    }
+
+    try {
+      const hurstExponent = this._calculateStreamingHurstExponent();
+      this.result = this._buildResult(
+        this.closes.getMean(),
+        this.closes.getStandardDeviation(),
+        hurstExponent,
+        this._calculateStreamingTrend(),
+        candle
+      );
+    } catch (error) {
+      logger.error(`Błąd podczas obliczania kanału Hursta: ${error.message}`);
+      this.result = null;
+    }
+  }
+
+  _reset() {
+    this.closes.reset();
+    for (const cache of this.segmentCache.values()) {
+      cache.starts.fill(-1);
+    }
+    this.returnCount = 0;
+    this.lastStreamCandle = null;
+    this.result = null;
   }
 
   /**
@@ -148,39 +814,124 @@ class HurstChannel {
       const mean = this._calculateMean(closePrices);
       const stdDev = this._calculateStandardDeviation(closePrices, mean);
 
-      // PRAWDZIWY KANAŁ HURSTA - wykładnik jako mnożnik bazowych szerokości
-      const adaptiveUpperFactor =
-        this.options.upperDeviationFactor * hurstExponent;
-      const adaptiveLowerFactor =
-        this.options.lowerDeviationFactor * hurstExponent;
+      // Oblicz nachylenie kanału (trend)
+      const trend = this._calculateTrend(relevantCandles);
+
+      return this._buildResult(
+        mean,
+        stdDev,
+        hurstExponent,
+        trend,
+        relevantCandles[relevantCandles.length - 1]
+      );
+    } catch (error) {
+      logger.error(`Błąd podczas obliczania kanału Hursta: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Składa wynik kanału z parametrów okna
+   * @param {number} mean - Średnia cen zamknięcia
+   * @param {number} stdDev - Odchylenie standardowe cen zamknięcia
+   * @param {number} hurstExponent - Wykładnik Hursta
+   * @param {string} trend - Nachylenie kanału
+   * @param {Object} lastCandle - Ostatnia świeca okna
+   * @returns {Object} - Obiekt z parametrami kanału Hursta
+   * @private
+   */
+  _buildResult(mean, stdDev, hurstExponent, trend, lastCandle) {
+    // PRAWDZIWY KANAŁ HURSTA - wykładnik jako mnożnik bazowych szerokości
+    const adaptiveUpperFactor =
+      this.options.upperDeviationFactor * hurstExponent;
+    const adaptiveLowerFactor =
+      this.options.lowerDeviationFactor * hurstExponent;
+
+    // Zwróć wyniki z dodatkowymi informacjami o adaptacyjności
+    return {
+      upperBand: mean + adaptiveUpperFactor * stdDev,
+      middleBand: mean,
+      lowerBand: mean - adaptiveLowerFactor * stdDev,
+      hurstExponent,
+      stdDev,
+      trend,
+      lastClose: lastCandle.close,
+      lastCandle,
+      timestamp: new Date().getTime(),
+      // Dodatkowe informacje diagnostyczne
+      adaptiveUpperFactor,
+      adaptiveLowerFactor,
+      originalUpperFactor: this.options.upperDeviationFactor,
+      originalLowerFactor: this.options.lowerDeviationFactor,
+    };
+  }
+
+  /**
+   * Wykładnik Hursta okna strumieniowego - R/S każdego segmentu liczone
+   * jest raz i używane ponownie, dopóki segment mieści się w oknie
+   * @returns {number} - Wykładnik Hursta
+   * @private
+   */
+  _calculateStreamingHurstExponent() {
+    const n = this.returns.length;
+    if (n < 10) {
+      return 0.5; // Domyślna wartość dla zbyt małej liczby danych
+    }
+
+    const windowStart = this.returnCount - n;
 
-      const upperBand = mean + adaptiveUpperFactor * stdDev;
-      const lowerBand = mean - adaptiveLowerFactor * stdDev;
+    if (this.options.estimator === "dfa") {
+      return this._calculateDFAExponent(this.returns, windowStart % n, n);
+    }
 
-      // Oblicz nachylenie kanału (trend)
-      const trend = this._calculateTrend(relevantCandles);
+    // R/S segmentu trzymane pod indeksem początku modulo n - nowszy segment
+    // nadpisuje tylko taki, który wypadł już z okna
+    return this._combineRS(n, (m, index) => {
+      let cache = this.segmentCache.get(m);
+      if (!cache) {
+        cache = {
+          starts: new Float64Array(n).fill(-1),
+          values: new Float64Array(n),
+        };
+        this.segmentCache.set(m, cache);
+      }
 
-      // Zwróć wyniki z dodatkowymi informacjami o adaptacyjności
-      return {
-        upperBand,
-        middleBand: mean,
-        lowerBand,
-        hurstExponent,
-        stdDev,
-        trend,
-        lastClose: closePrices[closePrices.length - 1],
-        lastCandle: relevantCandles[relevantCandles.length - 1],
-        timestamp: new Date().getTime(),
-        // Dodatkowe informacje diagnostyczne
-        adaptiveUpperFactor,
-        adaptiveLowerFactor,
-        originalUpperFactor: this.options.upperDeviationFactor,
-        originalLowerFactor: this.options.lowerDeviationFactor,
-      };
-    } catch (error) {
-      logger.error(`Błąd podczas obliczania kanału Hursta: ${error.message}`);
-      return null;
+      const start = windowStart + index * m;
+      const slot = start % n;
+      if (cache.starts[slot] !== start) {
+        cache.starts[slot] = start;
+        cache.values[slot] = this._calculateSegmentRS(this.returns, slot, m);
+      }
+      return cache.values[slot];
+    });
+  }
+
+  /**
+   * Trend okna strumieniowego (jak _calculateTrend, bez kopiowania świec)
+   * @returns {string} - Kierunek trendu ('up', 'down', 'sideways')
+   * @private
+   */
+  _calculateStreamingTrend() {
+    const count = this.closes.count;
+    if (count < 2) {
+      return "sideways";
+    }
+
+    const half = Math.floor(count / 2);
+    let firstHalfSum = 0;
+    let secondHalfSum = 0;
+    for (let i = 0; i < count; i++) {
+      if (i < half) {
+        firstHalfSum += this.closes.get(i);
+      } else {
+        secondHalfSum += this.closes.get(i);
+      }
     }
+
+    return this._classifyTrend(
+      firstHalfSum / half,
+      secondHalfSum / (count - half)
+    );
   }
 
   /**
@@ -195,65 +946,14 @@ class HurstChannel {
     }
 
     try {
-      // Implementacja metody przeskalowanego zakresu (R/S)
-      // Podziel szereg czasowy na kilka podszeregów
-      const n = logReturns.length;
-      const divisions = [
-        10,
-        Math.floor(n / 8),
-        Math.floor(n / 4),
-        Math.floor(n / 2),
-      ];
-      const validDivisions = divisions.filter((d) => d > 0 && d < n / 2);
-
-      const rsValues = [];
-      const divisionLengths = [];
-
-      for (const m of validDivisions) {
-        const numDivisions = Math.floor(n / m);
-        let avgRS = 0;
-
-        for (let i = 0; i < numDivisions; i++) {
-          const segment = logReturns.slice(i * m, (i + 1) * m);
-
-          // Średnia segmentu
-          const segmentMean = this._calculateMean(segment);
-
-          // Odchylenia od średniej
-          const deviations = segment.map((value) => value - segmentMean);
-
-          // Skumulowane odchylenia
-          const cumulativeDeviations = [];
-          let sum = 0;
-          for (const dev of deviations) {
-            sum += dev;
-            cumulativeDeviations.push(sum);
-          }
-
-          // Zakres (R)
-          const range =
-            Math.max(...cumulativeDeviations) -
-            Math.min(...cumulativeDeviations);
-
-          // Odchylenie standardowe (S)
-          const stdDev = this._calculateStandardDeviation(segment, segmentMean);
-
-          // R/S
-          const rs = stdDev === 0 ? 1 : range / stdDev;
-          avgRS += rs;
-        }
-
-        // Średnie R/S dla danej długości podziału
-        avgRS /= numDivisions;
-
-        rsValues.push(Math.log(avgRS));
-        divisionLengths.push(Math.log(m));
+      if (this.options.estimator === "dfa") {
+        return this._calculateDFAExponent(logReturns, 0, logReturns.length);
       }
 
-      // Regresja liniowa dla log(R/S) vs log(n)
-      const slope = this._linearRegression(divisionLengths, rsValues);
-
-      return slope;
+      // Implementacja metody przeskalowanego zakresu (R/S)
+      return this._combineRS(logReturns.length, (m, index) =>
+        this._calculateSegmentRS(logReturns, index * m, m)
+      );
     } catch (error) {
       logger.error(
         `Błąd podczas obliczania wykładnika Hursta: ${error.message}`
@@ -262,6 +962,155 @@ class HurstChannel {
     }
   }
 
+  /**
+   * Łączy R/S segmentów w wykładnik Hursta - szereg dzielony jest na
+   * podszeregi kilku długości, a nachylenie log(R/S) vs log(długość) to wykładnik
+   * @param {number} n - Liczba logarytmicznych zmian cen
+   * @param {Function} getSegmentRS - (długość, numer segmentu) => R/S segmentu
+   * @returns {number} - Wykładnik Hursta
+   * @private
+   */
+  _combineRS(n, getSegmentRS) {
+    const divisions = [
+      10,
+      Math.floor(n / 8),
+      Math.floor(n / 4),
+      Math.floor(n / 2),
+    ];
+    const validDivisions = divisions.filter((d) => d > 0 && d < n / 2);
+
+    const rsValues = [];
+    const divisionLengths = [];
+
+    for (const m of validDivisions) {
+      const numDivisions = Math.floor(n / m);
+      let avgRS = 0;
+
+      for (let i = 0; i < numDivisions; i++) {
+        avgRS += getSegmentRS(m, i);
+      }
+
+      // Średnie R/S dla danej długości podziału
+      avgRS /= numDivisions;
+
+      rsValues.push(Math.log(avgRS));
+      divisionLengths.push(Math.log(m));
+    }
+
+    // Regresja liniowa dla log(R/S) vs log(n)
+    return this._linearRegression(divisionLengths, rsValues);
+  }
+
+  /**
+   * Wykładnik Hursta metodą DFA (Detrended Fluctuation Analysis) - profil
+   * skumulowanych odchyleń dzielony jest na okna długości s, z każdego okna
+   * usuwany jest trend liniowy, a nachylenie log F(s) vs log s to wykładnik
+   * @param {Array} values - Logarytmiczne zmiany cen (tablica lub bufor cykliczny)
+   * @param {number} start - Indeks pierwszej wartości (modulo długość tablicy)
+   * @param {number} n - Liczba wartości
+   * @returns {number} - Wykładnik Hursta
+   * @private
+   */
+  _calculateDFAExponent(values, start, n) {
+    const size = values.length;
+
+    let sum = 0;
+    for (let j = 0; j < n; j++) {
+      sum += values[(start + j) % size];
+    }
+    const mean = sum / n;
+
+    // Profil - skumulowane odchylenia od średniej
+    const profile = new Float64Array(n);
+    let cumulative = 0;
+    for (let j = 0; j < n; j++) {
+      cumulative += values[(start + j) % size] - mean;
+      profile[j] = cumulative;
+    }
+
+    const logScales = [];
+    const logFluctuations = [];
+
+    for (let scale = 4; scale <= Math.floor(n / 2); scale++) {
+      const boxes = Math.floor(n / scale);
+      const xMean = (scale - 1) / 2;
+      const sxx = (scale * (scale * scale - 1)) / 12;
+      let squaredSum = 0;
+
+      for (let box = 0; box < boxes; box++) {
+        const offset = box * scale;
+
+        let yMean = 0;
+        for (let x = 0; x < scale; x++) {
+          yMean += profile[offset + x];
+        }
+        yMean /= scale;
+
+        let sxy = 0;
+        for (let x = 0; x < scale; x++) {
+          sxy += (x - xMean) * (profile[offset + x] - yMean);
+        }
+        const slope = sxy / sxx;
+
+        // Reszty po usunięciu trendu liniowego okna
+        for (let x = 0; x < scale; x++) {
+          const residual = profile[offset + x] - (yMean + slope * (x - xMean));
+          squaredSum += residual * residual;
+        }
+      }
+
+      const fluctuation = Math.sqrt(squaredSum / (boxes * scale));
+      if (fluctuation > 0) {
+        logScales.push(Math.log(scale));
+        logFluctuations.push(Math.log(fluctuation));
+      }
+    }
+
+    if (logScales.length < 2) {
+      return 0.5;
+    }
+
+    return this._linearRegression(logScales, logFluctuations);
+  }
+
+  /**
+   * Oblicza R/S segmentu bez kopiowania danych
+   * @param {Array} values - Logarytmiczne zmiany cen (tablica lub bufor cykliczny)
+   * @param {number} start - Indeks początku segmentu (modulo długość tablicy)
+   * @param {number} length - Długość segmentu
+   * @returns {number} - Przeskalowany zakres segmentu
+   * @private
+   */
+  _calculateSegmentRS(values, start, length) {
+    const size = values.length;
+
+    // Średnia segmentu
+    let sum = 0;
+    for (let j = 0; j < length; j++) {
+      sum += values[(start + j) % size];
+    }
+    const segmentMean = sum / length;
+
+    // Skumulowane odchylenia od średniej - zakres (R) i wariancja (S)
+    let cumulative = 0;
+    let maxCumulative = -Infinity;
+    let minCumulative = Infinity;
+    let squaredSum = 0;
+    for (let j = 0; j < length; j++) {
+      const deviation = values[(start + j) % size] - segmentMean;
+      cumulative += deviation;
+      maxCumulative = Math.max(maxCumulative, cumulative);
+      minCumulative = Math.min(minCumulative, cumulative);
+      squaredSum += Math.pow(deviation, 2);
+    }
+
+    const range = maxCumulative - minCumulative;
+    const stdDev = Math.sqrt(squaredSum / length);
+
+    // R/S
+    return stdDev === 0 ? 1 : range / stdDev;
+  }
+
   /**
    * Wykonuje regresję liniową dla danych
    * @param {Array} x - Tablica wartości x
@@ -345,6 +1194,17 @@ class HurstChannel {
     const firstHalfAvg = this._calculateMean(firstHalf.map((c) => c.close));
     const secondHalfAvg = this._calculateMean(secondHalf.map((c) => c.close));
 
+    return this._classifyTrend(firstHalfAvg, secondHalfAvg);
+  }
+
+  /**
+   * Określa trend na podstawie średnich obu połów okna
+   * @param {number} firstHalfAvg - Średnia pierwszej połowy
+   * @param {number} secondHalfAvg - Średnia drugiej połowy
+   * @returns {string} - Kierunek trendu ('up', 'down', 'sideways')
+   * @private
+   */
+  _classifyTrend(firstHalfAvg, secondHalfAvg) {
     // Określ trend na podstawie różnicy średnich
     const diff = secondHalfAvg - firstHalfAvg;
     const threshold = firstHalfAvg * 0.01; // 1% próg dla określenia trendu
@@ -359,6 +1219,406 @@ class HurstChannel {
   }
 }
 
+/**
+ * Oblicza true range świecy względem poprzedniego zamknięcia
+ * @param {Object} candle - Świeca
+ * @param {number} previousClose - Poprzednia cena zamknięcia
+ * @returns {number} - True range
+ */
+const calculateTrueRange = (candle, previousClose) => {
+  return Math.max(
+    candle.high - candle.low,
+    Math.abs(candle.high - previousClose),
+    Math.abs(candle.low - previousClose)
+  );
+};
+
+/**
+ * Klasa do obliczania średniego prawdziwego zakresu (ATR, wygładzanie Wildera)
+ */
+class AverageTrueRange extends StreamingIndicator {
+  /**
+   * Tworzy nowy obiekt ATR
+   * @param {Object} options - Opcje konfiguracyjne
+   * @param {number} options.periods - Liczba okresów (domyślnie: 14)
+   */
+  constructor(options = {}) {
+    super();
+    this.options = {
+      periods: 14,
+      ...options,
+    };
+    this._reset();
+  }
+
+  getResult() {
+    return this.result;
+  }
+
+  getRequiredCandles() {
+    return this.options.periods + 1;
+  }
+
+  getReplayLength() {
+    return Infinity;
+  }
+
+  /**
+   * Dodaje świecę - ATR inicjalizowany jest średnią z pierwszych 'periods'
+   * wartości true range, potem wygładzany metodą Wildera
+   * @param {Object} candle - Zamknięta świeca
+   * @private
+   */
+  _push(candle) {
+    if (this.previousClose === null) {
+      this.previousClose = candle.close;
+      return;
+    }
+
+    const { periods } = this.options;
+    const trueRange = calculateTrueRange(candle, this.previousClose);
+    this.previousClose = candle.close;
+
+    if (this.count < periods) {
+      this.sum += trueRange;
+      this.count++;
+      if (this.count < periods) {
+        return;
+      }
+      this.value = this.sum / periods;
+    } else {
+      this.value = (this.value * (periods - 1) + trueRange) / periods;
+    }
+
+    this.result = {
+      value: this.value,
+      trueRange,
+      lastClose: candle.close,
+      lastCandle: candle,
+    };
+  }
+
+  _reset() {
+    this.previousClose = null;
+    this.count = 0;
+    this.sum = 0;
+    this.value = null;
+    this.result = null;
+  }
+}
+
+/**
+ * Klasa do obliczania wstęg Bollingera (SMA ± mnożnik × odchylenie standardowe)
+ */
+class BollingerBands extends StreamingIndicator {
+  /**
+   * Tworzy nowe wstęgi Bollingera
+   * @param {Object} options - Opcje konfiguracyjne
+   * @param {number} options.periods - Liczba okresów (domyślnie: 20)
+   * @param {number} options.multiplier - Mnożnik odchylenia standardowego (domyślnie: 2)
+   */
+  constructor(options = {}) {
+    super();
+    this.options = {
+      periods: 20,
+      multiplier: 2,
+      ...options,
+    };
+    this.closes = new RollingStatistics(this.options.periods);
+    this.result = null;
+  }
+
+  getResult() {
+    return this.result;
+  }
+
+  getRequiredCandles() {
+    return this.options.periods;
+  }
+
+  getReplayLength() {
+    return this.options.periods;
+  }
+
+  /**
+   * Dodaje cenę zamknięcia do okna kroczącego
+   * @param {Object} candle - Zamknięta świeca
+   * @private
+   */
+  _push(candle) {
+    this.closes.push(candle.close);
+    if (!this.closes.isFull()) {
+      this.result = null;
+      return;
+    }
+
+    const middleBand = this.closes.getMean();
+    const stdDev = this.closes.getStandardDeviation();
+    const upperBand = middleBand + this.options.multiplier * stdDev;
+    const lowerBand = middleBand - this.options.multiplier * stdDev;
+    const width = upperBand - lowerBand;
+
+    this.result = {
+      upperBand,
+      middleBand,
+      lowerBand,
+      stdDev,
+      bandwidth: middleBand !== 0 ? width / middleBand : null,
+      // Położenie ceny we wstęgach (0 = dolna, 1 = górna)
+      percentB: width > 0 ? (candle.close - lowerBand) / width : null,
+      lastClose: candle.close,
+      lastCandle: candle,
+    };
+  }
+
+  _reset() {
+    this.closes.reset();
+    this.result = null;
+  }
+}
+
+/**
+ * Klasa do obliczania średniej ceny ważonej wolumenem (VWAP) w sesjach
+ */
+class VolumeWeightedAveragePrice extends StreamingIndicator {
+  /**
+   * Tworzy nowy obiekt VWAP
+   * @param {Object} options - Opcje konfiguracyjne
+   * @param {number} options.sessionLength - Długość sesji w ms, liczona od północy UTC (domyślnie: 24h)
+   */
+  constructor(options = {}) {
+    super();
+    this.options = {
+      sessionLength: 24 * 60 * 60 * 1000,
+      ...options,
+    };
+    this._reset();
+  }
+
+  getResult() {
+    return this.result;
+  }
+
+  getReplayLength() {
+    return Infinity;
+  }
+
+  /**
+   * Dodaje świecę - cena typowa (high + low + close) / 3 ważona wolumenem,
+   * sumy zerowane na początku każdej sesji
+   * @param {Object} candle - Zamknięta świeca
+   * @private
+   */
+  _push(candle) {
+    const { sessionLength } = this.options;
+    const sessionStart =
+      candle.openTime !== undefined
+        ? Math.floor(candle.openTime / sessionLength) * sessionLength
+        : null;
+
+    if (sessionStart !== this.sessionStart) {
+      this.sessionStart = sessionStart;
+      this.priceVolume = 0;
+      this.volume = 0;
+    }
+
+    const typicalPrice = (candle.high + candle.low + candle.close) / 3;
+    const volume = candle.volume || 0;
+    this.priceVolume += typicalPrice * volume;
+    this.volume += volume;
+
+    this.result = {
+      value: this.volume > 0 ? this.priceVolume / this.volume : null,
+      sessionVolume: this.volume,
+      sessionStart: this.sessionStart,
+      lastClose: candle.close,
+      lastCandle: candle,
+    };
+  }
+
+  _reset() {
+    this.sessionStart = undefined;
+    this.priceVolume = 0;
+    this.volume = 0;
+    this.result = null;
+  }
+}
+
+/**
+ * Klasa do obliczania wskaźnika ADX z liniami +DI/-DI (wygładzanie Wildera)
+ */
+class AverageDirectionalIndex extends StreamingIndicator {
+  /**
+   * Tworzy nowy obiekt ADX
+   * @param {Object} options - Opcje konfiguracyjne
+   * @param {number} options.periods - Liczba okresów (domyślnie: 14)
+   */
+  constructor(options = {}) {
+    super();
+    this.options = {
+      periods: 14,
+      ...options,
+    };
+    this._reset();
+  }
+
+  getResult() {
+    return this.result;
+  }
+
+  /**
+   * Świeca początkowa, 'periods' świec do wygładzenia TR/DM
+   * i kolejne do pierwszej średniej DX
+   * @returns {number} - Liczba świec
+   */
+  getRequiredCandles() {
+    return 2 * this.options.periods;
+  }
+
+  getReplayLength() {
+    return Infinity;
+  }
+
+  /**
+   * Dodaje świecę i aktualizuje wygładzone TR, +DM, -DM oraz ADX
+   * @param {Object} candle - Zamknięta świeca
+   * @private
+   */
+  _push(candle) {
+    const previous = this.previousCandle;
+    this.previousCandle = candle;
+    if (!previous) {
+      return;
+    }
+
+    const { periods } = this.options;
+    const upMove = candle.high - previous.high;
+    const downMove = previous.low - candle.low;
+    const plusDM = upMove > downMove && upMove > 0 ? upMove : 0;
+    const minusDM = downMove > upMove && downMove > 0 ? downMove : 0;
+    const trueRange = calculateTrueRange(candle, previous.close);
+
+    if (this.count < periods) {
+      this.trueRange += trueRange;
+      this.plusDM += plusDM;
+      this.minusDM += minusDM;
+      this.count++;
+      if (this.count < periods) {
+        return;
+      }
+    } else {
+      this.trueRange = this.trueRange - this.trueRange / periods + trueRange;
+      this.plusDM = this.plusDM - this.plusDM / periods + plusDM;
+      this.minusDM = this.minusDM - this.minusDM / periods + minusDM;
+    }
+
+    const plusDI =
+      this.trueRange > 0 ? (100 * this.plusDM) / this.trueRange : 0;
+    const minusDI =
+      this.trueRange > 0 ? (100 * this.minusDM) / this.trueRange : 0;
+    const diSum = plusDI + minusDI;
+    const dx = diSum > 0 ? (100 * Math.abs(plusDI - minusDI)) / diSum : 0;
+
+    if (this.adx === null) {
+      this.dxSum += dx;
+      this.dxCount++;
+      if (this.dxCount < periods) {
+        return;
+      }
+      this.adx = this.dxSum / periods;
+    } else {
+      this.adx = (this.adx * (periods - 1) + dx) / periods;
+    }
+
+    this.result = {
+      adx: this.adx,
+      plusDI,
+      minusDI,
+      dx,
+      lastClose: candle.close,
+      lastCandle: candle,
+    };
+  }
+
+  _reset() {
+    this.previousCandle = null;
+    this.count = 0;
+    this.trueRange = 0;
+    this.plusDM = 0;
+    this.minusDM = 0;
+    this.dxSum = 0;
+    this.dxCount = 0;
+    this.adx = null;
+    this.result = null;
+  }
+}
+
+/**
+ * Klasa do obliczania kanału Keltnera (EMA ± mnożnik × ATR)
+ */
+class KeltnerChannel extends StreamingIndicator {
+  /**
+   * Tworzy nowy kanał Keltnera
+   * @param {Object} options - Opcje konfiguracyjne
+   * @param {number} options.periods - Okresy EMA linii środkowej (domyślnie: 20)
+   * @param {number} options.atrPeriods - Okresy ATR (domyślnie: 10)
+   * @param {number} options.multiplier - Mnożnik ATR (domyślnie: 2)
+   */
+  constructor(options = {}) {
+    super();
+    this.options = {
+      periods: 20,
+      atrPeriods: 10,
+      multiplier: 2,
+      ...options,
+    };
+    this.ema = new SeededEMA(this.options.periods);
+    this.atr = new AverageTrueRange({ periods: this.options.atrPeriods });
+    this.result = null;
+  }
+
+  getResult() {
+    return this.result;
+  }
+
+  getRequiredCandles() {
+    return Math.max(this.options.periods, this.options.atrPeriods + 1);
+  }
+
+  getReplayLength() {
+    return Infinity;
+  }
+
+  /**
+   * Dodaje świecę do EMA i ATR
+   * @param {Object} candle - Zamknięta świeca
+   * @private
+   */
+  _push(candle) {
+    const middleBand = this.ema.push(candle.close);
+    const atr = this.atr.update(candle);
+    if (middleBand === null || !atr) {
+      this.result = null;
+      return;
+    }
+
+    this.result = {
+      upperBand: middleBand + this.options.multiplier * atr.value,
+      middleBand,
+      lowerBand: middleBand - this.options.multiplier * atr.value,
+      atr: atr.value,
+      lastClose: candle.close,
+      lastCandle: candle,
+    };
+  }
+
+  _reset() {
+    this.ema.reset();
+    this.atr.reset();
+    this.result = null;
+  }
+}
+
 /**
  * Klasa do wykrywania przecięć linii
  */
@@ -559,9 +1819,48 @@ class CrossDetector {
   }
 }
 
+// Wskaźniki dostępne po nazwie (GET /market/indicators/:symbol)
+const INDICATORS = {
+  hurst: HurstChannel,
+  ema: ExponentialMovingAverage,
+  rsi: RelativeStrengthIndex,
+  macd: MovingAverageConvergenceDivergence,
+  atr: AverageTrueRange,
+  bollinger: BollingerBands,
+  vwap: VolumeWeightedAveragePrice,
+  adx: AverageDirectionalIndex,
+  keltner: KeltnerChannel,
+};
+
+/**
+ * Tworzy wskaźnik po nazwie
+ * @param {string} name - Nazwa wskaźnika (klucz INDICATORS)
+ * @param {Object} [options] - Opcje wskaźnika
+ * @returns {StreamingIndicator} - Wskaźnik
+ */
+const createIndicator = (name, options = {}) => {
+  const Indicator = INDICATORS[name];
+  if (!Indicator) {
+    throw new Error(`Nieznany wskaźnik: ${name}`);
+  }
+
+  return new Indicator(options);
+};
+
 // Eksportuj klasy
 module.exports = {
+  StreamingIndicator,
+  RollingStatistics,
   HurstChannel,
   ExponentialMovingAverage,
+  MovingAverageConvergenceDivergence,
+  RelativeStrengthIndex,
+  AverageTrueRange,
+  BollingerBands,
+  VolumeWeightedAveragePrice,
+  AverageDirectionalIndex,
+  KeltnerChannel,
   CrossDetector,
+  INDICATOR_NAMES: Object.keys(INDICATORS),
+  createIndicator,
 };
@@ -1,6 +1,6 @@
 /**
  * Trading Logger - dedykowane funkcje logowania dla operacji tradingowych
- * ✅ ZAKTUALIZOWANE O LOGI PHEMEX
+ * ✅ ZAKTUALIZOWANE O LOGI ADAPTERÓW GIEŁDY
  */
 
 const logger = require("./logger");
@@ -49,6 +49,7 @@ class TradingLogger {
   static logUpperBandState(instanceId, action, details = "") {
     const actionEmojis = {
       initialized: "🔧",
+      restored: "♻️",
       exit_started: "🚀",
       exit_confirmed: "✅",
       exit_reset: "🔄",
@@ -137,38 +138,26 @@ class TradingLogger {
   }
 
   /**
-   * ✅ PHEMEX - Loguje błędy API Phemex
+   * Loguje błędy operacji na giełdzie (adapter giełdy)
    */
-  static logPhemexError(instanceId, symbol, operation, error) {
+  static logExchangeError(instanceId, symbol, exchange, operation, error) {
     logger.error(
-      `[PHEMEX ERROR] ${symbol} | ${operation} failed: ${error} | Instance: ${instanceId.slice(-8)}`
+      `[${exchange.toUpperCase()} ERROR] ${symbol} | ${operation} failed: ${error} | Instance: ${instanceId.slice(-8)}`
     );
   }
 
   /**
-   * ✅ PHEMEX - Loguje sukces operacji Phemex (tylko najważniejsze)
+   * Loguje sukces operacji na giełdzie (tylko najważniejsze)
    */
-  static logPhemexSuccess(instanceId, symbol, operation, details = "") {
-    logger.info(
-      `[PHEMEX] ${symbol} | ${operation} successful ${details ? "| " + details : ""} | Instance: ${instanceId.slice(-8)}`
-    );
-  }
-
-  /**
-   * ❌ DEPRECATED - Loguje błędy API ByBit (zachowane dla kompatybilności)
-   */
-  static logBybitError(instanceId, symbol, operation, error) {
-    logger.error(
-      `[BYBIT ERROR] ${symbol} | ${operation} failed: ${error} | Instance: ${instanceId.slice(-8)}`
-    );
-  }
-
-  /**
-   * ❌ DEPRECATED - Loguje sukces operacji ByBit (zachowane dla kompatybilności)
-   */
-  static logBybitSuccess(instanceId, symbol, operation, details = "") {
+  static logExchangeSuccess(
+    instanceId,
+    symbol,
+    exchange,
+    operation,
+    details = ""
+  ) {
     logger.info(
-      `[BYBIT] ${symbol} | ${operation} successful ${details ? "| " + details : ""} | Instance: ${instanceId.slice(-8)}`
+      `[${exchange.toUpperCase()}] ${symbol} | ${operation} successful ${details ? "| " + details : ""} | Instance: ${instanceId.slice(-8)}`
     );
   }
 
@@ -220,14 +209,6 @@ class TradingLogger {
         apiSecret: safeConfig.phemexConfig.apiSecret ? "***" : "not set",
       };
     }
-    // DEPRECATED - zachowane dla kompatybilności
-    if (safeConfig.bybitConfig) {
-      safeConfig.bybitConfig = {
-        ...safeConfig.bybitConfig,
-        apiKey: safeConfig.bybitConfig.apiKey ? "***" : "not set",
-        apiSecret: safeConfig.bybitConfig.apiSecret ? "***" : "not set",
-      };
-    }
     logger.info(
       `[CONFIG] ${action} | Instance: ${instanceId.slice(-8)} | ${JSON.stringify(safeConfig)}`
     );
@@ -0,0 +1,167 @@
+/**
+ * Trailing Stop State Manager - stan trailing stopu aktywnej pozycji
+ *
+ * Dla każdej instancji śledzi ekstremum ceny od otwarcia pozycji (najwyższą
+ * cenę dla long, najniższą dla short) - z zamknięć 1m lub z high/low świecy.
+ * Trailing stop aktywuje się, gdy zysk ekstremum względem średniej ceny wejścia
+ * osiągnie activationPercent; wyjście następuje, gdy cena cofnie się
+ * od ekstremum o trailPercent.
+ *
+ * Stan jest przypisany do pozycji (positionId) i zapisywany w stanie
+ * handlowym instancji (trading-state.service).
+ */
+
+const TradingLogger = require("./trading-logger");
+const logger = require("./logger");
+const clock = require("./clock");
+const tradingStateService = require("../services/trading-state.service");
+
+// Minimalny odstęp zapisu samego przesunięcia ekstremum (aktywacja zapisywana od razu)
+const PERSIST_INTERVAL = 60 * 1000;
+
+class TrailingStopStateManager {
+  constructor() {
+    this.states = new Map(); // instanceId -> stan trailing stopu
+    this.lastPersistTimes = new Map();
+  }
+
+  /**
+   * Aktualizuje ekstremum ceny pozycji i sprawdza warunek wyjścia
+   * @param {string} instanceId - ID instancji
+   * @param {Object} tick - { price, high, low }
+   * @param {Object} position - Aktywna pozycja
+   * @param {number} avgEntryPrice - Średnia ważona cena wejścia
+   * @param {Object} settings - { activationPercent, trailPercent, priceSource }
+   * @returns {Promise<Object|null>} - Stan z dropPercent, gdy należy zamknąć pozycję
+   */
+  async update(
+    instanceId,
+    { price, high, low },
+    position,
+    avgEntryPrice,
+    settings
+  ) {
+    const direction = position.direction || "long";
+    const isShort = direction === "short";
+    const now = clock.now(instanceId);
+
+    let state = this.states.get(instanceId);
+    if (!state || state.positionId !== position.positionId) {
+      state = {
+        positionId: position.positionId,
+        direction,
+        peakPrice: null,
+        activated: false,
+        activatedAt: null,
+        stopPrice: null,
+        updatedAt: now,
+      };
+      this.states.set(instanceId, state);
+    }
+
+    // "high" - ekstremum ze świecy (high dla long, low dla short)
+    const basisPrice =
+      settings.priceSource === "high" ? (isShort ? low : high) || price : price;
+
+    let peakMoved = false;
+    if (
+      state.peakPrice === null ||
+      (isShort ? basisPrice < state.peakPrice : basisPrice > state.peakPrice)
+    ) {
+      state.peakPrice = basisPrice;
+      state.updatedAt = now;
+      peakMoved = true;
+    }
+
+    const peakProfit = isShort
+      ? (avgEntryPrice - state.peakPrice) / avgEntryPrice
+      : (state.peakPrice - avgEntryPrice) / avgEntryPrice;
+
+    let justActivated = false;
+    if (!state.activated && peakProfit >= settings.activationPercent) {
+      state.activated = true;
+      state.activatedAt = now;
+      justActivated = true;
+
+      TradingLogger.logDebugThrottled(
+        `trailing-activated-${instanceId}`,
+        `[TRAILING STOP] Activated ${direction} | Peak: ${state.peakPrice} (+${(peakProfit * 100).toFixed(2)}% vs avg ${avgEntryPrice.toFixed(2)}) | Instance: ${instanceId.slice(-8)}`,
+        60000
+      );
+    }
+
+    if (state.activated) {
+      state.stopPrice = isShort
+        ? state.peakPrice * (1 + settings.trailPercent)
+        : state.peakPrice * (1 - settings.trailPercent);
+    }
+
+    if (
+      justActivated ||
+      (peakMoved &&
+        now - (this.lastPersistTimes.get(instanceId) || 0) >= PERSIST_INTERVAL)
+    ) {
+      await this._persist(instanceId, now);
+    }
+
+    if (
+      !state.activated ||
+      (isShort ? price < state.stopPrice : price > state.stopPrice)
+    ) {
+      return null;
+    }
+
+    return {
+      ...state,
+      // Cofnięcie ceny od ekstremum (spadek dla long, wzrost dla short)
+      dropPercent: (
+        (Math.abs(state.peakPrice - price) / state.peakPrice) *
+        100
+      ).toFixed(2),
+    };
+  }
+
+  async forceCleanAllState(instanceId) {
+    try {
+      this.states.delete(instanceId);
+      this.lastPersistTimes.delete(instanceId);
+      await tradingStateService.saveTrailingStopState(instanceId, null);
+    } catch (error) {
+      logger.error(
+        `Error in trailing stop forceCleanAllState: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Odtwarza zapisany stan trailing stopu
+   * @param {string} instanceId - ID instancji
+   * @param {Object} state - Zapisany stan
+   */
+  restoreState(instanceId, state) {
+    this.states.set(instanceId, {
+      positionId: state.positionId ?? null,
+      direction: state.direction || "long",
+      peakPrice: state.peakPrice ?? null,
+      activated: !!state.activated,
+      activatedAt: state.activatedAt ?? null,
+      stopPrice: state.stopPrice ?? null,
+      updatedAt: state.updatedAt ?? null,
+    });
+  }
+
+  getState(instanceId) {
+    return this.states.get(instanceId) || null;
+  }
+
+  async _persist(instanceId, now) {
+    this.lastPersistTimes.set(instanceId, now);
+    await tradingStateService.saveTrailingStopState(
+      instanceId,
+      this.states.get(instanceId)
+    );
+  }
+}
+
+const trailingStopStateManager = new TrailingStopStateManager();
+module.exports = trailingStopStateManager;
@@ -1,6 +1,12 @@
 const mutex = require("./mutex");
 const TradingLogger = require("./trading-logger");
 const logger = require("./logger");
+const clock = require("./clock");
+const tradingStateService = require("../services/trading-state.service");
+const { config: defaultParams } = require("../config/instance.config");
+
+const minutes = (ms) => +(ms / 60000).toFixed(2);
+const percent = (ratio) => +(ratio * 100).toFixed(3);
 
 class UpperBandStateManager {
   constructor() {
@@ -22,6 +28,8 @@ class UpperBandStateManager {
         this.upperBandTimers.delete(instanceId);
         this.lastActivityTimestamp.delete(instanceId);
 
+        await tradingStateService.saveUpperBandState(instanceId, null);
+
         TradingLogger.logUpperBandReset(instanceId, "Force cleanup");
       } catch (error) {
         logger.error(`Error in forceCleanAllState: ${error.message}`);
@@ -49,7 +57,12 @@ class UpperBandStateManager {
           lastLogTime: 0,
         });
 
-        this.lastActivityTimestamp.set(instanceId, Date.now());
+        this.lastActivityTimestamp.set(instanceId, clock.now(instanceId));
+
+        await tradingStateService.saveUpperBandState(
+          instanceId,
+          this.upperBandStates.get(instanceId)
+        );
 
         TradingLogger.logUpperBandState(
           instanceId,
@@ -71,6 +84,13 @@ class UpperBandStateManager {
       const binanceService = require("../services/binance.service");
       const analysisService = require("../services/analysis.service");
 
+      // ✅ Instancje offline (backtest) dostarczają cenę 1m bez Binance
+      const offlinePriceSource =
+        analysisService.getOfflinePriceSource(instanceId);
+      if (offlinePriceSource) {
+        return offlinePriceSource();
+      }
+
       const instances = analysisService.instances;
       const config = instances?.get(instanceId);
 
@@ -86,7 +106,7 @@ class UpperBandStateManager {
 
         if (candles1m && candles1m.length > 0) {
           const lastCandle = candles1m[candles1m.length - 1];
-          const age = Date.now() - lastCandle.openTime;
+          const age = clock.now(instanceId) - lastCandle.openTime;
 
           // Akceptuj świece do 90 sekund
           if (age <= 90000) {
@@ -162,11 +182,12 @@ class UpperBandStateManager {
     currentHigh,
     currentLow,
     hurstResult,
-    getActivePositionFn
+    getActivePositionFn,
+    settings = defaultParams.signals.upperBand
   ) {
     return mutex.withLock(`update-${instanceId}`, async () => {
       try {
-        this.lastActivityTimestamp.set(instanceId, Date.now());
+        this.lastActivityTimestamp.set(instanceId, clock.now(instanceId));
 
         const activePosition = getActivePositionFn(instanceId);
 
@@ -188,13 +209,21 @@ class UpperBandStateManager {
 
         const state = this.upperBandStates.get(instanceId);
         const timers = this.upperBandTimers.get(instanceId);
-        const now = Date.now();
-
-        const upperBand = hurstResult.upperBand;
-        const exitTrigger = upperBand * 1.0009;
-        const returnTrigger = upperBand * 0.9995;
-        const exitResetTrigger = upperBand * 0.999;
-        const returnResetTrigger = upperBand * 1.0009;
+        const now = clock.now(instanceId);
+
+        // ✅ Long wychodzi po powrocie spod górnej bandy, short - po powrocie znad dolnej (progi lustrzane)
+        const direction = activePosition.direction || "long";
+        const band =
+          direction === "short" ? hurstResult.lowerBand : hurstResult.upperBand;
+        // ✅ Progi cyklu z parametrów instancji (signals.upperBand)
+        const outside = (offset) =>
+          band * (direction === "short" ? 1 - offset : 1 + offset);
+        const inside = (offset) =>
+          band * (direction === "short" ? 1 + offset : 1 - offset);
+        const exitTrigger = outside(settings.exitTriggerPercent);
+        const returnTrigger = inside(settings.returnTriggerPercent);
+        const exitResetTrigger = inside(settings.exitResetPercent);
+        const returnResetTrigger = outside(settings.returnResetPercent);
 
         // ✅ NOWE: Pobierz 1m cenę do decyzji
         const oneMinPrice = await this._get1MinutePrice(instanceId);
@@ -210,53 +239,68 @@ class UpperBandStateManager {
         }
 
         if (now - timers.lastLogTime > 120000) {
-          this.logStateProgress(
-            instanceId,
-            state,
-            priceForDecisions,
-            upperBand
-          );
+          this.logStateProgress(instanceId, state, priceForDecisions, band);
           timers.lastLogTime = now;
         }
 
+        const stateBefore = JSON.stringify(state);
+        let exitSignal = null;
+
         switch (state.currentState) {
           case "waiting_for_exit":
-            return this.handleWaitingForExit(
+            exitSignal = this.handleWaitingForExit(
               instanceId,
               priceForDecisions,
               exitTrigger,
-              upperBand,
-              now
+              band,
+              now,
+              direction
             );
+            break;
 
           case "exit_counting":
-            return this.handleExitCounting(
+            exitSignal = this.handleExitCounting(
               instanceId,
               priceForDecisions,
-              upperBand,
+              band,
               exitResetTrigger,
-              now
+              now,
+              direction,
+              settings
             );
+            break;
 
           case "waiting_for_return":
-            return this.handleWaitingForReturn(
+            exitSignal = this.handleWaitingForReturn(
               instanceId,
               priceForDecisions,
               returnTrigger,
-              upperBand,
-              now
+              band,
+              now,
+              direction,
+              settings
             );
+            break;
 
           case "return_counting":
-            return this.handleReturnCounting(
+            exitSignal = this.handleReturnCounting(
               instanceId,
               priceForDecisions,
-              upperBand,
+              band,
               returnResetTrigger,
-              now
+              now,
+              direction,
+              settings
             );
+            break;
         }
-        return null;
+
+        // ✅ Zapisz stan przy każdym przejściu (odtwarzany po restarcie)
+        if (JSON.stringify(state) !== stateBefore) {
+          await tradingStateService.saveUpperBandState(instanceId, state);
+        }
+
+        return exitSignal;
       } catch (error) {
         logger.error(`Error in updateState: ${error.message}`);
         await this.forceCleanAllState(instanceId);
@@ -270,22 +314,23 @@ class UpperBandStateManager {
     instanceId,
     priceForDecisions,
     exitTrigger,
-    upperBand,
-    now
+    band,
+    now,
+    direction = "long"
   ) {
-    if (priceForDecisions >= exitTrigger) {
+    if (this._isOutsideBand(priceForDecisions, exitTrigger, direction)) {
       // ← 1m CLOSE zamiast currentHigh
       const state = this.upperBandStates.get(instanceId);
       state.currentState = "exit_counting";
       state.stateStartTime = now;
       state.triggerPrice = priceForDecisions;
-      state.bandLevel = upperBand;
+      state.bandLevel = band;
       state.resetConditionMet = false;
 
       TradingLogger.logUpperBandState(
         instanceId,
         "exit_started",
-        `1m CLOSE ${priceForDecisions} >= trigger ${exitTrigger.toFixed(2)}`
+        `1m CLOSE ${priceForDecisions} ${direction === "short" ? "<=" : ">="} trigger ${exitTrigger.toFixed(2)}`
       );
     }
     return null;
@@ -295,14 +340,16 @@ class UpperBandStateManager {
   handleExitCounting(
     instanceId,
     priceForDecisions,
-    upperBand,
+    band,
     exitResetTrigger,
-    now
+    now,
+    direction = "long",
+    settings = defaultParams.signals.upperBand
   ) {
     const state = this.upperBandStates.get(instanceId);
     const timeElapsed = now - state.stateStartTime;
 
-    if (priceForDecisions <= exitResetTrigger) {
+    if (this._isInsideBand(priceForDecisions, exitResetTrigger, direction)) {
       // ← 1m CLOSE zamiast currentLow
       if (!state.resetConditionMet) {
         state.resetConditionMet = true;
@@ -310,11 +357,11 @@ class UpperBandStateManager {
         TradingLogger.logUpperBandState(
           instanceId,
           "exit_reset_warning",
-          `1m CLOSE ${priceForDecisions} <= reset ${exitResetTrigger.toFixed(2)} (-0.2%), reset timer started`
+          `1m CLOSE ${priceForDecisions} back inside reset ${exitResetTrigger.toFixed(2)} (${percent(settings.exitResetPercent)}%), reset timer started`
         );
       } else {
         const resetTimeElapsed = now - state.resetStartTime;
-        if (resetTimeElapsed >= 8 * 60 * 1000) {
+        if (resetTimeElapsed >= settings.exitResetTime) {
           state.currentState = "waiting_for_exit";
           state.stateStartTime = null;
           state.resetConditionMet = false;
@@ -326,17 +373,20 @@ class UpperBandStateManager {
           return null;
         }
       }
-    } else if (state.resetConditionMet && priceForDecisions > upperBand) {
+    } else if (
+      state.resetConditionMet &&
+      this._isOutsideBand(priceForDecisions, band, direction, false)
+    ) {
       // ← 1m CLOSE
       state.resetConditionMet = false;
       TradingLogger.logUpperBandState(
         instanceId,
         "exit_reset_cancelled",
-        "1m CLOSE back above band"
+        "1m CLOSE back outside band"
       );
     }
 
-    if (timeElapsed >= 8 * 60 * 1000) {
+    if (timeElapsed >= settings.exitConfirmationTime) {
       state.currentState = "waiting_for_return";
       state.stateStartTime = null;
       state.resetConditionMet = false;
@@ -344,7 +394,7 @@ class UpperBandStateManager {
       TradingLogger.logUpperBandState(
         instanceId,
         "exit_confirmed",
-        `EXIT CONFIRMED after 8 min. Ready for return signal.`
+        `EXIT CONFIRMED after ${minutes(settings.exitConfirmationTime)} min. Ready for return signal.`
       );
     }
     return null;
@@ -355,22 +405,24 @@ class UpperBandStateManager {
     instanceId,
     priceForDecisions,
     returnTrigger,
-    upperBand,
-    now
+    band,
+    now,
+    direction = "long",
+    settings = defaultParams.signals.upperBand
   ) {
-    if (priceForDecisions <= returnTrigger) {
+    if (this._isInsideBand(priceForDecisions, returnTrigger, direction)) {
       // ← 1m CLOSE zamiast currentLow
       const state = this.upperBandStates.get(instanceId);
       state.currentState = "return_counting";
       state.stateStartTime = now;
       state.triggerPrice = priceForDecisions;
-      state.bandLevel = upperBand;
+      state.bandLevel = band;
       state.resetConditionMet = false;
 
       TradingLogger.logUpperBandState(
         instanceId,
         "return_started",
-        `1m CLOSE ${priceForDecisions} <= trigger ${returnTrigger.toFixed(2)} (-0.1%)`
+        `1m CLOSE ${priceForDecisions} ${direction === "short" ? ">=" : "<="} trigger ${returnTrigger.toFixed(2)} (${percent(settings.returnTriggerPercent)}%)`
       );
     }
     return null;
@@ -380,14 +432,16 @@ class UpperBandStateManager {
   handleReturnCounting(
     instanceId,
     priceForDecisions,
-    upperBand,
+    band,
     returnResetTrigger,
-    now
+    now,
+    direction = "long",
+    settings = defaultParams.signals.upperBand
   ) {
     const state = this.upperBandStates.get(instanceId);
     const timeElapsed = now - state.stateStartTime;
 
-    if (priceForDecisions >= returnResetTrigger) {
+    if (this._isOutsideBand(priceForDecisions, returnResetTrigger, direction)) {
       // ← 1m CLOSE zamiast currentHigh
       if (!state.resetConditionMet) {
         state.resetConditionMet = true;
@@ -395,11 +449,11 @@ class UpperBandStateManager {
         TradingLogger.logUpperBandState(
           instanceId,
           "return_reset_warning",
-          `1m CLOSE ${priceForDecisions} >= reset ${returnResetTrigger.toFixed(2)} (+0.2%), reset timer started`
+          `1m CLOSE ${priceForDecisions} back outside reset ${returnResetTrigger.toFixed(2)} (${percent(settings.returnResetPercent)}%), reset timer started`
         );
       } else {
         const resetTimeElapsed = now - state.resetStartTime;
-        if (resetTimeElapsed >= 8 * 60 * 1000) {
+        if (resetTimeElapsed >= settings.returnResetTime) {
           state.currentState = "waiting_for_return";
           state.stateStartTime = null;
           state.resetConditionMet = false;
@@ -411,27 +465,36 @@ class UpperBandStateManager {
           return null;
         }
       }
-    } else if (state.resetConditionMet && priceForDecisions < upperBand) {
+    } else if (
+      state.resetConditionMet &&
+      this._isInsideBand(priceForDecisions, band, direction, false)
+    ) {
       // ← 1m CLOSE
       state.resetConditionMet = false;
       TradingLogger.logUpperBandState(
         instanceId,
         "return_reset_cancelled",
-        "1m CLOSE back below band"
+        "1m CLOSE back inside band"
       );
     }
 
-    if (timeElapsed >= 8 * 60 * 1000) {
+    if (timeElapsed >= settings.returnConfirmationTime) {
+      const isShort = direction === "short";
       const exitSignal = {
         instanceId,
-        type: "upperBandReturn",
+        type: isShort ? "lowerBandReturn" : "upperBandReturn",
+        direction,
         price: priceForDecisions, // ← 1m CLOSE
-        hurstChannel: { upperBand },
+        hurstChannel: isShort ? { lowerBand: band } : { upperBand: band },
         timestamp: now,
         metadata: {
-          exitReason: "Confirmed return to channel after 8 minutes",
-          totalCycleTime: "16+ minutes",
-          returnTrigger: state.bandLevel * 0.999,
+          exitReason: `Confirmed return to channel after ${minutes(settings.returnConfirmationTime)} minutes`,
+          totalCycleTime: `${minutes(settings.exitConfirmationTime + settings.returnConfirmationTime)}+ minutes`,
+          returnTrigger:
+            state.bandLevel *
+            (isShort
+              ? 1 + settings.returnTriggerPercent
+              : 1 - settings.returnTriggerPercent),
           finalPrice: priceForDecisions, // ← 1m CLOSE
           priceSource: "1m_close", // ← Info o źródle
         },
@@ -444,7 +507,7 @@ class UpperBandStateManager {
       TradingLogger.logUpperBandState(
         instanceId,
         "return_confirmed",
-        `POSITION CLOSED - Return confirmed after 8 min (1m CLOSE: ${priceForDecisions})`
+        `POSITION CLOSED - Return confirmed after ${minutes(settings.returnConfirmationTime)} min (1m CLOSE: ${priceForDecisions})`
       );
 
       return exitSignal;
@@ -452,10 +515,43 @@ class UpperBandStateManager {
     return null;
   }
 
-  logStateProgress(instanceId, state, currentPrice, upperBand) {
+  /**
+   * Sprawdza, czy cena jest po zewnętrznej stronie progu bandy wyjścia
+   * (long: powyżej górnej bandy, short: poniżej dolnej)
+   * @param {number} price - Cena 1m CLOSE
+   * @param {number} level - Próg
+   * @param {string} direction - Kierunek pozycji (long/short)
+   * @param {boolean} [inclusive=true] - Czy równość spełnia warunek
+   * @returns {boolean}
+   * @private
+   */
+  _isOutsideBand(price, level, direction, inclusive = true) {
+    if (direction === "short") {
+      return inclusive ? price <= level : price < level;
+    }
+    return inclusive ? price >= level : price > level;
+  }
+
+  /**
+   * Sprawdza, czy cena jest po wewnętrznej (kanałowej) stronie progu
+   * @param {number} price - Cena 1m CLOSE
+   * @param {number} level - Próg
+   * @param {string} direction - Kierunek pozycji (long/short)
+   * @param {boolean} [inclusive=true] - Czy równość spełnia warunek
+   * @returns {boolean}
+   * @private
+   */
+  _isInsideBand(price, level, direction, inclusive = true) {
+    if (direction === "short") {
+      return inclusive ? price >= level : price > level;
+    }
+    return inclusive ? price <= level : price < level;
+  }
+
+  logStateProgress(instanceId, state, currentPrice, band) {
     if (!state.stateStartTime) return;
 
-    const timeElapsed = Date.now() - state.stateStartTime;
+    const timeElapsed = clock.now(instanceId) - state.stateStartTime;
     const minutesElapsed = Math.floor(timeElapsed / 60000);
     const symbol = "BTCUSDT";
 
@@ -465,7 +561,37 @@ class UpperBandStateManager {
       state.currentState,
       minutesElapsed,
       currentPrice,
-      upperBand
+      band
+    );
+  }
+
+  /**
+   * Odtwarza zapisany stan (np. exit_counting z oryginalnym czasem startu)
+   * @param {string} instanceId - ID instancji
+   * @param {Object} state - Zapisany stan górnej bandy
+   */
+  restoreState(instanceId, state) {
+    this.upperBandStates.set(instanceId, {
+      currentState: state.currentState || "waiting_for_exit",
+      stateStartTime: state.stateStartTime ?? null,
+      triggerPrice: state.triggerPrice ?? null,
+      bandLevel: state.bandLevel ?? null,
+      resetConditionMet: !!state.resetConditionMet,
+      resetStartTime: state.resetStartTime ?? null,
+    });
+
+    this.upperBandTimers.set(instanceId, {
+      stateTimer: null,
+      resetTimer: null,
+      lastLogTime: 0,
+    });
+
+    this.lastActivityTimestamp.set(instanceId, clock.now(instanceId));
+
+    TradingLogger.logUpperBandState(
+      instanceId,
+      "restored",
+      state.currentState || "waiting_for_exit"
     );
   }
 
@@ -81,18 +81,7 @@ const validateInstanceConfig = (config) => {
   ) {
     const hurstParams = config.strategy.parameters.hurst;
 
-    // Walidacja liczby okresów
-    if (hurstParams.periods !== undefined) {
-      if (
-        typeof hurstParams.periods !== "number" ||
-        hurstParams.periods < 10 ||
-        hurstParams.periods > 100
-      ) {
-        errors.push(
-          "Liczba okresów dla kanału Hursta musi być liczbą z zakresu 10-100"
-        );
-      }
-    }
+    // Liczbę okresów i współczynniki band sprawdza schemat strategii (strategy.service)
 
     // Walidacja współczynnika odchylenia
     if (hurstParams.deviationFactor !== undefined) {
@@ -108,24 +97,16 @@ const validateInstanceConfig = (config) => {
     }
   }
 
-  // Walidacja parametrów EMA
-  if (
-    config.strategy &&
-    config.strategy.parameters &&
-    config.strategy.parameters.ema
-  ) {
-    const emaParams = config.strategy.parameters.ema;
-
-    // Walidacja liczby okresów
-    if (emaParams.periods !== undefined) {
-      if (
-        typeof emaParams.periods !== "number" ||
-        emaParams.periods < 5 ||
-        emaParams.periods > 200
-      ) {
-        errors.push("Liczba okresów dla EMA musi być liczbą z zakresu 5-200");
-      }
-    }
+  // Walidacja typu strategii i jej grup parametrów (hurst/ema, macd, rsi)
+  if (config.strategy && (config.strategy.type || config.strategy.parameters)) {
+    // Import lokalny - rejestr strategii należy do warstwy serwisów
+    const strategyService = require("../services/strategy.service");
+    errors.push(
+      ...strategyService.validateParameters(
+        config.strategy.type || "hurst",
+        config.strategy.parameters
+      )
+    );
   }
 
   return {
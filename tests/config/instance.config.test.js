@@ -0,0 +1,64 @@
+const {
+  validateInstanceParams,
+  getEntryLevels,
+} = require("../../src/config/instance.config");
+
+describe("validateInstanceParams", () => {
+  it("accepts default-like numeric parameters", () => {
+    const result = validateInstanceParams({
+      hurst: { periods: 30, upperDeviationFactor: 1.6 },
+      ema: { periods: 30 },
+      signals: {
+        minFirstEntryDuration: 0,
+        stopLossCooldownHours: 12,
+        upperBand: { exitTriggerPercent: 0.0009, exitResetTime: 8 * 60000 },
+      },
+    });
+
+    expect(result).toEqual({ isValid: true, errors: [] });
+  });
+
+  it.each([
+    [{ signals: { upperBand: { exitTriggerPercent: NaN } } }],
+    [{ signals: { upperBand: { returnResetTime: Infinity } } }],
+    [{ signals: { protectiveOrders: { stopLossPercent: "0.02" } } }],
+    [{ signals: { trailingStop: { trailPercent: "abc" } } }],
+    [{ signals: { exitRules: { maxHoldingTime: "1h" } } }],
+    [
+      {
+        capitalAllocation: {
+          entryLevels: [{ allocation: 0.1, minTimeGap: "x" }],
+        },
+      },
+    ],
+    [{ hurst: { periods: "abc" } }],
+    [{ ema: { periods: "x" } }],
+    [{ hurst: { upperDeviationFactor: "2" } }],
+    [{ signals: { minEntryTimeGap: null } }],
+    [{ signals: { stopLoss: { percent: NaN } } }],
+    [{ capitalAllocation: { firstEntry: "0.1" } }],
+  ])("rejects non-numeric values: %j", (params) => {
+    const result = validateInstanceParams(params);
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toHaveLength(1);
+  });
+});
+
+describe("entry levels", () => {
+  it("treats an empty entryLevels list as the default three-entry ladder", () => {
+    const params = {
+      capitalAllocation: {
+        firstEntry: 0.1,
+        secondEntry: 0.25,
+        thirdEntry: 0.5,
+        entryLevels: [],
+      },
+    };
+
+    expect(validateInstanceParams(params).isValid).toBe(true);
+    expect(getEntryLevels(params).map((level) => level.allocation)).toEqual([
+      0.1, 0.25, 0.5,
+    ]);
+  });
+});
@@ -0,0 +1,91 @@
+const backtestService = require("../../src/services/backtest.service");
+
+const START_TIME = Date.UTC(2025, 0, 1);
+
+// Deterministyczne świece: 6 dni 1m z falą i szumem LCG, agregowane do 15m i 1h
+const buildCandles = () => {
+  const minuteCandles = [];
+  let seed = 1;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+
+  let price = 50000;
+  for (let i = 0; i < 60 * 24 * 6; i++) {
+    const open = price;
+    price = price * (1 + (random() - 0.5) * 0.003 + 0.0015 * Math.sin(i / 180));
+    minuteCandles.push({
+      openTime: START_TIME + i * 60000,
+      open,
+      high: Math.max(open, price) * (1 + random() * 0.0005),
+      low: Math.min(open, price) * (1 - random() * 0.0005),
+      close: price,
+      volume: 1,
+    });
+  }
+
+  const aggregate = (size) => {
+    const result = [];
+    for (let i = 0; i + size <= minuteCandles.length; i += size) {
+      const slice = minuteCandles.slice(i, i + size);
+      result.push({
+        openTime: slice[0].openTime,
+        open: slice[0].open,
+        high: Math.max(...slice.map((candle) => candle.high)),
+        low: Math.min(...slice.map((candle) => candle.low)),
+        close: slice[slice.length - 1].close,
+        volume: size,
+      });
+    }
+    return result;
+  };
+
+  return { "1m": minuteCandles, "15m": aggregate(15), "1h": aggregate(60) };
+};
+
+describe("BacktestService.runBacktest", () => {
+  it("replays the same candles into identical trades and position IDs", async () => {
+    const candles = buildCandles();
+    const first = await backtestService.runBacktest({
+      symbol: "BTCUSDT",
+      candles,
+    });
+    const second = await backtestService.runBacktest({
+      symbol: "BTCUSDT",
+      candles,
+    });
+
+    expect(first.trades.length).toBeGreaterThan(0);
+    expect(first.runId).toBe(`backtest-BTCUSDT-${START_TIME}-1`);
+    expect(second.runId).toBe(first.runId);
+    expect(second.trades).toEqual(first.trades);
+    expect(second.backtestId).not.toBe(first.backtestId);
+    expect(first.trades[0].positionId).toMatch(
+      new RegExp(`^position-${first.runId}-`)
+    );
+  }, 120000);
+});
+
+describe("BacktestService._reserveRunId", () => {
+  afterEach(() => backtestService.activeRuns.clear());
+
+  it("numbers concurrent runs of the same symbol and start time", () => {
+    const options = { startTime: START_TIME };
+
+    expect(backtestService._reserveRunId(options, "BTCUSDT", null)).toBe(
+      `backtest-BTCUSDT-${START_TIME}-1`
+    );
+    expect(backtestService._reserveRunId(options, "BTCUSDT", null)).toBe(
+      `backtest-BTCUSDT-${START_TIME}-2`
+    );
+  });
+
+  it("rejects an explicit runId that is already running", () => {
+    backtestService._reserveRunId({ runId: "replay" }, "BTCUSDT", null);
+
+    expect(() =>
+      backtestService._reserveRunId({ runId: "replay" }, "BTCUSDT", null)
+    ).toThrow("replay");
+  });
+});
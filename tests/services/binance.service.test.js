@@ -0,0 +1,91 @@
+const binanceService = require("../../src/services/binance.service");
+
+const SYMBOL = "BTCUSDT";
+const INTERVAL = "15m";
+const INTERVAL_MS = 15 * 60 * 1000;
+
+const candleAt = (openTime) => ({
+  openTime,
+  closeTime: openTime + INTERVAL_MS - 1,
+  open: 100,
+  high: 101,
+  low: 99,
+  close: 100,
+  volume: 1,
+  isFinal: true,
+});
+
+const candleRange = (from, to) => {
+  const candles = [];
+  for (let openTime = from; openTime <= to; openTime += INTERVAL_MS) {
+    candles.push(candleAt(openTime));
+  }
+  return candles;
+};
+
+describe("BinanceService stale cache", () => {
+  const key = `${SYMBOL}-${INTERVAL}`;
+  const currentOpenTime = Math.floor(Date.now() / INTERVAL_MS) * INTERVAL_MS;
+  const lastClosedOpenTime = currentOpenTime - INTERVAL_MS;
+  // Bufor urwany 10 świec przed ostatnią zamkniętą świecą
+  const staleCandles = candleRange(
+    lastClosedOpenTime - 20 * INTERVAL_MS,
+    lastClosedOpenTime - 10 * INTERVAL_MS
+  );
+
+  let getHistoricalCandles;
+
+  beforeEach(() => {
+    binanceService.candleData.set(key, [...staleCandles]);
+    getHistoricalCandles = jest.spyOn(binanceService, "getHistoricalCandles");
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    binanceService.clearAllCache();
+  });
+
+  it("keeps the buffer and flags a gap until the backfill completes", async () => {
+    getHistoricalCandles.mockImplementation(
+      async (symbol, interval, limit, startTime, endTime) =>
+        candleRange(startTime, endTime)
+    );
+
+    expect(binanceService.getCachedCandles(SYMBOL, INTERVAL)).toBeNull();
+    expect(binanceService.isDataComplete(SYMBOL, INTERVAL)).toBe(false);
+    expect(binanceService.getCachedCandleCount(SYMBOL, INTERVAL)).toBe(
+      staleCandles.length
+    );
+
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(getHistoricalCandles).toHaveBeenCalledWith(
+      SYMBOL,
+      INTERVAL,
+      10,
+      lastClosedOpenTime - 9 * INTERVAL_MS,
+      lastClosedOpenTime
+    );
+    expect(binanceService.isDataComplete(SYMBOL, INTERVAL)).toBe(true);
+
+    const candles = binanceService.getCachedCandles(SYMBOL, INTERVAL);
+    expect(candles[candles.length - 1].openTime).toBe(lastClosedOpenTime);
+  });
+
+  it("keeps the gap flag when the backfill fails", async () => {
+    getHistoricalCandles.mockRejectedValue(new Error("network down"));
+
+    expect(binanceService.getCachedCandles(SYMBOL, INTERVAL)).toBeNull();
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(binanceService.isDataComplete(SYMBOL, INTERVAL)).toBe(false);
+    expect(binanceService.getCachedCandleCount(SYMBOL, INTERVAL)).toBe(
+      staleCandles.length
+    );
+
+    // Kolejne odczyty w oknie ponowienia nie odpytują REST API
+    binanceService.getCachedCandles(SYMBOL, INTERVAL);
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(getHistoricalCandles).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,117 @@
+const {
+  MockExchangeServer,
+} = require("../../../src/services/exchanges/mock-exchange.server");
+const PhemexAdapter = require("../../../src/services/exchanges/phemex.adapter");
+const { PhemexService } = require("../../../src/services/phemex.service");
+
+const SYMBOL = "BTCUSDT";
+
+// Adapter "mock" to PhemexAdapter z klientem Phemex wskazującym lokalną giełdę
+const createAdapter = (url) =>
+  new PhemexAdapter({
+    apiKey: "mock-key",
+    apiSecret: "mock-secret",
+    client: new PhemexService(url),
+    name: "mock",
+  });
+
+describe("mock exchange adapter", () => {
+  let server;
+  let adapter;
+
+  beforeAll(async () => {
+    server = new MockExchangeServer({ feeRate: 0.001, slippage: 0 });
+    adapter = createAdapter(await server.start());
+  });
+
+  afterAll(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    server.reset();
+    server.setPrice(SYMBOL, 100);
+  });
+
+  it("fills market orders confirmed through getOrder", async () => {
+    const order = await adapter.placeOrder({
+      symbol: SYMBOL,
+      side: "Buy",
+      quantity: 2,
+    });
+    expect(order).toMatchObject({ status: "submitted", filledQuantity: 0 });
+
+    expect(
+      await adapter.getOrder(SYMBOL, { orderId: order.orderId })
+    ).toMatchObject({
+      status: "filled",
+      filledQuantity: 2,
+      avgPrice: 100,
+      fee: 0.2,
+    });
+    expect(await adapter.getPositionSize(SYMBOL)).toBe(2);
+    expect(await adapter.getBalance()).toEqual({
+      currency: "USDT",
+      walletBalance: 9999.8,
+      availableBalance: 9799.8,
+    });
+  });
+
+  it("caps reduce-only orders at the open size", async () => {
+    await adapter.placeOrder({ symbol: SYMBOL, side: "Buy", quantity: 2 });
+    server.setPrice(SYMBOL, 110);
+
+    const close = await adapter.placeOrder({
+      symbol: SYMBOL,
+      side: "Sell",
+      quantity: 5,
+      reduceOnly: true,
+    });
+
+    expect(
+      await adapter.getOrder(SYMBOL, { orderId: close.orderId })
+    ).toMatchObject({ status: "filled", filledQuantity: 2, avgPrice: 110 });
+    expect(await adapter.getPositionSize(SYMBOL)).toBe(0);
+    expect(server.getState().realizedPnl).toBeCloseTo(20);
+  });
+
+  it("rejects reduce-only orders without a position", async () => {
+    await expect(
+      adapter.placeOrder({
+        symbol: SYMBOL,
+        side: "Sell",
+        quantity: 1,
+        reduceOnly: true,
+      })
+    ).rejects.toThrow(/Brak pozycji/);
+  });
+
+  it("closes a position opened before a restart with a new adapter", async () => {
+    await adapter.placeOrder({ symbol: SYMBOL, side: "Sell", quantity: 1 });
+
+    // Pozycja żyje na giełdzie - nowy adapter (po restarcie) widzi ją i zamyka
+    const restarted = createAdapter(server.url);
+    expect(await restarted.getPositionSize(SYMBOL, "short")).toBe(1);
+
+    server.setPrice(SYMBOL, 90);
+    const close = await restarted.placeOrder({
+      symbol: SYMBOL,
+      side: "Buy",
+      quantity: 1,
+      reduceOnly: true,
+    });
+
+    expect(
+      await restarted.getOrder(SYMBOL, { orderId: close.orderId })
+    ).toMatchObject({ status: "filled", filledQuantity: 1, avgPrice: 90 });
+    expect(await restarted.getPositionSize(SYMBOL, "short")).toBe(0);
+    expect(server.getState().realizedPnl).toBeCloseTo(10);
+  });
+
+  it("reads the hedge-mode row of the requested direction", async () => {
+    await adapter.placeOrder({ symbol: SYMBOL, side: "Sell", quantity: 3 });
+
+    expect(await adapter.getPositionSize(SYMBOL, "short")).toBe(3);
+    expect(await adapter.getPositionSize(SYMBOL, "long")).toBe(0);
+  });
+});
@@ -0,0 +1,186 @@
+const PaperAdapter = require("../../../src/services/exchanges/paper.adapter");
+const exchangeService = require("../../../src/services/exchange.service");
+const signalService = require("../../../src/services/signal.service");
+
+const SYMBOL = "BTCUSDT";
+
+const createAdapter = (options = {}) => {
+  const adapter = new PaperAdapter({
+    feeRate: 0.001,
+    slippage: 0.001,
+    initialBalance: 1000,
+    priceSource: async () => adapter.price,
+    instrumentInfoSource: async () => ({ minOrderQty: 0.001, qtyStep: 0.001 }),
+    ...options,
+  });
+  adapter.price = 100;
+  return adapter;
+};
+
+describe("PaperAdapter", () => {
+  it("fills market orders with adverse slippage and charges fees", async () => {
+    const adapter = createAdapter();
+
+    const buy = await adapter.placeOrder({
+      symbol: SYMBOL,
+      side: "Buy",
+      quantity: 2,
+    });
+    expect(buy.status).toBe("filled");
+    expect(buy.filledQuantity).toBe(2);
+    expect(buy.avgPrice).toBeCloseTo(100.1);
+    expect(buy.fee).toBeCloseTo(2 * 100.1 * 0.001);
+
+    adapter.price = 110;
+    const sell = await adapter.placeOrder({
+      symbol: SYMBOL,
+      side: "Sell",
+      quantity: 2,
+      reduceOnly: true,
+    });
+    expect(sell.avgPrice).toBeCloseTo(109.89);
+    expect(await adapter.getPositionSize(SYMBOL)).toBe(0);
+    expect(adapter.realizedPnl).toBeCloseTo((109.89 - 100.1) * 2);
+    expect(adapter.balance).toBeCloseTo(
+      1000 + adapter.realizedPnl - buy.fee - sell.fee
+    );
+  });
+
+  it("averages the entry price when adding to a position", async () => {
+    const adapter = createAdapter({ slippage: 0 });
+
+    await adapter.placeOrder({ symbol: SYMBOL, side: "Buy", quantity: 1 });
+    adapter.price = 90;
+    await adapter.placeOrder({ symbol: SYMBOL, side: "Buy", quantity: 3 });
+
+    expect(adapter.positions.get(SYMBOL)).toEqual({
+      side: "Buy",
+      size: 4,
+      avgPrice: 92.5,
+    });
+  });
+
+  it("rejects reduce-only orders without an open position", async () => {
+    const adapter = createAdapter();
+
+    await expect(
+      adapter.placeOrder({
+        symbol: SYMBOL,
+        side: "Sell",
+        quantity: 1,
+        reduceOnly: true,
+      })
+    ).rejects.toThrow("Brak pozycji do zamknięcia");
+  });
+
+  it("caps reduce-only orders at the open size instead of reversing", async () => {
+    const adapter = createAdapter({ slippage: 0 });
+
+    await adapter.placeOrder({ symbol: SYMBOL, side: "Sell", quantity: 1 });
+    const close = await adapter.placeOrder({
+      symbol: SYMBOL,
+      side: "Buy",
+      quantity: 5,
+      reduceOnly: true,
+    });
+
+    expect(close.filledQuantity).toBe(1);
+    expect(adapter.positions.has(SYMBOL)).toBe(false);
+  });
+
+  it("triggers a protective stop loss when the price crosses it", async () => {
+    const adapter = createAdapter({ slippage: 0 });
+
+    await adapter.placeOrder({ symbol: SYMBOL, side: "Buy", quantity: 1 });
+    const stop = await adapter.placeProtectiveOrder({
+      symbol: SYMBOL,
+      type: "stopLoss",
+      positionSide: "Buy",
+      quantity: 1,
+      triggerPrice: 95,
+    });
+
+    adapter.price = 96;
+    expect((await adapter.getOrder(SYMBOL, stop)).status).toBe("submitted");
+
+    adapter.price = 94;
+    const triggered = await adapter.getOrder(SYMBOL, stop);
+    expect(triggered.status).toBe("filled");
+    expect(triggered.avgPrice).toBe(94);
+    expect(await adapter.getPositionSize(SYMBOL)).toBe(0);
+  });
+
+  describe("after a restart", () => {
+    const instance = {
+      instanceId: "paper-restart-test",
+      symbol: SYMBOL,
+      exchange: { adapter: "paper", paper: { feeRate: 0, slippage: 0 } },
+      financials: { currentBalance: 1000 },
+    };
+
+    afterEach(() => {
+      signalService.activePositions.delete(instance.instanceId);
+      exchangeService.releaseAdapter(instance.instanceId);
+    });
+
+    it("closes a position restored in signal.service", async () => {
+      // Stan przywrócony z bazy - księga nowego adaptera jest pusta
+      signalService.restorePositionState(instance.instanceId, {
+        activePosition: {
+          instanceId: instance.instanceId,
+          symbol: SYMBOL,
+          direction: "long",
+          status: "active",
+          entryTime: 0,
+          entries: [
+            { price: 100, fillPrice: 100, contractQuantity: 1 },
+            { price: 90, fillPrice: 88, contractQuantity: 2 },
+          ],
+        },
+      });
+
+      const adapter = await exchangeService.getAdapter(instance);
+      adapter.priceSource = async () => 110;
+
+      expect(adapter.positions.get(SYMBOL)).toEqual({
+        side: "Buy",
+        size: 3,
+        avgPrice: 92,
+      });
+
+      const close = await adapter.placeOrder({
+        symbol: SYMBOL,
+        side: "Sell",
+        quantity: 3,
+        reduceOnly: true,
+      });
+
+      expect(close.filledQuantity).toBe(3);
+      expect(await adapter.getPositionSize(SYMBOL)).toBe(0);
+      expect(adapter.realizedPnl).toBeCloseTo(54);
+    });
+
+    it("restores a short position on the sell side", async () => {
+      signalService.restorePositionState(instance.instanceId, {
+        activePosition: {
+          instanceId: instance.instanceId,
+          symbol: SYMBOL,
+          direction: "short",
+          status: "active",
+          entryTime: 0,
+          entries: [{ price: 100, contractQuantity: 1 }],
+        },
+      });
+
+      const adapter = await exchangeService.getAdapter(instance);
+
+      expect(adapter.positions.get(SYMBOL)).toEqual({
+        side: "Sell",
+        size: 1,
+        avgPrice: 100,
+      });
+      expect(await adapter.getPositionSize(SYMBOL, "short")).toBe(1);
+      expect(await adapter.getPositionSize(SYMBOL, "long")).toBe(0);
+    });
+  });
+});
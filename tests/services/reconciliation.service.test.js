@@ -0,0 +1,33 @@
+const reconciliationService = require("../../src/services/reconciliation.service");
+const Instance = require("../../src/models/instance.model");
+const mutex = require("../../src/utils/mutex");
+
+const INSTANCE_ID = "reconcile-test";
+
+describe("ReconciliationService.reconcileInstance", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each(["entry", "exit"])(
+    "skips the instance while an %s order is in flight",
+    async (lock) => {
+      const findOne = jest.spyOn(Instance, "findOne");
+      const discrepancy = jest.fn();
+      reconciliationService.on("discrepancy", discrepancy);
+
+      await mutex.acquire(`${lock}-${INSTANCE_ID}`);
+      const report = await reconciliationService.reconcileInstance(INSTANCE_ID);
+      mutex.release(`${lock}-${INSTANCE_ID}`);
+      reconciliationService.off("discrepancy", discrepancy);
+
+      expect(report).toMatchObject({
+        status: "skipped",
+        reason: "order_in_progress",
+      });
+      expect(findOne).not.toHaveBeenCalled();
+      expect(discrepancy).not.toHaveBeenCalled();
+      expect(reconciliationService.reports.has(INSTANCE_ID)).toBe(false);
+    }
+  );
+});
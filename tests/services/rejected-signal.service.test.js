@@ -0,0 +1,83 @@
+const rejectedSignalService = require("../../src/services/rejected-signal.service");
+const RejectedSignal = require("../../src/models/rejected-signal.model");
+
+const INSTANCE_ID = "rejected-signal-test";
+const START_TIME = 1_700_000_000_000;
+
+const rejection = (timestamp, price = 100) => ({
+  action: "entry",
+  reasonCode: "throttled",
+  reason: "Last signal 10s ago",
+  symbol: "BTCUSDT",
+  price,
+  timestamp,
+});
+
+describe("RejectedSignalService.record", () => {
+  let save;
+  let updateOne;
+
+  beforeEach(() => {
+    jest.spyOn(rejectedSignalService, "_shouldPersist").mockReturnValue(true);
+    save = jest
+      .spyOn(RejectedSignal.prototype, "save")
+      .mockImplementation(async function () {
+        return this;
+      });
+    updateOne = jest
+      .spyOn(RejectedSignal, "updateOne")
+      .mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    rejectedSignalService.openEntries.clear();
+  });
+
+  it("increments the stored entry on every repeat within the window", async () => {
+    await rejectedSignalService.record(INSTANCE_ID, rejection(START_TIME));
+    await rejectedSignalService.record(
+      INSTANCE_ID,
+      rejection(START_TIME + 1000, 101)
+    );
+    await rejectedSignalService.record(
+      INSTANCE_ID,
+      rejection(START_TIME + 2000, 102)
+    );
+
+    expect(save).toHaveBeenCalledTimes(1);
+    const documentId = save.mock.contexts[0]._id;
+    expect(updateOne).toHaveBeenCalledTimes(2);
+    expect(updateOne).toHaveBeenLastCalledWith(
+      { _id: documentId },
+      {
+        $inc: { occurrences: 1 },
+        $set: { lastTimestamp: START_TIME + 2000, lastPrice: 102 },
+      }
+    );
+  });
+
+  it("opens a new entry once the aggregation window has passed", async () => {
+    await rejectedSignalService.record(INSTANCE_ID, rejection(START_TIME));
+    await rejectedSignalService.record(
+      INSTANCE_ID,
+      rejection(START_TIME + 6 * 60 * 1000)
+    );
+
+    expect(save).toHaveBeenCalledTimes(2);
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+
+  it("starts a new entry after a failed save", async () => {
+    save.mockRejectedValueOnce(new Error("write failed"));
+
+    await rejectedSignalService.record(INSTANCE_ID, rejection(START_TIME));
+    await rejectedSignalService.record(
+      INSTANCE_ID,
+      rejection(START_TIME + 1000)
+    );
+
+    expect(save).toHaveBeenCalledTimes(2);
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,74 @@
+const signalService = require("../../src/services/signal.service");
+
+const INSTRUMENT = { minOrderQty: 0.01, qtyStep: 0.001 };
+
+const riskSizing = (riskAmount, stopDistance) => ({
+  mode: "risk",
+  equity: 1000,
+  riskPercent: riskAmount / 1000,
+  riskAmount,
+  stopSource: "stopLoss",
+  stopDistance,
+});
+
+describe("SignalService._calculateOptimalContractQuantity", () => {
+  it("sizes risk-mode entries down to the step without exceeding the risk", async () => {
+    const result = await signalService._calculateOptimalContractQuantity(
+      50,
+      1000,
+      100,
+      3,
+      INSTRUMENT,
+      riskSizing(10, 2)
+    );
+
+    expect(result.rejection).toBeUndefined();
+    expect(result.adjustedQuantity).toBe(5);
+    expect(result.sizing.actualRiskAmount).toBeCloseTo(10);
+  });
+
+  it("rejects a risk quantity below the instrument minimum", async () => {
+    const result = await signalService._calculateOptimalContractQuantity(
+      50,
+      1000,
+      100,
+      3,
+      INSTRUMENT,
+      riskSizing(0.01, 2)
+    );
+
+    expect(result.rejection).toMatchObject({
+      reasonCode: "risk_below_min_qty",
+    });
+    expect(result.sizing.riskQuantity).toBeCloseTo(0.005);
+  });
+
+  it("rejects when the minimum order exceeds the level allocation", async () => {
+    const result = await signalService._calculateOptimalContractQuantity(
+      0.01,
+      1000,
+      100,
+      3,
+      INSTRUMENT,
+      riskSizing(10, 2)
+    );
+
+    expect(result.sizing.cappedByAllocation).toBe(true);
+    expect(result.rejection).toMatchObject({
+      reasonCode: "risk_below_min_qty",
+    });
+  });
+
+  it("still rounds allocation-mode entries up to the minimum", async () => {
+    const result = await signalService._calculateOptimalContractQuantity(
+      0.01,
+      1000,
+      100,
+      3,
+      INSTRUMENT
+    );
+
+    expect(result.rejection).toBeUndefined();
+    expect(result.adjustedQuantity).toBe(0.01);
+  });
+});
@@ -0,0 +1,58 @@
+const clock = require("../../src/utils/clock");
+
+const INSTANCE_ID = "clock-test";
+
+describe("SimulatedClock", () => {
+  it("starts at the given time and advances forward", () => {
+    const simulated = clock.createSimulatedClock(1000);
+
+    expect(simulated.now()).toBe(1000);
+    expect(simulated.advance(500)).toBe(1500);
+    expect(simulated.set(2000)).toBe(2000);
+    expect(simulated.now()).toBe(2000);
+  });
+
+  it("refuses to move backwards", () => {
+    const simulated = clock.createSimulatedClock(1000);
+
+    expect(() => simulated.set(999)).toThrow(/cofać/);
+    expect(() => simulated.advance(-1)).toThrow(/cofać/);
+    expect(simulated.now()).toBe(1000);
+  });
+});
+
+describe("clock", () => {
+  afterEach(() => {
+    clock.clearInstanceClock(INSTANCE_ID);
+    clock.resetDefaultClock();
+  });
+
+  it("uses the instance clock only for that instance", () => {
+    const simulated = clock.createSimulatedClock(5000);
+    clock.setInstanceClock(INSTANCE_ID, simulated);
+
+    expect(clock.now(INSTANCE_ID)).toBe(5000);
+    simulated.advance(60000);
+    expect(clock.now(INSTANCE_ID)).toBe(65000);
+    expect(clock.now("other-instance")).not.toBe(65000);
+
+    expect(clock.clearInstanceClock(INSTANCE_ID)).toBe(true);
+    expect(clock.now(INSTANCE_ID)).not.toBe(65000);
+    expect(clock.clearInstanceClock(INSTANCE_ID)).toBe(false);
+  });
+
+  it("accepts a function as the default clock and restores the system clock", () => {
+    clock.setDefaultClock(() => 42);
+
+    expect(clock.now()).toBe(42);
+    expect(clock.now(INSTANCE_ID)).toBe(42);
+
+    clock.resetDefaultClock();
+    expect(Math.abs(clock.now() - Date.now())).toBeLessThan(1000);
+  });
+
+  it("rejects sources without now()", () => {
+    expect(() => clock.setInstanceClock(INSTANCE_ID, {})).toThrow(/now\(\)/);
+    expect(() => clock.setDefaultClock(null)).toThrow(/now\(\)/);
+  });
+});
@@ -0,0 +1,134 @@
+const downerBandStateManager = require("../../src/utils/downer-band-state-manager");
+const cooldownService = require("../../src/services/cooldown.service");
+const clock = require("../../src/utils/clock");
+
+const START_TIME = 1_700_000_000_000;
+const HURST = { upperBand: 1100, lowerBand: 1000 };
+
+let instanceCounter = 0;
+let instanceId;
+let simulated;
+
+const createConfig = (overrides = {}) => ({
+  symbol: "BTCUSDT",
+  hurst: { direction: "long" },
+  checkEMATrend: true,
+  ...overrides,
+});
+
+const update = (
+  price,
+  { config = createConfig(), trend = "up", filters } = {}
+) =>
+  downerBandStateManager.updateState(
+    instanceId,
+    price,
+    price,
+    price,
+    HURST,
+    1050,
+    1040,
+    trend,
+    config,
+    () => null,
+    filters || null
+  );
+
+describe("DownerBandStateManager first entry", () => {
+  beforeEach(() => {
+    instanceId = `downer-band-test-${++instanceCounter}`;
+    simulated = clock.createSimulatedClock(START_TIME);
+    clock.setInstanceClock(instanceId, simulated);
+    jest
+      .spyOn(downerBandStateManager, "_get1MinutePrice")
+      .mockResolvedValue(null);
+  });
+
+  afterEach(async () => {
+    await cooldownService.clearCooldown(instanceId);
+    await downerBandStateManager.forceCleanAllState(instanceId);
+    clock.clearInstanceClock(instanceId);
+    jest.restoreAllMocks();
+  });
+
+  it("emits lowerBandTouch when the long price touches the lower band", async () => {
+    expect(await update(1001)).toBeNull();
+
+    const signal = await update(999);
+    expect(signal).toMatchObject({
+      instanceId,
+      type: "lowerBandTouch",
+      direction: "long",
+      price: 999,
+      trend: "up",
+      timestamp: START_TIME,
+      metadata: { priceSource: "15m_fallback", lowerBand: 1000 },
+    });
+  });
+
+  it("emits upperBandTouch for a short instance", async () => {
+    const config = createConfig({ hurst: { direction: "short" } });
+
+    expect(await update(1099, { config, trend: "down" })).toBeNull();
+    expect(await update(1100, { config, trend: "down" })).toMatchObject({
+      type: "upperBandTouch",
+      direction: "short",
+      metadata: { upperBand: 1100 },
+    });
+  });
+
+  it("throttles repeated touches for 30 seconds", async () => {
+    const signals = [];
+    for (const step of [0, 10000, 20001, 1000]) {
+      simulated.advance(step);
+      signals.push(await update(990));
+    }
+
+    expect(signals.map((signal) => signal?.timestamp ?? null)).toEqual([
+      START_TIME,
+      null,
+      START_TIME + 30001,
+      null,
+    ]);
+  });
+
+  it("rejects a touch against the EMA trend only when the check is on", async () => {
+    expect(await update(990, { trend: "down" })).toBeNull();
+    expect(
+      await update(990, {
+        trend: "down",
+        config: createConfig({ checkEMATrend: false }),
+      })
+    ).toMatchObject({ type: "lowerBandTouch", trend: "down" });
+  });
+
+  it("applies entry filters after the trend check", async () => {
+    const failing = jest.fn(() => ({
+      passed: false,
+      logic: "and",
+      filters: { rsi: { passed: false } },
+    }));
+    expect(await update(990, { filters: failing })).toBeNull();
+    expect(failing).toHaveBeenCalledWith(990, "long");
+
+    const passing = () => ({
+      passed: true,
+      logic: "and",
+      filters: { rsi: { passed: true } },
+    });
+    const signal = await update(990, { filters: passing });
+    expect(signal.metadata.entryFilters).toMatchObject({ passed: true });
+  });
+
+  it("blocks entries during cooldown and allows them once it expires", async () => {
+    await cooldownService.setCooldown(instanceId, 1);
+
+    expect(await update(990)).toBeNull();
+
+    simulated.advance(60 * 60 * 1000);
+    expect(await update(990)).toMatchObject({
+      type: "lowerBandTouch",
+      timestamp: START_TIME + 60 * 60 * 1000,
+    });
+  });
+});
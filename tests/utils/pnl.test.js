@@ -0,0 +1,76 @@
+const {
+  calculatePositionPnl,
+  getPositionSide,
+  calculatePriceChangePercent,
+} = require("../../src/utils/pnl");
+
+describe("calculatePositionPnl", () => {
+  it("settles a leveraged long from fills, fees and funding", () => {
+    const result = calculatePositionPnl({
+      entries: [
+        { quantity: 1, price: 100, fee: 0.06, margin: 10 },
+        { quantity: "3", price: 90, fee: 0.162, margin: 27 },
+      ],
+      exit: { quantity: 4, price: 95, fee: 0.228 },
+      fundingFees: 0.05,
+    });
+
+    expect(result.quantity).toBe(4);
+    expect(result.avgEntryPrice).toBeCloseTo(92.5);
+    expect(result.avgExitPrice).toBe(95);
+    expect(result.margin).toBe(37);
+    expect(result.grossPnl).toBeCloseTo(10);
+    expect(result.tradingFees).toBeCloseTo(0.45);
+    expect(result.fundingFees).toBe(0.05);
+    expect(result.netPnl).toBeCloseTo(9.5);
+    expect(result.returnOnMargin).toBeCloseTo((9.5 / 37) * 100);
+  });
+
+  it("profits from a falling price on a short", () => {
+    const result = calculatePositionPnl({
+      entries: [{ quantity: 2, price: 100, fee: 0, margin: 20 }],
+      exit: { quantity: 2, price: 90, fee: 0 },
+      side: "Sell",
+    });
+
+    expect(result.grossPnl).toBeCloseTo(20);
+    expect(result.returnOnMargin).toBeCloseTo(100);
+  });
+
+  it("caps the closed quantity at the open quantity", () => {
+    const result = calculatePositionPnl({
+      entries: [{ quantity: 1, price: 100, margin: 10 }],
+      exit: { quantity: 5, price: 110 },
+    });
+
+    expect(result.quantity).toBe(1);
+    expect(result.netPnl).toBeCloseTo(10);
+  });
+
+  it("returns zero return on margin without margin", () => {
+    const result = calculatePositionPnl({
+      entries: [{ quantity: 1, price: 100 }],
+      exit: { quantity: 1, price: 101 },
+    });
+
+    expect(result.margin).toBe(0);
+    expect(result.returnOnMargin).toBe(0);
+  });
+});
+
+describe("getPositionSide", () => {
+  it("maps position direction to the opening order side", () => {
+    expect(getPositionSide()).toBe("Buy");
+    expect(getPositionSide("long")).toBe("Buy");
+    expect(getPositionSide("short")).toBe("Sell");
+  });
+});
+
+describe("calculatePriceChangePercent", () => {
+  it("reports the move in favour of the position", () => {
+    expect(calculatePriceChangePercent(100, 110)).toBeCloseTo(10);
+    expect(calculatePriceChangePercent(100, 90, "long")).toBeCloseTo(-10);
+    expect(calculatePriceChangePercent(100, 90, "short")).toBeCloseTo(10);
+    expect(calculatePriceChangePercent(100, 110, "short")).toBeCloseTo(-10);
+  });
+});
@@ -0,0 +1,57 @@
+const { checkExitRules } = require("../../src/utils/signal-rules");
+
+const ENTRY_TIME = 1_700_000_000_000;
+const PARAMETERS = { signals: { minFirstEntryDuration: 60 * 60 * 1000 } };
+
+const singleEntryPosition = {
+  entryTime: ENTRY_TIME,
+  entries: [{ price: 100 }],
+};
+
+const checkFreshExit = (options) =>
+  checkExitRules({
+    parameters: PARAMETERS,
+    position: singleEntryPosition,
+    timestamp: ENTRY_TIME + 10 * 60 * 1000,
+    ...options,
+  });
+
+describe("checkExitRules", () => {
+  it("holds a fresh single-entry position on a strategy exit", () => {
+    expect(checkFreshExit({ type: "upperBandReturn" })).toMatchObject({
+      allowed: false,
+      reasonCode: "first_entry_too_fresh",
+    });
+  });
+
+  it.each(["stopLoss", "trailingStop"])(
+    "lets the protective %s exit close a fresh position",
+    (type) => {
+      expect(checkFreshExit({ type })).toEqual({ allowed: true });
+    }
+  );
+
+  it("lets forced exits through", () => {
+    expect(checkFreshExit({ type: "forceClose", force: true })).toEqual({
+      allowed: true,
+    });
+  });
+
+  it("allows strategy exits once the minimum duration has passed", () => {
+    expect(
+      checkFreshExit({
+        type: "upperBandReturn",
+        timestamp: ENTRY_TIME + 60 * 60 * 1000,
+      })
+    ).toEqual({ allowed: true });
+  });
+
+  it("skips the rule for positions with more than one entry", () => {
+    expect(
+      checkFreshExit({
+        type: "upperBandReturn",
+        position: { ...singleEntryPosition, entries: [{}, {}] },
+      })
+    ).toEqual({ allowed: true });
+  });
+});
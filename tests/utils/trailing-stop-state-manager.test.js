@@ -0,0 +1,108 @@
+const trailingStopStateManager = require("../../src/utils/trailing-stop-state-manager");
+const clock = require("../../src/utils/clock");
+
+const INSTANCE_ID = "trailing-stop-test";
+const SETTINGS = {
+  activationPercent: 0.01,
+  trailPercent: 0.005,
+  priceSource: "close",
+};
+
+const replay = async (prices, position, settings = SETTINGS) => {
+  const simulated = clock.createSimulatedClock(1_700_000_000_000);
+  clock.setInstanceClock(INSTANCE_ID, simulated);
+
+  const results = [];
+  for (const tick of prices) {
+    const candle = typeof tick === "number" ? { price: tick } : tick;
+    results.push(
+      await trailingStopStateManager.update(
+        INSTANCE_ID,
+        { high: candle.price, low: candle.price, ...candle },
+        position,
+        100,
+        settings
+      )
+    );
+    simulated.advance(60000);
+  }
+  return results;
+};
+
+describe("TrailingStopStateManager", () => {
+  afterEach(async () => {
+    await trailingStopStateManager.forceCleanAllState(INSTANCE_ID);
+    clock.clearInstanceClock(INSTANCE_ID);
+  });
+
+  it("activates on a long and exits after a pullback from the peak", async () => {
+    const position = { positionId: "long-1", direction: "long" };
+    const results = await replay([100.5, 101, 102, 101.6, 101.48], position);
+
+    expect(results.slice(0, 4)).toEqual([null, null, null, null]);
+    expect(results[4]).toMatchObject({
+      positionId: "long-1",
+      activated: true,
+      peakPrice: 102,
+      dropPercent: "0.51",
+    });
+    expect(results[4].stopPrice).toBeCloseTo(101.49);
+  });
+
+  it("does not trigger before activation", async () => {
+    const position = { positionId: "long-2", direction: "long" };
+    const results = await replay([100.9, 99, 95], position);
+
+    expect(results).toEqual([null, null, null]);
+    expect(trailingStopStateManager.getState(INSTANCE_ID)).toMatchObject({
+      activated: false,
+      peakPrice: 100.9,
+      stopPrice: null,
+    });
+  });
+
+  it("mirrors the trail for a short position", async () => {
+    const position = { positionId: "short-1", direction: "short" };
+    const results = await replay([99, 98, 98.4, 98.5], position);
+
+    expect(results.slice(0, 3)).toEqual([null, null, null]);
+    expect(results[3]).toMatchObject({ peakPrice: 98, dropPercent: "0.51" });
+    expect(results[3].stopPrice).toBeCloseTo(98.49);
+  });
+
+  it("tracks the candle extreme when priceSource is high", async () => {
+    const position = { positionId: "long-3", direction: "long" };
+    const results = await replay(
+      [{ price: 102.8, high: 103 }, { price: 102.4 }],
+      position,
+      { ...SETTINGS, priceSource: "high" }
+    );
+
+    expect(results[0]).toBeNull();
+    expect(results[1]).toMatchObject({ peakPrice: 103, dropPercent: "0.58" });
+  });
+
+  it("starts a fresh state for a new position and restores saved state", async () => {
+    await replay([102], { positionId: "old", direction: "long" });
+    expect(trailingStopStateManager.getState(INSTANCE_ID).activated).toBe(true);
+
+    await replay([100.2], { positionId: "new", direction: "long" });
+    expect(trailingStopStateManager.getState(INSTANCE_ID)).toMatchObject({
+      positionId: "new",
+      activated: false,
+      peakPrice: 100.2,
+    });
+
+    trailingStopStateManager.restoreState(INSTANCE_ID, {
+      positionId: "new",
+      peakPrice: 105,
+      activated: true,
+      stopPrice: 104.475,
+    });
+    const [result] = await replay([104], {
+      positionId: "new",
+      direction: "long",
+    });
+    expect(result).toMatchObject({ peakPrice: 105, dropPercent: "0.95" });
+  });
+});
@@ -0,0 +1,138 @@
+const upperBandStateManager = require("../../src/utils/upper-band-state-manager");
+const clock = require("../../src/utils/clock");
+const { config: defaultParams } = require("../../src/config/instance.config");
+
+const INSTANCE_ID = "upper-band-test";
+const START_TIME = 1_700_000_000_000;
+const HURST = { upperBand: 1000, lowerBand: 900 };
+
+const createPosition = (direction = "long") => ({
+  status: "active",
+  direction,
+  entries: [{ price: 950 }],
+});
+
+/**
+ * Odtwarza ceny 1m CLOSE (jedna na minutę) i zbiera sygnały wyjścia
+ */
+const replay = async (
+  prices,
+  position = createPosition(),
+  settings = defaultParams.signals.upperBand
+) => {
+  const simulated = clock.createSimulatedClock(START_TIME);
+  clock.setInstanceClock(INSTANCE_ID, simulated);
+
+  const signals = [];
+  for (const [minute, price] of prices.entries()) {
+    const signal = await upperBandStateManager.updateState(
+      INSTANCE_ID,
+      price,
+      price,
+      price,
+      HURST,
+      () => position,
+      settings
+    );
+    if (signal) {
+      signals.push({ minute, signal });
+    }
+    simulated.advance(60000);
+  }
+  return signals;
+};
+
+const repeat = (price, count) => Array(count).fill(price);
+
+describe("UpperBandStateManager", () => {
+  beforeEach(() => {
+    // Bez 1m CLOSE z Binance decyzje zapadają na cenie przekazanej do updateState
+    jest
+      .spyOn(upperBandStateManager, "_get1MinutePrice")
+      .mockResolvedValue(null);
+  });
+
+  afterEach(async () => {
+    await upperBandStateManager.forceCleanAllState(INSTANCE_ID);
+    clock.clearInstanceClock(INSTANCE_ID);
+    jest.restoreAllMocks();
+  });
+
+  it("emits upperBandReturn after a confirmed exit and return cycle", async () => {
+    const prices = [...repeat(1001, 9), ...repeat(999, 9)];
+    const signals = await replay(prices);
+
+    expect(signals).toHaveLength(1);
+    expect(signals[0].minute).toBe(17);
+    expect(signals[0].signal).toMatchObject({
+      instanceId: INSTANCE_ID,
+      type: "upperBandReturn",
+      direction: "long",
+      price: 999,
+      hurstChannel: { upperBand: 1000 },
+      timestamp: START_TIME + 17 * 60000,
+    });
+    expect(upperBandStateManager.getState(INSTANCE_ID).currentState).toBe(
+      "waiting_for_exit"
+    );
+  });
+
+  it("replays the same prices into the same signals", async () => {
+    const prices = [...repeat(1001, 9), 999.6, ...repeat(999, 9)];
+
+    const first = await replay(prices);
+    await upperBandStateManager.forceCleanAllState(INSTANCE_ID);
+    const second = await replay(prices);
+
+    expect(first).toHaveLength(1);
+    expect(second).toEqual(first);
+  });
+
+  it("resets the exit when the price stays back inside the channel", async () => {
+    const settings = {
+      ...defaultParams.signals.upperBand,
+      exitResetTime: 4 * 60000,
+    };
+    const signals = await replay(
+      [1001, ...repeat(998, 5)],
+      createPosition(),
+      settings
+    );
+
+    expect(signals).toEqual([]);
+    expect(upperBandStateManager.getState(INSTANCE_ID)).toMatchObject({
+      currentState: "waiting_for_exit",
+      stateStartTime: null,
+    });
+  });
+
+  it("mirrors the cycle on the lower band for a short position", async () => {
+    const prices = [...repeat(899, 9), ...repeat(901, 9)];
+    const signals = await replay(prices, createPosition("short"));
+
+    expect(signals).toHaveLength(1);
+    expect(signals[0].minute).toBe(17);
+    expect(signals[0].signal).toMatchObject({
+      type: "lowerBandReturn",
+      direction: "short",
+      hurstChannel: { lowerBand: 900 },
+    });
+  });
+
+  it("clears the state once the position is gone", async () => {
+    await replay(repeat(1001, 3));
+    expect(upperBandStateManager.hasActiveState(INSTANCE_ID)).toBe(true);
+
+    const signal = await upperBandStateManager.updateState(
+      INSTANCE_ID,
+      1001,
+      1001,
+      1001,
+      HURST,
+      () => null
+    );
+
+    expect(signal).toBeNull();
+    expect(upperBandStateManager.hasActiveState(INSTANCE_ID)).toBe(false);
+  });
+});